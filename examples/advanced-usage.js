@@ -5,7 +5,8 @@
  * Chrome Extension Dashboard works with both modes without any changes.
  *
  * Data sources in advanced mode:
- *   - Active blocks  → Redis (blocked:<ip> keys)
+ *   - Active blocks  → Redis (block_index sorted set scored by expiry, with the
+ *                      reason, route and expiry of each in a block_meta:<ip> hash)
  *   - Full log history → MongoDB (every request is stored)
  */
 
@@ -57,68 +58,21 @@ app.get('/', (req, res) => {
 app.get('/api/users',    (req, res) => res.json({ users: [] }));
 app.get('/api/products', (req, res) => res.json({ products: [] }));
 
-/**
- * GET /logs
- * Recent log entries with optional filters.
- * Supports: ip, attackType, startDate, endDate, limit (max 100).
- */
-app.get('/logs', async (req, res) => {
-  try {
-    const { ip, attackType, startDate, endDate } = req.query;
-    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
-
-    if (ip !== undefined && typeof ip !== 'string')               return res.status(400).json({ error: 'Invalid ip parameter' });
-    if (attackType !== undefined && typeof attackType !== 'string') return res.status(400).json({ error: 'Invalid attackType parameter' });
-    if (startDate && isNaN(new Date(startDate).getTime()))        return res.status(400).json({ error: 'Invalid startDate' });
-    if (endDate   && isNaN(new Date(endDate).getTime()))          return res.status(400).json({ error: 'Invalid endDate' });
-
-    const logs = await monitor.getLogs({ ip, attackType, startDate, endDate, limit });
-    res.json(logs);
-  } catch {
-    res.status(500).json({ error: 'Error fetching logs' });
-  }
-});
-
-/**
- * GET /logs/attacks
- * Attack-only log entries (attackType != null), most recent first.
- * Supports: limit (max 100).
- */
-app.get('/logs/attacks', async (req, res) => {
-  try {
-    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
-    const logs = await monitor.getAttackLogs({ limit });
-    res.json(logs);
-  } catch {
-    res.status(500).json({ error: 'Error fetching attack logs' });
-  }
-});
-
-/**
- * GET /logs/stats
- * Per-IP statistics: total requests, average response time, attack count, unique routes.
- */
-app.get('/logs/stats', async (req, res) => {
-  try {
-    const stats = await monitor.getStats();
-    res.json(stats);
-  } catch {
-    res.status(500).json({ error: 'Error fetching stats' });
-  }
-});
+// ---------------------------------------------------------------------------
+// Dashboard endpoints (Chrome Extension)
+// ---------------------------------------------------------------------------
 
-/**
- * GET /blocked
- * Currently blocked IPs with remaining TTL, sourced from Redis.
- */
-app.get('/blocked', async (req, res) => {
-  try {
-    const result = await monitor.getBlockedIPs();
-    res.json(result);
-  } catch {
-    res.status(500).json({ error: 'Error fetching blocked IPs' });
-  }
-});
+// GET /logs, /logs/attacks, /logs/stats, /blocked
+// POST /blocked { ip, duration?, reason? } and DELETE /blocked/:ip
+// The extension sends the token as "Authorization: Bearer <token>".
+// Mounted only when DASHBOARD_TOKEN is set, since the router refuses to run without auth.
+if (process.env.DASHBOARD_TOKEN) {
+  app.use(monitor.dashboardRouter({
+    auth: { token: process.env.DASHBOARD_TOKEN },
+  }));
+} else {
+  console.warn('DASHBOARD_TOKEN is not set — dashboard endpoints are disabled');
+}
 
 // ---------------------------------------------------------------------------
 // Attack event listener
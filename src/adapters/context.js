@@ -0,0 +1,36 @@
+const querystring = require('querystring');
+
+/**
+ * Helpers shared by the framework adapters. Each adapter turns its
+ * framework's request into the context APIMonitor#evaluate expects and
+ * writes the decision back with its own response API.
+ */
+
+/**
+ * Splits a raw request URL into its path and parsed query. The path is kept
+ * as sent (no dot-segment resolution) so probes and inspection see what the
+ * client asked for.
+ * @param {string} url - req.url, e.g. "/users?id=1"
+ * @returns {{ path: string, query: Object }}
+ */
+function parseURL(url) {
+  const i = url.indexOf('?');
+  if (i === -1) return { path: url, query: {} };
+  return { path: url.slice(0, i), query: querystring.parse(url.slice(i + 1)) };
+}
+
+/**
+ * Applies what every adapter does with a decision on the underlying
+ * node:http response: sets its headers (rate-limit, Retry-After) and logs
+ * the request once the response is sent.
+ * @param {import('http').ServerResponse} res
+ * @param {Object} decision - From APIMonitor#evaluate
+ */
+function prepareResponse(res, { headers, finish }) {
+  if (!res.headersSent) {
+    for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+  }
+  if (finish) res.on('finish', () => finish(res.statusCode));
+}
+
+module.exports = { parseURL, prepareResponse };
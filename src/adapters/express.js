@@ -0,0 +1,46 @@
+const { prepareResponse } = require('./context');
+
+/**
+ * Request context of an Express request. req.ip honours the app's
+ * `trust proxy` setting.
+ * @private
+ */
+function expressContext(monitor, req) {
+  return {
+    ip:      monitor.getClientIP(req),
+    method:  req.method,
+    path:    req.path,
+    headers: req.headers,
+    query:   req.query,
+    body:    req.body,
+    req,
+  };
+}
+
+/**
+ * Runs an Express request through the monitor. Backs monitorMiddleware
+ * (`track: true`) and blockIPsMiddleware (`track: false`).
+ * @param {import('../index').APIMonitor} monitor
+ * @param {Object}   req
+ * @param {Object}   res
+ * @param {Function} next
+ * @param {Object}   opts
+ * @param {boolean}  opts.track - Count and inspect the request, not only check blocks
+ */
+async function handleExpress(monitor, req, res, next, { track }) {
+  try {
+    const decision = await monitor.evaluate(expressContext(monitor, req), { track });
+    prepareResponse(res, decision);
+    if (!decision.reject) return next();
+
+    res.status(decision.reject.status);
+    if (monitor.onBlocked) return await monitor.onBlocked(req, res, decision.reject.info);
+
+    const { contentType, body } = monitor.renderRejection(decision.reject, req.headers.accept);
+    res.type(contentType).send(body);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { handleExpress };
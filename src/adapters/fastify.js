@@ -0,0 +1,57 @@
+const { normalizeIP } = require('../ip-list');
+const { parseURL, prepareResponse } = require('./context');
+
+/**
+ * Request context of a Fastify request. request.ip honours the server's
+ * `trustProxy` option; the body is only parsed by the preHandler stage.
+ * request.id (Fastify's request id) is used for log messages.
+ * @private
+ */
+function fastifyContext(request) {
+  return {
+    ip:        normalizeIP(request.ip),
+    method:    request.method,
+    path:      parseURL(request.url).path,
+    headers:   request.headers,
+    query:     request.query,
+    body:      request.body,
+    requestId: request.id,
+    req:       request,
+  };
+}
+
+/**
+ * Creates a Fastify plugin for a monitor. Blocked and denylisted clients are
+ * rejected in onRequest, before the body is parsed; the request is counted
+ * and inspected in preHandler, once the body is available.
+ * @param {import('../index').APIMonitor} monitor
+ * @returns {Function} Plugin for fastify.register()
+ */
+function createFastifyPlugin(monitor) {
+  const hook = track => async (request, reply) => {
+    const decision = await monitor.evaluate(fastifyContext(request), { track });
+    prepareResponse(reply.raw, decision);
+    if (!decision.reject) return;
+
+    reply.code(decision.reject.status);
+    if (monitor.onBlocked) {
+      await monitor.onBlocked(request, reply, decision.reject.info);
+    } else {
+      const { contentType, body } = monitor.renderRejection(decision.reject, request.headers.accept);
+      reply.type(contentType).send(body);
+    }
+    return reply;
+  };
+
+  const plugin = (fastify, opts, done) => {
+    fastify.addHook('onRequest', hook(false));
+    fastify.addHook('preHandler', hook(true));
+    done();
+  };
+  // Same as wrapping in fastify-plugin: the hooks apply to every route, not just an encapsulated scope
+  plugin[Symbol.for('skip-override')] = true;
+  plugin[Symbol.for('fastify.display-name')] = 'api-security-monitor';
+  return plugin;
+}
+
+module.exports = { createFastifyPlugin };
@@ -0,0 +1,43 @@
+const { normalizeIP } = require('../ip-list');
+const { prepareResponse } = require('./context');
+
+/**
+ * Request context of a Koa request. ctx.ip honours the app's `proxy`
+ * setting; ctx.request.body is set by a body parser such as koa-bodyparser.
+ * @private
+ */
+function koaContext(ctx) {
+  return {
+    ip:      normalizeIP(ctx.ip),
+    method:  ctx.method,
+    path:    ctx.path,
+    headers: ctx.headers,
+    query:   ctx.query,
+    body:    ctx.request.body,
+    req:     ctx.request,
+  };
+}
+
+/**
+ * Creates Koa middleware for a monitor.
+ * @param {import('../index').APIMonitor} monitor
+ * @param {Object}  [opts]
+ * @param {boolean} [opts.track=true] - false only rejects blocked and denylisted clients (like blockIPs)
+ * @returns {Function} (ctx, next) => Promise
+ */
+function createKoaMiddleware(monitor, { track = true } = {}) {
+  return async (ctx, next) => {
+    const decision = await monitor.evaluate(koaContext(ctx), { track });
+    prepareResponse(ctx.res, decision);
+    if (!decision.reject) return next();
+
+    ctx.status = decision.reject.status;
+    if (monitor.onBlocked) return monitor.onBlocked(ctx.request, ctx.response, decision.reject.info);
+
+    const { contentType, body } = monitor.renderRejection(decision.reject, ctx.get('accept'));
+    ctx.type = contentType;
+    ctx.body = body;
+  };
+}
+
+module.exports = { createKoaMiddleware };
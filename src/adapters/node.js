@@ -0,0 +1,53 @@
+const { normalizeIP } = require('../ip-list');
+const { parseURL, prepareResponse } = require('./context');
+
+/**
+ * Request context of a plain node:http request. There is no proxy support
+ * built in: behind a proxy, pass a getIP that reads the address it forwards.
+ * @private
+ */
+function nodeContext(req, getIP) {
+  const { path, query } = parseURL(req.url);
+  return {
+    ip:      normalizeIP(getIP ? getIP(req) : req.socket.remoteAddress),
+    method:  req.method,
+    path,
+    headers: req.headers,
+    query,
+    body:    req.body,
+    req,
+  };
+}
+
+/**
+ * Wraps a node:http request handler so the monitor runs first. Rejected
+ * requests never reach the handler; a monitor error answers 500.
+ * @param {import('../index').APIMonitor} monitor
+ * @param {Function} handler - (req, res) => void, as passed to http.createServer
+ * @param {Object}   [opts]
+ * @param {Function} [opts.getIP] - (req) => string — client IP when behind a trusted proxy
+ * @returns {Function} (req, res) => Promise
+ */
+function createNodeHandler(monitor, handler, { getIP } = {}) {
+  return async (req, res) => {
+    try {
+      const decision = await monitor.evaluate(nodeContext(req, getIP));
+      prepareResponse(res, decision);
+      if (decision.reject) {
+        res.statusCode = decision.reject.status;
+        if (monitor.onBlocked) return await monitor.onBlocked(req, res, decision.reject.info);
+
+        const { contentType, body } = monitor.renderRejection(decision.reject, req.headers.accept);
+        res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+        return res.end(body);
+      }
+    } catch (err) {
+      monitor.logger.error({ err }, 'Error in monitor, answering 500');
+      if (!res.headersSent) res.statusCode = 500;
+      return res.end();
+    }
+    return handler(req, res);
+  };
+}
+
+module.exports = { createNodeHandler };
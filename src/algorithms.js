@@ -0,0 +1,103 @@
+/**
+ * Rate-limiting algorithms shared by the built-in counters adapters, so local
+ * and Redis tracking produce identical counts for the same traffic.
+ *
+ *   sliding-log     Exact: one timestamp per request, trimmed to limit + 1 entries.
+ *   fixed-window    One counter per clock-aligned window. Cheapest, but allows up
+ *                   to 2× the limit across a window boundary.
+ *   sliding-window  Current + previous window counters, the previous one weighted
+ *                   by how much of it still overlaps the sliding window.
+ *   token-bucket    `limit` tokens refilled evenly over `timeWindow`; a request
+ *                   with no token left counts as limit + 1.
+ *
+ * Every algorithm reports a `requestCount` the monitor compares against
+ * `maxRequests`, and all but sliding-log keep constant memory per key.
+ */
+const ALGORITHMS = ['sliding-log', 'fixed-window', 'sliding-window', 'token-bucket'];
+
+/**
+ * Throws if the algorithm name is not supported.
+ * @param {string} algorithm
+ * @param {string} [source='algorithm'] - Option name for the error message
+ */
+function assertAlgorithm(algorithm, source = 'algorithm') {
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`${source} must be one of: ${ALGORITHMS.join(', ')}`);
+  }
+}
+
+/**
+ * Index of the clock-aligned window containing `now`.
+ * @param {number} now      - Unix ms
+ * @param {number} windowMs
+ * @returns {number}
+ */
+function windowIndex(now, windowMs) {
+  return Math.floor(now / windowMs);
+}
+
+/**
+ * Sliding-window counter estimate: the previous window's count weighted by the
+ * share of it that still falls inside the sliding window, plus the current count.
+ * @param {number} previous - Requests in the previous aligned window
+ * @param {number} current  - Requests in the current aligned window (including this one)
+ * @param {number} now      - Unix ms
+ * @param {number} windowMs
+ * @returns {number}
+ */
+function slidingEstimate(previous, current, now, windowMs) {
+  const elapsed = (now % windowMs) / windowMs;
+  return Math.floor(previous * (1 - elapsed)) + current;
+}
+
+/**
+ * Refills a token bucket and tries to take one token.
+ * @param {{ tokens: number, updatedAt: number }|undefined} bucket - Previous state (undefined = full)
+ * @param {number} limit    - Bucket capacity
+ * @param {number} now      - Unix ms
+ * @param {number} windowMs - Time to refill an empty bucket
+ * @returns {{ bucket: { tokens: number, updatedAt: number }, requestCount: number }}
+ */
+function takeToken(bucket, limit, now, windowMs) {
+  const refillPerMs = limit / windowMs;
+  let tokens = bucket
+    ? Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+    : limit;
+
+  let requestCount;
+  if (tokens >= 1) {
+    tokens      -= 1;
+    requestCount = Math.ceil(limit - tokens);
+  } else {
+    requestCount = limit + 1;
+  }
+
+  return { bucket: { tokens, updatedAt: now }, requestCount };
+}
+
+/**
+ * When a key's budget frees up again, for the RateLimit-Reset header:
+ *   sliding-log     the oldest logged request leaves the window
+ *   fixed-window /  the current aligned window ends
+ *   sliding-window
+ *   token-bucket    the next token is refilled when the bucket is empty, or it
+ *                   is full again otherwise
+ * @param {string} algorithm
+ * @param {Object} state
+ * @param {number} state.now          - Unix ms
+ * @param {number} state.windowMs
+ * @param {number} state.limit
+ * @param {number} state.requestCount - As returned for the current request
+ * @param {number} [state.oldest]     - Oldest logged timestamp (sliding-log)
+ * @returns {number} Unix ms
+ */
+function resetTime(algorithm, { now, windowMs, limit, requestCount, oldest = now }) {
+  if (algorithm === 'token-bucket') {
+    const msPerToken = windowMs / limit;
+    return now + Math.ceil(requestCount > limit ? msPerToken : requestCount * msPerToken);
+  }
+  if (algorithm === 'sliding-log') return oldest + windowMs;
+  return (windowIndex(now, windowMs) + 1) * windowMs;
+}
+
+module.exports = { ALGORITHMS, assertAlgorithm, windowIndex, slidingEstimate, takeToken, resetTime };
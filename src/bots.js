@@ -0,0 +1,111 @@
+/**
+ * User-Agent and header fingerprint checks for automated attack tooling.
+ */
+
+/** User-Agent tokens of scanners, fuzzers and brute-forcers (matched case-insensitively). */
+const BOT_TOOL_SIGNATURES = [
+  'sqlmap', 'nikto', 'masscan', 'zgrab', 'nmap', 'nuclei', 'dirbuster', 'gobuster',
+  'dirb', 'ffuf', 'wfuzz', 'hydra', 'acunetix', 'nessus', 'openvas', 'w3af', 'wpscan',
+  'havij', 'zmeu', 'jorgee', 'netsparker', 'burpcollaborator', 'commix', 'arachni',
+];
+
+const CHECKS  = ['tool', 'empty', 'malformed', 'inconsistent'];
+const ACTIONS = ['log', 'score', 'block'];
+
+const DEFAULTS = {
+  action:         'block',
+  checks:         CHECKS,
+  tools:          [],
+  allowAgents:    [],
+  scoreThreshold: 5,
+};
+
+const BROWSER_UA = /^Mozilla\/5\.0 .*(Chrome|Firefox|Safari|Edg)\//;
+// Headers every mainstream browser sends with every request, fetch() included
+const BROWSER_HEADERS = ['accept', 'accept-language', 'accept-encoding'];
+
+/**
+ * Escapes a literal for use inside a RegExp.
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * True if the text contains ASCII control characters.
+ * @private
+ */
+function hasControlChars(text) {
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x20 || code === 0x7f) return true;
+  }
+  return false;
+}
+
+/**
+ * Validates and normalises the `botDetection` option.
+ * @param {boolean|Object} [botDetection] - true for the defaults, or:
+ *   action ('log' | 'score' | 'block'), checks (subset of CHECKS), tools (extra
+ *   UA tokens), allowAgents (substrings or RegExps exempted), scoreThreshold and
+ *   timeWindow (for action 'score')
+ * @param {number} defaultWindow - Global timeWindow in seconds
+ * @returns {Object|null} Compiled config, or null when disabled
+ * @throws {Error} On an unknown action or check
+ */
+function compileBotDetection(botDetection, defaultWindow) {
+  if (!botDetection) return null;
+  const config = { timeWindow: defaultWindow, ...DEFAULTS, ...(botDetection === true ? {} : botDetection) };
+
+  if (!ACTIONS.includes(config.action)) {
+    throw new Error(`botDetection.action must be one of: ${ACTIONS.join(', ')}`);
+  }
+  for (const check of config.checks) {
+    if (!CHECKS.includes(check)) {
+      throw new Error(`botDetection.checks must only contain: ${CHECKS.join(', ')}`);
+    }
+  }
+
+  const tools = [...BOT_TOOL_SIGNATURES, ...config.tools];
+  return {
+    ...config,
+    checks:      new Set(config.checks),
+    toolPattern: new RegExp(`\\b(${tools.map(escapeRegExp).join('|')})\\b`, 'i'),
+    allowAgents: config.allowAgents.map(a => (a instanceof RegExp ? a : new RegExp(escapeRegExp(a), 'i'))),
+  };
+}
+
+/**
+ * Returns the name of the first check the request fails, or null.
+ *
+ *   tool:<name>           UA of a known attack tool
+ *   empty-user-agent      missing or blank UA
+ *   malformed-user-agent  control characters, no letters, or over 1024 characters
+ *   inconsistent-headers  claims a browser but lacks headers every browser sends
+ *
+ * @param {Object} config  - Output of compileBotDetection
+ * @param {Object} headers - Lower-cased request headers
+ * @returns {string|null}
+ */
+function detectBot(config, headers) {
+  const ua = typeof headers['user-agent'] === 'string' ? headers['user-agent'] : '';
+  if (ua && config.allowAgents.some(re => re.test(ua))) return null;
+  const { checks } = config;
+
+  if (!ua.trim()) return checks.has('empty') ? 'empty-user-agent' : null;
+
+  const tool = checks.has('tool') && config.toolPattern.exec(ua);
+  if (tool) return `tool:${tool[1].toLowerCase()}`;
+
+  if (checks.has('malformed') && (hasControlChars(ua) || !/[a-z]/i.test(ua) || ua.length > 1024)) {
+    return 'malformed-user-agent';
+  }
+
+  if (checks.has('inconsistent') && BROWSER_UA.test(ua) && BROWSER_HEADERS.some(h => !headers[h])) {
+    return 'inconsistent-headers';
+  }
+  return null;
+}
+
+module.exports = { BOT_TOOL_SIGNATURES, compileBotDetection, detectBot };
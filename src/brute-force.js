@@ -0,0 +1,69 @@
+const { patternToRegExp } = require('./policies');
+
+const DEFAULTS = {
+  statusCodes:       [401, 403],
+  maxFailures:       5,
+  timeWindow:        300,
+  usernameExtractor: null,
+  sprayThreshold:    5,
+};
+
+/**
+ * Validates and normalises the `bruteForce` option.
+ *
+ * Failed responses (statusCodes) on the auth routes are counted per IP; with a
+ * usernameExtractor, the distinct IPs failing against each username are counted
+ * too so spraying from many addresses is visible even when every IP stays
+ * under maxFailures.
+ *
+ * @param {Object} [bruteForce]
+ * @param {Array<string|RegExp>} bruteForce.routes - Auth route patterns, as in policies
+ * @returns {Object|null} Compiled config, or null when the detector is disabled
+ * @throws {Error} When routes is missing or empty
+ */
+function compileBruteForce(bruteForce) {
+  if (!bruteForce) return null;
+  const routes = [].concat(bruteForce.routes || []);
+  if (routes.length === 0) {
+    throw new Error('bruteForce.routes requires at least one path');
+  }
+  if (bruteForce.usernameExtractor && typeof bruteForce.usernameExtractor !== 'function') {
+    throw new Error('bruteForce.usernameExtractor must be a function');
+  }
+
+  const config = { ...DEFAULTS, ...bruteForce };
+  return {
+    ...config,
+    routes:      routes.map(patternToRegExp),
+    statusCodes: new Set(config.statusCodes),
+  };
+}
+
+/**
+ * True when the response is a failed attempt on one of the auth routes.
+ * @param {Object} config     - Output of compileBruteForce
+ * @param {string} route
+ * @param {number} statusCode
+ * @returns {boolean}
+ */
+function isFailedAttempt(config, route, statusCode) {
+  return config.statusCodes.has(statusCode) && config.routes.some(re => re.test(route));
+}
+
+/**
+ * Runs the username extractor, treating errors and empty values as "no username".
+ * @param {Object} config
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function extractUsername(config, req) {
+  if (!config.usernameExtractor) return null;
+  try {
+    const username = config.usernameExtractor(req);
+    return typeof username === 'string' && username ? username : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { compileBruteForce, isFailedAttempt, extractUsername };
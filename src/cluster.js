@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const os     = require('os');
+const Redis  = require('ioredis');
+const { SILENT } = require('./logger');
+
+const EVENTS = ['attack-detected', 'ip-blocked', 'ip-unblocked'];
+
+const DEFAULTS = {
+  channel:    'api-monitor:events',
+  instanceId: null,
+  redisURL:   null,
+  claimTTL:   60,
+};
+
+/**
+ * Validates the `clusterEvents` option: true for the defaults, or an object
+ * overriding them. Returns null when cluster events are off.
+ * @private
+ * @throws {Error} On an empty channel or instanceId, or a non-positive claimTTL
+ */
+function compileClusterEvents(clusterEvents) {
+  if (!clusterEvents) return null;
+  const config = { ...DEFAULTS, ...(clusterEvents === true ? {} : clusterEvents) };
+  if (typeof config.channel !== 'string' || !config.channel) {
+    throw new Error('clusterEvents.channel must be a non-empty string');
+  }
+  if (config.instanceId !== null && (typeof config.instanceId !== 'string' || !config.instanceId)) {
+    throw new Error('clusterEvents.instanceId must be a non-empty string');
+  }
+  if (!(Number.isFinite(config.claimTTL) && config.claimTTL > 0)) {
+    throw new Error('clusterEvents.claimTTL must be a positive number');
+  }
+  return {
+    ...config,
+    instanceId: config.instanceId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`,
+  };
+}
+
+/**
+ * Shares attack-detected, ip-blocked and ip-unblocked events between the
+ * instances of a cluster over a Redis pub/sub channel.
+ *
+ * Every event is stamped with the instance that raised it and a unique
+ * eventId, then published. Other instances hand it to `onEvent` with
+ * `remote: true`; an instance ignores its own messages. claim() lets exactly
+ * one instance act on an event, via SET NX on a short-lived key.
+ *
+ * @class ClusterEvents
+ */
+class ClusterEvents {
+  /**
+   * @param {Object} config - From compileClusterEvents
+   * @param {Object} opts
+   * @param {Object} [opts.redis]    - ioredis client to publish with; one is created from redisURL otherwise
+   * @param {string} [opts.redisURL]
+   * @param {Function} opts.onEvent  - (name, event) => void, called for events from other instances
+   * @param {Object} [opts.logger]
+   * @throws {Error} Without a Redis client or URL
+   */
+  constructor(config, { redis, redisURL, onEvent, logger = SILENT }) {
+    const url = config.redisURL || (redis ? null : redisURL);
+    if (!url && !redis) {
+      throw new Error('clusterEvents requires Redis: set clusterEvents.redisURL or use Redis storage');
+    }
+    this.channel    = config.channel;
+    this.instanceId = config.instanceId;
+    this.claimTTL   = config.claimTTL;
+    this.onEvent    = onEvent;
+    this.logger     = logger;
+
+    // A client created here is ours to close; a storage adapter's is not
+    this.ownsPublisher = !!url;
+    this.publisher     = url ? new Redis(url) : redis;
+    this.subscriber    = this.publisher.duplicate();
+    for (const client of new Set([this.publisher, this.subscriber])) {
+      if (client === redis) continue;
+      client.on('error', err => this.logger.error({ err, backend: 'redis' }, 'Cluster events Redis error'));
+    }
+
+    this.subscriber.on('message', (channel, message) => {
+      if (channel === this.channel) this._receive(message);
+    });
+    // Resolves once this instance hears the others
+    this.ready = this.subscriber.subscribe(this.channel)
+      .then(() => undefined)
+      .catch(err => this.logger.error({ err, channel: this.channel }, 'Cluster events subscribe failed'));
+  }
+
+  /**
+   * Tags an event raised on this instance before it is emitted and published.
+   * @param {Object} data
+   * @returns {Object} data with instanceId, eventId and remote: false
+   */
+  stamp(data) {
+    return { ...data, instanceId: this.instanceId, eventId: crypto.randomUUID(), remote: false };
+  }
+
+  /**
+   * Publishes a stamped event to the other instances. Failures are logged;
+   * the local emit has already happened.
+   * @param {string} name  - One of EVENTS
+   * @param {Object} event - From stamp()
+   * @returns {Promise<void>}
+   */
+  async publish(name, event) {
+    try {
+      await this.publisher.publish(this.channel, JSON.stringify({ event: name, data: event }));
+    } catch (err) {
+      this.logger.error({ err, event: name, channel: this.channel }, 'Error publishing cluster event');
+    }
+  }
+
+  /**
+   * Hands an event from another instance to onEvent, reviving its timestamp.
+   * Own, malformed and unknown messages are dropped.
+   * @private
+   */
+  _receive(message) {
+    let parsed;
+    try {
+      parsed = JSON.parse(message);
+    } catch {
+      return;
+    }
+    const { event: name, data } = parsed || {};
+    if (!EVENTS.includes(name) || !data || data.instanceId === this.instanceId) return;
+    this.onEvent(name, { ...data, timestamp: new Date(data.timestamp), remote: true });
+  }
+
+  /**
+   * Claims an event for one handler across the cluster. The first instance
+   * to call it for an eventId gets true; the rest get false until claimTTL
+   * has passed.
+   * @param {string} handler - Name of the handler, so different handlers claim separately
+   * @param {string} eventId
+   * @returns {Promise<boolean>}
+   */
+  async claim(handler, eventId) {
+    const key = `${this.channel}:claim:${handler}:${eventId}`;
+    return (await this.publisher.set(key, this.instanceId, 'EX', this.claimTTL, 'NX')) === 'OK';
+  }
+
+  /** Unsubscribes, and closes the publisher when it was created here. */
+  async close() {
+    await this.subscriber.quit();
+    if (this.ownsPublisher) await this.publisher.quit();
+  }
+}
+
+module.exports = { ClusterEvents, compileClusterEvents, EVENTS };
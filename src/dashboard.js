@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const net    = require('net');
+const { SORTS, ORDERS } = require('./storage/paging');
+
+const SUBJECT        = /^[A-Za-z][\w-]*:\S{1,200}$/;
+const MAX_LIMIT      = 100;
+const MAX_REASON_LEN = 200;
+const REALM          = 'api-security-monitor';
+
+/**
+ * Constant-time string comparison. Both sides are hashed first so the
+ * comparison does not leak the expected length.
+ * @private
+ */
+function safeEqual(a, b) {
+  const hash = s => crypto.createHash('sha256').update(String(s)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Builds the auth check from the `auth` option.
+ *
+ *   { token }               Authorization: Bearer <token>
+ *   { username, password }  Authorization: Basic <base64(username:password)>
+ *   (req) => result         Custom check; a string result is used as the actor
+ *   false                   No authentication (only behind your own auth layer)
+ *
+ * The returned function resolves the actor name, or null when the request is
+ * not authorised.
+ *
+ * @private
+ * @param {Object|Function|false} auth
+ * @returns {{ check: Function, challenge: string|null }}
+ * @throws {Error} If auth is missing or has no recognised credentials
+ */
+function compileAuth(auth) {
+  if (auth === false) {
+    return { check: () => 'dashboard', challenge: null };
+  }
+  if (typeof auth === 'function') {
+    return {
+      check: async (req) => {
+        const result = await auth(req);
+        if (!result) return null;
+        return typeof result === 'string' ? result : 'dashboard';
+      },
+      challenge: null,
+    };
+  }
+  if (auth && typeof auth.token === 'string' && auth.token) {
+    return {
+      check: (req) => {
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        return match && safeEqual(match[1].trim(), auth.token) ? 'dashboard' : null;
+      },
+      challenge: `Bearer realm="${REALM}"`,
+    };
+  }
+  if (auth && typeof auth.username === 'string' && typeof auth.password === 'string') {
+    return {
+      check: (req) => {
+        const match = /^Basic\s+(.+)$/i.exec(req.headers.authorization || '');
+        if (!match) return null;
+        const decoded = Buffer.from(match[1].trim(), 'base64').toString('utf8');
+        const sep     = decoded.indexOf(':');
+        if (sep === -1) return null;
+        const username = decoded.slice(0, sep);
+        // Compare both so a wrong username costs the same as a wrong password
+        const userOk = safeEqual(username, auth.username);
+        const passOk = safeEqual(decoded.slice(sep + 1), auth.password);
+        return userOk && passOk ? username : null;
+      },
+      challenge: `Basic realm="${REALM}", charset="UTF-8"`,
+    };
+  }
+  throw new Error('dashboardRouter requires auth: { token }, { username, password }, a function, or false');
+}
+
+/**
+ * Parses `limit`, falling back to `def` and clamping to [1, MAX_LIMIT].
+ * @private
+ */
+function parseLimit(value, def) {
+  const limit = parseInt(value, 10);
+  return Math.max(1, Math.min(Number.isNaN(limit) ? def : limit, MAX_LIMIT));
+}
+
+/**
+ * True for an IP or a keyGenerator subject ("<type>:<key>").
+ * @private
+ */
+function isSubject(value) {
+  return typeof value === 'string' && (net.isIP(value) > 0 || SUBJECT.test(value));
+}
+
+/**
+ * Wraps an async handler so rejections become a 500 with the given message.
+ * @private
+ */
+function handle(message, fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch {
+      res.status(500).json({ error: message });
+    }
+  };
+}
+
+/**
+ * Creates an Express router exposing the dashboard endpoints consumed by the
+ * Chrome extension:
+ *
+ *   GET    /logs           ip, attackType, startDate, endDate, limit (max 100)
+ *   GET    /logs/attacks   limit (max 100)
+ *   GET    /logs/stats
+ *   GET    /blocked        offset, limit (max 100), sort (expiresAt | ip), order (asc | desc)
+ *   POST   /blocked        { ip, duration?, reason? } → manual block
+ *   DELETE /blocked/:ip    → lift a block
+ *
+ * Every route is behind the auth check; other paths fall through to the app. Express is loaded lazily since it is a
+ * peer dependency.
+ *
+ * @param {import('./index').APIMonitor} monitor
+ * @param {Object} opts
+ * @param {Object|Function|false} opts.auth - See compileAuth
+ * @returns {import('express').Router}
+ */
+function createDashboardRouter(monitor, { auth } = {}) {
+  const express = require('express');
+  const { check, challenge } = compileAuth(auth);
+  const router = express.Router();
+
+  // Applied per route rather than with router.use, so mounting the router at
+  // "/" does not put the application's own routes behind dashboard auth.
+  const authorize = async (req, res, next) => {
+    try {
+      const actor = await check(req);
+      if (!actor) {
+        if (challenge) res.set('WWW-Authenticate', challenge);
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      res.locals.dashboardActor = actor;
+      next();
+    } catch {
+      res.status(500).json({ error: 'Error checking authorization' });
+    }
+  };
+
+  router.get('/logs', authorize, handle('Error fetching logs', async (req, res) => {
+    const { ip, attackType, startDate, endDate } = req.query;
+
+    if (ip !== undefined && typeof ip !== 'string')                 return res.status(400).json({ error: 'Invalid ip parameter' });
+    if (attackType !== undefined && typeof attackType !== 'string') return res.status(400).json({ error: 'Invalid attackType parameter' });
+    if (startDate !== undefined && (typeof startDate !== 'string' || isNaN(new Date(startDate).getTime()))) {
+      return res.status(400).json({ error: 'Invalid startDate' });
+    }
+    if (endDate !== undefined && (typeof endDate !== 'string' || isNaN(new Date(endDate).getTime()))) {
+      return res.status(400).json({ error: 'Invalid endDate' });
+    }
+
+    const limit = parseLimit(req.query.limit, 10);
+    res.json(await monitor.getLogs({ ip, attackType, startDate, endDate, limit }));
+  }));
+
+  router.get('/logs/attacks', authorize, handle('Error fetching attack logs', async (req, res) => {
+    res.json(await monitor.getAttackLogs({ limit: parseLimit(req.query.limit, 50) }));
+  }));
+
+  router.get('/logs/stats', authorize, handle('Error fetching stats', async (req, res) => {
+    res.json(await monitor.getStats());
+  }));
+
+  router.get('/blocked', authorize, handle('Error fetching blocked IPs', async (req, res) => {
+    const { offset, limit, sort, order } = req.query;
+
+    if (offset !== undefined && !/^\d+$/.test(offset))   return res.status(400).json({ error: 'Invalid offset parameter' });
+    if (sort !== undefined && !SORTS.includes(sort))     return res.status(400).json({ error: 'Invalid sort parameter' });
+    if (order !== undefined && !ORDERS.includes(order))  return res.status(400).json({ error: 'Invalid order parameter' });
+
+    // Without a limit every block is returned, as before paging existed
+    res.json(await monitor.getBlockedIPs({
+      offset: offset === undefined ? 0 : Number(offset),
+      limit:  limit === undefined ? Infinity : parseLimit(limit, MAX_LIMIT),
+      sort,
+      order,
+    }));
+  }));
+
+  router.post('/blocked', authorize, express.json({ limit: '10kb' }), handle('Error blocking IP', async (req, res) => {
+    const { ip, duration, reason } = req.body || {};
+
+    if (!isSubject(ip)) {
+      return res.status(400).json({ error: 'Invalid ip' });
+    }
+    if (duration !== undefined && !(typeof duration === 'number' && Number.isFinite(duration) && duration > 0)) {
+      return res.status(400).json({ error: 'Invalid duration' });
+    }
+    if (reason !== undefined && (typeof reason !== 'string' || !reason || reason.length > MAX_REASON_LEN)) {
+      return res.status(400).json({ error: 'Invalid reason' });
+    }
+
+    const result = await monitor.blockIP(ip, { duration, reason, actor: res.locals.dashboardActor });
+    res.status(201).json(result);
+  }));
+
+  router.delete('/blocked/:ip', authorize, handle('Error unblocking IP', async (req, res) => {
+    const { ip } = req.params;
+    if (!isSubject(ip)) return res.status(400).json({ error: 'Invalid ip' });
+
+    const removed = await monitor.unblockIP(ip, { actor: res.locals.dashboardActor });
+    if (!removed) return res.status(404).json({ error: 'IP is not blocked' });
+    res.json({ ip, unblocked: true });
+  }));
+
+  // Body parser errors (malformed JSON, oversized body) raised by express.json
+  router.use((err, req, res, next) => {
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    res.status(status).json({ error: status === 500 ? 'Internal server error' : 'Invalid request body' });
+  });
+
+  return router;
+}
+
+module.exports = { createDashboardRouter };
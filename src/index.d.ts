@@ -1,5 +1,6 @@
 import { EventEmitter } from 'events';
-import { Request, Response, NextFunction, RequestHandler } from 'express';
+import { IncomingMessage, ServerResponse } from 'http';
+import { Request, Response, NextFunction, RequestHandler, Router } from 'express';
 
 // ---------------------------------------------------------------------------
 // Options
@@ -16,6 +17,15 @@ export interface APIMonitorOptions {
   timeWindow?: number;
   /** Maximum unique endpoints allowed per time window before path-scan block. Default: 5 */
   scanThreshold?: number;
+  /**
+   * Rate-limiting algorithm, identical in local and Redis mode. Default: 'sliding-log'
+   *
+   * - `sliding-log`    exact; keeps up to maxRequests + 1 timestamps per client
+   * - `fixed-window`   one counter per clock-aligned window; allows 2× bursts at boundaries
+   * - `sliding-window` weighted current + previous window counters; constant memory
+   * - `token-bucket`   maxRequests tokens refilled evenly over timeWindow; constant memory
+   */
+  algorithm?: RateLimitAlgorithm;
   /**
    * Enable persistent logging to MongoDB and distributed tracking via Redis.
    * When false (default) tracking is kept in process memory.
@@ -37,6 +47,431 @@ export interface APIMonitorOptions {
    * blockLogPath: '/var/log/api-monitor/blocked.ndjson'
    */
   blockLogPath?: string;
+  /**
+   * Local-mode only. Rotate `blockLogPath` into `<path>.<unix ms>` segments once it
+   * grows past `maxSize` or `maxAge`. The new file starts with a compacted snapshot
+   * of active blocks and recent offences, so startup only reads the active file.
+   * `true` uses the defaults. Default: off.
+   *
+   * @example
+   * blockLogRotation: { maxSize: 50 * 1024 * 1024, maxFiles: 5, compress: true }
+   */
+  blockLogRotation?: boolean | BlockLogRotationOptions;
+  /**
+   * Advanced mode only. Collect request logs in memory and write them with
+   * `insertMany` once `batchSize` are waiting or every `flushInterval` ms.
+   * While MongoDB is unavailable up to `maxQueue` logs are held and retried;
+   * past that the oldest are dropped. `false` saves each log as it arrives
+   * and drops it while disconnected. Default: on.
+   *
+   * @example
+   * logBuffer: { batchSize: 500, flushInterval: 2000, maxQueue: 50_000 }
+   */
+  logBuffer?: boolean | LogBufferOptions;
+  /**
+   * Advanced mode only. Seconds to keep request logs: a TTL index on
+   * `timestamp` lets MongoDB delete older ones. Default: kept forever.
+   *
+   * @example
+   * logRetention: 30 * 86400 // 30 days
+   */
+  logRetention?: number;
+  /**
+   * Advanced mode only. Share of non-attack requests written to the request
+   * log, between 0 and 1. Attacks and dry-run would-be blocks are always
+   * logged. Sampling lowers the totals reported by getStats. Default: 1
+   */
+  logSampleRate?: number;
+  /**
+   * Storage backend. Either one adapter implementing every role, or an object
+   * supplying adapters per role — roles left out use the built-in adapter for
+   * the current mode (LocalStorage, or RedisMongoStorage when saveRecords is true).
+   *
+   * @example
+   * // Redis for counters, NDJSON file for blocks and block history
+   * storage: {
+   *   counters: new APIMonitor.RedisMongoStorage({ mongoURI, redisURL }),
+   *   blocks:   new APIMonitor.LocalStorage({ blockLogPath: '/var/log/api-monitor/blocked.ndjson' }),
+   *   logs:     sameLocalStorage,
+   * }
+   */
+  storage?: StorageAdapter | StorageRoles;
+  /**
+   * How long detected attackers are blocked. Repeat offences within `lookback`
+   * multiply the duration; offence history survives restarts in both modes.
+   * Default: a flat 300-second block.
+   *
+   * @example
+   * // 5 min, 10 min, 20 min … capped at 1 day; permanent from the 6th offence
+   * blockPolicy: { baseDuration: 300, multiplier: 2, maxDuration: 86400, permanentAfter: 6 }
+   */
+  blockPolicy?: BlockPolicy;
+  /**
+   * IPs or CIDR ranges (IPv4 and IPv6) that bypass monitoring and blocking entirely,
+   * e.g. office ranges, health checkers or partner servers. Takes precedence over `denylist`.
+   *
+   * @example
+   * allowlist: ['203.0.113.0/24', '10.0.0.5', '2001:db8::/32']
+   */
+  allowlist?: string[];
+  /**
+   * IPs or CIDR ranges that are always rejected with a permanent 403, before detection runs.
+   */
+  denylist?: string[];
+  /**
+   * Per-route / per-method limits. The first policy matching a request's method and
+   * path counts it against its own budget instead of the global one; limits left out
+   * fall back to the global values.
+   *
+   * @example
+   * policies: [
+   *   { name: 'login', method: 'POST', path: '/auth/*', maxRequests: 5, timeWindow: 60 },
+   *   { name: 'items', path: '/api/items/:id', maxRequests: 300 },
+   * ]
+   */
+  policies?: RateLimitPolicy[];
+  /**
+   * Rate-limit and block a request by something other than its IP — an API key,
+   * JWT subject or tenant id. Return a string (key type "custom"), `{ key, type }`,
+   * or nothing to fall back to the IP. Return a non-secret identifier (e.g. a hash
+   * of an API key): keys appear in block logs, events and getBlockedIPs.
+   *
+   * @example
+   * keyGenerator: req => req.user && { key: req.user.id, type: 'user' }
+   */
+  keyGenerator?: KeyGenerator;
+  /**
+   * Scan the path, query string, selected headers and parsed JSON body for
+   * injection payloads. A match rejects the request and blocks the IP.
+   * `true` enables every category with the defaults. Off by default.
+   * Mount a body parser before the middleware to have bodies inspected.
+   */
+  inspection?: boolean | InspectionOptions;
+  /**
+   * Counts failed responses (401/403 by default) on auth routes. IPs exceeding
+   * maxFailures are blocked as 'Brute Force'; with a usernameExtractor, usernames
+   * failing from more than sprayThreshold IPs emit 'username-sprayed'.
+   *
+   * @example
+   * bruteForce: { routes: ['/auth/*'], maxFailures: 5, usernameExtractor: req => req.body.email }
+   */
+  bruteForce?: BruteForceOptions;
+  /**
+   * Judge path scanning by probing non-existent resources: an IP is blocked once
+   * it has minMisses misses in the window and misses are at least missRatio of
+   * its requests. Replaces the scanThreshold breadth check unless uniquePaths is set.
+   *
+   * @example
+   * scanDetection: { minMisses: 10, missRatio: 0.5, knownRoutes: ['/api/*', '/static/*'] }
+   */
+  scanDetection?: boolean | ScanDetectionOptions;
+  /**
+   * Block requests for known scanner paths (/.env, /wp-admin, /.git/config…) and
+   * user-defined honeypot routes on the first hit. `true` uses the bundled list.
+   *
+   * @example
+   * probes: { exclude: ['/actuator/*'], honeypots: ['/admin/backup.zip'] }
+   */
+  probes?: boolean | ProbeOptions;
+  /**
+   * Flag attack tooling user agents (sqlmap, nikto, masscan…), empty or malformed
+   * user agents, and browsers missing headers every browser sends.
+   * `true` blocks flagged requests with every check enabled.
+   *
+   * @example
+   * botDetection: { action: 'score', scoreThreshold: 3, allowAgents: ['UptimeRobot'] }
+   */
+  botDetection?: boolean | BotDetectionOptions;
+  /**
+   * Send RateLimit-Limit / -Remaining / -Reset (and X-RateLimit-*) headers on every
+   * monitored response, and answer temporary rate-limit blocks with 429 + Retry-After
+   * instead of 403. `true` enables both header families. Default: disabled
+   */
+  rateLimitHeaders?: boolean | RateLimitHeadersOptions;
+  /**
+   * Sends blocked responses yourself. The status (403, or 429 for a rate-limit block)
+   * is already set and blockInfo always includes the reason. The first two arguments
+   * are the framework's own objects: (req, res) for Express and node:http,
+   * (request, reply) for Fastify, (ctx.request, ctx.response) for Koa.
+   * Default: JSON, RFC 7807 problem+json, text or HTML depending on the Accept header
+   */
+  onBlocked?: (req: any, res: any, blockInfo: BlockInfo) => void | Promise<void>;
+  /** Leave `reason` out of the built-in blocked responses. It is still logged. Default: false */
+  hideBlockReason?: boolean;
+  /**
+   * 'dry-run' runs detection, events and logging as usual but never rejects a request:
+   * would-be blocks are written to the block log as `"action": "would-block"` and
+   * flagged with `wouldBlock: true` in the request log. Manual blocks and the
+   * denylist are still enforced. Default: 'enforce'
+   */
+  mode?: 'enforce' | 'dry-run';
+  /**
+   * POST attack-detected / ip-blocked events to these URLs, batched, deduplicated,
+   * retried and optionally signed. Failures are reported as 'webhook-failed'.
+   *
+   * @example
+   * webhooks: [{ url: process.env.ALERT_URL, secret: process.env.ALERT_SECRET, attackTypes: ['Brute Force'] }]
+   */
+  webhooks?: WebhookOptions[];
+  /**
+   * Receives the library's log messages with structured fields (ip, method, route,
+   * requestId, attackType, err…). pino is called as (fields, message), winston and
+   * console as (message, fields). Default: nothing is logged
+   */
+  logger?: LoggerLike;
+  /** Minimum level passed to the logger. Default: 'info' */
+  logLevel?: LogLevel;
+  /**
+   * Publish attack-detected, ip-blocked and ip-unblocked on a Redis channel and re-emit
+   * them on every instance with `remote: true` and the originating `instanceId`.
+   * Uses the Redis storage's connection unless `redisURL` is given. Default: off
+   *
+   * @example
+   * clusterEvents: { instanceId: process.env.HOSTNAME }
+   */
+  clusterEvents?: boolean | ClusterEventsOptions;
+}
+
+export interface ClusterEventsOptions {
+  /** Pub/sub channel shared by the instances. Default: 'api-monitor:events' */
+  channel?: string;
+  /** Identifies this instance in events. Default: "<hostname>:<pid>:<random>" */
+  instanceId?: string;
+  /** Redis to publish on. Default: the Redis storage's connection, then redisURL / REDIS_URL */
+  redisURL?: string;
+  /** Seconds an onceInCluster claim is kept. Default: 60 */
+  claimTTL?: number;
+}
+
+/** Added to attack-detected, ip-blocked and ip-unblocked events when clusterEvents is on. */
+export interface ClusterEventFields {
+  /** Instance that raised the event */
+  instanceId?: string;
+  /** Unique per event, the same on every instance */
+  eventId?: string;
+  /** true when the event was raised by another instance */
+  remote?: boolean;
+}
+
+export type ClusterEventName = 'attack-detected' | 'ip-blocked' | 'ip-unblocked';
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/** Any pino / winston / console-compatible logger. */
+export interface LoggerLike {
+  debug(...args: any[]): unknown;
+  info(...args: any[]): unknown;
+  warn(...args: any[]): unknown;
+  error(...args: any[]): unknown;
+}
+
+export interface WebhookOptions {
+  /** http(s) URL to POST to. */
+  url: string;
+  /** Default: both */
+  events?: Array<'attack-detected' | 'ip-blocked'>;
+  /** Only forward these attack types (block reasons are matched without their policy suffix). */
+  attackTypes?: string[];
+  /** Adds X-Webhook-Timestamp and X-Webhook-Signature (HMAC-SHA256 over "<timestamp>.<body>"). */
+  secret?: string;
+  /** Extra request headers, e.g. Authorization. */
+  headers?: Record<string, string>;
+  /** Builds the request body from a batch, e.g. `{ text }` for Slack. Default: WebhookPayload */
+  transform?: (entries: WebhookEntry[]) => unknown;
+  /** Seconds to collect and deduplicate events before sending; 0 sends each event at once. Default: 10 */
+  batchWindow?: number;
+  /** Distinct entries that trigger an early send. Default: 100 */
+  maxBatchSize?: number;
+  /** Retries for network errors, timeouts, 408, 429 and 5xx. Default: 5 */
+  maxRetries?: number;
+  /** First retry delay in ms, doubled on each retry. Default: 1000 */
+  retryDelay?: number;
+  /** Batches kept while the destination is failing; the oldest is dropped beyond it. Default: 100 */
+  maxQueue?: number;
+  /** Request timeout in ms. Default: 5000 */
+  timeout?: number;
+}
+
+/** One deduplicated event in a webhook batch. */
+export interface WebhookEntry {
+  event: 'attack-detected' | 'ip-blocked';
+  /** Occurrences for the same subject and attack type within the batch window. */
+  count: number;
+  firstSeen: Date;
+  lastSeen: Date;
+  /** Payload of the latest occurrence. */
+  data: AttackEvent | IPBlockedEvent;
+}
+
+/** Default webhook request body. */
+export interface WebhookPayload {
+  source: 'api-security-monitor';
+  sentAt: string;
+  events: WebhookEntry[];
+}
+
+/** Emitted as 'webhook-failed' when a batch is given up on. */
+export interface WebhookFailedEvent {
+  url: string;
+  error: Error;
+  events: WebhookEntry[];
+}
+
+export interface RateLimitHeadersOptions {
+  /** IETF RateLimit-* headers; Reset in seconds from now. Default: true */
+  standard?: boolean;
+  /** X-RateLimit-* headers; Reset as a Unix timestamp in seconds. Default: true */
+  legacy?: boolean;
+}
+
+export type BotCheck = 'tool' | 'empty' | 'malformed' | 'inconsistent';
+
+export interface BotDetectionOptions {
+  /**
+   * - `log`   emit 'bot-detected' and log the request as 'Bad Bot'
+   * - `score` also block once the IP has more than scoreThreshold flagged requests per window
+   * - `block` block on the first flagged request (default)
+   */
+  action?: 'log' | 'score' | 'block';
+  /** Checks to run. Default: all */
+  checks?: BotCheck[];
+  /** Extra attack-tool UA tokens, matched as whole words, case-insensitively. */
+  tools?: string[];
+  /** Your own monitoring bots: case-insensitive substrings or RegExps exempt from every check. */
+  allowAgents?: Array<string | RegExp>;
+  /** Default: 5 */
+  scoreThreshold?: number;
+  /** Scoring window in seconds. Default: timeWindow */
+  timeWindow?: number;
+}
+
+/** Emitted as 'bot-detected' for every flagged request, whatever the action. */
+export interface BotDetectedEvent {
+  ip: string;
+  /** 'tool:<name>', 'empty-user-agent', 'malformed-user-agent' or 'inconsistent-headers' */
+  rule: string;
+  action: 'log' | 'score' | 'block';
+  timestamp: Date;
+}
+
+export interface ProbeOptions {
+  /** Use the bundled PROBE_SIGNATURES. Default: true */
+  signatures?: boolean;
+  /** Extra probe paths (policy pattern syntax, or RegExp tested against the lower-cased path). */
+  paths?: Array<string | RegExp>;
+  /** Bundled patterns to drop, e.g. ones your app legitimately serves. */
+  exclude?: string[];
+  /** Decoy routes no real client requests; reported as 'Honeypot Triggered'. */
+  honeypots?: Array<string | RegExp>;
+}
+
+export interface ScanDetectionOptions {
+  /** Statuses counted as misses. Default: [404, 405] */
+  missStatusCodes?: number[];
+  /** Misses within the window before the ratio is considered. Default: 10 */
+  minMisses?: number;
+  /** Share of the IP's requests that must be misses, in (0, 1]. Default: 0.5 */
+  missRatio?: number;
+  /** When set, requests to paths matching none of these count as misses instead of by status. */
+  knownRoutes?: string | RegExp | Array<string | RegExp>;
+  /** Also apply the scanThreshold unique-path check. Default: false */
+  uniquePaths?: boolean;
+  /** Counting window in seconds. Default: timeWindow */
+  timeWindow?: number;
+}
+
+export interface BruteForceOptions {
+  /** Auth route patterns (`*` and `:param` as in policies, or RegExp). Required. */
+  routes: string | RegExp | Array<string | RegExp>;
+  /** Response status codes counted as failures. Default: [401, 403] */
+  statusCodes?: number[];
+  /** Failures per IP within timeWindow before a block. Default: 5 */
+  maxFailures?: number;
+  /** Counting window in seconds. Default: 300 */
+  timeWindow?: number;
+  /** Returns the targeted username; errors and empty values are ignored. */
+  usernameExtractor?: (req: Request) => string | null | undefined;
+  /** Distinct failing IPs per username before it is flagged. Default: 5 */
+  sprayThreshold?: number;
+}
+
+/** Emitted as 'username-sprayed' the first time a username crosses sprayThreshold. */
+export interface UsernameSprayedEvent {
+  username: string;
+  type: 'Credential Stuffing';
+  /** Distinct IPs that failed against the username within the window */
+  ipCount: number;
+  /** IP whose failure crossed the threshold */
+  ip: string;
+  timestamp: Date;
+}
+
+export type InspectionAttack = 'sqli' | 'nosql' | 'xss' | 'traversal' | 'command';
+
+export interface InspectionOptions {
+  /** Categories to check. Default: all */
+  attacks?: InspectionAttack[];
+  /** Header names to scan. Default: ['user-agent', 'referer'] */
+  headers?: string[];
+  /** Scan req.body. Default: true */
+  body?: boolean;
+  /**
+   * Locations never scanned, with everything under them, e.g. free-text fields.
+   * `*` matches one key or array index. Default: []
+   *
+   * @example
+   * exclude: ['body.comment', 'body.messages[*].text', 'headers.referer']
+   */
+  exclude?: string[];
+  /** Maximum object nesting inspected in query and body. Default: 10 */
+  maxDepth?: number;
+  /** Characters scanned per value. Default: 4096 */
+  maxLength?: number;
+}
+
+/** Where an inspection signature matched. The payload itself is never included. */
+export interface InspectionDetails {
+  /** Signature name, e.g. "union-select" */
+  rule: string;
+  /** e.g. "path", "query.q", "headers.referer", "body.user.name" */
+  location: string;
+}
+
+/** Rate-limit subject for a request; see APIMonitorOptions.keyGenerator. */
+export type KeyGenerator = (req: Request) => string | { key: string | number; type?: string } | null | undefined;
+
+export type RateLimitAlgorithm = 'sliding-log' | 'fixed-window' | 'sliding-window' | 'token-bucket';
+
+export interface RateLimitPolicy {
+  /** Identifier used in tracking keys, events and block reasons. Default: "<METHOD> <path>" */
+  name?: string;
+  /** HTTP method(s) the policy applies to. Default: any. */
+  method?: string | string[];
+  /** Path pattern: `*` matches anything (including "/"), `:param` one segment. Or a RegExp. */
+  path: string | RegExp;
+  /** Default: global maxRequests */
+  maxRequests?: number;
+  /** Seconds. Default: global timeWindow */
+  timeWindow?: number;
+  /** Default: global scanThreshold */
+  scanThreshold?: number;
+  /** Default: global algorithm */
+  algorithm?: RateLimitAlgorithm;
+  /** Subject for this policy's budget. Default: global keyGenerator */
+  keyGenerator?: KeyGenerator;
+}
+
+export interface BlockPolicy {
+  /** Duration of a first offence in seconds. Default: 300 */
+  baseDuration?: number;
+  /** Factor applied per repeat offence within the lookback window. Default: 1 (no escalation) */
+  multiplier?: number;
+  /** Seconds during which a previous offence counts as a repeat. Default: 86400 */
+  lookback?: number;
+  /** Upper bound for the escalated duration in seconds. Default: no cap */
+  maxDuration?: number | null;
+  /** Offence number (1-based) from which blocks become permanent. Default: never */
+  permanentAfter?: number | null;
 }
 
 // ---------------------------------------------------------------------------
@@ -46,26 +481,144 @@ export interface APIMonitorOptions {
 export interface BlockInfo {
   /** Human-readable denial message */
   error: string;
-  /** Attack type that triggered the block */
+  /** Attack type that triggered the block. Omitted from responses with hideBlockReason. */
   reason: string;
-  /** Remaining block duration as a human-readable string, e.g. "295 seconds" */
+  /** Remaining block duration as a human-readable string, e.g. "295 seconds", or "permanent" */
   blockedFor: string;
-  /** ISO-8601 timestamp when the block expires */
-  blockedUntil: string;
+  /** ISO-8601 timestamp when the block expires. null for permanent blocks. */
+  blockedUntil: string | null;
 }
 
-export interface AttackEvent {
+/** Framework-independent view of a request, built by the adapters for evaluate(). */
+export interface RequestContext {
+  /** Client IP, already resolved through any trusted proxy */
+  ip: string;
+  method: string;
+  /** Path without the query string */
+  path: string;
+  /** Lower-cased request headers */
+  headers: Record<string, string | string[] | undefined>;
+  query?: Record<string, unknown>;
+  /** Parsed body, when a body parser ran first */
+  body?: unknown;
+  /** Added to log messages. Default: the X-Request-Id header */
+  requestId?: string;
+  /** Framework request object, passed to keyGenerator and usernameExtractor */
+  req: object;
+}
+
+export interface Rejection {
+  /** 403, or 429 for a rate-limit block with rateLimitHeaders */
+  status: number;
+  info: BlockInfo;
+}
+
+export interface Decision {
+  /** null when the request may proceed */
+  reject: Rejection | null;
+  /** Headers to set on the response (RateLimit-*, Retry-After) */
+  headers: Record<string, string | number>;
+  /** Logs the request; call once the response is sent. null when nothing is logged. */
+  finish: ((statusCode: number) => Promise<void>) | null;
+}
+
+export interface AttackEvent extends ClusterEventFields {
   /** Client IP address */
   ip: string;
+  /** Blocked subject: the IP, or "<keyType>:<key>" when a keyGenerator applied */
+  key: string;
+  /** "ip", or the keyGenerator's type */
+  keyType: string;
   /** Attack category detected */
-  type: 'DDoS (Excessive Requests)' | 'Path Scanning' | string;
+  type:
+    | 'DDoS (Excessive Requests)'
+    | 'Path Scanning'
+    | 'SQL Injection'
+    | 'NoSQL Injection'
+    | 'XSS'
+    | 'Path Traversal'
+    | 'Command Injection'
+    | 'Brute Force'
+    | 'Scanner Probe'
+    | 'Honeypot Triggered'
+    | 'Bad Bot'
+    | string;
   /** When the attack was detected */
   timestamp: Date;
+  /** Name of the matched rate limit policy, or null for the global limits. */
+  policy: string | null;
+  /** Offence number within the block policy lookback window (1 = first offence). */
+  offence: number;
+  /** Block duration in seconds. null for a permanent ban. */
+  duration: number | null;
+  /**
+   * Detector specifics: `{ rule, location }` for injection attacks, probes, honeypots and bots, `{ failures }`
+   * for brute force, `{ misses, ratio }` for miss-based scanning; null otherwise.
+   */
+  details: InspectionDetails | { failures: number } | { misses: number; ratio: number } | null;
+  /** true in dry-run mode: the block was recorded as 'would-block' but not applied. */
+  dryRun: boolean;
+}
+
+/** Emitted as 'ip-blocked' whenever an IP is blocked, automatically or manually. */
+export interface IPBlockedEvent extends ClusterEventFields {
+  /** Blocked subject: an IP, or "<keyType>:<key>" */
+  ip: string;
+  keyType: string;
+  reason: string;
+  /** Block duration in seconds. null for a permanent ban. */
+  duration: number | null;
+  /** Who requested a manual block; null for automatic blocks. */
+  actor: string | null;
+  manual: boolean;
+  timestamp: Date;
+}
+
+/** Emitted as 'ip-unblocked' when unblockIP lifts a block. */
+export interface IPUnblockedEvent extends ClusterEventFields {
+  ip: string;
+  actor: string;
+  timestamp: Date;
+}
+
+/** Options accepted by blockIP. */
+export interface BlockIPOptions {
+  /** Seconds; Infinity for a permanent block. Default: blockPolicy.baseDuration */
+  duration?: number;
+  /** Default: "Manual block" */
+  reason?: string;
+  /** Who requested the block. Default: "unknown" */
+  actor?: string;
+}
+
+/** Resolved value of blockIP. */
+export interface ManualBlockResult {
+  ip: string;
+  reason: string;
+  actor: string;
+  /** null for permanent blocks */
+  remainingSec: number | null;
+  /** ISO-8601 expiry, null for permanent blocks */
+  blockedUntil: string | null;
+}
+
+/**
+ * Dashboard auth: a bearer token, basic auth credentials, a custom check
+ * (a string result is recorded as the actor), or false to disable.
+ */
+export type DashboardAuth =
+  | { token: string }
+  | { username: string; password: string }
+  | ((req: Request) => boolean | string | null | undefined | Promise<boolean | string | null | undefined>)
+  | false;
+
+export interface DashboardRouterOptions {
+  auth: DashboardAuth;
 }
 
 /** Internal record stored per blocked IP in local (non-Redis) mode */
 export interface LocalBlockRecord {
-  /** Unix-ms timestamp when the block expires */
+  /** Unix-ms timestamp when the block expires. Infinity for permanent blocks. */
   expiresAt: number;
   /** Attack type that caused the block */
   reason: string;
@@ -94,6 +647,10 @@ export interface LogEntry {
   userAgent: string | null;
   /** Attack category that triggered the block, or null for normal requests. */
   attackType: string | null;
+  /** Type of the rate-limit subject ("ip" unless a keyGenerator supplied one). */
+  keyType?: string;
+  /** true when dry-run mode recorded a block for this request instead of applying it. */
+  wouldBlock?: boolean;
 }
 
 /** Query options accepted by getLogs. All fields are optional. */
@@ -129,24 +686,223 @@ export interface StatEntry {
 
 /** Single entry in the blocked list returned by getBlockedIPs. */
 export interface BlockedIPEntry {
+  /** Blocked subject: an IP, or "<keyType>:<key>" for keyGenerator subjects. */
   ip: string;
+  /** "ip", or the type returned by a keyGenerator ("custom" for plain strings). */
+  keyType: string;
+  /** The IP or key without the type prefix. */
+  key: string;
   /** Attack type that caused the block. */
   reason: string;
   /** Request path that triggered the block. null if not recorded. */
   route: string | null;
-  /** Seconds remaining until the block expires. */
-  remainingSec: number;
-  /** ISO-8601 timestamp when the block expires. */
-  blockedUntil: string;
+  /** Seconds remaining until the block expires. null for permanent blocks. */
+  remainingSec: number | null;
+  /** ISO-8601 timestamp when the block expires. null for permanent blocks. */
+  blockedUntil: string | null;
+}
+
+/** Paging options for getBlockedIPs and BlocksAdapter.pageBlocks. */
+export interface BlockPageOptions {
+  /** Entries to skip. Default 0. */
+  offset?: number;
+  /** Maximum entries to return. Default: all. */
+  limit?: number;
+  /** Sort key; ties are ordered by IP. Default "expiresAt" (permanent blocks last). */
+  sort?: 'expiresAt' | 'ip';
+  /** Default "asc". */
+  order?: 'asc' | 'desc';
 }
 
 /** Result shape returned by getBlockedIPs. */
 export interface BlockedIPsResult {
-  /** Total number of currently blocked IPs. */
+  /** Number of entries in this page. */
   count: number;
+  /** Total number of currently blocked IPs. */
+  total: number;
   blocked: BlockedIPEntry[];
 }
 
+// ---------------------------------------------------------------------------
+// Storage adapter contract
+// ---------------------------------------------------------------------------
+
+type MaybePromise<T> = T | Promise<T>;
+
+/** Counts returned by trackRequest for the current window. */
+export interface TrackingResult {
+  requestCount: number;
+  /** Unique routes requested in the current window. */
+  scanCount: number;
+  /** Unix ms when the budget frees up again. Without it RateLimit-Reset is the full window. */
+  resetAt?: number;
+}
+
+/** Block record as stored by a blocks adapter. */
+export interface StoredBlock {
+  reason: string | null;
+  route: string | null;
+  /** Unix-ms timestamp when the block expires. Infinity for permanent blocks. */
+  expiresAt: number;
+  /** Offence number that caused the block, when known. */
+  offence?: number;
+  /** Who requested a manual block. Absent for automatic blocks. */
+  actor?: string;
+}
+
+/** Options accepted by LogsAdapter.queryLogs. */
+export interface StorageLogQuery extends LogQuery {
+  /** Only return entries with an attackType. */
+  attacksOnly?: boolean;
+}
+
+/** Per-key request tracking. */
+export interface CountersAdapter {
+  trackRequest(
+    key: string,
+    route: string,
+    opts?: { timeWindow?: number; limit?: number; algorithm?: RateLimitAlgorithm }
+  ): MaybePromise<TrackingResult>;
+  /** Clears tracking for a key once it has been blocked. */
+  resetTracking(key: string, opts?: { timeWindow?: number }): MaybePromise<void>;
+  /** Optional. Number of keys with tracking state, reported as api_monitor_tracked_keys. */
+  trackedKeys?(): MaybePromise<number>;
+  /**
+   * Optional. Checks blocks, counts the request and blocks the subject past a threshold
+   * in one atomic step. Used instead of the separate calls when the same adapter is
+   * also the blocks adapter.
+   */
+  trackAndBlock?(request: TrackAndBlockRequest): MaybePromise<TrackAndBlockResult>;
+  /** Optional. Connection / write errors per backend, reported as api_monitor_storage_errors_total. */
+  errors?: Record<string, number>;
+  close?(): MaybePromise<void>;
+}
+
+export interface TrackAndBlockRequest {
+  /** Checked for an existing block, in order. */
+  subjects: string[];
+  /** Counted, and blocked past a threshold. */
+  subject: string;
+  /** Tracking key of the subject (policy-scoped when a policy matched). */
+  key: string;
+  route: string;
+  timeWindow: number;
+  limit: number;
+  algorithm: RateLimitAlgorithm;
+  /** null skips the unique-routes check. */
+  scanThreshold: number | null;
+  /** Block reason per threshold. */
+  reasons: { rate: string; scan: string };
+  blockPolicy: Required<Pick<BlockPolicy, 'lookback' | 'baseDuration' | 'multiplier'>> & BlockPolicy;
+  /** Record the offence and clear tracking, but store no block. */
+  dryRun: boolean;
+  /** Tracking cleared when the subject is blocked. */
+  resets: Array<{ key: string; timeWindow: number }>;
+}
+
+export type TrackAndBlockResult =
+  | { blocked: StoredBlock & { ip: string } }
+  | (TrackingResult & { blocked?: undefined; attack: { type: 'rate' | 'scan'; offence: number } | null });
+
+/** Active block storage. */
+export interface BlocksAdapter {
+  block(ip: string, block: StoredBlock): MaybePromise<void>;
+  /** Resolves true if a block was removed. */
+  unblock(ip: string, opts?: { reason?: string; actor?: string }): MaybePromise<boolean>;
+  /** Returns the active block, or null when the IP is not (or no longer) blocked. */
+  getBlock(ip: string): MaybePromise<StoredBlock | null>;
+  listBlocks(): MaybePromise<Array<StoredBlock & { ip: string }>>;
+  /**
+   * Optional. Returns one sorted page of active blocks and how many there are.
+   * Without it getBlockedIPs pages the result of listBlocks in memory.
+   */
+  pageBlocks?(opts?: BlockPageOptions): MaybePromise<{ total: number; blocks: Array<StoredBlock & { ip: string }> }>;
+  /** Optional. Records an offence and returns the count within `lookback` seconds. */
+  recordOffence?(ip: string, opts?: { lookback?: number }): MaybePromise<number>;
+  /** Optional. Records a block that dry-run mode did not apply. */
+  recordWouldBlock?(ip: string, block: Omit<StoredBlock, 'actor'>): MaybePromise<void>;
+  close?(): MaybePromise<void>;
+}
+
+/** Request log storage and querying. */
+export interface LogsAdapter {
+  saveLog(entry: LogEntry): MaybePromise<void>;
+  queryLogs(query?: StorageLogQuery): MaybePromise<LogEntry[]>;
+  getStats(): MaybePromise<StatEntry[]>;
+  close?(): MaybePromise<void>;
+}
+
+/** A single adapter implementing every role. */
+export type StorageAdapter = CountersAdapter & BlocksAdapter & LogsAdapter;
+
+/** Adapters per role. Missing roles fall back to the built-in adapter. */
+export interface StorageRoles {
+  counters?: CountersAdapter;
+  blocks?: BlocksAdapter;
+  logs?: LogsAdapter;
+}
+
+export interface LocalStorageOptions {
+  /** Default tracking window in seconds. Default: 60 */
+  timeWindow?: number;
+  /** Cleanup interval in ms. Default: 60000 */
+  cleanupInterval?: number;
+  /** Path for the NDJSON block log file. */
+  blockLogPath?: string;
+  /** Rotate and compact the block log. Default: off */
+  blockLogRotation?: boolean | BlockLogRotationOptions;
+  /** Seconds during which offences count toward escalation. Default: 86400 */
+  offenceLookback?: number;
+}
+
+export interface BlockLogRotationOptions {
+  /** Rotate once this many bytes were appended after the snapshot. Default: 10485760 (10 MB) */
+  maxSize?: number;
+  /** Rotate once the active file is this many seconds old. Default: no age limit */
+  maxAge?: number;
+  /** Rotated segments kept; older ones are deleted. Default: 10 */
+  maxFiles?: number;
+  /** Gzip rotated segments to `<path>.<unix ms>.gz`. Default: false */
+  compress?: boolean;
+}
+
+export interface LogBufferOptions {
+  /** Logs per insertMany; a full batch is written at once. Default: 100 */
+  batchSize?: number;
+  /** Write waiting logs at least this often, in ms. Default: 1000 */
+  flushInterval?: number;
+  /** Logs held while MongoDB is unavailable; the oldest are dropped past it. Default: 10000 */
+  maxQueue?: number;
+}
+
+export interface RedisMongoStorageOptions {
+  /** Falls back to process.env.MONGO_URI. */
+  mongoURI?: string;
+  /** Falls back to process.env.REDIS_URL. */
+  redisURL?: string;
+  /** Default tracking window in seconds. Default: 60 */
+  timeWindow?: number;
+  /** See APIMonitorOptions.logBuffer. Default: on */
+  logBuffer?: boolean | LogBufferOptions;
+  /** See APIMonitorOptions.logRetention. */
+  logRetention?: number;
+  /** See APIMonitorOptions.logSampleRate. Default: 1 */
+  logSampleRate?: number;
+}
+
+/**
+ * Set of IPs and CIDR ranges, matched in O(distinct prefix lengths).
+ * Construct one with `new APIMonitor.IPList(entries)`.
+ */
+export interface IPList {
+  /** Throws on an invalid IP or CIDR range. */
+  add(entry: string): void;
+  remove(entry: string): boolean;
+  has(ip: string): boolean;
+  entries(): string[];
+  readonly size: number;
+}
+
 // ---------------------------------------------------------------------------
 // Factory return value
 // ---------------------------------------------------------------------------
@@ -179,19 +935,41 @@ export declare class APIMonitorInstance extends EventEmitter {
   readonly maxRequests: number;
   readonly timeWindow: number;
   readonly scanThreshold: number;
+  readonly algorithm: RateLimitAlgorithm;
   readonly saveRecords: boolean;
 
-  /** Blocked IPs and their expiry info. Only populated in local mode (saveRecords: false). */
+  /** IPs / ranges exempt from monitoring. Edit with addToAllowlist / removeFromAllowlist. */
+  readonly allowlist: IPList;
+  /** IPs / ranges always rejected. Edit with addToDenylist / removeFromDenylist. */
+  readonly denylist: IPList;
+
+  /** This instance's id in cluster events; null without clusterEvents. */
+  readonly instanceId: string | null;
+
+  /** Resolved storage adapters, one per role (may be the same object). */
+  readonly storage: { counters: CountersAdapter; blocks: BlocksAdapter; logs: LogsAdapter };
+
+  /** Blocked IPs and their expiry info. Only populated when the blocks adapter is LocalStorage. */
   localBlockedIPs: Map<string, LocalBlockRecord>;
-  /** Per-IP timestamp arrays used for sliding-window rate limiting. Local mode only. */
+  /** Per-IP timestamp arrays used by the sliding-log algorithm. Local mode only. */
   localRequestCounts: Map<string, number[]>;
   /** Per-IP sets of unique routes accessed. Local mode only. */
   localRouteScans: Map<string, Set<string>>;
 
   // Typed event emitter overloads
   on(event: 'attack-detected', listener: (event: AttackEvent) => void): this;
+  on(event: 'ip-blocked', listener: (event: IPBlockedEvent) => void): this;
+  on(event: 'ip-unblocked', listener: (event: IPUnblockedEvent) => void): this;
+  on(event: 'username-sprayed', listener: (event: UsernameSprayedEvent) => void): this;
+  on(event: 'bot-detected', listener: (event: BotDetectedEvent) => void): this;
+  on(event: 'webhook-failed', listener: (event: WebhookFailedEvent) => void): this;
   on(event: string, listener: (...args: unknown[]) => void): this;
   once(event: 'attack-detected', listener: (event: AttackEvent) => void): this;
+  once(event: 'ip-blocked', listener: (event: IPBlockedEvent) => void): this;
+  once(event: 'ip-unblocked', listener: (event: IPUnblockedEvent) => void): this;
+  once(event: 'username-sprayed', listener: (event: UsernameSprayedEvent) => void): this;
+  once(event: 'bot-detected', listener: (event: BotDetectedEvent) => void): this;
+  once(event: 'webhook-failed', listener: (event: WebhookFailedEvent) => void): this;
   once(event: string, listener: (...args: unknown[]) => void): this;
   emit(event: 'attack-detected', data: AttackEvent): boolean;
   emit(event: string, ...args: unknown[]): boolean;
@@ -211,6 +989,46 @@ export declare class APIMonitorInstance extends EventEmitter {
   /** Express-compatible middleware that monitors and tracks the request. */
   monitorMiddleware(req: Request, res: Response, next: NextFunction): Promise<void>;
 
+  /**
+   * Runs the monitor's checks for one request, independently of the HTTP framework.
+   * With `track: false` only the allow / deny lists and existing blocks are checked.
+   * Used by the built-in adapters; call it directly to support another framework.
+   */
+  evaluate(ctx: RequestContext, opts?: { track?: boolean }): Promise<Decision>;
+
+  /** Renders a rejection as JSON, problem+json, text or HTML for the given Accept header. */
+  renderRejection(rejection: Rejection, accept?: string): { contentType: string; body: string };
+
+  /**
+   * Fastify plugin running the monitor on every route: blocks are checked in
+   * onRequest, requests are counted and inspected in preHandler.
+   *
+   * @example
+   * fastify.register(monitor.fastifyPlugin());
+   */
+  fastifyPlugin(): (instance: any, opts: unknown, done: (err?: Error) => void) => void;
+
+  /**
+   * Koa middleware running the monitor. `track: false` only rejects blocked and
+   * denylisted clients.
+   *
+   * @example
+   * app.use(monitor.koaMiddleware());
+   */
+  koaMiddleware(opts?: { track?: boolean }): (ctx: any, next: () => Promise<unknown>) => Promise<unknown>;
+
+  /**
+   * Wraps a node:http handler so the monitor runs first. Pass `getIP` when behind
+   * a trusted proxy; the socket address is used otherwise.
+   *
+   * @example
+   * http.createServer(monitor.nodeHandler((req, res) => res.end('ok')));
+   */
+  nodeHandler(
+    handler: (req: IncomingMessage, res: ServerResponse) => void,
+    opts?: { getIP?: (req: IncomingMessage) => string },
+  ): (req: IncomingMessage, res: ServerResponse) => Promise<void>;
+
   // ---------------------------------------------------------------------------
   // Query methods — work in both local and advanced (Redis + MongoDB) modes
   // ---------------------------------------------------------------------------
@@ -250,15 +1068,72 @@ export declare class APIMonitorInstance extends EventEmitter {
   getStats(): Promise<StatEntry[]>;
 
   /**
-   * Returns all currently blocked IPs with their remaining TTL.
+   * Returns currently blocked IPs with their remaining TTL, soonest expiry
+   * first. Without options every block is returned.
+   *
+   * - Advanced mode: reads one page from the Redis block index.
+   * - Local mode: sorts and pages the in-memory blocks.
+   *
+   * @throws {Error} On a negative or fractional offset / limit, or an unknown sort or order.
+   * @example
+   * const { total, blocked } = await monitor.getBlockedIPs({ offset: 0, limit: 50, sort: 'ip' });
+   */
+  getBlockedIPs(opts?: BlockPageOptions): Promise<BlockedIPsResult>;
+
+  /**
+   * Blocks an IP on demand. Rejects on an empty ip or a non-positive duration.
+   * @example
+   * await monitor.blockIP('203.0.113.9', { duration: 3600, reason: 'Reported by WAF', actor: 'waf' });
+   */
+  blockIP(ip: string, opts?: BlockIPOptions): Promise<ManualBlockResult>;
+  /** Lifts a block. Resolves true if the IP was blocked. */
+  unblockIP(ip: string, opts?: { actor?: string }): Promise<boolean>;
+
+  /** Exempts an IP or CIDR range from monitoring and blocking. Throws on invalid input. */
+  addToAllowlist(entry: string): void;
+  /** Returns true if the entry was on the allowlist. */
+  removeFromAllowlist(entry: string): boolean;
+  /** Always rejects an IP or CIDR range. Throws on invalid input. */
+  addToDenylist(entry: string): void;
+  /** Returns true if the entry was on the denylist. */
+  removeFromDenylist(entry: string): boolean;
+
+  /**
+   * Express router serving GET /logs, /logs/attacks, /logs/stats, /blocked,
+   * POST /blocked and DELETE /blocked/:ip behind the given auth check.
+   * Throws if auth is missing or invalid.
+   * @example
+   * app.use(monitor.dashboardRouter({ auth: { token: process.env.DASHBOARD_TOKEN } }));
+   */
+  dashboardRouter(opts: DashboardRouterOptions): Router;
+
+  /** Metrics in the Prometheus text exposition format. */
+  metrics(): Promise<string>;
+
+  /**
+   * Request handler serving metrics() with the Prometheus content type.
    *
-   * - Advanced mode: scans Redis for blocked:* keys.
-   * - Local mode: reads localBlockedIPs, filtering out expired entries.
+   * @example
+   * app.get('/metrics', monitor.metricsHandler());
+   */
+  metricsHandler(): RequestHandler;
+
+  /**
+   * Runs handler once per cluster for each event, on whichever instance claims it first.
+   * Register it under the same name on every instance. Without clusterEvents it runs for every event.
    *
    * @example
-   * const { count, blocked } = await monitor.getBlockedIPs();
+   * monitor.onceInCluster('ip-blocked', 'pagerduty', event => pagerduty.trigger(event));
    */
-  getBlockedIPs(): Promise<BlockedIPsResult>;
+  onceInCluster(event: 'attack-detected', name: string, handler: (event: AttackEvent) => unknown): this;
+  onceInCluster(event: 'ip-blocked', name: string, handler: (event: IPBlockedEvent) => unknown): this;
+  onceInCluster(event: 'ip-unblocked', name: string, handler: (event: IPUnblockedEvent) => unknown): this;
+
+  /**
+   * Flushes pending webhooks, stops timers and closes the cluster events and
+   * storage adapter connections.
+   */
+  close(): Promise<void>;
 }
 
 // ---------------------------------------------------------------------------
@@ -295,6 +1170,19 @@ declare namespace APIMonitor {
    * app.use(APIMonitor.blockIPs({ maxRequests: 200 }));
    */
   function blockIPs(options?: APIMonitorOptions): RequestHandler;
+
+  /** The monitor class, for direct instantiation. */
+  const APIMonitor: new (options?: APIMonitorOptions) => APIMonitorInstance;
+  /** Built-in in-memory adapter with optional NDJSON block log (default when saveRecords is false). */
+  const LocalStorage: new (options?: LocalStorageOptions) => StorageAdapter;
+  /** Built-in Redis (counters, blocks) + MongoDB (logs) adapter (default when saveRecords is true). */
+  const RedisMongoStorage: new (options?: RedisMongoStorageOptions) => StorageAdapter;
+  /** IP / CIDR set used by the allowlist and denylist. */
+  const IPList: new (entries?: string[]) => IPList;
+  /** Bundled scanner probe path patterns used by the `probes` option. */
+  const PROBE_SIGNATURES: readonly string[];
+  /** Bundled attack-tool User-Agent tokens used by `botDetection`. */
+  const BOT_TOOL_SIGNATURES: readonly string[];
 }
 
 export = APIMonitor;
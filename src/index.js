@@ -1,19 +1,55 @@
-const mongoose = require('mongoose');
-const Redis = require('ioredis');
 const EventEmitter = require('events');
-const fs = require('fs');
-
-// Defines the schema for the logs
-const LogSchema = new mongoose.Schema({
-  ip: String,
-  method: String,
-  route: String,
-  timestamp: { type: Date, default: Date.now },
-  responseTime: Number,
-  statusCode: Number,
-  userAgent: String,
-  attackType: String
-}, { timestamps: true });
+const { AsyncResource } = require('async_hooks');
+const { LocalStorage, RedisMongoStorage, resolveStorage } = require('./storage');
+const { compilePage, pageBlocks } = require('./storage/paging');
+const { IPList, normalizeIP } = require('./ip-list');
+const { compilePolicies, matchPolicy } = require('./policies');
+const { assertAlgorithm } = require('./algorithms');
+const { createDashboardRouter } = require('./dashboard');
+const { compileInspection, inspectRequest } = require('./inspection');
+const { compileBruteForce, isFailedAttempt, extractUsername } = require('./brute-force');
+const { compileScanDetection, isMiss } = require('./scan-detection');
+const { PROBE_SIGNATURES, compileProbes, matchProbe } = require('./probes');
+const { BOT_TOOL_SIGNATURES, compileBotDetection, detectBot } = require('./bots');
+const { resolveKey, keyTypeOf } = require('./keys');
+const { renderBlocked } = require('./responses');
+const { WebhookNotifier } = require('./webhooks');
+const { Metrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { Logger } = require('./logger');
+const { ClusterEvents, compileClusterEvents, EVENTS: CLUSTER_EVENTS } = require('./cluster');
+const { handleExpress } = require('./adapters/express');
+const { createFastifyPlugin } = require('./adapters/fastify');
+const { createKoaMiddleware } = require('./adapters/koa');
+const { createNodeHandler } = require('./adapters/node');
+
+// Blocks with this reason (plus an optional policy suffix) are rate-limit
+// blocks: answered with 429 instead of 403 when rateLimitHeaders is on
+const RATE_LIMIT_ATTACK = 'DDoS (Excessive Requests)';
+
+const MODES = ['enforce', 'dry-run'];
+
+/**
+ * Throws on a block policy that would produce zero, negative or shrinking
+ * block durations. maxDuration and permanentAfter may be null (no cap, never).
+ * @private
+ * @param {Object} policy - Block policy merged with the defaults
+ */
+function assertBlockPolicy({ baseDuration, multiplier, lookback, maxDuration, permanentAfter }) {
+  const positive = value => Number.isFinite(value) && value > 0;
+  for (const [name, value] of Object.entries({ baseDuration, lookback, maxDuration })) {
+    if (name === 'maxDuration' && value == null) continue;
+    if (!positive(value)) throw new Error(`blockPolicy.${name} must be a positive number of seconds`);
+  }
+  if (!(Number.isFinite(multiplier) && multiplier >= 1)) {
+    throw new Error('blockPolicy.multiplier must be a number of at least 1');
+  }
+  if (permanentAfter != null && !(Number.isInteger(permanentAfter) && permanentAfter > 0)) {
+    throw new Error('blockPolicy.permanentAfter must be a positive integer');
+  }
+}
+
+// Marks a request already counted, as blockIPs and middleware both see it
+const SEEN = Symbol('apiMonitorSeen');
 
 /**
  * APIMonitor class for detecting and preventing API attacks
@@ -28,8 +64,84 @@ class APIMonitor extends EventEmitter {
    * @param {number}  [options.maxRequests=10]    - Maximum requests allowed per time window
    * @param {number}  [options.timeWindow=60]     - Time window in seconds
    * @param {number}  [options.scanThreshold=5]   - Maximum unique endpoints per time window
+   * @param {string}  [options.algorithm='sliding-log'] - sliding-log | fixed-window | sliding-window | token-bucket
    * @param {number}  [options.cleanupInterval=60000] - Local-mode cleanup interval in ms
    * @param {string}  [options.blockLogPath]      - Path for the NDJSON block log file
+   * @param {boolean|Object} [options.blockLogRotation] - Rotate the block log into segments
+   * @param {number}  [options.blockLogRotation.maxSize=10485760] - Rotate past this many bytes
+   * @param {number}  [options.blockLogRotation.maxAge]   - Rotate once the file is this many seconds old
+   * @param {number}  [options.blockLogRotation.maxFiles=10] - Rotated segments kept
+   * @param {boolean} [options.blockLogRotation.compress=false] - Gzip rotated segments
+   * @param {boolean|Object} [options.logBuffer=true] - Advanced mode: batch request log writes; false saves each one
+   * @param {number}  [options.logBuffer.batchSize=100]     - Entries per insertMany
+   * @param {number}  [options.logBuffer.flushInterval=1000] - Flush at least this often, in ms
+   * @param {number}  [options.logBuffer.maxQueue=10000]    - Entries held while MongoDB is unavailable
+   * @param {number}  [options.logRetention]      - Advanced mode: seconds to keep request logs (TTL index)
+   * @param {number}  [options.logSampleRate=1]   - Advanced mode: share of non-attack requests logged, 0..1
+   * @param {Object}  [options.storage]           - Storage adapter, or { counters, blocks, logs }
+   * @param {Object}  [options.blockPolicy]       - Block duration policy
+   * @param {number}  [options.blockPolicy.baseDuration=300]  - First block duration in seconds
+   * @param {number}  [options.blockPolicy.multiplier=1]      - Duration multiplier per repeat offence
+   * @param {number}  [options.blockPolicy.lookback=86400]    - Window (s) in which offences count as repeats
+   * @param {number}  [options.blockPolicy.maxDuration]       - Cap on the escalated duration in seconds
+   * @param {number}  [options.blockPolicy.permanentAfter]    - Ban permanently from this offence on
+   * @param {string[]} [options.allowlist]        - IPs / CIDR ranges that bypass monitoring and blocks
+   * @param {string[]} [options.denylist]         - IPs / CIDR ranges that are always rejected
+   * @param {Object[]} [options.policies]         - Per-route / per-method limits, first match wins
+   * @param {Function} [options.keyGenerator]     - (req) => string | { key, type } | null — rate-limit
+   *                                                subject instead of the IP (API key, user id, tenant…)
+   * @param {boolean|Object} [options.inspection] - Scan path, query, headers and JSON body for injection payloads
+   * @param {Object}  [options.bruteForce]        - Failed-login detection on auth routes
+   * @param {Array<string|RegExp>} options.bruteForce.routes - Auth route patterns
+   * @param {number[]} [options.bruteForce.statusCodes=[401, 403]] - Responses counted as failures
+   * @param {number}  [options.bruteForce.maxFailures=5]   - Failures per IP before a block
+   * @param {number}  [options.bruteForce.timeWindow=300]  - Failure counting window in seconds
+   * @param {Function} [options.bruteForce.usernameExtractor] - (req) => targeted username
+   * @param {number}  [options.bruteForce.sprayThreshold=5] - Distinct IPs per username before it is flagged
+   * @param {boolean|Object} [options.scanDetection] - Judge path scanning by 404/405 misses instead of breadth
+   * @param {number[]} [options.scanDetection.missStatusCodes=[404, 405]]
+   * @param {number}  [options.scanDetection.minMisses=10]  - Misses per window before the ratio is checked
+   * @param {number}  [options.scanDetection.missRatio=0.5] - Share of requests that must be misses
+   * @param {Array<string|RegExp>} [options.scanDetection.knownRoutes] - Paths outside these count as misses
+   * @param {boolean} [options.scanDetection.uniquePaths=false] - Keep the scanThreshold breadth check too
+   * @param {number}  [options.scanDetection.timeWindow] - Defaults to timeWindow
+   * @param {boolean|Object} [options.probes]       - Block known scanner paths and honeypots immediately
+   * @param {boolean} [options.probes.signatures=true] - Use the bundled PROBE_SIGNATURES
+   * @param {Array<string|RegExp>} [options.probes.paths]     - Extra probe paths
+   * @param {string[]} [options.probes.exclude]               - Bundled signatures to drop
+   * @param {Array<string|RegExp>} [options.probes.honeypots] - Decoy routes no real client requests
+   * @param {boolean|Object} [options.botDetection] - User-Agent / header fingerprint checks
+   * @param {string}  [options.botDetection.action='block'] - log | score | block
+   * @param {string[]} [options.botDetection.checks] - Subset of tool, empty, malformed, inconsistent
+   * @param {string[]} [options.botDetection.tools]  - Extra attack-tool UA tokens
+   * @param {Array<string|RegExp>} [options.botDetection.allowAgents] - UAs exempt from every check
+   * @param {number}  [options.botDetection.scoreThreshold=5] - Flagged requests per window before a block ('score')
+   * @param {number}  [options.botDetection.timeWindow] - Scoring window, defaults to timeWindow
+   * @param {boolean|Object} [options.rateLimitHeaders] - RateLimit-* headers on every response, and
+   *                                                      429 + Retry-After for rate-limit blocks
+   * @param {boolean} [options.rateLimitHeaders.standard=true] - RateLimit-Limit / -Remaining / -Reset
+   * @param {boolean} [options.rateLimitHeaders.legacy=true]   - X-RateLimit-Limit / -Remaining / -Reset
+   * @param {Function} [options.onBlocked]       - (req, res, blockInfo) => void — sends the blocked
+   *                                                response instead of the built-in renderers
+   * @param {boolean} [options.hideBlockReason=false] - Leave the reason out of blocked responses
+   * @param {string}  [options.mode='enforce']    - 'dry-run' detects, emits and logs as usual but
+   *                                                records would-be blocks instead of applying them
+   * @param {Object[]} [options.webhooks]         - POST attack / block events to these destinations
+   * @param {string}  options.webhooks[].url
+   * @param {string[]} [options.webhooks[].events] - attack-detected and / or ip-blocked (default both)
+   * @param {string[]} [options.webhooks[].attackTypes] - Only forward these attack types
+   * @param {string}  [options.webhooks[].secret]  - Signs each request with HMAC-SHA256
+   * @param {number}  [options.webhooks[].batchWindow=10] - Seconds to collect and deduplicate events
+   * @param {number}  [options.webhooks[].maxRetries=5]   - Retries with exponential backoff
+   * @param {number}  [options.webhooks[].maxQueue=100]   - Batches kept while a destination is down
+   * @param {Object}  [options.logger]           - pino / winston / console-compatible logger; silent without one
+   * @param {string}  [options.logLevel='info']   - Minimum level passed to the logger: debug | info | warn | error | silent
+   * @param {boolean|Object} [options.clusterEvents] - Share attack / block / unblock events between
+   *                                                   instances over Redis pub/sub
+   * @param {string}  [options.clusterEvents.channel='api-monitor:events']
+   * @param {string}  [options.clusterEvents.instanceId] - Defaults to "<hostname>:<pid>:<random>"
+   * @param {string}  [options.clusterEvents.redisURL]   - Defaults to the Redis storage's connection
+   * @param {number}  [options.clusterEvents.claimTTL=60] - Seconds an onceInCluster claim is kept
    */
   constructor(options = {}) {
     super();
@@ -37,152 +149,134 @@ class APIMonitor extends EventEmitter {
     this.timeWindow     = options.timeWindow     || 60;
     this.scanThreshold  = options.scanThreshold  || 5;
     this.saveRecords    = options.saveRecords    || false;
-
-    if (this.saveRecords) {
-      this.mongoURI = options.mongoURI || process.env.MONGO_URI;
-      this.redisURL = options.redisURL || process.env.REDIS_URL;
-      if (!this.mongoURI || !this.redisURL) {
-        throw new Error('mongoURI and redisURL are required when saveRecords is true');
-      }
-      // Initialize model immediately so logging calls don't race Mongo connect.
-      this.LogModel = mongoose.models.RequestLog || mongoose.model('RequestLog', LogSchema);
-      this.connectToMongo();
-      this.connectToRedis();
-    } else {
-      // In-memory tracking structures
-      this.localRequestCounts = new Map(); // ip → number[]  (request timestamps)
-      this.localRouteScans    = new Map(); // ip → Set<route> (within current window)
-      this.localBlockedIPs    = new Map(); // ip → { expiresAt, reason }
-
-      // Optional NDJSON block log — restore non-expired blocks from a previous run
-      this.blockLogPath = options.blockLogPath || null;
-      if (this.blockLogPath) {
-        this._loadBlockLog();
-      }
-
-      // Periodic cleanup — evicts stale data so Maps don't grow unbounded
-      const cleanupInterval = options.cleanupInterval ?? 60_000;
-      this._startCleanupTimer(cleanupInterval);
+    this.algorithm      = options.algorithm      || 'sliding-log';
+    assertAlgorithm(this.algorithm);
+    this.blockPolicy    = {
+      baseDuration:   300,
+      multiplier:     1,
+      lookback:       86_400,
+      maxDuration:    null,
+      permanentAfter: null,
+      ...options.blockPolicy,
+    };
+    assertBlockPolicy(this.blockPolicy);
+    this.allowlist      = new IPList(options.allowlist);
+    this.denylist       = new IPList(options.denylist);
+    this.policies       = compilePolicies(options.policies, this);
+    this.keyGenerator   = options.keyGenerator   || null;
+    if (this.keyGenerator && typeof this.keyGenerator !== 'function') {
+      throw new Error('keyGenerator must be a function');
+    }
+    this.inspection     = compileInspection(options.inspection);
+    this.bruteForce     = compileBruteForce(options.bruteForce);
+    this.scanDetection  = compileScanDetection(options.scanDetection, this.timeWindow);
+    this.probes         = compileProbes(options.probes);
+    this.botDetection   = compileBotDetection(options.botDetection, this.timeWindow);
+    this.rateLimitHeaders = options.rateLimitHeaders
+      ? { standard: true, legacy: true, ...(options.rateLimitHeaders === true ? {} : options.rateLimitHeaders) }
+      : null;
+    this.onBlocked      = options.onBlocked      || null;
+    if (this.onBlocked && typeof this.onBlocked !== 'function') {
+      throw new Error('onBlocked must be a function');
+    }
+    this.hideBlockReason = !!options.hideBlockReason;
+    this.mode           = options.mode           || 'enforce';
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`mode must be one of: ${MODES.join(', ')}`);
     }
-  }
-
-  // ---------------------------------------------------------------------------
-  // Local-mode helpers
-  // ---------------------------------------------------------------------------
-
-  /**
-   * Starts the periodic cleanup timer.
-   * Uses unref() so the timer never prevents the process from exiting.
-   * @private
-   */
-  _startCleanupTimer(intervalMs) {
-    const timer = setInterval(() => {
-      const now         = Date.now();
-      const windowStart = now - (this.timeWindow * 1000);
-
-      // Evict expired blocked IPs
-      for (const [ip, info] of this.localBlockedIPs) {
-        if (now >= info.expiresAt) {
-          this.localBlockedIPs.delete(ip);
-          this._appendBlockLog({
-            timestamp: new Date().toISOString(),
-            ip,
-            action: 'unblock',
-            reason: 'ttl_expired',
-          });
-        }
-      }
 
-      // Evict stale tracking entries (IPs with no activity in current window)
-      for (const [ip, timestamps] of this.localRequestCounts) {
-        const active = timestamps.filter(t => t > windowStart);
-        if (active.length === 0) {
-          this.localRequestCounts.delete(ip);
-          this.localRouteScans.delete(ip);
-        } else {
-          this.localRequestCounts.set(ip, active);
-        }
-      }
-    }, intervalMs);
+    this.logger = new Logger(options.logger, { level: options.logLevel });
 
-    // Don't keep the process alive just for cleanup
-    if (timer.unref) timer.unref();
-    this._cleanupTimer = timer;
-  }
+    this.storage = resolveStorage(options.storage, () => this._createDefaultStorage(options));
+    this._exposeStorageInternals();
+    // Counting and blocking in one step needs both roles in the same store
+    this._atomic = this.storage.counters === this.storage.blocks &&
+      typeof this.storage.counters.trackAndBlock === 'function';
 
-  /**
-   * Appends one JSON line to the block log file (NDJSON format).
-   * Each line is a self-contained JSON object — compatible with jq, grep,
-   * tail -f, fail2ban, Filebeat, Logstash, and most SIEM tools.
-   * @private
-   */
-  _appendBlockLog(entry) {
-    if (!this.blockLogPath) return;
-    const line = JSON.stringify(entry) + '\n';
-    fs.appendFile(this.blockLogPath, line, (err) => {
-      if (err) console.error('Error writing to block log:', err);
+    // Events from other instances are counted and forwarded by the instance that raised them
+    this._metrics = new Metrics();
+    this.on('attack-detected', (event) => {
+      if (!event.remote) this._metrics.attack(event.type);
     });
-  }
 
-  /**
-   * Reads the NDJSON block log on startup and restores non-expired blocks
-   * into localBlockedIPs so state survives process restarts.
-   * @private
-   */
-  _loadBlockLog() {
-    try {
-      if (!fs.existsSync(this.blockLogPath)) return;
-      const content = fs.readFileSync(this.blockLogPath, 'utf8');
-      const now     = Date.now();
-
-      for (const line of content.split('\n').filter(Boolean)) {
-        try {
-          const entry = JSON.parse(line);
-          if (entry.action === 'block' && entry.expiresAt > now) {
-            this.localBlockedIPs.set(entry.ip, {
-              expiresAt: entry.expiresAt,
-              reason:    entry.reason,
-              route:     entry.route || null,
-            });
-          }
-        } catch {
-          // Skip malformed lines silently
-        }
-      }
-    } catch (err) {
-      console.error('Error loading block log:', err);
+    this.webhooks = options.webhooks
+      ? new WebhookNotifier(options.webhooks, failure => this.emit('webhook-failed', failure), this.logger)
+      : null;
+    if (this.webhooks) {
+      this.on('attack-detected', (event) => {
+        if (!event.remote) this.webhooks.notify('attack-detected', event);
+      });
+      this.on('ip-blocked', (event) => {
+        if (!event.remote) this.webhooks.notify('ip-blocked', event);
+      });
     }
+
+    const clusterEvents = compileClusterEvents(options.clusterEvents);
+    this.cluster = clusterEvents
+      ? new ClusterEvents(clusterEvents, {
+        redis:    this.redis,
+        redisURL: options.redisURL || process.env.REDIS_URL,
+        onEvent:  (name, event) => this.emit(name, event),
+        logger:   this.logger,
+      })
+      : null;
+    this.instanceId = this.cluster ? this.cluster.instanceId : null;
   }
 
   // ---------------------------------------------------------------------------
-  // Connection helpers (Redis / MongoDB mode)
+  // Storage helpers
   // ---------------------------------------------------------------------------
 
   /**
-   * Establishes connection to MongoDB and initializes models
+   * Builds the adapter used for any storage role not supplied via `options.storage`:
+   * Redis + MongoDB when saveRecords is true, in-memory + NDJSON otherwise.
    * @private
    */
-  async connectToMongo() {
-    try {
-      await mongoose.connect(this.mongoURI);
-      console.log('Connected to MongoDB');
-      this.LogModel = mongoose.models.RequestLog || mongoose.model('RequestLog', LogSchema);
-    } catch (err) {
-      console.error('MongoDB Error:', err);
+  _createDefaultStorage(options) {
+    if (this.saveRecords) {
+      return new RedisMongoStorage({
+        mongoURI:      options.mongoURI,
+        redisURL:      options.redisURL,
+        timeWindow:    this.timeWindow,
+        logger:        this.logger,
+        logBuffer:     options.logBuffer,
+        logRetention:  options.logRetention,
+        logSampleRate: options.logSampleRate,
+      });
     }
+    return new LocalStorage({
+      timeWindow:       this.timeWindow,
+      cleanupInterval:  options.cleanupInterval,
+      blockLogPath:     options.blockLogPath,
+      blockLogRotation: options.blockLogRotation,
+      offenceLookback:  this.blockPolicy.lookback,
+      logger:           this.logger,
+    });
   }
 
   /**
-   * Establishes connection to Redis
+   * Keeps the pre-adapter instance properties (localBlockedIPs, redis, LogModel…)
+   * pointing at the built-in adapters' state so existing integrations keep working.
    * @private
    */
-  connectToRedis() {
-    try {
-      this.redis = new Redis(this.redisURL);
-      this.redis.on('connect', () => console.log('Connected to Redis'));
-      this.redis.on('error',   (err) => console.error('Redis Error:', err));
-    } catch (err) {
-      console.error('Redis Connection Error:', err);
+  _exposeStorageInternals() {
+    const { counters, blocks, logs } = this.storage;
+
+    if (counters instanceof LocalStorage) {
+      this.localRequestCounts = counters.requestCounts;
+      this.localRouteScans    = counters.routeScans;
+    }
+    if (blocks instanceof LocalStorage) {
+      this.localBlockedIPs = blocks.blockedIPs;
+      this.blockLogPath    = blocks.blockLogPath;
+    }
+
+    const redisMongo = [counters, blocks, logs].find(a => a instanceof RedisMongoStorage);
+    if (redisMongo) {
+      this.mongoURI = redisMongo.mongoURI;
+      this.redisURL = redisMongo.redisURL;
+      this.redis    = redisMongo.redis;
+      this.LogModel = redisMongo.LogModel;
     }
   }
 
@@ -191,7 +285,7 @@ class APIMonitor extends EventEmitter {
   // ---------------------------------------------------------------------------
 
   /**
-   * Gets the real IP address from the request.
+   * Gets the real IP address from an Express request.
    *
    * Relies on Express's req.ip, which correctly resolves the client IP
    * based on the host application's `trust proxy` setting.
@@ -208,64 +302,299 @@ class APIMonitor extends EventEmitter {
    * @returns {string} IP address
    */
   getClientIP(req) {
-    const ip = req.ip || req.socket.remoteAddress || '0.0.0.0';
-    if (ip === '::1' || ip === '::ffff:127.0.0.1') return '127.0.0.1';
-    if (ip.startsWith('::ffff:')) return ip.substring(7);
-    return ip;
+    return normalizeIP(req.ip || req.socket.remoteAddress);
   }
 
   /**
-   * Checks and updates local request tracking.
-   * Both request counts and route scans are bounded to the current time window,
-   * preventing unbounded Set growth for long-lived IPs.
+   * Applies the allowlist / denylist to a request.
    * @private
-   * @param {string} ip    - IP address
-   * @param {string} route - Request path (without query string)
-   * @returns {{ requestCount: number, scanCount: number }}
+   * @param {string} ip
+   * @returns {'allow'|'deny'|null} null when the IP is on neither list
    */
-  updateLocalTracking(ip, route) {
-    const now         = Date.now();
-    const windowStart = now - (this.timeWindow * 1000);
+  _checkLists(ip) {
+    if (this.allowlist.has(ip)) return 'allow';
+    if (this.denylist.has(ip))  return 'deny';
+    return null;
+  }
 
-    // Slide the request-count window
-    const requests = (this.localRequestCounts.get(ip) || []).filter(t => t > windowStart);
+  /**
+   * Response body for denylisted IPs — same shape as getBlockInfo.
+   * @private
+   */
+  _denylistInfo() {
+    return {
+      error:        'Access denied due to suspicious activity',
+      reason:       'IP denylisted',
+      blockedFor:   'permanent',
+      blockedUntil: null,
+    };
+  }
 
-    // If no requests exist in the current window the window has fully expired —
-    // reset route tracking so old routes don't count toward the new window.
-    if (requests.length === 0) {
-      this.localRouteScans.set(ip, new Set());
-    } else if (!this.localRouteScans.has(ip)) {
-      this.localRouteScans.set(ip, new Set());
-    }
+  /**
+   * Counts the request for the requests metric, once even when it passes
+   * through both blockIPs and middleware.
+   * @private
+   */
+  _seeRequest(req) {
+    if (req[SEEN]) return;
+    req[SEEN] = true;
+    this._metrics.request();
+  }
 
-    requests.push(now);
-    this.localRequestCounts.set(ip, requests);
-    this.localRouteScans.get(ip).add(route);
+  /**
+   * Returns the counters key for a subject (IP or "<type>:<key>"): the subject
+   * itself for the global budget, or a policy-scoped key so each policy is
+   * counted separately.
+   * @private
+   */
+  _trackingKey(subject, policy) {
+    return policy ? `policy:${policy.name}:${subject}` : subject;
+  }
 
-    return {
-      requestCount: requests.length,
-      scanCount:    this.localRouteScans.get(ip).size,
+  /**
+   * Resolves the rate-limit subjects of a request: `global` from keyGenerator,
+   * and `scoped` from the matched policy's keyGenerator (the global one when it
+   * has none). A throwing generator falls back to the IP.
+   * @private
+   * @returns {{ global: Object, scoped: Object }} Each { id, type, key }
+   */
+  _resolveKeys(req, ip, policy) {
+    const resolve = generator => {
+      try {
+        return resolveKey(generator, req, ip);
+      } catch (err) {
+        this.logger.error({ err }, 'keyGenerator failed, falling back to the client IP');
+        return resolveKey(null, req, ip);
+      }
     };
+    const global = resolve(this.keyGenerator);
+    const scoped = policy && policy.keyGenerator ? resolve(policy.keyGenerator) : global;
+    return { global, scoped };
+  }
+
+  /**
+   * Returns the first of the request's subjects (IP, global key, policy key)
+   * that is blocked, or null.
+   * @private
+   */
+  async _blockedSubject(ip, { global, scoped }) {
+    for (const id of new Set([ip, global.id, scoped.id])) {
+      if (await this.isIPBlocked(id)) return id;
+    }
+    return null;
+  }
+
+  /**
+   * Records a request against the budget of the matched policy (or the global one).
+   * @private
+   * @param {string} subject - IP or "<type>:<key>"
+   */
+  _track(subject, route, policy) {
+    if (!policy) return this.updateLocalTracking(subject, route);
+    return this.storage.counters.trackRequest(this._trackingKey(subject, policy), route, {
+      timeWindow: policy.timeWindow,
+      limit:      policy.maxRequests,
+      algorithm:  policy.algorithm,
+    });
+  }
+
+  /**
+   * Checks the request's subjects for blocks, counts it and blocks the
+   * subject past a threshold in one storage call (see trackAndBlock in
+   * src/storage/index.js), then emits and logs as _reportAttack would.
+   * @private
+   * @param {string} ip
+   * @param {{ global: Object, scoped: Object }} keys - From _resolveKeys
+   * @param {string} subject - Counted subject: IP or "<type>:<key>"
+   * @param {string} route
+   * @param {Object} [policy] - Compiled policy the request matched
+   * @returns {Promise<Object>} `{ blocked }` for an already blocked subject, otherwise the
+   *   counts plus `detected`: the attack type that caused a block, or null
+   */
+  async _trackAndBlock(ip, keys, subject, route, policy) {
+    const limits = policy || this;
+    const suffix = policy ? ` (policy: ${policy.name})` : '';
+    const dryRun = this.mode === 'dry-run';
+
+    const result = await this.storage.counters.trackAndBlock({
+      subjects:      [...new Set([ip, keys.global.id, keys.scoped.id])],
+      subject,
+      key:           this._trackingKey(subject, policy),
+      route,
+      timeWindow:    limits.timeWindow,
+      limit:         limits.maxRequests,
+      algorithm:     limits.algorithm,
+      scanThreshold: !this.scanDetection || this.scanDetection.uniquePaths ? limits.scanThreshold : null,
+      reasons:       { rate: RATE_LIMIT_ATTACK + suffix, scan: `Path Scanning${suffix}` },
+      blockPolicy:   this.blockPolicy,
+      dryRun,
+      resets:        [null, ...this.policies].map(p => ({
+        key:        this._trackingKey(subject, p),
+        timeWindow: (p || this).timeWindow,
+      })),
+    });
+    if (result.blocked || !result.attack) return { ...result, detected: null };
+
+    const attackType = result.attack.type === 'rate' ? RATE_LIMIT_ATTACK : 'Path Scanning';
+    const { offence } = result.attack;
+    const { reason, duration } = this._announceAttack(subject, attackType, route, policy, null, ip, offence);
+    if (dryRun) await this._recordWouldBlock(subject, { reason, route, duration, offence });
+    else this._announceBlock(subject, { reason, duration, actor: null });
+    return { ...result, detected: attackType };
+  }
+
+  /**
+   * Records a request with the counters adapter.
+   * Synchronous when the adapter is (e.g. the built-in local adapter).
+   * @private
+   * @param {string} ip    - IP address
+   * @param {string} route - Request path (without query string)
+   * @returns {{ requestCount: number, scanCount: number }|Promise<Object>}
+   */
+  updateLocalTracking(ip, route) {
+    return this.storage.counters.trackRequest(ip, route, {
+      timeWindow: this.timeWindow,
+      limit:      this.maxRequests,
+      algorithm:  this.algorithm,
+    });
   }
 
   /**
-   * Saves request log to MongoDB
+   * Saves request log through the logs adapter
    * @private
    */
   async saveLog(logData) {
     if (logData.attackType) {
-      console.log('Attack log:', logData);
+      const { ip, route, attackType, statusCode, keyType, wouldBlock } = logData;
+      this.logger.info({ ip, route, attackType, statusCode, keyType, wouldBlock }, 'Attack logged');
     }
-    if (this.saveRecords) {
+    try {
+      await this.storage.logs.saveLog(logData);
+    } catch (err) {
+      this.logger.error({ err }, 'Error saving log');
+    }
+  }
+
+  /**
+   * Runs the monitor's checks for one request, independently of the HTTP
+   * framework. The adapters in src/adapters build the context, set the
+   * returned headers, call finish() once the response is sent and write the
+   * rejection, if any.
+   *
+   * With `track: false` only the allow / deny lists and existing blocks are
+   * checked (blockIPs); otherwise the request is also counted and inspected.
+   *
+   * @param {Object} ctx
+   * @param {string} ctx.ip      - Client IP, already resolved through any trusted proxy
+   * @param {string} ctx.method
+   * @param {string} ctx.path    - Request path, without the query string
+   * @param {Object} ctx.headers - Lower-cased request headers
+   * @param {Object} [ctx.query] - Parsed query string
+   * @param {*}      [ctx.body]  - Parsed body, when a body parser ran first
+   * @param {Object} ctx.req     - Framework request, passed to keyGenerator and usernameExtractor
+   * @param {string} [ctx.requestId] - Added to log messages; defaults to the X-Request-Id header
+   * @param {Object} [opts]
+   * @param {boolean} [opts.track=true]
+   * @returns {Promise<{ reject: { status: number, info: Object }|null, headers: Object, finish: Function|null }>}
+   *   `headers` are set on every response; `finish(statusCode)` logs the request
+   */
+  evaluate(ctx, opts) {
+    const requestId = ctx.requestId || ctx.headers['x-request-id'];
+    const fields    = { ip: ctx.ip, method: ctx.method, route: ctx.path, ...(requestId && { requestId }) };
+    return this.logger.withContext(fields, () => this._evaluate(ctx, opts));
+  }
+
+  /**
+   * evaluate() inside the request's logging context.
+   * @private
+   */
+  async _evaluate(ctx, { track = true } = {}) {
+    this._seeRequest(ctx.req);
+    const start  = Date.now();
+    const { ip, method } = ctx;
+    const route  = ctx.path; // excludes query strings — prevents PII leakage
+
+    const listed = this._checkLists(ip);
+    if (listed === 'allow') return { reject: null, headers: {}, finish: null };
+    if (listed === 'deny')  return this._reject(403, this._denylistInfo());
+
+    const policy = matchPolicy(this.policies, method, route);
+    const keys   = this._resolveKeys(ctx.req, ip, policy);
+    // The policy budget is counted against the policy's key, the global budget against the global key
+    const subject = policy ? keys.scoped : keys.global;
+    const atomic  = track && this._atomic;
+
+    let counts;
+    let detected;
+    if (atomic) {
+      counts = await this._trackAndBlock(ip, keys, subject.id, route, policy);
+      if (counts.blocked) return this._rejectBlocked(counts.blocked.ip, policy, counts.blocked);
+      detected = counts.detected;
+    } else {
+      const blockedBy = await this._blockedSubject(ip, keys);
+      if (blockedBy) return this._rejectBlocked(blockedBy, policy);
+      if (!track) return { reject: null, headers: {}, finish: null };
+
+      counts   = await this._track(subject.id, route, policy);
+      detected = await this.handleAttackDetection(ip, counts.requestCount, counts.scanCount, route, policy, subject.id);
+    }
+    const headers = this._rateLimitHeaders(policy || this, counts);
+
+    const bot     = await this._checkBot(ctx, ip);
+    const finding =
+      (this.probes && matchProbe(this.probes, route)) ||
+      (bot && bot.block && bot.finding) ||
+      (this.inspection && inspectRequest(ctx, this.inspection)) ||
+      null;
+
+    // Bound to this request's logging context, as 'finish' fires outside it
+    const finish = AsyncResource.bind(async (statusCode) => {
       try {
-        // Avoid Mongoose buffering timeouts when connection is not ready.
-        if (!this.LogModel || mongoose.connection.readyState !== 1) return;
-        const log = new this.LogModel(logData);
-        await log.save();
-      } catch (err) {
-        console.error('Error saving log:', err);
+        const responseTime = Date.now() - start;
+        this._metrics.observeResponseTime(responseTime / 1000);
+        const failedLogin  = await this._checkBruteForce(ctx.req, ip, route, statusCode);
+        const probing      = !detected && !finding && await this._checkScanMisses(ip, route, statusCode);
+        // The atomic path already knows whether this request got the subject blocked
+        const blocked      = !finding && !failedLogin && !probing &&
+          (atomic ? !!detected && this.mode !== 'dry-run' : await this._blockedSubject(ip, keys));
+        const attackType   = (finding && finding.attackType) || failedLogin || probing ||
+          (bot && bot.finding.attackType) || (blocked ? 'Blocked' : null);
+        const wouldBlock   = this.mode === 'dry-run' &&
+          !!(detected || finding || probing || failedLogin === 'Brute Force');
+
+        await this.saveLog({
+          ip,
+          method,
+          route,
+          timestamp:   new Date(),
+          responseTime,
+          statusCode,
+          userAgent:   ctx.headers['user-agent'],
+          attackType,
+          keyType:     subject.type,
+          ...(wouldBlock && { wouldBlock }),
+        });
+      } catch (finishErr) {
+        this.logger.error({ err: finishErr }, 'Error in response finish handler');
+      }
+    });
+
+    // Probes, honeypot hits and injection payloads are rejected outright rather than passed on to the app
+    if (finding) {
+      const { attackType, rule, location } = finding;
+      if (!detected) await this._reportAttack(ip, attackType, route, null, { rule, location });
+      if (this.mode !== 'dry-run') {
+        const info = await this.getBlockInfo(detected ? subject.id : ip);
+        return { ...this._reject(403, info), headers, finish };
       }
     }
+
+    // With rateLimitHeaders, the request that crossed the limit is the first to get 429
+    if (detected === RATE_LIMIT_ATTACK && this.rateLimitHeaders && this.mode !== 'dry-run') {
+      return { ...(await this._rejectBlocked(subject.id, policy)), finish };
+    }
+
+    return { reject: null, headers, finish };
   }
 
   /**
@@ -275,214 +604,615 @@ class APIMonitor extends EventEmitter {
    * @param {Function} next - Express next function
    */
   async monitorMiddleware(req, res, next) {
-    try {
-      const start  = Date.now();
-      const ip     = this.getClientIP(req);
-      const route  = req.path; // excludes query strings — prevents PII leakage
-      const method = req.method;
-
-      const isBlocked = await this.isIPBlocked(ip);
-      if (isBlocked) {
-        const blockInfo = await this.getBlockInfo(ip);
-        return res.status(403).json(blockInfo);
-      }
-
-      if (this.saveRecords) {
-        const requestKey = `req_count:${ip}`;
-        const scanKey    = `scan_count:${ip}`;
+    return handleExpress(this, req, res, next, { track: true });
+  }
 
-        await this.redis.multi()
-          .incr(requestKey)
-          .expire(requestKey, this.timeWindow)
-          .exec();
+  /**
+   * Counts a failed login on an auth route against the IP and, when a username
+   * can be extracted, against the username. Blocks the IP once it exceeds
+   * maxFailures, and emits `username-sprayed` the first time a username sees
+   * failures from more than sprayThreshold distinct IPs.
+   * @private
+   * @param {Object} req
+   * @param {string} ip
+   * @param {string} route
+   * @param {number} statusCode
+   * @returns {Promise<string|null>} 'Brute Force', 'Credential Stuffing' or null
+   */
+  async _checkBruteForce(req, ip, route, statusCode) {
+    const config = this.bruteForce;
+    if (!config || !isFailedAttempt(config, route, statusCode)) return null;
 
-        await this.redis.sadd(scanKey, route);
-        await this.redis.expire(scanKey, this.timeWindow);
+    try {
+      const { timeWindow, maxFailures, sprayThreshold } = config;
+      const ipKey = `bruteforce:${ip}`;
+      const { requestCount: failures } = await this.storage.counters.trackRequest(ipKey, route, {
+        timeWindow,
+        limit:     maxFailures,
+        algorithm: this.algorithm,
+      });
 
-        const requestCount = await this.redis.get(requestKey);
-        const scanCount    = await this.redis.scard(scanKey);
+      // Distinct IPs per username are counted as the key's "routes"
+      const username = extractUsername(config, req);
+      let ipCount = 0;
+      if (username) {
+        ({ scanCount: ipCount } = await this.storage.counters.trackRequest(`bruteforce-user:${username}`, ip, {
+          timeWindow,
+          limit:     sprayThreshold,
+          algorithm: this.algorithm,
+        }));
+      }
 
-        await this.handleAttackDetection(ip, parseInt(requestCount), parseInt(scanCount));
-      } else {
-        const { requestCount, scanCount } = this.updateLocalTracking(ip, route);
-        await this.handleAttackDetection(ip, requestCount, scanCount, route);
+      if (failures > maxFailures) {
+        await this._reportAttack(ip, 'Brute Force', route, null, { failures });
+        await this.storage.counters.resetTracking(ipKey, { timeWindow });
+        return 'Brute Force';
       }
 
-      res.on('finish', async () => {
-        try {
-          const responseTime = Date.now() - start;
-          const blocked      = await this.isIPBlocked(ip);
-          const attackType   = blocked ? 'Blocked' : null;
-
-          if (this.saveRecords || blocked) {
-            await this.saveLog({
-              ip,
-              method,
-              route,
-              timestamp:   new Date(),
-              responseTime,
-              statusCode:  res.statusCode,
-              userAgent:   req.headers['user-agent'],
-              attackType,
-            });
-          }
-        } catch (finishErr) {
-          console.error('Error in response finish handler:', finishErr);
+      if (ipCount > sprayThreshold) {
+        if (ipCount === sprayThreshold + 1) {
+          this.emit('username-sprayed', {
+            username,
+            type:      'Credential Stuffing',
+            ipCount,
+            ip,
+            timestamp: new Date(),
+          });
+          this.logger.warn({ attackType: 'Credential Stuffing', ipCount }, 'Possible credential stuffing: many IPs failing against one username');
         }
-      });
+        return 'Credential Stuffing';
+      }
+      return null;
+    } catch (err) {
+      this.logger.error({ err }, 'Error in brute-force detection');
+      return null;
+    }
+  }
+
+  /**
+   * Counts the IP's requests and misses (see scan-detection.js) and blocks it
+   * for Path Scanning once misses reach minMisses and missRatio.
+   * @private
+   * @param {string} ip
+   * @param {string} route
+   * @param {number} statusCode
+   * @returns {Promise<string|null>} 'Path Scanning' or null
+   */
+  async _checkScanMisses(ip, route, statusCode) {
+    const config = this.scanDetection;
+    if (!config) return null;
+
+    try {
+      const { counters } = this.storage;
+      // sliding-window keeps both counters constant-size however busy the IP is
+      const opts = { timeWindow: config.timeWindow, algorithm: 'sliding-window' };
+      const { requestCount: total } = await counters.trackRequest(`scan-total:${ip}`, route, opts);
+      if (!isMiss(config, route, statusCode)) return null;
 
-      next();
+      const { requestCount: misses } = await counters.trackRequest(`scan-miss:${ip}`, route, opts);
+      const ratio = Math.min(1, misses / total);
+      if (misses < config.minMisses || ratio < config.missRatio) return null;
+
+      await this._reportAttack(ip, 'Path Scanning', route, null, { misses, ratio: Math.round(ratio * 100) / 100 });
+      await counters.resetTracking(`scan-total:${ip}`, opts);
+      await counters.resetTracking(`scan-miss:${ip}`, opts);
+      return 'Path Scanning';
     } catch (err) {
-      next(err);
+      this.logger.error({ err }, 'Error in scan detection');
+      return null;
+    }
+  }
+
+  /**
+   * Runs the bot checks and emits `bot-detected` for a flagged request.
+   * With action 'block' the request is blocked at once; with 'score' once the
+   * IP has more than scoreThreshold flagged requests in the window; with 'log'
+   * never.
+   * @private
+   * @param {Object} ctx - Request context from evaluate()
+   * @param {string} ip
+   * @returns {Promise<{ finding: Object, block: boolean }|null>} null when not flagged
+   */
+  async _checkBot(ctx, ip) {
+    const config = this.botDetection;
+    if (!config) return null;
+
+    const rule = detectBot(config, ctx.headers);
+    if (!rule) return null;
+
+    this.emit('bot-detected', { ip, rule, action: config.action, timestamp: new Date() });
+    const finding = {
+      attackType: 'Bad Bot',
+      rule,
+      location:   rule === 'inconsistent-headers' ? 'headers' : 'headers.user-agent',
+    };
+
+    let block = config.action === 'block';
+    if (config.action === 'score') {
+      const key  = `bot:${ip}`;
+      const opts = { timeWindow: config.timeWindow, limit: config.scoreThreshold, algorithm: this.algorithm };
+      const { requestCount: score } = await this.storage.counters.trackRequest(key, rule, opts);
+      block = score > config.scoreThreshold;
+      if (block) await this.storage.counters.resetTracking(key, opts);
     }
+    return { finding, block };
   }
 
   /**
    * Checks if an IP is currently blocked.
-   * In local mode, lazily evicts expired entries and logs the unblock event.
+   * The built-in local adapter lazily evicts expired entries and logs the unblock event.
    * @private
    * @param {string} ip
    * @returns {Promise<boolean>}
    */
   async isIPBlocked(ip) {
-    if (this.saveRecords) {
-      try {
-        return !!(await this.redis.get(`blocked:${ip}`));
-      } catch (err) {
-        console.error('Error checking blocked IP:', err);
-        return false;
-      }
-    }
-
-    const blockInfo = this.localBlockedIPs.get(ip);
-    if (!blockInfo) return false;
-
-    if (Date.now() >= blockInfo.expiresAt) {
-      this.localBlockedIPs.delete(ip);
-      this._appendBlockLog({
-        timestamp: new Date().toISOString(),
-        ip,
-        action:    'unblock',
-        reason:    'ttl_expired',
-      });
+    try {
+      return !!(await this.storage.blocks.getBlock(ip));
+    } catch (err) {
+      this.logger.error({ err, subject: ip }, 'Error checking blocked IP');
       return false;
     }
-
-    return true;
   }
 
   async getBlockInfo(ip) {
-    if (this.saveRecords) {
-      const ttl    = await this.redis.ttl(`blocked:${ip}`);
-      const reason = await this.redis.get(`blocked:${ip}:reason`);
+    return this._blockInfo(await this.storage.blocks.getBlock(ip));
+  }
+
+  /**
+   * Response body for a stored block (or a missing one, e.g. just expired).
+   * @private
+   * @param {Object|null} block
+   */
+  _blockInfo(block) {
+    const expiresAt = block ? block.expiresAt : Date.now();
+    const reason    = (block && block.reason) || 'Rate limit exceeded';
+
+    if (expiresAt === Infinity) {
       return {
         error:        'Access denied due to suspicious activity',
-        reason:       reason || 'Rate limit exceeded',
-        blockedFor:   `${ttl} seconds`,
-        blockedUntil: new Date(Date.now() + ttl * 1000).toISOString(),
+        reason,
+        blockedFor:   'permanent',
+        blockedUntil: null,
       };
     }
 
-    const blockInfo      = this.localBlockedIPs.get(ip);
-    const remainingTime  = Math.ceil((blockInfo.expiresAt - Date.now()) / 1000);
+    const remainingTime = Math.ceil((expiresAt - Date.now()) / 1000);
     return {
       error:        'Access denied due to suspicious activity',
-      reason:       blockInfo.reason,
+      reason,
       blockedFor:   `${remainingTime} seconds`,
-      blockedUntil: new Date(blockInfo.expiresAt).toISOString(),
+      blockedUntil: new Date(expiresAt).toISOString(),
     };
   }
 
-  async handleAttackDetection(ip, requestCount, scanCount, route) {
+  /**
+   * Rejection for a blocked subject. With rateLimitHeaders, a temporary
+   * rate-limit block is answered with 429 and Retry-After so clients can back
+   * off; attack blocks and permanent bans keep the 403.
+   * @private
+   * @param {string} subject - Blocked IP or "<type>:<key>"
+   * @param {Object} [policy] - Compiled policy the request matched
+   * @param {Object} [block]  - The stored block, when already read
+   */
+  async _rejectBlocked(subject, policy, block) {
+    if (block === undefined) block = await this.storage.blocks.getBlock(subject);
+    const info = this._blockInfo(block);
+
+    const rateLimited = this.rateLimitHeaders && block && block.expiresAt !== Infinity &&
+      String(block.reason).startsWith(RATE_LIMIT_ATTACK);
+    if (!rateLimited) return this._reject(403, info);
+
+    const limits  = policy || this;
+    const headers = this._rateLimitHeaders(limits, { requestCount: limits.maxRequests, resetAt: block.expiresAt });
+    headers['Retry-After'] = Math.max(1, Math.ceil((block.expiresAt - Date.now()) / 1000));
+    return this._reject(429, info, headers);
+  }
+
+  /**
+   * Counts a rejection and wraps it in the shape evaluate() returns.
+   * @private
+   * @param {number} status - 403, or 429 for a rate-limit block
+   * @param {Object} info   - From getBlockInfo
+   * @param {Object} [headers]
+   */
+  _reject(status, info, headers = {}) {
+    this._metrics.reject(status);
+    return { reject: { status, info }, headers, finish: null };
+  }
+
+  /**
+   * Renders a rejection from evaluate() as JSON, problem+json, text or HTML
+   * depending on the Accept header. hideBlockReason applies here; onBlocked
+   * hooks get the full info instead.
+   * @param {{ status: number, info: Object }} rejection
+   * @param {string} [accept] - Accept header value
+   * @returns {{ contentType: string, body: string }}
+   */
+  renderRejection({ status, info }, accept) {
+    const { reason, ...rest } = info;
+    return renderBlocked(accept, this.hideBlockReason ? rest : info, status);
+  }
+
+  /**
+   * RateLimit-* (and legacy X-RateLimit-*) headers for the budget the
+   * request was counted against. Reset is in seconds from now for the IETF
+   * headers and a Unix timestamp in seconds for the legacy ones.
+   * @private
+   * @param {{ maxRequests: number, timeWindow: number }} limits - Policy or monitor
+   * @param {{ requestCount: number, resetAt?: number }} counts  - From trackRequest
+   * @returns {Object} Header name → value; empty when rateLimitHeaders is off
+   */
+  _rateLimitHeaders(limits, { requestCount, resetAt }) {
+    const config  = this.rateLimitHeaders;
+    const headers = {};
+    if (!config) return headers;
+
+    const now       = Date.now();
+    const reset     = resetAt ? Math.max(0, Math.ceil((resetAt - now) / 1000)) : limits.timeWindow;
+    const remaining = Math.max(0, limits.maxRequests - requestCount);
+
+    if (config.standard) {
+      headers['RateLimit-Limit']     = limits.maxRequests;
+      headers['RateLimit-Remaining'] = remaining;
+      headers['RateLimit-Reset']     = reset;
+    }
+    if (config.legacy) {
+      headers['X-RateLimit-Limit']     = limits.maxRequests;
+      headers['X-RateLimit-Remaining'] = remaining;
+      headers['X-RateLimit-Reset']     = Math.ceil(now / 1000) + reset;
+    }
+    return headers;
+  }
+
+  /**
+   * Computes the block duration for the given offence number (1 = first offence
+   * within the lookback window) according to the block policy.
+   * @private
+   * @param {number} offence
+   * @returns {number} Duration in seconds, or Infinity for a permanent ban
+   */
+  _blockDuration(offence) {
+    const { baseDuration, multiplier, maxDuration, permanentAfter } = this.blockPolicy;
+    if (permanentAfter && offence >= permanentAfter) return Infinity;
+
+    const duration = baseDuration * Math.pow(multiplier, offence - 1);
+    return maxDuration ? Math.min(duration, maxDuration) : duration;
+  }
+
+  /**
+   * Records an offence for the IP and returns its repeat count within the
+   * lookback window. Adapters without offence history always report 1.
+   * @private
+   */
+  async _recordOffence(ip) {
+    const { blocks } = this.storage;
+    if (typeof blocks.recordOffence !== 'function') return 1;
+    return blocks.recordOffence(ip, { lookback: this.blockPolicy.lookback });
+  }
+
+  /**
+   * Compares the counts against the thresholds of the matched policy (or the
+   * global ones) and blocks the IP when one is exceeded.
+   * @param {string} ip
+   * @param {number} requestCount
+   * @param {number} scanCount
+   * @param {string} [route]
+   * @param {Object} [policy] - Compiled policy the request matched
+   * @param {string} [subject=ip] - What the counts belong to and what gets blocked:
+   *                                the IP, or "<type>:<key>" from a keyGenerator
+   * @returns {Promise<string|null>} The attack type that caused a block, or null
+   */
+  async handleAttackDetection(ip, requestCount, scanCount, route, policy = null, subject = ip) {
+    const limits = policy || this;
+
     let attackType = null;
-    if (requestCount > this.maxRequests) {
-      attackType = 'DDoS (Excessive Requests)';
-    } else if (scanCount > this.scanThreshold) {
+    if (requestCount > limits.maxRequests) {
+      attackType = RATE_LIMIT_ATTACK;
+    } else if ((!this.scanDetection || this.scanDetection.uniquePaths) && scanCount > limits.scanThreshold) {
       attackType = 'Path Scanning';
     }
 
-    if (!attackType) return;
+    if (!attackType) return null;
+    await this._reportAttack(subject, attackType, route, policy, null, ip);
+    return attackType;
+  }
 
-    this.emit('attack-detected', { ip, type: attackType, timestamp: new Date() });
-    console.warn(`Possible attack detected: ${attackType} from IP ${ip}`);
+  /**
+   * Emits `attack-detected` and blocks the subject for its escalated duration,
+   * or only records the would-be block in dry-run mode.
+   * Shared by rate / scan detection and the request-level detectors.
+   * @private
+   * @param {string} subject   - IP or "<type>:<key>" to block
+   * @param {string} attackType
+   * @param {string} [route]
+   * @param {Object} [policy]  - Compiled policy the request matched
+   * @param {Object} [details] - Detector specifics, e.g. an inspection finding; null otherwise
+   * @param {string} [ip=subject] - Client IP, when the subject is a key
+   */
+  async _reportAttack(subject, attackType, route, policy = null, details = null, ip = subject) {
+    const offence = await this._recordOffence(subject);
+    const { reason, duration } = this._announceAttack(subject, attackType, route, policy, details, ip, offence);
 
-    if (this.saveRecords) {
-      await this.redis.multi()
-        .set(`blocked:${ip}`,          '1',        'EX', 300)
-        .set(`blocked:${ip}:reason`,   attackType, 'EX', 300)
-        .exec();
-    } else {
-      const expiresAt = Date.now() + 300_000; // 5 minutes
-
-      this.localBlockedIPs.set(ip, { expiresAt, reason: attackType, route: route || null });
-      this._appendBlockLog({
-        timestamp: new Date().toISOString(),
-        ip,
-        reason:    attackType,
-        route:     route || null,
-        expiresAt,
-        action:    'block',
-      });
+    if (this.mode === 'dry-run') await this._wouldBlock(subject, { reason, route, duration, offence });
+    else await this._block(subject, { reason, route, duration, offence, actor: null });
+  }
+
+  /**
+   * Emits `attack-detected` and logs the attack, once its offence is recorded.
+   * @private
+   * @returns {{ reason: string, duration: number }} Block reason and duration (Infinity when permanent)
+   */
+  _announceAttack(subject, attackType, route, policy, details, ip, offence) {
+    const policyName = policy ? policy.name : null;
+    const reason     = policy ? `${attackType} (policy: ${policyName})` : attackType;
+    const duration   = this._blockDuration(offence);
+    const dryRun     = this.mode === 'dry-run';
 
-      // Clear tracking so the IP starts fresh after the block expires
-      this.localRequestCounts.delete(ip);
-      this.localRouteScans.delete(ip);
+    this._emitShared('attack-detected', {
+      ip,
+      key:       subject,
+      keyType:   keyTypeOf(subject),
+      type:      attackType,
+      timestamp: new Date(),
+      policy:    policyName,
+      offence,
+      duration:  duration === Infinity ? null : duration,
+      details,
+      dryRun,
+    });
+    this.logger.warn({
+      ip,
+      subject,
+      attackType,
+      route,
+      policy:   policyName,
+      offence,
+      duration: duration === Infinity ? null : duration,
+      dryRun,
+    }, `${dryRun ? '[dry-run] ' : ''}Possible attack detected: ${reason}`);
+    return { reason, duration };
+  }
+
+  /**
+   * Stores a block, clears the subject's tracking and emits `ip-blocked`.
+   * Shared by automatic detection and blockIP().
+   * @private
+   * @param {string} ip - IP or "<type>:<key>"
+   * @param {{ reason: string, route?: string|null, duration: number, offence?: number, actor: string|null }} block
+   * @returns {Promise<number>} expiresAt (Unix ms, Infinity when permanent)
+   */
+  async _block(ip, { reason, route = null, duration, offence, actor }) {
+    const expiresAt = Date.now() + duration * 1000; // Infinity → permanent
+    await this.storage.blocks.block(ip, {
+      reason,
+      route: route || null,
+      expiresAt,
+      ...(offence !== undefined && { offence }),
+      ...(actor && { actor }),
+    });
+
+    await this._resetSubject(ip);
+
+    this._announceBlock(ip, { reason, duration, actor });
+    return expiresAt;
+  }
+
+  /**
+   * Emits `ip-blocked` for a stored block.
+   * @private
+   */
+  _announceBlock(ip, { reason, duration, actor }) {
+    this._emitShared('ip-blocked', {
+      ip,
+      keyType:   keyTypeOf(ip),
+      reason,
+      duration:  duration === Infinity ? null : duration,
+      actor,
+      manual:    actor !== null,
+      timestamp: new Date(),
+    });
+  }
+
+  /**
+   * Dry-run counterpart of _block: records the block the subject would have
+   * received and clears its tracking as a real block would, without rejecting
+   * anything or emitting `ip-blocked`.
+   * @private
+   * @param {string} ip - IP or "<type>:<key>"
+   * @param {{ reason: string, route?: string|null, duration: number, offence?: number }} block
+   */
+  async _wouldBlock(ip, block) {
+    await this._recordWouldBlock(ip, block);
+    await this._resetSubject(ip);
+  }
+
+  /**
+   * Hands a would-be block to adapters that record them.
+   * @private
+   */
+  async _recordWouldBlock(ip, { reason, route = null, duration, offence }) {
+    const { blocks } = this.storage;
+    if (typeof blocks.recordWouldBlock !== 'function') return;
+    await blocks.recordWouldBlock(ip, {
+      reason,
+      route: route || null,
+      expiresAt: Date.now() + duration * 1000,
+      ...(offence !== undefined && { offence }),
+    });
+  }
+
+  /**
+   * Clears tracking (global and every policy) so the subject starts fresh
+   * after a block expires.
+   * @private
+   */
+  async _resetSubject(ip) {
+    for (const p of [null, ...this.policies]) {
+      await this.storage.counters.resetTracking(this._trackingKey(ip, p), {
+        timeWindow: (p || this).timeWindow,
+      });
     }
   }
 
+  /**
+   * Middleware rejecting blocked and denylisted clients before any other
+   * work; shares state with monitorMiddleware.
+   * @param {Object}   req  - Express request object
+   * @param {Object}   res  - Express response object
+   * @param {Function} next - Express next function
+   */
   async blockIPsMiddleware(req, res, next) {
-    try {
-      const ip        = this.getClientIP(req);
-      const isBlocked = await this.isIPBlocked(ip);
-      if (isBlocked) {
-        const blockInfo = await this.getBlockInfo(ip);
-        return res.status(403).json(blockInfo);
-      }
-      next();
-    } catch (err) {
-      next(err);
-    }
+    return handleExpress(this, req, res, next, { track: false });
   }
 
   // ---------------------------------------------------------------------------
-  // Query methods
+  // Cluster events
   // ---------------------------------------------------------------------------
 
   /**
-   * Reads and parses all valid lines from the NDJSON block log (local mode only).
+   * Emits an event that other instances should see too. With clusterEvents
+   * on, it is stamped with this instance's id and an eventId and published.
    * @private
-   * @returns {Object[]}
    */
-  _readBlockLog() {
-    if (!this.blockLogPath || !fs.existsSync(this.blockLogPath)) return [];
-    return fs.readFileSync(this.blockLogPath, 'utf8')
-      .split('\n')
-      .filter(Boolean)
-      .flatMap(line => {
-        try { return [JSON.parse(line)]; } catch { return []; }
-      });
+  _emitShared(name, data) {
+    if (!this.cluster) {
+      this.emit(name, data);
+      return;
+    }
+    const event = this.cluster.stamp(data);
+    this.emit(name, event);
+    this.cluster.publish(name, event);
   }
 
   /**
-   * Converts an NDJSON block entry to the common log-entry shape.
-   * Fields only available in advanced mode are set to null.
-   * @private
+   * Runs a handler once per cluster for every attack-detected, ip-blocked or
+   * ip-unblocked event, on whichever instance claims the event first — e.g.
+   * paging on-call without one page per replica. Without clusterEvents this
+   * instance is the whole cluster and the handler runs for each event.
+   * @param {string}   event   - attack-detected | ip-blocked | ip-unblocked
+   * @param {string}   name    - Identifies the handler across instances; use the same on each
+   * @param {Function} handler - (event) => void | Promise<void>
+   * @returns {this}
+   * @throws {Error} On another event, an empty name or a non-function handler
+   * @example
+   * monitor.onceInCluster('ip-blocked', 'pagerduty', event => pagerduty.trigger(event));
+   */
+  onceInCluster(event, name, handler) {
+    if (!CLUSTER_EVENTS.includes(event)) {
+      throw new Error(`onceInCluster event must be one of: ${CLUSTER_EVENTS.join(', ')}`);
+    }
+    if (typeof name !== 'string' || !name) {
+      throw new Error('onceInCluster requires a handler name');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('onceInCluster handler must be a function');
+    }
+
+    return this.on(event, async (data) => {
+      try {
+        if (this.cluster && !(await this.cluster.claim(name, data.eventId))) return;
+        await handler(data);
+      } catch (err) {
+        this.logger.error({ err, event, handler: name }, 'Cluster event handler failed');
+      }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Manual blocking
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Blocks an IP on demand, e.g. one reported by a WAF. Works in every mode;
+   * the NDJSON block log records the actor.
+   * @param {string} ip
+   * @param {Object} [opts]
+   * @param {number} [opts.duration]               - Seconds; Infinity for a permanent block.
+   *                                                 Defaults to blockPolicy.baseDuration
+   * @param {string} [opts.reason='Manual block']
+   * @param {string} [opts.actor='unknown']        - Who requested the block (user, service…)
+   * @returns {Promise<Object>} { ip, reason, actor, remainingSec, blockedUntil }
+   * @throws {Error} On an empty ip or a non-positive duration
    */
-  _toLogShape(entry) {
+  async blockIP(ip, { duration = this.blockPolicy.baseDuration, reason = 'Manual block', actor = 'unknown' } = {}) {
+    if (typeof ip !== 'string' || !ip) {
+      throw new Error('blockIP requires an ip');
+    }
+    if (!(duration > 0)) {
+      throw new Error('duration must be a positive number of seconds');
+    }
+
+    const expiresAt = await this._block(ip, { reason, duration, actor: String(actor) });
+    const permanent = expiresAt === Infinity;
     return {
-      ip:           entry.ip,
-      method:       null,
-      route:        entry.route || null,
-      timestamp:    entry.timestamp,
-      responseTime: null,
-      statusCode:   null,
-      userAgent:    null,
-      attackType:   entry.action === 'block' ? entry.reason : null,
+      ip,
+      reason,
+      actor:        String(actor),
+      remainingSec: permanent ? null : Math.ceil(duration),
+      blockedUntil: permanent ? null : new Date(expiresAt).toISOString(),
     };
   }
 
   /**
-   * Returns filtered log entries. Works in both local and Redis+MongoDB modes.
+   * Lifts a block, e.g. a false positive. Emits `ip-unblocked` when a block was removed.
+   * @param {string} ip
+   * @param {Object} [opts]
+   * @param {string} [opts.actor='unknown'] - Who lifted the block
+   * @returns {Promise<boolean>} true if the IP was blocked
+   */
+  async unblockIP(ip, { actor = 'unknown' } = {}) {
+    const removed = await this.storage.blocks.unblock(ip, { reason: 'manual', actor: String(actor) });
+    if (removed) {
+      this._emitShared('ip-unblocked', { ip, actor: String(actor), timestamp: new Date() });
+    }
+    return !!removed;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Allowlist / denylist
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Exempts an IP or CIDR range from monitoring and blocking.
+   * @param {string} entry - e.g. "203.0.113.7" or "10.0.0.0/8"
+   * @throws {Error} If the entry is not a valid IP or CIDR range
+   */
+  addToAllowlist(entry) {
+    this.allowlist.add(entry);
+  }
+
+  /**
+   * @param {string} entry
+   * @returns {boolean} true if the entry was on the allowlist
+   */
+  removeFromAllowlist(entry) {
+    return this.allowlist.remove(entry);
+  }
+
+  /**
+   * Rejects an IP or CIDR range before detection runs.
+   * The allowlist takes precedence when an IP matches both lists.
+   * @param {string} entry - e.g. "198.51.100.0/24" or "2001:db8::/32"
+   * @throws {Error} If the entry is not a valid IP or CIDR range
+   */
+  addToDenylist(entry) {
+    this.denylist.add(entry);
+  }
+
+  /**
+   * @param {string} entry
+   * @returns {boolean} true if the entry was on the denylist
+   */
+  removeFromDenylist(entry) {
+    return this.denylist.remove(entry);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Query methods
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Returns filtered log entries from the logs adapter.
    * @param {Object} [opts]
    * @param {string} [opts.ip]
    * @param {string} [opts.attackType]
@@ -492,24 +1222,7 @@ class APIMonitor extends EventEmitter {
    * @returns {Promise<Object[]>}
    */
   async getLogs({ ip, attackType, startDate, endDate, limit = 10 } = {}) {
-    if (this.saveRecords) {
-      const query = {};
-      if (ip !== undefined)         query.ip         = ip;
-      if (attackType !== undefined) query.attackType = attackType;
-      if (startDate || endDate) {
-        query.timestamp = {};
-        if (startDate) query.timestamp.$gte = new Date(startDate);
-        if (endDate)   query.timestamp.$lte = new Date(endDate);
-      }
-      return this.LogModel.find(query).sort({ timestamp: -1 }).limit(limit).lean();
-    }
-
-    let entries = this._readBlockLog().filter(e => e.action === 'block');
-    if (ip)         entries = entries.filter(e => e.ip === ip);
-    if (attackType) entries = entries.filter(e => e.reason === attackType);
-    if (startDate)  entries = entries.filter(e => new Date(e.timestamp) >= new Date(startDate));
-    if (endDate)    entries = entries.filter(e => new Date(e.timestamp) <= new Date(endDate));
-    return entries.reverse().slice(0, limit).map(e => this._toLogShape(e));
+    return this.storage.logs.queryLogs({ ip, attackType, startDate, endDate, limit });
   }
 
   /**
@@ -519,19 +1232,7 @@ class APIMonitor extends EventEmitter {
    * @returns {Promise<Object[]>}
    */
   async getAttackLogs({ limit = 50 } = {}) {
-    if (this.saveRecords) {
-      return this.LogModel
-        .find({ attackType: { $ne: null } })
-        .sort({ timestamp: -1 })
-        .limit(limit)
-        .lean();
-    }
-
-    return this._readBlockLog()
-      .filter(e => e.action === 'block')
-      .reverse()
-      .slice(0, limit)
-      .map(e => this._toLogShape(e));
+    return this.storage.logs.queryLogs({ limit, attacksOnly: true });
   }
 
   /**
@@ -541,83 +1242,176 @@ class APIMonitor extends EventEmitter {
    * @returns {Promise<Object[]>}
    */
   async getStats() {
-    if (this.saveRecords) {
-      return this.LogModel.aggregate([
-        {
-          $group: {
-            _id:             '$ip',
-            totalRequests:   { $sum: 1 },
-            avgResponseTime: { $avg: '$responseTime' },
-            attackCount: {
-              $sum: { $cond: [{ $ne: ['$attackType', null] }, 1, 0] },
-            },
-            routes: { $addToSet: '$route' },
-          },
-        },
-        { $sort: { totalRequests: -1 } },
-      ]);
-    }
-
-    const byIP = {};
-    for (const entry of this._readBlockLog().filter(e => e.action === 'block')) {
-      if (!byIP[entry.ip]) {
-        byIP[entry.ip] = {
-          _id:             entry.ip,
-          totalRequests:   null,
-          avgResponseTime: null,
-          attackCount:     0,
-          routes:          [],
-        };
-      }
-      byIP[entry.ip].attackCount++;
-    }
-    return Object.values(byIP).sort((a, b) => b.attackCount - a.attackCount);
+    return this.storage.logs.getStats();
   }
 
   /**
-   * Returns currently blocked IPs with remaining TTL.
-   * Shape: { count, blocked: [{ ip, reason, remainingSec, blockedUntil }] }
+   * Returns currently blocked IPs and keys with remaining TTL, one page at a
+   * time. Without options every block is returned, soonest expiry first.
+   * Shape: { count, total, blocked: [{ ip, keyType, key, reason, route, remainingSec, blockedUntil }] }
+   * `count` is the size of this page and `total` the number of active blocks.
+   * `ip` is the stored subject: an IP, or "<keyType>:<key>" for keyGenerator subjects.
+   * Permanent blocks have remainingSec and blockedUntil set to null.
+   * @param {Object} [opts]
+   * @param {number} [opts.offset=0]
+   * @param {number} [opts.limit]              - All blocks when omitted
+   * @param {string} [opts.sort='expiresAt']   - expiresAt | ip
+   * @param {string} [opts.order='asc']        - asc | desc
    * @returns {Promise<Object>}
+   * @throws {Error} On invalid paging options
    */
-  async getBlockedIPs() {
-    const now     = Date.now();
-    const blocked = [];
+  async getBlockedIPs(opts) {
+    const now   = Date.now();
+    const page  = compilePage(opts);
+    const store = this.storage.blocks;
+    const { total, blocks } = typeof store.pageBlocks === 'function'
+      ? await store.pageBlocks(page)
+      : pageBlocks((await store.listBlocks()).filter(b => b.expiresAt > now), page);
 
-    if (this.saveRecords) {
-      let cursor = '0';
-      do {
-        const [next, keys] = await this.redis.scan(cursor, 'MATCH', 'blocked:*', 'COUNT', 100);
-        cursor = next;
-
-        for (const key of keys) {
-          if (key.endsWith(':reason')) continue;
-          const ttl    = await this.redis.ttl(key);
-          const reason = await this.redis.get(`${key}:reason`);
-          if (ttl > 0) {
-            blocked.push({
-              ip:           key.replace('blocked:', ''),
-              reason:       reason || 'Unknown',
-              remainingSec: ttl,
-              blockedUntil: new Date(now + ttl * 1000).toISOString(),
-            });
-          }
-        }
-      } while (cursor !== '0');
-    } else {
-      for (const [ip, info] of this.localBlockedIPs) {
-        if (info.expiresAt > now) {
-          blocked.push({
-            ip,
-            reason:       info.reason,
-            route:        info.route || null,
-            remainingSec: Math.ceil((info.expiresAt - now) / 1000),
-            blockedUntil: new Date(info.expiresAt).toISOString(),
-          });
-        }
+    const blocked = blocks.map(b => {
+      const permanent = b.expiresAt === Infinity;
+      const keyType   = keyTypeOf(b.ip);
+      return {
+        ip:           b.ip,
+        keyType,
+        key:          keyType === 'ip' ? b.ip : b.ip.slice(keyType.length + 1),
+        reason:       b.reason || 'Unknown',
+        route:        b.route || null,
+        remainingSec: permanent ? null : Math.ceil((b.expiresAt - now) / 1000),
+        blockedUntil: permanent ? null : new Date(b.expiresAt).toISOString(),
+      };
+    });
+
+    return { count: blocked.length, total, blocked };
+  }
+
+  /**
+   * Returns an Express router serving the dashboard endpoints (/logs,
+   * /logs/attacks, /logs/stats, /blocked and manual block/unblock).
+   * @param {Object} opts
+   * @param {Object|Function|false} opts.auth - { token } for bearer auth,
+   *   { username, password } for basic auth, a `(req) => boolean|string` check
+   *   (a string is recorded as the actor), or false to disable
+   * @returns {import('express').Router}
+   * @throws {Error} If auth is missing or invalid
+   * @example
+   * app.use('/monitor', monitor.dashboardRouter({ auth: { token: process.env.DASHBOARD_TOKEN } }));
+   */
+  dashboardRouter(opts) {
+    return createDashboardRouter(this, opts);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Framework adapters
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Returns a Fastify plugin running the monitor on every route: blocks are
+   * checked in onRequest, requests counted and inspected in preHandler.
+   * onBlocked receives (request, reply, blockInfo).
+   * @returns {Function}
+   * @example
+   * fastify.register(monitor.fastifyPlugin());
+   */
+  fastifyPlugin() {
+    return createFastifyPlugin(this);
+  }
+
+  /**
+   * Returns Koa middleware running the monitor. onBlocked receives
+   * (ctx.request, ctx.response, blockInfo).
+   * @param {Object}  [opts]
+   * @param {boolean} [opts.track=true] - false only rejects blocked and denylisted clients
+   * @returns {Function}
+   * @example
+   * app.use(monitor.koaMiddleware());
+   */
+  koaMiddleware(opts) {
+    return createKoaMiddleware(this, opts);
+  }
+
+  /**
+   * Wraps a plain node:http handler so the monitor runs first. onBlocked
+   * receives (req, res, blockInfo).
+   * @param {Function} handler - (req, res) => void
+   * @param {Object}   [opts]
+   * @param {Function} [opts.getIP] - (req) => string — client IP when behind a trusted proxy
+   * @returns {Function}
+   * @example
+   * http.createServer(monitor.nodeHandler((req, res) => res.end('ok')));
+   */
+  nodeHandler(handler, opts) {
+    return createNodeHandler(this, handler, opts);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Metrics
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Returns the monitor's metrics in the Prometheus text format: requests
+   * seen and rejected, attacks by type, the response time histogram, and —
+   * when the adapters support it — active blocks, tracked keys and storage
+   * errors per backend.
+   * @returns {Promise<string>}
+   */
+  async metrics() {
+    const { counters, blocks } = this.storage;
+    const gauges = {};
+
+    try {
+      gauges.activeBlocks = typeof blocks.pageBlocks === 'function'
+        ? (await blocks.pageBlocks({ limit: 0 })).total
+        : (await blocks.listBlocks()).length;
+      if (typeof counters.trackedKeys === 'function') gauges.trackedKeys = await counters.trackedKeys();
+    } catch (err) {
+      this.logger.error({ err }, 'Error reading metrics from storage');
+    }
+
+    for (const adapter of new Set(Object.values(this.storage))) {
+      if (!adapter.errors) continue;
+      gauges.storageErrors = gauges.storageErrors || {};
+      for (const [backend, count] of Object.entries(adapter.errors)) {
+        gauges.storageErrors[backend] = (gauges.storageErrors[backend] || 0) + count;
       }
     }
+    return this._metrics.render(gauges);
+  }
+
+  /**
+   * Returns a request handler serving metrics() for Prometheus to scrape.
+   * @returns {Function} (req, res, next) handler
+   * @example
+   * app.get('/metrics', monitor.metricsHandler());
+   */
+  metricsHandler() {
+    return async (req, res, next) => {
+      try {
+        const body = await this.metrics();
+        res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+        res.end(body);
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
 
-    return { count: blocked.length, blocked };
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Flushes pending webhooks and releases timers and connections held by the
+   * cluster events and the storage adapters.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.webhooks) await this.webhooks.close();
+    if (this.cluster) await this.cluster.close();
+    const adapters = new Set(Object.values(this.storage));
+    for (const adapter of adapters) {
+      if (typeof adapter.close === 'function') await adapter.close();
+    }
   }
 }
 
@@ -649,3 +1443,10 @@ module.exports.blockIPs = (options) => {
   const monitor = new APIMonitor(options);
   return (req, res, next) => monitor.blockIPsMiddleware(req, res, next);
 };
+
+module.exports.APIMonitor          = APIMonitor;
+module.exports.LocalStorage        = LocalStorage;
+module.exports.RedisMongoStorage   = RedisMongoStorage;
+module.exports.IPList              = IPList;
+module.exports.PROBE_SIGNATURES    = PROBE_SIGNATURES;
+module.exports.BOT_TOOL_SIGNATURES = BOT_TOOL_SIGNATURES;
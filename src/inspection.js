@@ -0,0 +1,186 @@
+/**
+ * Request payload inspection: signature matching for injection attacks in the
+ * path, query string, selected headers and parsed JSON body.
+ *
+ * Signatures aim for a low false-positive rate on ordinary traffic rather than
+ * full coverage — this is a tripwire for obvious probes, not a WAF.
+ */
+
+/** Attack type reported for each inspection category. */
+const ATTACK_TYPES = {
+  sqli:      'SQL Injection',
+  nosql:     'NoSQL Injection',
+  xss:       'XSS',
+  traversal: 'Path Traversal',
+  command:   'Command Injection',
+};
+
+/** Named string signatures per category (NoSQL is matched on object keys instead). */
+const SIGNATURES = {
+  sqli: [
+    // Equal operands, then the end of the value or a comment: ' OR '1'='1, ' or 'a'='a'--
+    ['quoted-tautology', /['"]\s*(or|and)(\s+|(?=['"]))(['"]?)(\w*)\3\s*(=|like\b)\s*['"]?\4['"]?\s*(--|#|\/\*|;|\)|$)/i],
+    // After a closing quote or paren, or followed by a comment: ' or 1=1, 1 or 1=1--
+    ['numeric-tautology', /['")]\s*(or|and)\s+(\d+)\s*=\s*\2\b|\b(or|and)\s+(\d+)\s*=\s*\4\s*(--|#|\/\*|;)/i],
+    ['union-select',     /\bunion\b(\s+all)?\s+select\b/i],
+    // A statement after the semicolon, not just a verb: "; DROP TABLE", "; UPDATE users SET"
+    ['stacked-query',    /;\s*(drop\s+(table|database|schema|view)\s+[\w.`"[\]]+\s*(;|--|#|$)|delete\s+from\s+[\w.`"[\]]+\s*(where\b|;|--|#|$)|insert\s+into\s+[\w.`"[\]]+\s*(\(|values\b|select\b)|update\s+[\w.`"[\]]+\s+set\b|alter\s+table\s+[\w.`"[\]]+\s+(add|drop|modify|rename)\b|truncate\s+table\s+\w|exec(ute)?\s+(xp|sp)_\w+)/i],
+    // A quote closing a value, straight into a comment: admin'--, 1"#
+    ['quote-comment',    /(^|[\w)])['"](--|#)(\s|$)|['"]\s*\/\*/],
+    // A numeric delay right after a quote, separator or SQL keyword: ' AND SLEEP(5), ;SELECT pg_sleep(5)
+    ['time-based',       /(['");|(,]|\b(and|or|select|if|where|then|else|union)\b)\s*\(?\s*((pg_)?sleep\s*\(\s*\d+(\.\d+)?\s*\)|benchmark\s*\(\s*\d+\s*,)|\bwaitfor\s+delay\s+['"]\d/i],
+  ],
+  xss: [
+    ['script-tag',      /<\s*script\b/i],
+    ['event-handler',   /<[^>]*\son[a-z]+\s*=/i],
+    // A value or attribute starting with javascript: and code after it, not prose like "javascript: the good parts"
+    ['javascript-uri',  /(^|[=("'`])\s*javascript\s*:\s*(\/\/|[\w$.[\]]+\s*[(`=])/i],
+    // A complete tag or one with attributes: <svg>, <iframe src=…>, <svg/onload=…>
+    ['embedding-tag',   /<\s*(iframe|object|embed|svg)(\s*\/?>|[\s/]+[\w-]+\s*=)/i],
+  ],
+  traversal: [
+    ['dot-dot-segment', /(^|[\\/])\.\.([\\/]|$)/],
+    ['sensitive-file',  /\/etc\/(passwd|shadow)\b|\b(win|boot)\.ini\b/i],
+  ],
+  command: [
+    // A command taking a flag, path, variable, IP or URL ("; cat /etc/hosts"), or a bare "; id"
+    ['chained-command',      /[;&|`]\s*(cat|ls|id|whoami|uname|wget|curl|nc|bash|sh|ping|rm|chmod|python|perl)\s+(-{1,2}[a-z]|[.~]{0,2}\/|\$|\d{1,3}(\.\d{1,3}){3}|https?:)|[;|`]\s*(id|whoami|uname)\s*([;&|`]|$)/i],
+    ['command-substitution', /\$\(\s*(cat|ls|id|whoami|uname|wget|curl|nc|bash|sh|ping|rm|chmod|python|perl)\b[^)]*\)/i],
+  ],
+};
+
+const NOSQL_OPERATOR = /^\$(ne|eq|gt|gte|lt|lte|in|nin|regex|where|exists|expr|or|and|not|nor|elemMatch|function)$/;
+
+const DEFAULTS = {
+  attacks:   Object.keys(ATTACK_TYPES),
+  headers:   ['user-agent', 'referer'],
+  body:      true,
+  exclude:   [],
+  maxDepth:  10,
+  maxLength: 4096,
+};
+
+/**
+ * Turns an `exclude` entry into a regex matching that location and anything
+ * nested under it. `*` stands for one key or array index: "body.messages[*].text".
+ * @private
+ */
+function compileLocation(location) {
+  const pattern = location
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^.[\\]]+');
+  return new RegExp(`^${pattern}($|[.[])`);
+}
+
+/**
+ * Validates and normalises the `inspection` option.
+ * @param {boolean|Object} [inspection] - true for the defaults, or overrides:
+ *   attacks (categories to check), headers (names to scan), body (scan req.body),
+ *   exclude (locations never scanned, e.g. free-text fields such as "body.comment"),
+ *   maxDepth (object nesting), maxLength (characters scanned per value)
+ * @returns {Object|null} Compiled config, or null when inspection is disabled
+ * @throws {Error} On an unknown attack category or a non-string exclude entry
+ */
+function compileInspection(inspection) {
+  if (!inspection) return null;
+  const config = { ...DEFAULTS, ...(inspection === true ? {} : inspection) };
+
+  for (const attack of config.attacks) {
+    if (!ATTACK_TYPES[attack]) {
+      throw new Error(`inspection.attacks must only contain: ${Object.keys(ATTACK_TYPES).join(', ')}`);
+    }
+  }
+
+  if (!Array.isArray(config.exclude) || !config.exclude.every(e => typeof e === 'string' && e)) {
+    throw new Error('inspection.exclude must be an array of locations such as "body.comment"');
+  }
+
+  return {
+    ...config,
+    attacks: config.attacks.filter(a => a !== 'nosql'),
+    nosql:   config.attacks.includes('nosql'),
+    headers: config.headers.map(h => h.toLowerCase()),
+    exclude: config.exclude.map(compileLocation),
+  };
+}
+
+/**
+ * URL-decodes up to twice (to catch double encoding), leaving malformed input as is.
+ * @private
+ */
+function decode(value) {
+  let decoded = value;
+  for (let i = 0; i < 2; i++) {
+    try {
+      const next = decodeURIComponent(decoded);
+      if (next === decoded) break;
+      decoded = next;
+    } catch {
+      break;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Returns the first string signature matching the value.
+ * @private
+ */
+function matchString(value, config) {
+  const text = decode(value.slice(0, config.maxLength));
+  for (const attack of config.attacks) {
+    for (const [rule, regex] of SIGNATURES[attack]) {
+      if (regex.test(text)) return { attack, rule };
+    }
+  }
+  return null;
+}
+
+/**
+ * Walks a parsed query or body object, checking keys for NoSQL operators and
+ * string values for signatures. Excluded locations are skipped with everything
+ * under them.
+ * @private
+ */
+function matchObject(value, location, config, depth = 0) {
+  if (config.exclude.some(regex => regex.test(location))) return null;
+  if (typeof value === 'string') {
+    const hit = matchString(value, config);
+    return hit && { ...hit, location };
+  }
+  if (!value || typeof value !== 'object' || depth >= config.maxDepth) return null;
+
+  for (const [key, child] of Object.entries(value)) {
+    const childLocation = Array.isArray(value) ? `${location}[${key}]` : `${location}.${key}`;
+    if (config.nosql && NOSQL_OPERATOR.test(key)) {
+      return { attack: 'nosql', rule: 'query-operator', location: childLocation };
+    }
+    const hit = matchObject(child, childLocation, config, depth + 1);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/**
+ * Inspects a request and returns the first finding, or null.
+ *
+ * The finding names the rule and where it matched (e.g. "query.q", "body.user.name")
+ * but never the payload itself, so it is safe to log.
+ *
+ * @param {Object} req    - Request context { path, query, headers, body } (the body is inspected
+ *                          when a body parser ran first)
+ * @param {Object} config - Output of compileInspection
+ * @returns {{ attackType: string, rule: string, location: string }|null}
+ */
+function inspectRequest(req, config) {
+  const hit =
+    matchObject(req.path, 'path', config) ||
+    matchObject(req.query, 'query', config) ||
+    config.headers.reduce((found, name) => found || matchObject(req.headers[name], `headers.${name}`, config), null) ||
+    (config.body ? matchObject(req.body, 'body', config) : null);
+
+  return hit && { attackType: ATTACK_TYPES[hit.attack], rule: hit.rule, location: hit.location };
+}
+
+module.exports = { ATTACK_TYPES, compileInspection, inspectRequest };
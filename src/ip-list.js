@@ -0,0 +1,160 @@
+const net = require('net');
+
+/**
+ * Parses an IPv4 or IPv6 address into a family and a BigInt value.
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are treated as IPv4.
+ * @private
+ * @param {string} ip
+ * @returns {{ family: 4|6, value: bigint }|null}
+ */
+function parseIP(ip) {
+  if (typeof ip !== 'string') return null;
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) ip = mapped[1];
+
+  const family = net.isIP(ip);
+  if (family === 4) {
+    const value = ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+    return { family: 4, value };
+  }
+  if (family === 6) {
+    return { family: 6, value: parseIPv6(ip.split('%')[0]) };
+  }
+  return null;
+}
+
+/**
+ * Normalises a socket / framework client address: loopback becomes
+ * 127.0.0.1 and IPv4-mapped IPv6 addresses lose their ::ffff: prefix.
+ * @param {string} [ip]
+ * @returns {string} '0.0.0.0' when the address is unknown
+ */
+function normalizeIP(ip) {
+  if (!ip) return '0.0.0.0';
+  if (ip === '::1' || ip === '::ffff:127.0.0.1') return '127.0.0.1';
+  if (ip.startsWith('::ffff:')) return ip.substring(7);
+  return ip;
+}
+
+/**
+ * Converts a valid IPv6 string (already checked with net.isIP) to a BigInt.
+ * @private
+ */
+function parseIPv6(ip) {
+  // Trailing dotted IPv4 (e.g. ::1.2.3.4) → two hextets
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(ip);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    ip = ip.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = ip.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing   = tail === undefined ? 0 : 8 - headParts.length - tailParts.length;
+  const hextets   = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+
+  return hextets.reduce((acc, h) => (acc << 16n) + BigInt(parseInt(h, 16)), 0n);
+}
+
+/**
+ * Set of IP addresses and CIDR ranges (IPv4 and IPv6).
+ *
+ * Networks are bucketed by family and prefix length, so a lookup costs one
+ * mask + Set lookup per distinct prefix length in the list rather than one
+ * comparison per entry.
+ *
+ * @class IPList
+ */
+class IPList {
+  /**
+   * @param {string[]} [entries] - Single IPs ("1.2.3.4") or CIDR ranges ("10.0.0.0/8", "2001:db8::/32")
+   */
+  constructor(entries = []) {
+    this._buckets = { 4: new Map(), 6: new Map() }; // family → prefix → { mask, networks }
+    this._entries = new Map();                      // normalised entry → original string
+    for (const entry of entries) this.add(entry);
+  }
+
+  /**
+   * Parses "ip" or "ip/prefix" into its bucket coordinates.
+   * @private
+   */
+  _parse(entry) {
+    const [address, prefixStr, extra] = String(entry).trim().split('/');
+    const parsed = parseIP(address);
+    const bits   = parsed && (parsed.family === 4 ? 32 : 128);
+    const prefix = prefixStr === undefined ? bits : Number(prefixStr);
+
+    if (!parsed || extra !== undefined ||
+        (prefixStr !== undefined && !/^\d+$/.test(prefixStr)) || prefix > bits) {
+      throw new Error(`Invalid IP address or CIDR range: ${entry}`);
+    }
+
+    const network = parsed.value & IPList._mask(bits, prefix);
+    return { family: parsed.family, prefix, network, key: `${parsed.family}|${network}/${prefix}` };
+  }
+
+  /** @private */
+  static _mask(bits, prefix) {
+    const all = (1n << BigInt(bits)) - 1n;
+    return prefix === 0 ? 0n : all ^ ((1n << BigInt(bits - prefix)) - 1n);
+  }
+
+  /**
+   * Adds an IP or CIDR range. Host bits beyond the prefix are ignored.
+   * @param {string} entry
+   * @throws {Error} If the entry is not a valid IP or CIDR range
+   */
+  add(entry) {
+    const { family, prefix, network, key } = this._parse(entry);
+    const buckets = this._buckets[family];
+    if (!buckets.has(prefix)) {
+      buckets.set(prefix, { mask: IPList._mask(family === 4 ? 32 : 128, prefix), networks: new Set() });
+    }
+    buckets.get(prefix).networks.add(network);
+    this._entries.set(key, String(entry).trim());
+  }
+
+  /**
+   * Removes an IP or CIDR range previously added (matched by network, not by string).
+   * @param {string} entry
+   * @returns {boolean} true if the entry was present
+   */
+  remove(entry) {
+    const { family, prefix, network, key } = this._parse(entry);
+    const bucket = this._buckets[family].get(prefix);
+    if (!bucket || !bucket.networks.delete(network)) return false;
+    if (bucket.networks.size === 0) this._buckets[family].delete(prefix);
+    this._entries.delete(key);
+    return true;
+  }
+
+  /**
+   * Returns true if the IP equals an entry or falls inside one of its ranges.
+   * Unparseable input never matches.
+   * @param {string} ip
+   * @returns {boolean}
+   */
+  has(ip) {
+    const parsed = parseIP(ip);
+    if (!parsed) return false;
+
+    for (const { mask, networks } of this._buckets[parsed.family].values()) {
+      if (networks.has(parsed.value & mask)) return true;
+    }
+    return false;
+  }
+
+  /** @returns {string[]} Entries as originally supplied */
+  entries() {
+    return [...this._entries.values()];
+  }
+
+  /** @returns {number} */
+  get size() {
+    return this._entries.size;
+  }
+}
+
+module.exports = { IPList, parseIP, normalizeIP };
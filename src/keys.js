@@ -0,0 +1,42 @@
+const net = require('net');
+
+const KEY_TYPE = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Resolves the rate-limit subject of a request.
+ *
+ * A keyGenerator may return a string (key type "custom"), `{ key, type }`, or
+ * nothing to fall back to the client IP. Non-IP subjects are namespaced as
+ * "<type>:<key>" so they can never collide with an IP in counters or blocks.
+ *
+ * @param {Function|null} generator - (req) => string | { key, type } | null
+ * @param {Object} req
+ * @param {string} ip - Client IP, the fallback subject
+ * @returns {{ id: string, type: string, key: string }}
+ * @throws {Error} When the generator returns an invalid key type
+ */
+function resolveKey(generator, req, ip) {
+  const result = generator ? generator(req) : null;
+  const { key, type = 'custom' } = result !== null && typeof result === 'object' ? result : { key: result };
+
+  if (key === undefined || key === null || key === '') {
+    return { id: ip, type: 'ip', key: ip };
+  }
+  if (!KEY_TYPE.test(type) || type === 'ip') {
+    throw new Error(`Invalid key type: ${type}`);
+  }
+  return { id: `${type}:${key}`, type, key: String(key) };
+}
+
+/**
+ * Recovers the key type from a stored subject id ("1.2.3.4" → "ip",
+ * "api-key:abc" → "api-key").
+ * @param {string} id
+ * @returns {string}
+ */
+function keyTypeOf(id) {
+  const sep = id.indexOf(':');
+  return net.isIP(id) || sep === -1 ? 'ip' : id.slice(0, sep);
+}
+
+module.exports = { resolveKey, keyTypeOf };
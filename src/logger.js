@@ -0,0 +1,91 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Structured logging on top of a user-supplied logger.
+ *
+ * Any object with debug / info / warn / error methods works: pino is called
+ * as `(fields, message)`, winston and console as `(message, fields)`. Without
+ * a target nothing is written, so the library stays quiet unless asked.
+ *
+ * Fields set with withContext() — the request's ip, method, route and
+ * requestId — are added to every message logged while handling that request,
+ * however deep in the detectors it is written.
+ *
+ * @class Logger
+ */
+class Logger {
+  /**
+   * @param {Object|null} [target] - pino / winston / console-compatible logger
+   * @param {Object} [opts]
+   * @param {string} [opts.level='info'] - Minimum level written: debug | info | warn | error | silent
+   * @throws {Error} On an unknown level or a target missing a level method
+   */
+  constructor(target = null, { level = 'info' } = {}) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`logLevel must be one of: ${LEVELS.join(', ')}`);
+    }
+    for (const method of LEVELS.slice(0, -1)) {
+      if (target && typeof target[method] !== 'function') {
+        throw new Error(`logger must implement ${method}()`);
+      }
+    }
+    this.target       = target;
+    this.level        = level;
+    // winston exposes its transports; both it and console take the message first
+    this.messageFirst = target === console || !!(target && Array.isArray(target.transports));
+    this.context      = new AsyncLocalStorage();
+  }
+
+  /**
+   * Runs fn with fields added to every message it logs, including from
+   * callbacks and promises it starts.
+   * @param {Object} fields
+   * @param {Function} fn
+   * @returns {*} fn's return value
+   */
+  withContext(fields, fn) {
+    return this.context.run({ ...this.context.getStore(), ...fields }, fn);
+  }
+
+  /**
+   * Writes one message if its level is enabled.
+   * @private
+   */
+  _write(level, fields, message) {
+    if (!this.target || LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) return;
+    const entry = { ...this.context.getStore(), ...fields };
+    if (this.messageFirst) this.target[level](message, entry);
+    else this.target[level](entry, message);
+  }
+
+  /**
+   * @param {Object} fields - Structured fields, e.g. { attackType }
+   * @param {string} message
+   */
+  debug(fields, message) {
+    this._write('debug', fields, message);
+  }
+
+  info(fields, message) {
+    this._write('info', fields, message);
+  }
+
+  warn(fields, message) {
+    this._write('warn', fields, message);
+  }
+
+  /**
+   * @param {Object} fields - Pass the error as `err` so pino serialises it
+   * @param {string} message
+   */
+  error(fields, message) {
+    this._write('error', fields, message);
+  }
+}
+
+/** Logger that writes nothing, the default for adapters created on their own. */
+const SILENT = new Logger();
+
+module.exports = { Logger, SILENT, LEVELS };
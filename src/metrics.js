@@ -0,0 +1,135 @@
+/**
+ * Counters and histograms kept by the monitor, rendered in the Prometheus
+ * text exposition format (also accepted by OpenMetrics scrapers).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** Response time buckets in seconds. */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value (backslash, double quote and newline).
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders a label set as `{a="1",b="2"}`, or '' when empty.
+ * @private
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * HELP / TYPE header plus one sample line per [labels, value, suffix].
+ * The suffix names histogram series (_bucket, _sum, _count).
+ * @private
+ */
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value, suffix = ''] of samples) {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Request, rejection, attack and response-time metrics for one monitor.
+ * Gauges that reflect storage state (active blocks, tracked keys, storage
+ * errors) are read at scrape time and passed to render().
+ *
+ * @class Metrics
+ */
+class Metrics {
+  /**
+   * @param {number[]} [buckets] - Response time histogram buckets in seconds
+   */
+  constructor(buckets = DEFAULT_BUCKETS) {
+    this.buckets  = [...buckets].sort((a, b) => a - b);
+    this.requests = 0;
+    this.rejected = new Map(); // status → count
+    this.attacks  = new Map(); // attack type → count
+    this.responseTime = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  /** Counts a request seen by the monitor. */
+  request() {
+    this.requests += 1;
+  }
+
+  /**
+   * Counts a rejected request.
+   * @param {number} status - 403 or 429
+   */
+  reject(status) {
+    this.rejected.set(status, (this.rejected.get(status) || 0) + 1);
+  }
+
+  /**
+   * Counts a detected attack.
+   * @param {string} type
+   */
+  attack(type) {
+    this.attacks.set(type, (this.attacks.get(type) || 0) + 1);
+  }
+
+  /**
+   * Records a response time.
+   * @param {number} seconds
+   */
+  observeResponseTime(seconds) {
+    const histogram = this.responseTime;
+    this.buckets.forEach((le, i) => {
+      if (seconds <= le) histogram.counts[i] += 1;
+    });
+    histogram.sum   += seconds;
+    histogram.count += 1;
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format.
+   * @param {Object} [gauges] - Storage state read at scrape time; missing values are omitted
+   * @param {number} [gauges.activeBlocks]
+   * @param {number} [gauges.trackedKeys]
+   * @param {Object<string, number>} [gauges.storageErrors] - Error count per backend
+   * @returns {string}
+   */
+  render({ activeBlocks, trackedKeys, storageErrors } = {}) {
+    const { responseTime } = this;
+    const sections = [
+      formatMetric('api_monitor_requests_total', 'counter', 'Requests seen by the monitor.',
+        [[{}, this.requests]]),
+      formatMetric('api_monitor_requests_rejected_total', 'counter', 'Requests rejected, by status code.',
+        [...this.rejected].map(([status, count]) => [{ status }, count])),
+      formatMetric('api_monitor_attacks_detected_total', 'counter', 'Attacks detected, by attack type.',
+        [...this.attacks].map(([type, count]) => [{ type }, count])),
+      formatMetric('api_monitor_response_time_seconds', 'histogram', 'Response time of monitored requests.', [
+        ...this.buckets.map((le, i) => [{ le }, responseTime.counts[i], '_bucket']),
+        [{ le: '+Inf' }, responseTime.count, '_bucket'],
+        [{}, responseTime.sum, '_sum'],
+        [{}, responseTime.count, '_count'],
+      ]),
+    ];
+
+    if (activeBlocks !== undefined) {
+      sections.push(formatMetric('api_monitor_blocks_active', 'gauge', 'Subjects currently blocked.',
+        [[{}, activeBlocks]]));
+    }
+    if (trackedKeys !== undefined) {
+      sections.push(formatMetric('api_monitor_tracked_keys', 'gauge', 'Keys (IPs, API keys, detector keys) with tracking state.',
+        [[{}, trackedKeys]]));
+    }
+    if (storageErrors) {
+      sections.push(formatMetric('api_monitor_storage_errors_total', 'counter', 'Storage backend errors, by backend.',
+        Object.entries(storageErrors).map(([backend, count]) => [{ backend }, count])));
+    }
+    return sections.join('\n') + '\n';
+  }
+}
+
+module.exports = { Metrics, CONTENT_TYPE, DEFAULT_BUCKETS };
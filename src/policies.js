@@ -0,0 +1,87 @@
+const { assertAlgorithm } = require('./algorithms');
+
+/**
+ * Converts a path pattern to an anchored RegExp.
+ *
+ *   *       matches any sequence of characters, including "/"
+ *   :param  matches exactly one path segment
+ *
+ * RegExp instances are returned unchanged.
+ * @private
+ * @param {string|RegExp} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const source = String(pattern)
+    .split(/(\*|:[A-Za-z0-9_]+)/)
+    .map(part => {
+      if (part === '*')        return '.*';
+      if (/^:\w+$/.test(part)) return '[^/]+';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validates and normalises the `policies` option.
+ *
+ * Each policy scopes its own request budget to the requests it matches; values
+ * it leaves out fall back to the global maxRequests / timeWindow / scanThreshold
+ * / algorithm. A policy keyGenerator replaces the global one for its budget.
+ *
+ * @param {Object[]} [policies]
+ * @param {{ maxRequests: number, timeWindow: number, scanThreshold: number, algorithm: string }} defaults
+ * @returns {Object[]} Compiled policies, in declaration order
+ * @throws {Error} On a missing path, duplicate name, unknown algorithm or invalid keyGenerator
+ */
+function compilePolicies(policies = [], defaults) {
+  const names = new Set();
+  return policies.map((policy, index) => {
+    if (!policy || policy.path === undefined) {
+      throw new Error(`policies[${index}] requires a path`);
+    }
+
+    const methods = policy.method && policy.method !== '*'
+      ? new Set([].concat(policy.method).map(m => m.toUpperCase()))
+      : null;
+    const name = policy.name || `${methods ? [...methods].join(',') : '*'} ${policy.path}`;
+    if (names.has(name)) {
+      throw new Error(`Duplicate policy name: ${name}`);
+    }
+    names.add(name);
+    if (policy.algorithm) assertAlgorithm(policy.algorithm, `policies[${index}].algorithm`);
+    if (policy.keyGenerator && typeof policy.keyGenerator !== 'function') {
+      throw new Error(`policies[${index}].keyGenerator must be a function`);
+    }
+
+    return {
+      name,
+      methods,
+      regex:         patternToRegExp(policy.path),
+      maxRequests:   policy.maxRequests   || defaults.maxRequests,
+      timeWindow:    policy.timeWindow    || defaults.timeWindow,
+      scanThreshold: policy.scanThreshold || defaults.scanThreshold,
+      algorithm:     policy.algorithm     || defaults.algorithm,
+      keyGenerator:  policy.keyGenerator  || null,
+    };
+  });
+}
+
+/**
+ * Returns the first policy matching the request method and path, or null.
+ * @param {Object[]} policies - Output of compilePolicies
+ * @param {string} method
+ * @param {string} path
+ * @returns {Object|null}
+ */
+function matchPolicy(policies, method, path) {
+  for (const policy of policies) {
+    if (policy.methods && !policy.methods.has(method)) continue;
+    if (policy.regex.test(path)) return policy;
+  }
+  return null;
+}
+
+module.exports = { compilePolicies, matchPolicy, patternToRegExp };
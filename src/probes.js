@@ -0,0 +1,84 @@
+const { patternToRegExp } = require('./policies');
+
+/**
+ * Paths requested by vulnerability scanners and bots, never by a Node API's own
+ * clients. Patterns use the policy syntax and are matched case-insensitively.
+ */
+const PROBE_SIGNATURES = [
+  // Secrets and VCS metadata
+  '/.env', '/.env.*', '*/.env',
+  '/.git/*', '/.svn/*', '/.hg/*',
+  '/.aws/*', '/.ssh/*', '/.htaccess', '/.htpasswd', '/.ds_store',
+  '*.sql', '*.bak',
+  // WordPress and PHP admin panels
+  '/wp-admin', '/wp-admin/*', '/wp-login.php', '/wp-content/*', '/wp-includes/*', '/xmlrpc.php',
+  '/phpmyadmin', '/phpmyadmin/*', '/pma/*', '/myadmin/*',
+  '/vendor/phpunit/*',
+  // Server-side script extensions an Express app does not serve
+  '*.php', '*.asp', '*.aspx', '*.jsp', '*.cgi', '/cgi-bin/*',
+  // Server and device management endpoints
+  '/server-status', '/hnap1', '/boaform/*', '/solr/*', '/actuator/*', '/manager/html',
+];
+
+/**
+ * Validates and normalises the `probes` option.
+ * @param {boolean|Object} [probes] - true for the bundled signatures, or:
+ *   signatures (false to drop the bundled list), paths (extra signatures),
+ *   exclude (bundled patterns to drop), honeypots (decoy routes)
+ * @returns {Object|null} Compiled config, or null when disabled
+ * @throws {Error} When exclude names a pattern that is not bundled
+ */
+function compileProbes(probes) {
+  if (!probes) return null;
+  const { signatures = true, paths = [], exclude = [], honeypots = [] } = probes === true ? {} : probes;
+
+  for (const pattern of exclude) {
+    if (!PROBE_SIGNATURES.includes(pattern)) {
+      throw new Error(`probes.exclude: ${pattern} is not a bundled signature`);
+    }
+  }
+
+  const compile = pattern => ({
+    pattern: String(pattern),
+    regex:   pattern instanceof RegExp ? pattern : patternToRegExp(String(pattern).toLowerCase()),
+  });
+  const bundled = signatures ? PROBE_SIGNATURES.filter(p => !exclude.includes(p)) : [];
+
+  return {
+    signatures: [...bundled, ...paths].map(compile),
+    honeypots:  honeypots.map(compile),
+  };
+}
+
+/**
+ * Decodes and lower-cases a path for matching; malformed encoding is kept as is.
+ * @private
+ */
+function normalisePath(path) {
+  try {
+    return decodeURIComponent(path).toLowerCase();
+  } catch {
+    return path.toLowerCase();
+  }
+}
+
+/**
+ * Returns a finding when the path is a honeypot or a known probe, else null.
+ * Honeypots are checked first so a decoy that also matches a signature is
+ * reported as a honeypot.
+ * @param {Object} config - Output of compileProbes
+ * @param {string} path
+ * @returns {{ attackType: string, rule: string, location: 'path' }|null}
+ */
+function matchProbe(config, path) {
+  const normalised = normalisePath(path);
+  const lists = [['Honeypot Triggered', config.honeypots], ['Scanner Probe', config.signatures]];
+
+  for (const [attackType, entries] of lists) {
+    const hit = entries.find(({ regex }) => regex.test(normalised));
+    if (hit) return { attackType, rule: hit.pattern, location: 'path' };
+  }
+  return null;
+}
+
+module.exports = { PROBE_SIGNATURES, compileProbes, matchProbe };
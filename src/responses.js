@@ -0,0 +1,104 @@
+/**
+ * Built-in renderers for blocked responses, chosen from the Accept header.
+ * JSON stays the default so API clients see the same body as before.
+ * Renderers return strings so every framework adapter can send them.
+ */
+
+const STATUS_TITLES = {
+  403: 'Forbidden',
+  429: 'Too Many Requests',
+};
+
+const RENDERERS = {
+  'application/json': info => JSON.stringify(info),
+
+  // RFC 7807: the block fields are extension members next to the standard ones
+  'application/problem+json': (info, status) => JSON.stringify({
+    type:   'about:blank',
+    title:  STATUS_TITLES[status] || 'Blocked',
+    status,
+    detail: info.error,
+    ...info,
+  }),
+
+  'text/plain': info => describe(info).map(([label, value]) => `${label}: ${value}`).join('\n') + '\n',
+
+  'text/html': (info, status) => {
+    const title = `${status} ${STATUS_TITLES[status] || 'Blocked'}`;
+    const rows  = describe(info)
+      .map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`)
+      .join('');
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head>` +
+      `<body><h1>${title}</h1><dl>${rows}</dl></body></html>`;
+  },
+};
+
+const TYPES = Object.keys(RENDERERS);
+
+/**
+ * Label / value pairs of a block info for the text and HTML renderers.
+ * @private
+ */
+function describe(info) {
+  return [
+    ['Error',         info.error],
+    ['Reason',        info.reason],
+    ['Blocked for',   info.blockedFor],
+    ['Blocked until', info.blockedUntil],
+  ].filter(([, value]) => value !== undefined && value !== null);
+}
+
+/**
+ * Escapes text for an HTML element body.
+ * @private
+ */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Picks the supported media type the Accept header prefers. Ties keep the
+ * order of TYPES, so a missing header or a bare wildcard gets JSON.
+ * @param {string} [accept] - Accept header value
+ * @returns {string} One of TYPES
+ */
+function negotiate(accept) {
+  if (!accept) return TYPES[0];
+
+  const ranges = accept.split(',').map((part) => {
+    const [range, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    return { range: range.trim(), q: q ? Number(q.slice(2)) : 1 };
+  });
+  const quality = (type) => {
+    const [major] = type.split('/');
+    // Exact matches take precedence over wildcards, whatever their order
+    const match = ranges.find(r => r.range === type) ||
+      ranges.find(r => r.range === `${major}/*`) ||
+      ranges.find(r => r.range === '*/*');
+    return match && !Number.isNaN(match.q) ? match.q : 0;
+  };
+
+  let best = TYPES[0];
+  let bestQ = 0;
+  for (const type of TYPES) {
+    const q = quality(type);
+    if (q > bestQ) [best, bestQ] = [type, q];
+  }
+  return best;
+}
+
+/**
+ * Renders a block info in the format the client asked for. Framework
+ * adapters write the result with their own response API.
+ * @param {string} [accept] - Accept header value
+ * @param {Object} info     - Body from getBlockInfo, possibly without its reason
+ * @param {number} status
+ * @returns {{ contentType: string, body: string }} contentType without charset
+ */
+function renderBlocked(accept, info, status) {
+  const contentType = negotiate(accept);
+  return { contentType, body: RENDERERS[contentType](info, status) };
+}
+
+module.exports = { negotiate, renderBlocked };
@@ -0,0 +1,55 @@
+const { patternToRegExp } = require('./policies');
+
+const DEFAULTS = {
+  missStatusCodes: [404, 405],
+  minMisses:       10,
+  missRatio:       0.5,
+  knownRoutes:     null,
+  uniquePaths:     false,
+};
+
+/**
+ * Validates and normalises the `scanDetection` option.
+ *
+ * Scanning is judged by probing: an IP is flagged once it has at least
+ * `minMisses` missed requests in the window and misses make up at least
+ * `missRatio` of its requests. A miss is a response with one of
+ * `missStatusCodes` or, when `knownRoutes` is given, any request to a path
+ * matching none of them (misses on known routes, like /users/999, are ignored).
+ *
+ * @param {Object} [scanDetection]
+ * @param {number} defaultWindow - Global timeWindow in seconds
+ * @returns {Object|null} Compiled config, or null when the option is absent
+ * @throws {Error} On a ratio outside (0, 1] or a non-positive minMisses
+ */
+function compileScanDetection(scanDetection, defaultWindow) {
+  if (!scanDetection) return null;
+  const config = { timeWindow: defaultWindow, ...DEFAULTS, ...(scanDetection === true ? {} : scanDetection) };
+
+  if (!(config.missRatio > 0 && config.missRatio <= 1)) {
+    throw new Error('scanDetection.missRatio must be greater than 0 and at most 1');
+  }
+  if (!(config.minMisses >= 1)) {
+    throw new Error('scanDetection.minMisses must be at least 1');
+  }
+
+  return {
+    ...config,
+    missStatusCodes: new Set(config.missStatusCodes),
+    knownRoutes:     config.knownRoutes ? [].concat(config.knownRoutes).map(patternToRegExp) : null,
+  };
+}
+
+/**
+ * True when the request probed a resource that does not exist.
+ * @param {Object} config - Output of compileScanDetection
+ * @param {string} route
+ * @param {number} statusCode
+ * @returns {boolean}
+ */
+function isMiss(config, route, statusCode) {
+  if (config.knownRoutes) return !config.knownRoutes.some(re => re.test(route));
+  return config.missStatusCodes.has(statusCode);
+}
+
+module.exports = { compileScanDetection, isMiss };
@@ -0,0 +1,385 @@
+const fs       = require('fs');
+const fsp      = require('fs/promises');
+const path     = require('path');
+const readline = require('readline');
+const zlib     = require('zlib');
+const { pipeline } = require('stream/promises');
+const { SILENT } = require('../logger');
+
+const ROTATION_DEFAULTS = {
+  maxSize:  10 * 1024 * 1024, // bytes
+  maxAge:   null,             // seconds
+  maxFiles: 10,
+  compress: false,
+};
+
+/**
+ * Validates the `rotation` option: true for the defaults, or an object
+ * overriding them. Returns null when rotation is off.
+ * @private
+ * @throws {Error} On a non-positive maxSize, maxAge or maxFiles
+ */
+function compileRotation(rotation) {
+  if (!rotation) return null;
+  const config = { ...ROTATION_DEFAULTS, ...(rotation === true ? {} : rotation) };
+  for (const name of ['maxSize', 'maxAge', 'maxFiles']) {
+    const value = config[name];
+    if (value !== null && !(Number.isFinite(value) && value > 0)) {
+      throw new Error(`blockLogRotation.${name} must be a positive number`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Parses NDJSON content, skipping blank and malformed lines.
+ * @private
+ */
+function parseLines(content) {
+  return content.split('\n').filter(Boolean).flatMap((line) => {
+    try { return [JSON.parse(line)]; } catch { return []; }
+  });
+}
+
+/**
+ * Bytes taken by the snapshot lines at the start of a file's content.
+ * @private
+ */
+function snapshotBytes(content) {
+  let bytes = 0;
+  for (const line of content.split('\n')) {
+    let entry;
+    try { entry = JSON.parse(line); } catch { break; }
+    if (!entry || !entry.snapshot) break;
+    bytes += Buffer.byteLength(line) + 1;
+  }
+  return bytes;
+}
+
+/**
+ * Replays block log entries into the state they leave behind: blocks still
+ * active at `now` and offence timestamps within the lookback.
+ *
+ * Automatic blocks count as offences; manual blocks (with an actor) do not.
+ * Snapshot entries written by compaction restore a block or an offence
+ * without counting twice.
+ *
+ * @param {Object[]} entries - In log order
+ * @param {{ now: number, lookback: number }} opts - lookback in seconds
+ * @returns {{ blocks: Map<string, Object>, offences: Map<string, number[]> }}
+ */
+function replay(entries, { now, lookback }) {
+  const blocks   = new Map();
+  const offences = new Map();
+  const offence  = (ip, at) => {
+    if (!isNaN(at)) offences.set(ip, [...(offences.get(ip) || []), at]);
+  };
+
+  for (const entry of entries) {
+    if (entry.action === 'block') {
+      const expiresAt = entry.permanent ? Infinity : entry.expiresAt;
+      if (expiresAt > now) {
+        blocks.set(entry.ip, { expiresAt, reason: entry.reason, route: entry.route || null });
+      }
+      if (!entry.snapshot && !entry.actor) offence(entry.ip, Date.parse(entry.timestamp));
+    } else if (entry.action === 'offence') {
+      offence(entry.ip, Date.parse(entry.at));
+    } else if (entry.action === 'unblock') {
+      blocks.delete(entry.ip);
+    }
+  }
+
+  const since = now - lookback * 1000;
+  for (const [ip, times] of offences) {
+    const recent = times.filter(t => t > since);
+    if (recent.length === 0) offences.delete(ip);
+    else offences.set(ip, recent);
+  }
+  return { blocks, offences };
+}
+
+/**
+ * The smallest log that replays to the same state: one snapshot line per
+ * active block and per offence still within the lookback.
+ * @private
+ */
+function snapshotLines({ blocks, offences }, timestamp) {
+  const lines = [];
+  for (const [ip, { expiresAt, reason, route }] of blocks) {
+    const permanent = expiresAt === Infinity;
+    lines.push({
+      timestamp,
+      ip,
+      reason,
+      route,
+      expiresAt: permanent ? null : expiresAt,
+      ...(permanent && { permanent: true }),
+      action:    'block',
+      snapshot:  true,
+    });
+  }
+  for (const [ip, times] of offences) {
+    for (const at of times) {
+      lines.push({ timestamp, ip, action: 'offence', at: new Date(at).toISOString(), snapshot: true });
+    }
+  }
+  return lines.map(line => JSON.stringify(line) + '\n').join('');
+}
+
+/**
+ * The NDJSON block log behind LocalStorage.
+ *
+ * Writes are queued so lines land in order and never straddle a rotation.
+ * With rotation on, the active file is renamed to `<path>.<unix ms>` (gzipped
+ * to `.gz` with `compress`) once more than maxSize bytes were appended after
+ * its snapshot, or it is older than maxAge, and the new active file starts
+ * with a compacted snapshot of the state the old one replays to. The
+ * snapshot does not count towards maxSize, so a large state alone never
+ * triggers another rotation. Startup therefore only reads the active file, and only the
+ * newest maxFiles segments are kept. Queries stream the active file and the
+ * segments newest first instead of loading them into memory.
+ *
+ * @class BlockLog
+ */
+class BlockLog {
+  /**
+   * @param {string} filePath
+   * @param {Object} [opts]
+   * @param {boolean|Object} [opts.rotation] - See ROTATION_DEFAULTS; off by default
+   * @param {number} [opts.lookback=86400]   - Offence lookback in seconds, kept by compaction
+   * @param {Object} [opts.logger]
+   */
+  constructor(filePath, { rotation, lookback = 86_400, logger = SILENT } = {}) {
+    this.path         = filePath;
+    this.rotation     = compileRotation(rotation);
+    this.lookback     = lookback;
+    this.logger       = logger;
+    this.size         = 0;
+    this.snapshotSize = 0; // bytes of the snapshot the active file starts with
+    this.startedAt    = Date.now();
+    this._writes      = Promise.resolve();
+    this._pending     = new Set(); // compressions in progress
+  }
+
+  /**
+   * Reads the active file and returns the state it replays to. Rotates it
+   * first when it is already over the limits, e.g. a log that grew before
+   * rotation was turned on.
+   * @returns {{ blocks: Map, offences: Map }}
+   */
+  load() {
+    const now = Date.now();
+    this._recover();
+    if (!fs.existsSync(this.path)) return replay([], { now, lookback: this.lookback });
+
+    const content = fs.readFileSync(this.path, 'utf8');
+    const entries = parseLines(content);
+    const state   = replay(entries, { now, lookback: this.lookback });
+
+    this.size         = Buffer.byteLength(content);
+    this.snapshotSize = snapshotBytes(content);
+    this.startedAt    = (entries[0] && Date.parse(entries[0].timestamp)) || now;
+    if (this._shouldRotate(now)) this._rotate(state, now);
+    return state;
+  }
+
+  /**
+   * Finishes a rotation interrupted between its two renames.
+   * @private
+   */
+  _recover() {
+    const tmp = `${this.path}.tmp`;
+    if (fs.existsSync(tmp) && !fs.existsSync(this.path)) fs.renameSync(tmp, this.path);
+  }
+
+  /**
+   * Queues one entry for the active file, rotating first when it is full.
+   * @param {Object} entry
+   */
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    this._writes = this._writes
+      .then(async () => {
+        if (this._shouldRotate(Date.now())) await this._rotateActive();
+        await fsp.appendFile(this.path, line);
+        this.size += Buffer.byteLength(line);
+      })
+      .catch(err => this.logger.error({ err, path: this.path }, 'Error writing to block log'));
+  }
+
+  /**
+   * True once the entries appended after the snapshot reach maxSize, or the
+   * active file is older than maxAge. Never true while it holds only the snapshot.
+   * @private
+   */
+  _shouldRotate(now) {
+    const { rotation } = this;
+    const appended = this.size - this.snapshotSize;
+    if (!rotation || appended <= 0) return false;
+    return appended >= rotation.maxSize ||
+      (rotation.maxAge !== null && now - this.startedAt >= rotation.maxAge * 1000);
+  }
+
+  /**
+   * Rotates the active file during normal operation. The snapshot is
+   * replayed from the file itself, so it holds exactly what a restart would
+   * restore.
+   * @private
+   */
+  async _rotateActive() {
+    const now   = Date.now();
+    const state = replay(parseLines(await fsp.readFile(this.path, 'utf8')), { now, lookback: this.lookback });
+    this._rotate(state, now);
+  }
+
+  /**
+   * Moves the active file to a segment and starts a new one with the
+   * snapshot. The snapshot is written first, so a crash never leaves the
+   * state without a file.
+   * @private
+   */
+  _rotate(state, now) {
+    const snapshot = snapshotLines(state, new Date(now).toISOString());
+    const tmp      = `${this.path}.tmp`;
+    let segment    = `${this.path}.${now}`;
+    for (let n = now + 1; fs.existsSync(segment) || fs.existsSync(`${segment}.gz`); n++) {
+      segment = `${this.path}.${n}`;
+    }
+
+    fs.writeFileSync(tmp, snapshot);
+    fs.renameSync(this.path, segment);
+    fs.renameSync(tmp, this.path);
+    this.size         = Buffer.byteLength(snapshot);
+    this.snapshotSize = this.size;
+    this.startedAt    = now;
+
+    if (this.rotation.compress) this._compress(segment);
+    this._prune();
+  }
+
+  /**
+   * Gzips a segment in the background and removes the original.
+   * @private
+   */
+  _compress(segment) {
+    const task = pipeline(fs.createReadStream(segment), zlib.createGzip(), fs.createWriteStream(`${segment}.gz`))
+      .then(() => fsp.unlink(segment))
+      .catch(err => this.logger.error({ err, path: segment }, 'Error compressing block log segment'))
+      .finally(() => this._pending.delete(task));
+    this._pending.add(task);
+  }
+
+  /**
+   * Deletes the oldest segments beyond maxFiles.
+   * @private
+   */
+  _prune() {
+    const segments = this._segmentsSync();
+    for (const file of segments.slice(this.rotation.maxFiles)) {
+      try {
+        fs.unlinkSync(file);
+      } catch (err) {
+        this.logger.error({ err, path: file }, 'Error removing block log segment');
+      }
+    }
+  }
+
+  /**
+   * Rotated segments, newest first. A segment being compressed is listed
+   * once, as its uncompressed original.
+   * @private
+   * @returns {string[]} Absolute paths
+   */
+  _segmentsSync() {
+    const dir  = path.dirname(this.path);
+    const base = path.basename(this.path);
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch {
+      return [];
+    }
+
+    const byStamp = new Map();
+    for (const name of names) {
+      const match = name.startsWith(`${base}.`) && /^(\d+)(\.gz)?$/.exec(name.slice(base.length + 1));
+      if (!match) continue;
+      // Prefer the plain file while its .gz is still being written
+      if (!byStamp.has(match[1]) || !match[2]) byStamp.set(match[1], path.join(dir, name));
+    }
+    return [...byStamp.entries()]
+      .sort(([a], [b]) => Number(b) - Number(a))
+      .map(([, file]) => file);
+  }
+
+  /**
+   * Streams the entries of one file in log order.
+   * @private
+   */
+  async *_read(file) {
+    if (!fs.existsSync(file)) return;
+    let input = fs.createReadStream(file);
+    if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        try {
+          yield JSON.parse(line);
+        } catch {
+          // Skip malformed lines silently
+        }
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err; // pruned or compressed while listed
+    }
+  }
+
+  /**
+   * Returns the newest `limit` entries matching the predicate, newest first,
+   * holding at most `limit` entries in memory. Snapshot entries are skipped.
+   * @param {Function} predicate
+   * @param {number} limit
+   * @returns {Promise<Object[]>}
+   */
+  async recent(predicate, limit) {
+    await this._writes;
+    const results = [];
+    for (const file of [this.path, ...this._segmentsSync()]) {
+      const matches = [];
+      for await (const entry of this._read(file)) {
+        if (entry.snapshot || !predicate(entry)) continue;
+        matches.push(entry);
+        if (matches.length > limit - results.length) matches.shift();
+      }
+      results.push(...matches.reverse());
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+
+  /**
+   * Calls fn for every entry, oldest file first. Snapshot entries are skipped.
+   * @param {Function} fn
+   * @returns {Promise<void>}
+   */
+  async scan(fn) {
+    await this._writes;
+    for (const file of [...this._segmentsSync().reverse(), this.path]) {
+      for await (const entry of this._read(file)) {
+        if (!entry.snapshot) fn(entry);
+      }
+    }
+  }
+
+  /**
+   * Waits for queued writes and background compression.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this._writes;
+    await Promise.all([...this._pending]);
+  }
+}
+
+module.exports = { BlockLog, replay, ROTATION_DEFAULTS };
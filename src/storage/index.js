@@ -0,0 +1,90 @@
+const LocalStorage      = require('./local');
+const RedisMongoStorage = require('./redis-mongo');
+
+/**
+ * Storage adapter contract, split into three roles so adapters can be mixed
+ * (e.g. Redis for counters, a file or SQL database for blocks and logs).
+ * Every method may return a value or a Promise.
+ *
+ *   counters
+ *     trackRequest(key, route, { timeWindow, limit, algorithm }) → { requestCount, scanCount, resetAt? }
+ *     resetTracking(key, { timeWindow })
+ *
+ *   blocks
+ *     block(ip, { reason, route, expiresAt, offence?, actor? })
+ *     unblock(ip, { reason, actor? })          → boolean
+ *     getBlock(ip)                             → { reason, route, expiresAt } | null
+ *     listBlocks()                             → [{ ip, reason, route, expiresAt }]
+ *
+ *   logs
+ *     saveLog(entry)
+ *     queryLogs({ ip, attackType, startDate, endDate, limit, attacksOnly }) → LogEntry[]
+ *     getStats()                               → StatEntry[]
+ *
+ * Optional methods:
+ *   blocks.recordOffence(ip, { lookback })   → number of offences within lookback
+ *     (enables escalating block durations; without it every block is a first offence)
+ *   counters.trackedKeys()                    → number of keys with tracking state (metrics)
+ *   blocks.recordWouldBlock(ip, { reason, route, expiresAt, offence })
+ *     (records the blocks dry-run mode skips; without it they only reach the request log)
+ *   blocks.pageBlocks({ offset, limit, sort, order }) → { total, blocks }
+ *     (one sorted page of active blocks for getBlockedIPs; without it every
+ *     block is listed and paged in memory — see ./paging.js)
+ *   trackAndBlock({ subjects, subject, key, route, timeWindow, limit, algorithm, scanThreshold,
+ *                   reasons, blockPolicy, dryRun, resets })
+ *     → { blocked } | { requestCount, scanCount, resetAt, attack }
+ *     (block check, counting and blocking as one atomic step; used instead of
+ *     the separate calls when one adapter holds both the counters and blocks roles)
+ *   close()                                  → release timers or connections
+ *
+ * Optional fields:
+ *   trackRequest's `resetAt` (Unix ms the budget frees up); without it the
+ *   RateLimit-Reset header falls back to the full time window
+ *   `errors` — { <backend>: count } of connection / write errors (metrics)
+ *
+ * A block with `expiresAt: Infinity` is permanent.
+ */
+const ROLES = {
+  counters: ['trackRequest', 'resetTracking'],
+  blocks:   ['block', 'unblock', 'getBlock', 'listBlocks'],
+  logs:     ['saveLog', 'queryLogs', 'getStats'],
+};
+
+/**
+ * Throws if an adapter does not implement every method of a role.
+ * @private
+ */
+function assertRole(role, adapter) {
+  for (const method of ROLES[role]) {
+    if (!adapter || typeof adapter[method] !== 'function') {
+      throw new Error(`storage.${role} must implement ${method}()`);
+    }
+  }
+}
+
+/**
+ * Resolves the `storage` option into one adapter per role.
+ *
+ * `spec` may be a single adapter implementing every role, or an object with
+ * `counters`, `blocks` and/or `logs` adapters. Missing roles are filled by the
+ * adapter returned from `createDefault`, which is only called when needed.
+ *
+ * @param {Object|undefined} spec
+ * @param {Function} createDefault - Returns the default adapter for this monitor
+ * @returns {{ counters: Object, blocks: Object, logs: Object }}
+ */
+function resolveStorage(spec, createDefault) {
+  const isComposite = spec && Object.keys(ROLES).some(role => role in spec);
+  let fallback;
+  const getDefault = () => (fallback = fallback || createDefault());
+
+  const resolved = {};
+  for (const role of Object.keys(ROLES)) {
+    const adapter = isComposite ? spec[role] : spec;
+    resolved[role] = adapter || getDefault();
+    assertRole(role, resolved[role]);
+  }
+  return resolved;
+}
+
+module.exports = { LocalStorage, RedisMongoStorage, resolveStorage, ROLES };
@@ -0,0 +1,489 @@
+const { windowIndex, slidingEstimate, takeToken, resetTime } = require('../algorithms');
+const { keyTypeOf } = require('../keys');
+const { SILENT } = require('../logger');
+const { BlockLog } = require('./block-log');
+
+/**
+ * True for block log lines that record an attack, applied or dry-run.
+ * @private
+ */
+function isAttackEntry(entry) {
+  return entry.action === 'block' || entry.action === 'would-block';
+}
+
+/**
+ * Builds the queryLogs filter.
+ * @private
+ */
+function logFilter({ ip, attackType, startDate, endDate }) {
+  const start = startDate ? new Date(startDate) : null;
+  const end   = endDate   ? new Date(endDate)   : null;
+  return entry => isAttackEntry(entry) &&
+    (!ip         || entry.ip === ip) &&
+    (!attackType || entry.reason === attackType) &&
+    (!start      || new Date(entry.timestamp) >= start) &&
+    (!end        || new Date(entry.timestamp) <= end);
+}
+
+/**
+ * In-memory storage adapter with optional NDJSON block persistence.
+ *
+ * This is the default adapter when `saveRecords` is false. Request tracking and
+ * active blocks live in process memory; block/unblock events are appended to
+ * `blockLogPath` (when set) and that file — with its rotated segments, see
+ * block-log.js — doubles as the log source for queryLogs and getStats.
+ *
+ * @class LocalStorage
+ */
+class LocalStorage {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeWindow=60]            - Default tracking window in seconds
+   * @param {number} [options.cleanupInterval=60000]    - Cleanup interval in ms
+   * @param {string} [options.blockLogPath]             - Path for the NDJSON block log file
+   * @param {boolean|Object} [options.blockLogRotation] - Rotate the block log by size / age, see block-log.js
+   * @param {number} [options.offenceLookback=86400]    - How long (s) offences count toward escalation
+   * @param {Object} [options.logger]                   - Logger from src/logger.js; silent by default
+   */
+  constructor(options = {}) {
+    this.timeWindow      = options.timeWindow      || 60;
+    this.offenceLookback = options.offenceLookback || 86_400;
+    this.logger          = options.logger          || SILENT;
+
+    // In-memory tracking structures
+    this.requestCounts = new Map(); // key → number[]  (request timestamps, sliding-log)
+    this.rateState     = new Map(); // key → counter / bucket state (other algorithms)
+    this.routeScans    = new Map(); // key → Set<route> (within current window)
+    this.blockedIPs    = new Map(); // ip  → { expiresAt, reason, route }
+    this.offences      = new Map(); // ip  → number[]  (block timestamps within lookback)
+    this.keyWindows    = new Map(); // key → window in seconds, when not the default
+
+    // Optional NDJSON block log — restore non-expired blocks from a previous run
+    this.blockLogPath = options.blockLogPath || null;
+    this.blockLog     = this.blockLogPath
+      ? new BlockLog(this.blockLogPath, {
+        rotation: options.blockLogRotation,
+        lookback: this.offenceLookback,
+        logger:   this.logger,
+      })
+      : null;
+    if (this.blockLog) {
+      this._loadBlockLog();
+    }
+
+    // Periodic cleanup — evicts stale data so Maps don't grow unbounded
+    const cleanupInterval = options.cleanupInterval ?? 60_000;
+    this._startCleanupTimer(cleanupInterval);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internal helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Starts the periodic cleanup timer.
+   * Uses unref() so the timer never prevents the process from exiting.
+   * @private
+   */
+  _startCleanupTimer(intervalMs) {
+    const timer = setInterval(() => {
+      const now = Date.now();
+
+      // Evict expired blocked IPs
+      for (const [ip, info] of this.blockedIPs) {
+        if (now >= info.expiresAt) {
+          this._expire(ip);
+        }
+      }
+
+      // Forget offences that fell out of the lookback window
+      for (const ip of this.offences.keys()) {
+        this._pruneOffences(ip, now);
+      }
+
+      // Evict stale tracking entries (keys with no activity in current window)
+      for (const [key, timestamps] of this.requestCounts) {
+        const windowStart = now - ((this.keyWindows.get(key) || this.timeWindow) * 1000);
+        const active      = timestamps.filter(t => t > windowStart);
+        if (active.length === 0) {
+          this.resetTracking(key);
+        } else {
+          this.requestCounts.set(key, active);
+        }
+      }
+      for (const [key, state] of this.rateState) {
+        if (now >= state.expiresAt) this.resetTracking(key);
+      }
+    }, intervalMs);
+
+    // Don't keep the process alive just for cleanup
+    if (timer.unref) timer.unref();
+    this._cleanupTimer = timer;
+  }
+
+  /**
+   * Drops an expired block and records the unblock event.
+   * @private
+   */
+  _expire(ip) {
+    this.blockedIPs.delete(ip);
+    this._appendBlockLog({
+      timestamp: new Date().toISOString(),
+      ip,
+      action:    'unblock',
+      reason:    'ttl_expired',
+    });
+  }
+
+  /**
+   * Drops offence timestamps older than the lookback window.
+   * @private
+   * @returns {number[]} Remaining timestamps
+   */
+  _pruneOffences(ip, now = Date.now(), lookback = this.offenceLookback) {
+    const since  = now - lookback * 1000;
+    const recent = (this.offences.get(ip) || []).filter(t => t > since);
+    if (recent.length === 0) this.offences.delete(ip);
+    else this.offences.set(ip, recent);
+    return recent;
+  }
+
+  /**
+   * Appends one JSON line to the block log file (NDJSON format).
+   * Each line is a self-contained JSON object — compatible with jq, grep,
+   * tail -f, fail2ban, Filebeat, Logstash, and most SIEM tools.
+   * @private
+   */
+  _appendBlockLog(entry) {
+    if (this.blockLog) this.blockLog.append(entry);
+  }
+
+  /**
+   * Reads the NDJSON block log on startup and restores non-expired blocks
+   * into blockedIPs and recent offences into the offence history, so state
+   * survives process restarts. Permanent blocks are stored with
+   * `"expiresAt": null, "permanent": true`.
+   * @private
+   */
+  _loadBlockLog() {
+    try {
+      const { blocks, offences } = this.blockLog.load();
+      for (const [ip, block] of blocks) this.blockedIPs.set(ip, block);
+      for (const [ip, times] of offences) this.offences.set(ip, times);
+    } catch (err) {
+      this.logger.error({ err, path: this.blockLogPath }, 'Error loading block log');
+    }
+  }
+
+  /**
+   * Converts an NDJSON block entry to the common log-entry shape.
+   * Fields only available in advanced mode are set to null.
+   * @private
+   */
+  _toLogShape(entry) {
+    return {
+      ip:           entry.ip,
+      method:       null,
+      route:        entry.route || null,
+      timestamp:    entry.timestamp,
+      responseTime: null,
+      statusCode:   null,
+      userAgent:    null,
+      attackType:   isAttackEntry(entry) ? entry.reason : null,
+      keyType:      keyTypeOf(entry.ip),
+      ...(entry.action === 'would-block' && { wouldBlock: true }),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Counters
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Records a request and returns the counts for the current window.
+   * Both request counts and route scans are bounded to the time window,
+   * preventing unbounded Set growth for long-lived keys.
+   * @param {string} key   - Tracking key (client IP by default)
+   * @param {string} route - Request path (without query string)
+   * @param {Object} [opts]
+   * @param {number} [opts.timeWindow]             - Window in seconds, defaults to the adapter's
+   * @param {number} [opts.limit]                  - Request limit (bounds the log, sizes the bucket)
+   * @param {string} [opts.algorithm='sliding-log'] - See src/algorithms.js
+   * @returns {{ requestCount: number, scanCount: number, resetAt: number }} resetAt in Unix ms
+   */
+  trackRequest(key, route, { timeWindow = this.timeWindow, limit, algorithm = 'sliding-log' } = {}) {
+    if (algorithm !== 'sliding-log') {
+      return this._trackCounter(key, route, { timeWindow, limit, algorithm });
+    }
+
+    const now         = Date.now();
+    const windowStart = now - (timeWindow * 1000);
+
+    // Slide the request-count window
+    const requests = (this.requestCounts.get(key) || []).filter(t => t > windowStart);
+
+    // If no requests exist in the current window the window has fully expired —
+    // reset route tracking so old routes don't count toward the new window.
+    if (requests.length === 0 || !this.routeScans.has(key)) {
+      this.routeScans.set(key, new Set());
+    }
+
+    requests.push(now);
+    // Only the newest limit + 1 timestamps can change the outcome
+    if (limit && requests.length > limit + 1) requests.splice(0, requests.length - limit - 1);
+    this.requestCounts.set(key, requests);
+    if (timeWindow !== this.timeWindow) this.keyWindows.set(key, timeWindow);
+    this.routeScans.get(key).add(route);
+
+    return {
+      requestCount: requests.length,
+      scanCount:    this.routeScans.get(key).size,
+      resetAt:      resetTime(algorithm, { now, windowMs: timeWindow * 1000, oldest: requests[0] }),
+    };
+  }
+
+  /**
+   * Constant-memory algorithms (fixed-window, sliding-window, token-bucket).
+   * Route scans reset after a full window without requests, like in Redis.
+   * @private
+   */
+  _trackCounter(key, route, { timeWindow, limit, algorithm }) {
+    const now      = Date.now();
+    const windowMs = timeWindow * 1000;
+    const idx      = windowIndex(now, windowMs);
+    const state    = this.rateState.get(key) || { idx, count: 0, previous: 0, lastSeen: 0 };
+
+    if (now - state.lastSeen >= windowMs || !this.routeScans.has(key)) {
+      this.routeScans.set(key, new Set());
+    }
+
+    let requestCount;
+    if (algorithm === 'token-bucket') {
+      const result    = takeToken(state.bucket, limit, now, windowMs);
+      state.bucket    = result.bucket;
+      requestCount    = result.requestCount;
+      state.expiresAt = now + windowMs; // a bucket idle for a full window is full again
+    } else {
+      if (state.idx !== idx) {
+        state.previous = state.idx === idx - 1 ? state.count : 0;
+        state.count    = 0;
+        state.idx      = idx;
+      }
+      state.count += 1;
+      requestCount = algorithm === 'sliding-window'
+        ? slidingEstimate(state.previous, state.count, now, windowMs)
+        : state.count;
+      state.expiresAt = Math.max(now + windowMs, (idx + (algorithm === 'sliding-window' ? 2 : 1)) * windowMs);
+    }
+
+    state.lastSeen = now;
+    this.rateState.set(key, state);
+    this.routeScans.get(key).add(route);
+
+    return {
+      requestCount,
+      scanCount: this.routeScans.get(key).size,
+      resetAt:   resetTime(algorithm, { now, windowMs, limit, requestCount }),
+    };
+  }
+
+  /**
+   * Number of keys with tracking state, for the tracked-keys metric.
+   * @returns {number}
+   */
+  trackedKeys() {
+    let count = this.requestCounts.size;
+    for (const key of this.rateState.keys()) {
+      if (!this.requestCounts.has(key)) count += 1;
+    }
+    return count;
+  }
+
+  /**
+   * Clears tracking for a key so it starts fresh after a block expires.
+   * @param {string} key
+   */
+  resetTracking(key) {
+    this.requestCounts.delete(key);
+    this.rateState.delete(key);
+    this.routeScans.delete(key);
+    this.keyWindows.delete(key);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Blocks
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Stores a block and appends it to the block log.
+   * An `expiresAt` of Infinity is a permanent block.
+   * @param {string} ip
+   * @param {{ reason: string, route?: string|null, expiresAt: number, offence?: number, actor?: string }} block
+   */
+  block(ip, { reason, route = null, expiresAt, offence, actor }) {
+    const permanent = expiresAt === Infinity;
+    this.blockedIPs.set(ip, { expiresAt, reason, route });
+    this._appendBlockLog({
+      timestamp: new Date().toISOString(),
+      ip,
+      reason,
+      route,
+      expiresAt: permanent ? null : expiresAt,
+      ...(permanent && { permanent: true }),
+      ...(offence !== undefined && { offence }),
+      ...(actor && { actor }),
+      action:    'block',
+    });
+  }
+
+  /**
+   * Appends a block the monitor would have applied in dry-run mode to the
+   * block log as `"action": "would-block"`. Nothing is stored in memory, so the
+   * IP is never rejected and the entry is not restored on startup.
+   * @param {string} ip
+   * @param {{ reason: string, route?: string|null, expiresAt: number, offence?: number }} block
+   */
+  recordWouldBlock(ip, { reason, route = null, expiresAt, offence }) {
+    const permanent = expiresAt === Infinity;
+    this._appendBlockLog({
+      timestamp: new Date().toISOString(),
+      ip,
+      reason,
+      route,
+      expiresAt: permanent ? null : expiresAt,
+      ...(permanent && { permanent: true }),
+      ...(offence !== undefined && { offence }),
+      action:    'would-block',
+    });
+  }
+
+  /**
+   * Removes a block.
+   * @param {string} ip
+   * @param {{ reason?: string, actor?: string }} [opts]
+   * @returns {boolean} true if a block was removed
+   */
+  unblock(ip, { reason = 'manual', actor } = {}) {
+    if (!this.blockedIPs.delete(ip)) return false;
+    this._appendBlockLog({
+      timestamp: new Date().toISOString(),
+      ip,
+      action:    'unblock',
+      reason,
+      ...(actor && { actor }),
+    });
+    return true;
+  }
+
+  /**
+   * Returns the active block for an IP, lazily evicting it (and logging the
+   * unblock event) once it has expired.
+   * @param {string} ip
+   * @returns {{ reason: string, route: string|null, expiresAt: number }|null}
+   */
+  getBlock(ip) {
+    const info = this.blockedIPs.get(ip);
+    if (!info) return null;
+
+    if (Date.now() >= info.expiresAt) {
+      this._expire(ip);
+      return null;
+    }
+
+    return { reason: info.reason, route: info.route || null, expiresAt: info.expiresAt };
+  }
+
+  /**
+   * Records an offence and returns how many offences the IP has committed
+   * within the lookback window, including this one.
+   * @param {string} ip
+   * @param {{ lookback?: number }} [opts] - Lookback in seconds
+   * @returns {number}
+   */
+  recordOffence(ip, { lookback = this.offenceLookback } = {}) {
+    const now    = Date.now();
+    const recent = this._pruneOffences(ip, now, lookback);
+    recent.push(now);
+    this.offences.set(ip, recent);
+    return recent.length;
+  }
+
+  /**
+   * Returns all non-expired blocks.
+   * @returns {Array<{ ip: string, reason: string, route: string|null, expiresAt: number }>}
+   */
+  listBlocks() {
+    const now    = Date.now();
+    const blocks = [];
+    for (const [ip, info] of this.blockedIPs) {
+      if (info.expiresAt > now) {
+        blocks.push({ ip, reason: info.reason, route: info.route || null, expiresAt: info.expiresAt });
+      }
+    }
+    return blocks;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Logs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Request logs are not stored individually in local mode — only block events
+   * reach the NDJSON log — so this is a no-op.
+   */
+  saveLog() {}
+
+  /**
+   * Returns block (and dry-run would-block) events from the NDJSON log in the
+   * common log-entry shape, most recent first. Every entry is an attack, so
+   * attacksOnly is implied. Rotated segments are streamed newest first until
+   * `limit` entries are found.
+   * @param {Object} [query]
+   * @returns {Promise<Object[]>}
+   */
+  async queryLogs({ ip, attackType, startDate, endDate, limit = 10 } = {}) {
+    if (!this.blockLog) return [];
+    const entries = await this.blockLog.recent(logFilter({ ip, attackType, startDate, endDate }), limit);
+    return entries.map(e => this._toLogShape(e));
+  }
+
+  /**
+   * Counts block and would-block events per IP across the NDJSON log and its
+   * segments. totalRequests and avgResponseTime are null — requests are not logged.
+   * @returns {Promise<Object[]>}
+   */
+  async getStats() {
+    const byIP = {};
+    if (this.blockLog) {
+      await this.blockLog.scan((entry) => {
+        if (!isAttackEntry(entry)) return;
+        if (!byIP[entry.ip]) {
+          byIP[entry.ip] = {
+            _id:             entry.ip,
+            totalRequests:   null,
+            avgResponseTime: null,
+            attackCount:     0,
+            routes:          [],
+          };
+        }
+        byIP[entry.ip].attackCount++;
+      });
+    }
+    return Object.values(byIP).sort((a, b) => b.attackCount - a.attackCount);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Stops the cleanup timer and waits for pending block log writes.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this._cleanupTimer);
+    if (this.blockLog) await this.blockLog.flush();
+  }
+}
+
+module.exports = LocalStorage;
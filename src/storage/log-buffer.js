@@ -0,0 +1,133 @@
+const { SILENT } = require('../logger');
+
+const DEFAULTS = {
+  batchSize:     100,    // entries per insert
+  flushInterval: 1000,   // ms
+  maxQueue:      10_000, // entries held while the database is unavailable
+};
+
+/**
+ * Validates the `logBuffer` option: true or undefined for the defaults, or
+ * an object overriding them. Returns null when buffering is off.
+ * @private
+ * @throws {Error} On a non-positive batchSize, flushInterval or maxQueue, or a maxQueue below batchSize
+ */
+function compileLogBuffer(logBuffer = true) {
+  if (!logBuffer) return null;
+  const config = { ...DEFAULTS, ...(logBuffer === true ? {} : logBuffer) };
+  for (const name of ['batchSize', 'flushInterval', 'maxQueue']) {
+    if (!(Number.isInteger(config[name]) && config[name] > 0)) {
+      throw new Error(`logBuffer.${name} must be a positive integer`);
+    }
+  }
+  if (config.maxQueue < config.batchSize) {
+    throw new Error('logBuffer.maxQueue must be at least logBuffer.batchSize');
+  }
+  return config;
+}
+
+/**
+ * Collects request logs in memory and writes them in batches, once
+ * `batchSize` entries are waiting or every `flushInterval` ms.
+ *
+ * While the database is unavailable (`isReady()` is false, or `write`
+ * throws) entries stay queued and are retried on the next flush. The queue
+ * holds at most `maxQueue` entries; past that the oldest are dropped and
+ * counted in `dropped`.
+ *
+ * @class LogBuffer
+ */
+class LogBuffer {
+  /**
+   * @param {Function} write - async (entries) => void; throwing keeps the batch for a retry
+   * @param {Object} config  - From compileLogBuffer
+   * @param {Object} [opts]
+   * @param {Function} [opts.isReady] - () => boolean; flushes wait while false
+   * @param {Function} [opts.onError] - (err) => void, called when a write fails
+   * @param {Object} [opts.logger]
+   */
+  constructor(write, config, { isReady = () => true, onError = () => {}, logger = SILENT } = {}) {
+    this.write     = write;
+    this.batchSize = config.batchSize;
+    this.maxQueue  = config.maxQueue;
+    this.isReady   = isReady;
+    this.onError   = onError;
+    this.logger    = logger;
+
+    this.queue        = [];
+    this.dropped      = 0;
+    this._overflowing = false;
+    this._flushing    = null;
+
+    // unref() so a pending flush never keeps the process alive
+    this._timer = setInterval(() => this.flush(), config.flushInterval);
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  /** Number of entries waiting to be written. */
+  get size() {
+    return this.queue.length;
+  }
+
+  /**
+   * Queues an entry, flushing once a full batch is waiting.
+   * @param {Object} entry
+   */
+  push(entry) {
+    this.queue.push(entry);
+    this._trim();
+    if (this.queue.length >= this.batchSize) this.flush();
+  }
+
+  /**
+   * Writes queued entries batch by batch until the queue is empty, the
+   * database is unavailable or a write fails. Concurrent calls share one run.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this._flushing) {
+      this._flushing = this._drain().finally(() => { this._flushing = null; });
+    }
+    return this._flushing;
+  }
+
+  /** @private */
+  async _drain() {
+    while (this.queue.length > 0 && this.isReady()) {
+      const batch = this.queue.splice(0, this.batchSize);
+      try {
+        await this.write(batch);
+        this._overflowing = false;
+      } catch (err) {
+        // Entries pushed during the write are newer, so the batch goes back in front
+        this.queue.unshift(...batch);
+        this._trim();
+        this.onError(err);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Drops the oldest entries past maxQueue, warning once per overflow.
+   * @private
+   */
+  _trim() {
+    const excess = this.queue.length - this.maxQueue;
+    if (excess <= 0) return;
+    this.queue.splice(0, excess);
+    this.dropped += excess;
+    if (!this._overflowing) {
+      this._overflowing = true;
+      this.logger.warn({ maxQueue: this.maxQueue, dropped: this.dropped }, 'Request log queue full, dropping the oldest entries');
+    }
+  }
+
+  /** Stops the timer and writes what is left, if the database is available. */
+  async close() {
+    clearInterval(this._timer);
+    await this.flush();
+  }
+}
+
+module.exports = { LogBuffer, compileLogBuffer, DEFAULTS };
@@ -0,0 +1,65 @@
+/**
+ * Sorting and pagination of active blocks, shared by getBlockedIPs and the
+ * adapters that can only list every block.
+ */
+
+const SORTS  = ['expiresAt', 'ip'];
+const ORDERS = ['asc', 'desc'];
+
+/**
+ * Validates block paging options and fills in the defaults: every block,
+ * soonest expiry first.
+ * @param {Object} [opts]
+ * @param {number} [opts.offset=0]
+ * @param {number} [opts.limit=Infinity]
+ * @param {string} [opts.sort='expiresAt'] - expiresAt | ip
+ * @param {string} [opts.order='asc']      - asc | desc
+ * @returns {{ offset: number, limit: number, sort: string, order: string }}
+ * @throws {Error} On a negative or fractional offset / limit, or an unknown sort or order
+ */
+function compilePage({ offset = 0, limit = Infinity, sort = 'expiresAt', order = 'asc' } = {}) {
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('offset must be a non-negative integer');
+  }
+  if (limit !== Infinity && (!Number.isInteger(limit) || limit < 0)) {
+    throw new Error('limit must be a non-negative integer');
+  }
+  if (!SORTS.includes(sort)) {
+    throw new Error(`sort must be one of: ${SORTS.join(', ')}`);
+  }
+  if (!ORDERS.includes(order)) {
+    throw new Error(`order must be one of: ${ORDERS.join(', ')}`);
+  }
+  return { offset, limit, sort, order };
+}
+
+/**
+ * Orders blocks by the page's sort key. IPs compare numerically per segment,
+ * so 10.0.0.9 comes before 10.0.0.10; ties fall back to the IP.
+ * @param {Array<{ ip: string, expiresAt: number }>} blocks - Sorted in place
+ * @param {{ sort: string, order: string }} page
+ * @returns {Object[]} blocks
+ */
+function sortBlocks(blocks, { sort, order }) {
+  const byIP = (a, b) => a.ip.localeCompare(b.ip, 'en', { numeric: true });
+  const compare = sort === 'ip'
+    ? byIP
+    : (a, b) => (a.expiresAt === b.expiresAt ? byIP(a, b) : a.expiresAt < b.expiresAt ? -1 : 1);
+  return blocks.sort(order === 'asc' ? compare : (a, b) => compare(b, a));
+}
+
+/**
+ * Pages an unsorted list of active blocks, e.g. from listBlocks().
+ * @param {Object[]} blocks
+ * @param {Object} page - From compilePage
+ * @returns {{ total: number, blocks: Object[] }}
+ */
+function pageBlocks(blocks, page) {
+  const { offset, limit } = page;
+  return {
+    total:  blocks.length,
+    blocks: sortBlocks([...blocks], page).slice(offset, offset + limit),
+  };
+}
+
+module.exports = { SORTS, ORDERS, compilePage, sortBlocks, pageBlocks };
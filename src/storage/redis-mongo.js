@@ -0,0 +1,798 @@
+const mongoose = require('mongoose');
+const Redis = require('ioredis');
+const { windowIndex, slidingEstimate, resetTime } = require('../algorithms');
+const { SILENT } = require('../logger');
+const { compilePage, sortBlocks } = require('./paging');
+const { LogBuffer, compileLogBuffer } = require('./log-buffer');
+
+// Defines the schema for the logs
+const LogSchema = new mongoose.Schema({
+  ip: String,
+  method: String,
+  route: String,
+  timestamp: { type: Date, default: Date.now },
+  responseTime: Number,
+  statusCode: Number,
+  userAgent: String,
+  attackType: String,
+  keyType: String,
+  wouldBlock: Boolean
+}, { timestamps: true });
+
+/**
+ * Sorted set of blocked subjects scored by expiry in Unix ms; permanent
+ * blocks score PERMANENT_SCORE so they sort last. Each member's reason,
+ * route and expiry live in a `block_meta:<subject>` hash that expires with
+ * the block.
+ * @private
+ */
+const BLOCK_INDEX     = 'block_index';
+const PERMANENT_SCORE = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Sorted set of tracking keys scored by the expiry of their
+ * `scan_count:<key>` set, so the tracked-keys metric is a ZCARD once expired
+ * members are pruned. Pruned on every write, so it stays bounded without reads.
+ * @private
+ */
+const TRACKED_INDEX = 'tracked_keys';
+
+/**
+ * Token bucket step, run server-side so concurrent requests can't both take
+ * the last token. Mirrors takeToken() in src/algorithms.js.
+ * @private
+ */
+const TAKE_TOKEN_FN = `
+local function takeToken(key, limit, now, windowMs)
+  local state  = redis.call('HMGET', key, 'tokens', 'updatedAt')
+  local stored = tonumber(state[1])
+  local tokens = limit
+  if stored then
+    tokens = math.min(limit, stored + (now - (tonumber(state[2]) or now)) * limit / windowMs)
+  end
+  local requestCount
+  if tokens >= 1 then
+    tokens       = tokens - 1
+    requestCount = math.ceil(limit - tokens)
+  else
+    requestCount = limit + 1
+  end
+  redis.call('HSET', key, 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+  redis.call('PEXPIRE', key, windowMs)
+  return requestCount
+end
+`;
+
+/**
+ * KEYS[1] bucket hash · ARGV: limit, now (ms), windowMs
+ * @private
+ */
+const TAKE_TOKEN_LUA = `${TAKE_TOKEN_FN}
+return takeToken(KEYS[1], tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3]))
+`;
+
+/**
+ * One request in one round trip: checks the subjects' blocks, counts the
+ * request, compares the counts with the thresholds and, past one, records
+ * the offence, stores the block and clears the subject's tracking. Nothing
+ * can run between counting and blocking. Mirrors _countRequest(),
+ * trackRequest(), recordOffence(), block() and the monitor's
+ * handleAttackDetection() / _blockDuration().
+ *
+ * KEYS: block_meta:<s> per checked subject, then the counter, previous
+ *       window counter, scan set, offences and block_meta keys of the tracked
+ *       subject, the block index, the tracked-keys index, then the keys to
+ *       clear on a block
+ * ARGV: subjects, algorithm, now (ms), windowMs, limit, route, nonce,
+ *       scanThreshold (-1: off), lookbackMs, baseDuration, multiplier,
+ *       maxDuration (-1: none), permanentAfter (-1: never), dryRun (0|1),
+ *       rate reason, scan reason, tracked subject, tracking key, then the
+ *       tracking keys cleared on a block
+ *
+ * Returns { 0, subject index, expiresAt, reason } for an existing block, otherwise
+ * { 1, requestCount, scanCount, oldest, attack (0 none | 1 rate | 2 scan), offence }.
+ * @private
+ */
+const TRACK_AND_BLOCK_LUA = `${TAKE_TOKEN_FN}
+local subjects       = tonumber(ARGV[1])
+local algorithm      = ARGV[2]
+local now            = tonumber(ARGV[3])
+local windowMs       = tonumber(ARGV[4])
+local limit          = tonumber(ARGV[5])
+local route          = ARGV[6]
+local nonce          = ARGV[7]
+local scanThreshold  = tonumber(ARGV[8])
+local lookbackMs     = tonumber(ARGV[9])
+local baseDuration   = tonumber(ARGV[10])
+local multiplier     = tonumber(ARGV[11])
+local maxDuration    = tonumber(ARGV[12])
+local permanentAfter = tonumber(ARGV[13])
+local dryRun         = ARGV[14] == '1'
+
+for i = 1, subjects do
+  local block     = redis.call('HMGET', KEYS[i], 'expiresAt', 'reason')
+  local expiresAt = block[1] == 'Infinity' and math.huge or tonumber(block[1])
+  if expiresAt and expiresAt > now then
+    return { 0, i, block[1], block[2] or '' }
+  end
+end
+
+local base = subjects
+local counter, previous, scanKey = KEYS[base + 1], KEYS[base + 2], KEYS[base + 3]
+local offences, metaKey, indexKey = KEYS[base + 4], KEYS[base + 5], KEYS[base + 6]
+local trackedKey = KEYS[base + 7]
+
+local requestCount
+local oldest = now
+if algorithm == 'token-bucket' then
+  requestCount = takeToken(counter, limit, now, windowMs)
+elseif algorithm == 'fixed-window' or algorithm == 'sliding-window' then
+  requestCount = redis.call('INCR', counter)
+  redis.call('PEXPIRE', counter, windowMs * 2)
+  if algorithm == 'sliding-window' then
+    local elapsed = (now % windowMs) / windowMs
+    requestCount = math.floor((tonumber(redis.call('GET', previous)) or 0) * (1 - elapsed)) + requestCount
+  end
+else
+  redis.call('ZREMRANGEBYSCORE', counter, '-inf', now - windowMs)
+  redis.call('ZADD', counter, now, now .. '-' .. nonce)
+  redis.call('ZREMRANGEBYRANK', counter, 0, -(limit + 2))
+  requestCount = redis.call('ZCARD', counter)
+  oldest = tonumber(redis.call('ZRANGE', counter, 0, 0, 'WITHSCORES')[2]) or now
+  redis.call('PEXPIRE', counter, windowMs)
+end
+
+redis.call('SADD', scanKey, route)
+redis.call('PEXPIRE', scanKey, windowMs)
+local scanCount = redis.call('SCARD', scanKey)
+redis.call('ZREMRANGEBYSCORE', trackedKey, '-inf', now)
+redis.call('ZADD', trackedKey, now + windowMs, ARGV[18])
+
+local attack = 0
+if requestCount > limit then
+  attack = 1
+elseif scanThreshold >= 0 and scanCount > scanThreshold then
+  attack = 2
+end
+if attack == 0 then
+  return { 1, requestCount, scanCount, oldest, 0, 0 }
+end
+
+redis.call('ZREMRANGEBYSCORE', offences, '-inf', now - lookbackMs)
+redis.call('ZADD', offences, now, now .. '-' .. nonce)
+local offence = redis.call('ZCARD', offences)
+redis.call('PEXPIRE', offences, lookbackMs)
+
+if not dryRun then
+  local reason = ARGV[14 + attack]
+  redis.call('DEL', metaKey)
+  if permanentAfter > 0 and offence >= permanentAfter then
+    redis.call('HSET', metaKey, 'reason', reason, 'route', route, 'expiresAt', 'Infinity')
+    redis.call('ZADD', indexKey, '${PERMANENT_SCORE}', ARGV[17])
+  else
+    local duration = baseDuration * multiplier ^ (offence - 1)
+    if maxDuration > 0 then duration = math.min(duration, maxDuration) end
+    local expiresAt = math.floor(now + math.max(1, math.ceil(duration)) * 1000)
+    redis.call('HSET', metaKey, 'reason', reason, 'route', route, 'expiresAt', expiresAt)
+    redis.call('PEXPIREAT', metaKey, expiresAt)
+    redis.call('ZADD', indexKey, expiresAt, ARGV[17])
+  end
+  redis.call('ZREMRANGEBYSCORE', indexKey, '-inf', now)
+end
+for i = base + 8, #KEYS do
+  redis.call('DEL', KEYS[i])
+end
+for i = 19, #ARGV do
+  redis.call('ZREM', trackedKey, ARGV[i])
+end
+return { 1, requestCount, scanCount, oldest, attack, offence }
+`;
+
+
+/**
+ * Converts a `block_meta:<subject>` hash to a stored block, or null when it
+ * is missing or has expired.
+ * @private
+ */
+function parseBlock(meta, now = Date.now()) {
+  if (!meta || !meta.expiresAt) return null;
+  const expiresAt = Number(meta.expiresAt);
+  if (!(expiresAt > now)) return null;
+  return { reason: meta.reason || null, route: meta.route || null, expiresAt };
+}
+
+/**
+ * Distributed storage adapter: request counters and blocks in Redis,
+ * request logs in MongoDB.
+ *
+ * This is the default adapter when `saveRecords` is true.
+ *
+ * @class RedisMongoStorage
+ */
+class RedisMongoStorage {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mongoURI]      - MongoDB connection URI (falls back to MONGO_URI)
+   * @param {string} [options.redisURL]      - Redis connection URL (falls back to REDIS_URL)
+   * @param {number} [options.timeWindow=60] - Default tracking window in seconds
+   * @param {Object} [options.logger]        - Logger from src/logger.js; silent by default
+   * @param {boolean|Object} [options.logBuffer=true] - Batch log writes; false saves each log
+   *   as it arrives. See compileLogBuffer in ./log-buffer.js
+   * @param {number} [options.logRetention]  - Seconds to keep request logs (TTL index on timestamp)
+   * @param {number} [options.logSampleRate=1] - Share of non-attack requests logged, 0..1
+   * @throws {Error} Without mongoURI / redisURL, or on invalid log options
+   */
+  constructor(options = {}) {
+    this.timeWindow = options.timeWindow || 60;
+    this.logger     = options.logger     || SILENT;
+    this.mongoURI   = options.mongoURI || process.env.MONGO_URI;
+    this.redisURL   = options.redisURL || process.env.REDIS_URL;
+    if (!this.mongoURI || !this.redisURL) {
+      throw new Error('mongoURI and redisURL are required when saveRecords is true');
+    }
+
+    const { logRetention = null, logSampleRate = 1 } = options;
+    if (logRetention !== null && !(Number.isFinite(logRetention) && logRetention > 0)) {
+      throw new Error('logRetention must be a positive number of seconds');
+    }
+    if (!(typeof logSampleRate === 'number' && logSampleRate >= 0 && logSampleRate <= 1)) {
+      throw new Error('logSampleRate must be a number between 0 and 1');
+    }
+    this.logRetention  = logRetention;
+    this.logSampleRate = logSampleRate;
+
+    // Connection and write errors per backend, exposed as a metric
+    this.errors = { redis: 0, mongo: 0 };
+
+    // Initialize model immediately so logging calls don't race Mongo connect.
+    this.LogModel = mongoose.models.RequestLog || mongoose.model('RequestLog', LogSchema);
+
+    const buffer = compileLogBuffer(options.logBuffer);
+    this.logBuffer = buffer && new LogBuffer(entries => this._insertLogs(entries), buffer, {
+      isReady: () => mongoose.connection.readyState === 1,
+      onError: (err) => {
+        this.errors.mongo += 1;
+        this.logger.error({ err, backend: 'mongo' }, 'Error saving logs, will retry');
+      },
+      logger: this.logger,
+    });
+    this.connectToMongo();
+    this.connectToRedis();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Connection helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Establishes connection to MongoDB and initializes models
+   * @private
+   */
+  async connectToMongo() {
+    try {
+      await mongoose.connect(this.mongoURI);
+      this.logger.info({ backend: 'mongo' }, 'Connected to MongoDB');
+      this.LogModel = mongoose.models.RequestLog || mongoose.model('RequestLog', LogSchema);
+      await this.applyLogRetention();
+    } catch (err) {
+      this.errors.mongo += 1;
+      this.logger.error({ err, backend: 'mongo' }, 'MongoDB connection failed');
+    }
+  }
+
+  /**
+   * Creates the `timestamp_ttl` index that makes MongoDB delete request logs
+   * `logRetention` seconds after their timestamp, or updates its expiry when
+   * it exists with another value.
+   * @private
+   */
+  async applyLogRetention() {
+    if (!this.logRetention) return;
+    const { collection } = this.LogModel;
+    const expireAfterSeconds = Math.ceil(this.logRetention);
+    try {
+      await collection.createIndex({ timestamp: 1 }, { name: 'timestamp_ttl', expireAfterSeconds })
+        .catch((err) => {
+          if (err.codeName !== 'IndexOptionsConflict') throw err;
+          // The index exists with another expiry
+          return this.LogModel.db.db.command({
+            collMod: collection.collectionName,
+            index:   { name: 'timestamp_ttl', expireAfterSeconds },
+          });
+        });
+    } catch (err) {
+      this.errors.mongo += 1;
+      this.logger.error({ err, backend: 'mongo' }, 'Error applying log retention');
+    }
+  }
+
+  /**
+   * Establishes connection to Redis
+   * @private
+   */
+  connectToRedis() {
+    try {
+      this.redis = new Redis(this.redisURL);
+      this.redis.defineCommand('apiMonitorTakeToken', { numberOfKeys: 1, lua: TAKE_TOKEN_LUA });
+      // Block reads and writes wait for this; it never rejects
+      this.migrated = this._migrateLegacyBlocks();
+      this.redis.on('connect', () => this.logger.info({ backend: 'redis' }, 'Connected to Redis'));
+      this.redis.on('error',   (err) => {
+        this.errors.redis += 1;
+        this.logger.error({ err, backend: 'redis' }, 'Redis error');
+      });
+    } catch (err) {
+      this.errors.redis += 1;
+      this.logger.error({ err, backend: 'redis' }, 'Redis connection failed');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Counters
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Counts the request with the selected algorithm and adds the route to the
+   * `scan_count:<key>` set, which expires after a full window without requests.
+   * The key is scored with that expiry in the tracked-keys index.
+   * @param {string} key   - Tracking key (client IP by default)
+   * @param {string} route - Request path (without query string)
+   * @param {Object} [opts]
+   * @param {number} [opts.timeWindow]             - Window in seconds, defaults to the adapter's
+   * @param {number} [opts.limit]                  - Request limit (bounds the log, sizes the bucket)
+   * @param {string} [opts.algorithm='sliding-log'] - See src/algorithms.js
+   * @returns {Promise<{ requestCount: number, scanCount: number, resetAt: number }>} resetAt in Unix ms
+   */
+  async trackRequest(key, route, { timeWindow = this.timeWindow, limit, algorithm = 'sliding-log' } = {}) {
+    const now      = Date.now();
+    const windowMs = timeWindow * 1000;
+    const { requestCount, oldest } = await this._countRequest(key, now, windowMs, limit, algorithm);
+
+    const scanKey = `scan_count:${key}`;
+    const results = await this.redis.multi()
+      .sadd(scanKey, route)
+      .expire(scanKey, timeWindow)
+      .scard(scanKey)
+      .zremrangebyscore(TRACKED_INDEX, '-inf', now)
+      .zadd(TRACKED_INDEX, now + windowMs, key)
+      .exec();
+
+    return {
+      requestCount,
+      scanCount: parseInt(results[2][1]),
+      resetAt:   resetTime(algorithm, { now, windowMs, limit, requestCount, oldest }),
+    };
+  }
+
+  /**
+   * Key layout per algorithm:
+   *   sliding-log     req_count:<key>         sorted set of request timestamps
+   *   fixed-window    req_count:<key>:<idx>   counter per aligned window
+   *   sliding-window  req_count:<key>:<idx>   current + previous window counters
+   *   token-bucket    req_bucket:<key>        hash { tokens, updatedAt }
+   * @private
+   * @returns {Promise<{ requestCount: number, oldest?: number }>} oldest: first logged timestamp (sliding-log)
+   */
+  async _countRequest(key, now, windowMs, limit, algorithm) {
+    if (algorithm === 'token-bucket') {
+      return { requestCount: parseInt(await this.redis.apiMonitorTakeToken(`req_bucket:${key}`, limit, now, windowMs)) };
+    }
+
+    if (algorithm === 'fixed-window' || algorithm === 'sliding-window') {
+      const idx     = windowIndex(now, windowMs);
+      const current = `req_count:${key}:${idx}`;
+      const results = await this.redis.multi()
+        .incr(current)
+        .pexpire(current, windowMs * 2)
+        .get(`req_count:${key}:${idx - 1}`)
+        .exec();
+      const count = parseInt(results[0][1]);
+      return {
+        requestCount: algorithm === 'fixed-window'
+          ? count
+          : slidingEstimate(parseInt(results[2][1]) || 0, count, now, windowMs),
+      };
+    }
+
+    // sliding-log
+    const logKey = `req_count:${key}`;
+    const tx = this.redis.multi()
+      .zremrangebyscore(logKey, '-inf', now - windowMs)
+      .zadd(logKey, now, `${now}-${Math.random().toString(36).slice(2, 10)}`);
+    // Only the newest limit + 1 timestamps can change the outcome
+    if (limit) tx.zremrangebyrank(logKey, 0, -(limit + 2));
+    const results = await tx
+      .zcard(logKey)
+      .zrange(logKey, 0, 0, 'WITHSCORES')
+      .pexpire(logKey, windowMs)
+      .exec();
+    const [, oldest] = results[results.length - 2][1];
+    return {
+      requestCount: parseInt(results[results.length - 3][1]),
+      oldest:       oldest === undefined ? now : Number(oldest),
+    };
+  }
+
+  /**
+   * Number of keys with tracking state, for the tracked-keys metric: the
+   * members of the tracked-keys index whose window has not yet expired.
+   * @returns {Promise<number>}
+   */
+  async trackedKeys() {
+    const results = await this.redis.multi()
+      .zremrangebyscore(TRACKED_INDEX, '-inf', Date.now())
+      .zcard(TRACKED_INDEX)
+      .exec();
+    return parseInt(results[1][1]);
+  }
+
+  /**
+   * Clears tracking for a key so it starts fresh after a block expires.
+   * @param {string} key
+   * @param {{ timeWindow?: number }} [opts] - Window the key was tracked with
+   */
+  async resetTracking(key, { timeWindow = this.timeWindow } = {}) {
+    await this.redis.multi()
+      .del(...this._trackingKeys(key, timeWindow, Date.now()))
+      .zrem(TRACKED_INDEX, key)
+      .exec();
+  }
+
+  /**
+   * Name of the TRACK_AND_BLOCK_LUA command taking this many keys, defined on
+   * first use. The key count only varies with the number of subjects and
+   * policies, and every variant shares one cached script on the server.
+   * @private
+   */
+  _trackAndBlockCommand(numberOfKeys) {
+    const name = `apiMonitorTrackAndBlock${numberOfKeys}`;
+    if (typeof this.redis[name] !== 'function') {
+      this.redis.defineCommand(name, { numberOfKeys, lua: TRACK_AND_BLOCK_LUA });
+    }
+    return name;
+  }
+
+  /**
+   * Every Redis key holding tracking state for a key, whatever its algorithm.
+   * @private
+   */
+  _trackingKeys(key, timeWindow, now) {
+    const idx = windowIndex(now, timeWindow * 1000);
+    return [
+      `req_count:${key}`,
+      `req_count:${key}:${idx}`,
+      `req_count:${key}:${idx - 1}`,
+      `req_bucket:${key}`,
+      `scan_count:${key}`,
+    ];
+  }
+
+  /**
+   * Checks blocks, counts the request and blocks the subject once it crosses
+   * a threshold, atomically and in a single round trip (TRACK_AND_BLOCK_LUA).
+   * Replaces the getBlock / trackRequest / recordOffence / block /
+   * resetTracking calls the monitor otherwise makes per request.
+   * @param {Object} request
+   * @param {string[]} request.subjects - Checked for an existing block, in order
+   * @param {string} request.subject    - Counted, and blocked past a threshold
+   * @param {string} request.key        - Tracking key of the subject
+   * @param {string} request.route
+   * @param {number} request.timeWindow - Seconds
+   * @param {number} request.limit
+   * @param {string} request.algorithm
+   * @param {number|null} request.scanThreshold - null skips the unique-routes check
+   * @param {{ rate: string, scan: string }} request.reasons - Block reasons per threshold
+   * @param {Object} request.blockPolicy - The monitor's resolved block policy
+   * @param {boolean} request.dryRun    - Record the offence and clear tracking, but store no block
+   * @param {Array<{ key: string, timeWindow: number }>} request.resets - Tracking cleared on a block
+   * @returns {Promise<Object>} `{ blocked: { ip, reason, route, expiresAt } }` when a subject is
+   *   already blocked, otherwise `{ requestCount, scanCount, resetAt, attack }` where attack is
+   *   null or `{ type: 'rate'|'scan', offence }`
+   */
+  async trackAndBlock({
+    subjects, subject, key, route, timeWindow, limit, algorithm, scanThreshold,
+    reasons, blockPolicy, dryRun, resets,
+  }) {
+    const now      = Date.now();
+    const windowMs = timeWindow * 1000;
+    const idx      = windowIndex(now, windowMs);
+    const counter  = algorithm === 'token-bucket' ? `req_bucket:${key}`
+      : algorithm === 'sliding-log' ? `req_count:${key}`
+        : `req_count:${key}:${idx}`;
+
+    const keys = [
+      ...subjects.map(s => `block_meta:${s}`),
+      counter,
+      `req_count:${key}:${idx - 1}`,
+      `scan_count:${key}`,
+      `offences:${subject}`,
+      `block_meta:${subject}`,
+      BLOCK_INDEX,
+      TRACKED_INDEX,
+      ...resets.flatMap(r => this._trackingKeys(r.key, r.timeWindow, now)),
+    ];
+    const { lookback, baseDuration, multiplier, maxDuration, permanentAfter } = blockPolicy;
+    await this.migrated;
+    const reply = await this.redis[this._trackAndBlockCommand(keys.length)](...keys,
+      subjects.length, algorithm, now, windowMs, limit, route, Math.random().toString(36).slice(2, 10),
+      scanThreshold === null ? -1 : scanThreshold, lookback * 1000, baseDuration, multiplier,
+      maxDuration || -1, permanentAfter || -1, dryRun ? 1 : 0, reasons.rate, reasons.scan, subject,
+      key, ...resets.map(r => r.key));
+
+    if (Number(reply[0]) === 0) {
+      const [, index, expiresAt, reason] = reply;
+      return {
+        blocked: { ip: subjects[index - 1], reason: reason || null, route: null, expiresAt: Number(expiresAt) },
+      };
+    }
+
+    const [, requestCount, scanCount, oldest, attack, offence] = reply.map(Number);
+    return {
+      requestCount,
+      scanCount,
+      resetAt: resetTime(algorithm, { now, windowMs, limit, requestCount, oldest }),
+      attack:  attack ? { type: attack === 1 ? 'rate' : 'scan', offence } : null,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Blocks
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Stores a block as a `block_meta:<ip>` hash (reason, route, expiresAt)
+   * expiring with the block, and indexes it in the `block_index` sorted set
+   * scored by expiry. An `expiresAt` of Infinity stores a permanent block.
+   * @param {string} ip
+   * @param {{ reason: string, route?: string|null, expiresAt: number }} block
+   */
+  async block(ip, { reason, route, expiresAt }) {
+    await this.migrated;
+    const key = `block_meta:${ip}`;
+    const tx  = this.redis.multi()
+      .del(key)
+      .hset(key, 'reason', reason, 'route', route || '', 'expiresAt', String(expiresAt));
+    if (expiresAt !== Infinity) tx.pexpireat(key, expiresAt);
+    await tx
+      .zadd(BLOCK_INDEX, expiresAt === Infinity ? PERMANENT_SCORE : expiresAt, ip)
+      .zremrangebyscore(BLOCK_INDEX, '-inf', Date.now())
+      .exec();
+  }
+
+  /**
+   * Removes a block.
+   * @param {string} ip
+   * @returns {Promise<boolean>} true if a block was removed
+   */
+  async unblock(ip) {
+    await this.migrated;
+    const [[, removed]] = await this.redis.multi()
+      .del(`block_meta:${ip}`)
+      .zrem(BLOCK_INDEX, ip)
+      .exec();
+    return removed > 0;
+  }
+
+  /**
+   * Returns the active block for an IP, or null.
+   * @param {string} ip
+   * @returns {Promise<{ reason: string|null, route: string|null, expiresAt: number }|null>}
+   */
+  async getBlock(ip) {
+    await this.migrated;
+    return parseBlock(await this.redis.hgetall(`block_meta:${ip}`));
+  }
+
+  /**
+   * Records an offence in the `offences:<ip>` sorted set (scored by time) and
+   * returns how many offences fall within the lookback window, including this one.
+   * @param {string} ip
+   * @param {{ lookback?: number }} [opts] - Lookback in seconds
+   * @returns {Promise<number>}
+   */
+  async recordOffence(ip, { lookback = 86_400 } = {}) {
+    const key = `offences:${ip}`;
+    const now = Date.now();
+    const results = await this.redis.multi()
+      .zremrangebyscore(key, '-inf', now - lookback * 1000)
+      .zadd(key, now, `${now}-${Math.random().toString(36).slice(2, 8)}`)
+      .zcard(key)
+      .expire(key, lookback)
+      .exec();
+    return results[2][1];
+  }
+
+  /**
+   * Returns all active blocks, soonest expiry first.
+   * @returns {Promise<Array<{ ip: string, reason: string|null, route: string|null, expiresAt: number }>>}
+   */
+  async listBlocks() {
+    return (await this.pageBlocks()).blocks;
+  }
+
+  /**
+   * Returns one page of active blocks from the `block_index` sorted set, with
+   * their metadata read in a single pipeline. Expired members are pruned
+   * first; members whose hash has already expired are skipped and removed.
+   * Sorting by expiry pages in Redis; sorting by IP reads the whole index.
+   * @param {Object} [opts] - See compilePage in ./paging.js
+   * @returns {Promise<{ total: number, blocks: Object[] }>}
+   */
+  async pageBlocks(opts) {
+    const page = compilePage(opts);
+    await this.migrated;
+    const [, [, total]] = await this.redis.multi()
+      .zremrangebyscore(BLOCK_INDEX, '-inf', Date.now())
+      .zcard(BLOCK_INDEX)
+      .exec();
+    if (page.limit === 0 || page.offset >= total) return { total, blocks: [] };
+
+    let ips;
+    if (page.sort === 'expiresAt') {
+      // Members with equal scores come back ordered by IP string
+      const range = page.order === 'asc'
+        ? ['zrangebyscore', '-inf', '+inf']
+        : ['zrevrangebyscore', '+inf', '-inf'];
+      const count = page.limit === Infinity ? -1 : page.limit;
+      ips = await this.redis[range[0]](BLOCK_INDEX, range[1], range[2], 'LIMIT', page.offset, count);
+    } else {
+      const all = (await this.redis.zrange(BLOCK_INDEX, 0, -1)).map(ip => ({ ip }));
+      ips = sortBlocks(all, page).slice(page.offset, page.offset + page.limit).map(b => b.ip);
+    }
+
+    const pipeline = this.redis.pipeline();
+    for (const ip of ips) pipeline.hgetall(`block_meta:${ip}`);
+    const replies = await pipeline.exec();
+
+    const blocks = [];
+    const stale  = [];
+    ips.forEach((ip, i) => {
+      const block = parseBlock(replies[i][1]);
+      if (block) blocks.push({ ip, ...block });
+      else stale.push(ip);
+    });
+    if (stale.length) await this.redis.zrem(BLOCK_INDEX, ...stale);
+    return { total: total - stale.length, blocks };
+  }
+
+  /**
+   * Moves blocks stored by earlier versions as `blocked:<ip>` (+ `:reason`)
+   * keys into the indexed layout, once per Redis database.
+   * @private
+   */
+  async _migrateLegacyBlocks() {
+    try {
+      if (await this.redis.get(`${BLOCK_INDEX}:migrated`)) return;
+      const now  = Date.now();
+      let cursor = '0';
+      do {
+        const [next, keys] = await this.redis.scan(cursor, 'MATCH', 'blocked:*', 'COUNT', 100);
+        cursor = next;
+
+        const ips = keys.filter(k => !k.endsWith(':reason')).map(k => k.slice('blocked:'.length));
+        if (!ips.length) continue;
+        const read = this.redis.pipeline();
+        for (const ip of ips) read.pttl(`blocked:${ip}`).get(`blocked:${ip}:reason`);
+        const replies = await read.exec();
+
+        const tx = this.redis.multi();
+        ips.forEach((ip, i) => {
+          const ttl    = replies[2 * i][1];
+          const reason = replies[2 * i + 1][1];
+          tx.del(`blocked:${ip}`, `blocked:${ip}:reason`);
+          if (ttl === -2) return;
+          const expiresAt = ttl === -1 ? Infinity : now + ttl;
+          const key       = `block_meta:${ip}`;
+          tx.hset(key, 'reason', reason || '', 'route', '', 'expiresAt', String(expiresAt));
+          if (expiresAt !== Infinity) tx.pexpireat(key, expiresAt);
+          tx.zadd(BLOCK_INDEX, expiresAt === Infinity ? PERMANENT_SCORE : expiresAt, ip);
+        });
+        await tx.exec();
+      } while (cursor !== '0');
+      await this.redis.set(`${BLOCK_INDEX}:migrated`, '1');
+    } catch (err) {
+      this.errors.redis += 1;
+      this.logger.error({ err, backend: 'redis' }, 'Migrating legacy blocks failed');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Logs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Saves a request log to MongoDB, through the write buffer unless it is
+   * off. Non-attack requests are kept at `logSampleRate`; attacks and dry-run
+   * would-be blocks always are.
+   * @param {Object} logData
+   */
+  async saveLog(logData) {
+    const sampled = !logData.attackType && !logData.wouldBlock;
+    if (sampled && this.logSampleRate < 1 && Math.random() >= this.logSampleRate) return;
+    if (this.logBuffer) {
+      this.logBuffer.push(logData);
+      return;
+    }
+    try {
+      // Avoid Mongoose buffering timeouts when connection is not ready.
+      if (!this.LogModel || mongoose.connection.readyState !== 1) return;
+      const log = new this.LogModel(logData);
+      await log.save();
+    } catch (err) {
+      this.errors.mongo += 1;
+      this.logger.error({ err, backend: 'mongo' }, 'Error saving log');
+    }
+  }
+
+  /**
+   * Writes one batch from the log buffer. Entries MongoDB rejects are counted
+   * and dropped; connection errors propagate so the buffer retries the batch.
+   * @private
+   */
+  async _insertLogs(entries) {
+    try {
+      await this.LogModel.insertMany(entries, { ordered: false });
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      this.errors.mongo += 1;
+      this.logger.error({ err, backend: 'mongo', rejected: err.writeErrors.length }, 'MongoDB rejected request logs');
+    }
+  }
+
+  /**
+   * Returns filtered log entries from MongoDB, most recent first.
+   * @param {Object} [query]
+   * @param {boolean} [query.attacksOnly] - Only entries with an attackType
+   * @returns {Promise<Object[]>}
+   */
+  async queryLogs({ ip, attackType, startDate, endDate, limit = 10, attacksOnly = false } = {}) {
+    const query = {};
+    if (ip !== undefined)         query.ip         = ip;
+    if (attackType !== undefined) query.attackType = attackType;
+    else if (attacksOnly)         query.attackType = { $ne: null };
+    if (startDate || endDate) {
+      query.timestamp = {};
+      if (startDate) query.timestamp.$gte = new Date(startDate);
+      if (endDate)   query.timestamp.$lte = new Date(endDate);
+    }
+    return this.LogModel.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * Aggregates per-IP statistics from MongoDB.
+   * @returns {Promise<Object[]>}
+   */
+  async getStats() {
+    return this.LogModel.aggregate([
+      {
+        $group: {
+          _id:             '$ip',
+          totalRequests:   { $sum: 1 },
+          avgResponseTime: { $avg: '$responseTime' },
+          attackCount: {
+            $sum: { $cond: [{ $ne: ['$attackType', null] }, 1, 0] },
+          },
+          routes: { $addToSet: '$route' },
+        },
+      },
+      { $sort: { totalRequests: -1 } },
+    ]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Writes buffered logs if MongoDB is connected, then closes the Redis
+   * connection. The shared mongoose connection is left open.
+   */
+  async close() {
+    if (this.logBuffer) await this.logBuffer.close();
+    if (this.redis) await this.redis.quit();
+  }
+}
+
+RedisMongoStorage.LogSchema = LogSchema;
+
+module.exports = RedisMongoStorage;
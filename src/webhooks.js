@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const http   = require('http');
+const https  = require('https');
+const { SILENT } = require('./logger');
+
+const EVENTS = ['attack-detected', 'ip-blocked'];
+
+const DEFAULTS = {
+  events:       EVENTS,
+  attackTypes:  null,
+  secret:       null,
+  headers:      {},
+  transform:    null,
+  batchWindow:  10,
+  maxBatchSize: 100,
+  maxRetries:   5,
+  retryDelay:   1000,
+  maxQueue:     100,
+  timeout:      5000,
+};
+
+/**
+ * Attack type of an event: `type` for attack-detected, the block reason
+ * without its policy suffix for ip-blocked.
+ * @private
+ */
+function attackTypeOf(event, data) {
+  if (event === 'attack-detected') return data.type;
+  return String(data.reason || '').replace(/ \(policy: [^)]*\)$/, '');
+}
+
+/**
+ * Validates and normalises one entry of the `webhooks` option.
+ * @private
+ * @throws {Error} On a missing or non-http(s) url, or an unknown event
+ */
+function compileDestination(destination, i) {
+  const config = { ...DEFAULTS, ...destination };
+  let url;
+  try {
+    url = new URL(config.url);
+  } catch {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`webhooks[${i}].url must be an http(s) URL`);
+  }
+  for (const event of config.events) {
+    if (!EVENTS.includes(event)) {
+      throw new Error(`webhooks[${i}].events must only contain: ${EVENTS.join(', ')}`);
+    }
+  }
+  if (config.transform && typeof config.transform !== 'function') {
+    throw new Error(`webhooks[${i}].transform must be a function`);
+  }
+
+  return {
+    ...config,
+    url,
+    events:      new Set(config.events),
+    attackTypes: config.attackTypes ? new Set(config.attackTypes) : null,
+  };
+}
+
+/**
+ * Signs a webhook body: HMAC-SHA256 over "<timestamp>.<body>", hex encoded.
+ * Receivers recompute it with the shared secret and reject stale timestamps.
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body
+ * @returns {string} "sha256=<hex>", sent as X-Webhook-Signature
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POSTs attack and block events to webhook URLs.
+ *
+ * Each destination collects events for `batchWindow` seconds and merges
+ * repeats of the same event for the same subject and attack type into one
+ * entry with a `count`, so a flood produces one request per window. Batches
+ * are delivered in order, one at a time per destination; failures are retried
+ * with exponential backoff, and at most `maxQueue` batches wait — the oldest
+ * is dropped when a destination stays down.
+ *
+ * @class WebhookNotifier
+ */
+class WebhookNotifier {
+  /**
+   * @param {Object[]} destinations - See the `webhooks` option in src/index.js
+   * @param {Function} [onFailure]  - Called with { url, error, events } when a batch is given up on
+   * @param {Object}   [logger]     - Logger from src/logger.js; silent by default
+   */
+  constructor(destinations, onFailure = () => {}, logger = SILENT) {
+    this.destinations = [].concat(destinations).map((destination, i) => ({
+      config:  compileDestination(destination, i),
+      batch:   new Map(),
+      timer:   null,
+      queue:   [],
+      drain:   null,
+      wake:    null,
+      dropped: 0,
+    }));
+    this.onFailure = onFailure;
+    this.logger    = logger;
+    this.closed    = false;
+  }
+
+  /**
+   * Adds an event to the batch of every destination that wants it.
+   * @param {string} event - 'attack-detected' or 'ip-blocked'
+   * @param {Object} data  - Event payload
+   */
+  notify(event, data) {
+    if (this.closed) return;
+    const attackType = attackTypeOf(event, data);
+
+    for (const dest of this.destinations) {
+      const { events, attackTypes } = dest.config;
+      if (!events.has(event) || (attackTypes && !attackTypes.has(attackType))) continue;
+      this._add(dest, event, data, attackType);
+    }
+  }
+
+  /**
+   * Merges the event into the destination's batch and schedules the flush.
+   * @private
+   */
+  _add(dest, event, data, attackType) {
+    const key      = `${event}|${data.key || data.ip}|${attackType}`;
+    const existing = dest.batch.get(key);
+    if (existing) {
+      existing.count   += 1;
+      existing.lastSeen = data.timestamp;
+      existing.data     = data;
+    } else {
+      dest.batch.set(key, { event, count: 1, firstSeen: data.timestamp, lastSeen: data.timestamp, data });
+    }
+
+    const { batchWindow, maxBatchSize } = dest.config;
+    if (batchWindow <= 0 || dest.batch.size >= maxBatchSize) {
+      this._flushBatch(dest);
+    } else if (!dest.timer) {
+      dest.timer = setTimeout(() => this._flushBatch(dest), batchWindow * 1000);
+      if (dest.timer.unref) dest.timer.unref();
+    }
+  }
+
+  /**
+   * Moves the current batch to the delivery queue.
+   * @private
+   */
+  _flushBatch(dest) {
+    clearTimeout(dest.timer);
+    dest.timer = null;
+    if (dest.batch.size === 0) return;
+
+    const entries = [...dest.batch.values()];
+    dest.batch = new Map();
+
+    // The batch being delivered (or retried) stays at the head of the queue
+    const inFlight = dest.drain ? 1 : 0;
+    if (dest.queue.length - inFlight >= dest.config.maxQueue) {
+      dest.queue.splice(inFlight, 1);
+      dest.dropped += 1;
+      this.logger.warn({ host: dest.config.url.host, dropped: dest.dropped }, 'Webhook queue full, dropped the oldest batch');
+    }
+    dest.queue.push({ entries, attempts: 0 });
+    this._drain(dest);
+  }
+
+  /**
+   * Delivers queued batches in order, retrying failures with exponential backoff.
+   * @private
+   * @returns {Promise<void>} Settles once the queue is empty
+   */
+  _drain(dest) {
+    if (dest.drain) return dest.drain;
+
+    dest.drain = (async () => {
+      const { maxRetries, retryDelay } = dest.config;
+      try {
+        while (dest.queue.length > 0) {
+          const item = dest.queue[0];
+          try {
+            await this._deliver(dest.config, item.entries);
+            dest.queue.shift();
+          } catch (err) {
+            item.attempts += 1;
+            if (!err.retryable || item.attempts > maxRetries || this.closed) {
+              dest.queue.shift();
+              this.logger.error({ err, host: dest.config.url.host, attempts: item.attempts }, 'Webhook delivery failed');
+              this.onFailure({ url: dest.config.url.href, error: err, events: item.entries });
+            } else {
+              await this._backoff(dest, retryDelay * 2 ** (item.attempts - 1));
+            }
+          }
+        }
+      } finally {
+        // Cleared in the same tick as the empty-queue check, so no batch is left behind
+        dest.drain = null;
+      }
+    })();
+    return dest.drain;
+  }
+
+  /**
+   * Waits before a retry; close() cuts the wait short.
+   * @private
+   */
+  _backoff(dest, ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      if (timer.unref) timer.unref();
+      dest.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).finally(() => {
+      dest.wake = null;
+    });
+  }
+
+  /**
+   * POSTs one batch.
+   * @private
+   * @throws {Error} With `retryable` set for network errors, timeouts, 408, 429 and 5xx
+   */
+  async _deliver(config, entries) {
+    const payload = config.transform
+      ? config.transform(entries)
+      : { source: 'api-security-monitor', sentAt: new Date(), events: entries };
+    const body      = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const headers = {
+      ...config.headers,
+      'Content-Type':   'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent':     'api-security-monitor',
+    };
+    if (config.secret) {
+      headers['X-Webhook-Timestamp'] = String(timestamp);
+      headers['X-Webhook-Signature'] = signPayload(config.secret, timestamp, body);
+    }
+
+    await post(config.url, headers, body, config.timeout);
+  }
+
+  /**
+   * Sends every pending batch now and waits until the queues are empty.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    for (const dest of this.destinations) this._flushBatch(dest);
+    await Promise.all(this.destinations.map(dest => dest.drain));
+  }
+
+  /**
+   * Flushes pending events, giving up on failures instead of retrying, and
+   * ignores events notified afterwards.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    for (const dest of this.destinations) {
+      if (dest.wake) dest.wake();
+    }
+    await this.flush();
+  }
+}
+
+/**
+ * Minimal JSON POST on the core http / https modules.
+ * @private
+ */
+function post(url, headers, body, timeout) {
+  const transport = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, { method: 'POST', headers, timeout }, (res) => {
+      res.resume(); // the response body is not used
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) return resolve();
+        const err = new Error(`Webhook responded with ${res.statusCode}`);
+        err.retryable = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+        reject(err);
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`Webhook timed out after ${timeout} ms`)));
+    req.on('error', (err) => {
+      err.retryable = true;
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+module.exports = { WebhookNotifier, signPayload };
@@ -0,0 +1,230 @@
+/**
+ * api-security-monitor — framework adapter tests
+ *
+ * The same scenarios run against Express, Fastify, Koa and plain node:http,
+ * each configured to take the client IP from X-Forwarded-For.
+ */
+
+const http    = require('http');
+const express = require('express');
+const Fastify = require('fastify');
+const Koa     = require('koa');
+const request = require('supertest');
+const APIMonitor = require('../src/index');
+
+// Auth failures come from /login so brute-force detection can be exercised
+const statusFor = path => (path.startsWith('/login') ? 401 : 200);
+
+const FRAMEWORKS = {
+  express: {
+    async build(options) {
+      const { middleware, blockIPs, monitor } = APIMonitor(options);
+      const app = express();
+      app.set('trust proxy', true);
+      app.use(blockIPs);
+      app.use(middleware);
+      app.all('*', (req, res) => res.status(statusFor(req.path)).send('ok'));
+      return { agent: request(app), monitor, close: () => {} };
+    },
+    respond: (req, res) => res.json({ custom: true }),
+  },
+
+  fastify: {
+    async build(options) {
+      const { monitor } = APIMonitor(options);
+      const app = Fastify({ trustProxy: true });
+      app.register(monitor.fastifyPlugin());
+      app.all('*', (req, reply) => reply.code(statusFor(req.url)).send('ok'));
+      await app.ready();
+      return { agent: request(app.server), monitor, close: () => app.close() };
+    },
+    respond: (request, reply) => reply.send({ custom: true }),
+  },
+
+  koa: {
+    async build(options) {
+      const { monitor } = APIMonitor(options);
+      const app = new Koa();
+      app.proxy = true;
+      app.use(monitor.koaMiddleware());
+      app.use((ctx) => {
+        ctx.status = statusFor(ctx.path);
+        ctx.body   = 'ok';
+      });
+      return { agent: request(app.callback()), monitor, close: () => {} };
+    },
+    respond: (request, response) => { response.body = { custom: true }; },
+  },
+
+  node: {
+    async build(options) {
+      const { monitor } = APIMonitor(options);
+      const handler = monitor.nodeHandler((req, res) => {
+        res.statusCode = statusFor(req.url);
+        res.end('ok');
+      }, { getIP: req => req.headers['x-forwarded-for'] });
+      return { agent: request(http.createServer(handler)), monitor, close: () => {} };
+    },
+    respond: (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ custom: true }));
+    },
+  },
+};
+
+describe.each(Object.keys(FRAMEWORKS))('%s adapter', (name) => {
+  const framework = FRAMEWORKS[name];
+  let app;
+
+  const build = async (options) => {
+    app = await framework.build(options);
+    return app;
+  };
+
+  afterEach(async () => {
+    if (app) await app.close();
+    app = null;
+  });
+
+  it('passes clean requests through with rate-limit headers', async () => {
+    const { agent } = await build({ maxRequests: 5, rateLimitHeaders: true });
+    const res = await agent.get('/items').set('x-forwarded-for', '108.0.0.1');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe('ok');
+    expect(res.headers['ratelimit-limit']).toBe('5');
+    expect(res.headers['ratelimit-remaining']).toBe('4');
+  });
+
+  it('blocks a client over the limit with 429 and Retry-After', async () => {
+    const { agent, monitor } = await build({ maxRequests: 2, rateLimitHeaders: true });
+    const spy = jest.fn();
+    monitor.on('ip-blocked', spy);
+
+    for (let i = 0; i < 3; i++) await agent.get('/').set('x-forwarded-for', '108.0.0.2');
+    const res = await agent.get('/').set('x-forwarded-for', '108.0.0.2');
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.body).toMatchObject({ reason: 'DDoS (Excessive Requests)' });
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ ip: '108.0.0.2' }));
+  });
+
+  it('rejects denylisted clients with a JSON body', async () => {
+    const { agent } = await build({ denylist: ['108.0.1.0/24'] });
+    const res = await agent.get('/').set('x-forwarded-for', '108.0.1.7');
+
+    expect(res.status).toBe(403);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.body).toEqual(expect.objectContaining({ reason: 'IP denylisted', blockedFor: 'permanent' }));
+  });
+
+  it('rejects probes and injection payloads outright, negotiating the body', async () => {
+    const { agent, monitor } = await build({ probes: true, inspection: true });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    const probe = await agent.get('/.env').set('x-forwarded-for', '108.0.0.3').set('Accept', 'text/plain');
+    expect(probe.status).toBe(403);
+    expect(probe.headers['content-type']).toMatch(/^text\/plain/);
+    expect(probe.text).toContain('Reason: Scanner Probe');
+
+    const injection = await agent.get('/search?q=%27%20OR%201%3D1--').set('x-forwarded-for', '108.0.0.4');
+    expect(injection.status).toBe(403);
+    expect(injection.body.reason).toBe('SQL Injection');
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it('hands blocked responses to onBlocked with the framework objects', async () => {
+    const onBlocked = jest.fn(framework.respond);
+    const { agent } = await build({ denylist: ['108.0.0.5'], onBlocked });
+    const res = await agent.get('/').set('x-forwarded-for', '108.0.0.5');
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ custom: true });
+    expect(onBlocked).toHaveBeenCalledWith(expect.anything(), expect.anything(),
+      expect.objectContaining({ reason: 'IP denylisted' }));
+  });
+
+  it('sees the response status once it is sent (brute force)', async () => {
+    const { agent } = await build({ maxRequests: 100, bruteForce: { routes: ['/login'], maxFailures: 2 } });
+
+    for (let i = 0; i < 3; i++) {
+      expect((await agent.post('/login').set('x-forwarded-for', '108.0.0.6')).status).toBe(401);
+      await new Promise(resolve => setImmediate(resolve)); // let the finish handler run
+    }
+    const res = await agent.get('/').set('x-forwarded-for', '108.0.0.6');
+    expect(res.status).toBe(403);
+    expect(res.body.reason).toBe('Brute Force');
+  });
+
+  it('passes the framework request to keyGenerator', async () => {
+    const keyGenerator = jest.fn(req => req.headers['x-api-key']);
+    const { agent } = await build({ maxRequests: 1, keyGenerator });
+
+    await agent.get('/').set('x-forwarded-for', '108.0.0.7').set('x-api-key', 'k1');
+    await agent.get('/').set('x-forwarded-for', '108.0.0.8').set('x-api-key', 'k1');
+    const res = await agent.get('/').set('x-forwarded-for', '108.0.0.9').set('x-api-key', 'k1');
+
+    expect(res.status).toBe(403);
+    expect(keyGenerator).toHaveBeenCalledWith(expect.objectContaining({ method: 'GET' }));
+  });
+
+  it('logs the request with its status code and path without the query string', async () => {
+    const { agent, monitor } = await build({});
+    const saveLog = jest.spyOn(monitor, 'saveLog');
+    await agent.get('/items?secret=1').set('x-forwarded-for', '108.0.0.10');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(saveLog).toHaveBeenCalledWith(expect.objectContaining({
+      ip:         '108.0.0.10',
+      method:     'GET',
+      route:      '/items',
+      statusCode: 200,
+    }));
+  });
+});
+
+describe('fastify adapter', () => {
+  it('inspects parsed bodies and rejects blocked clients before parsing the body', async () => {
+    const { monitor } = APIMonitor({ inspection: true });
+    const app    = Fastify({ trustProxy: true });
+    const parser = jest.fn((req, body, done) => done(null, body));
+    app.addContentTypeParser('text/plain', { parseAs: 'string' }, parser);
+    app.register(monitor.fastifyPlugin());
+    app.post('/login', () => 'ok');
+    await app.ready();
+
+    const res = await app.inject({
+      method:  'POST',
+      url:     '/login',
+      headers: { 'x-forwarded-for': '108.0.2.1' },
+      payload: { username: 'admin', password: { $gt: '' } },
+    });
+    expect(res.statusCode).toBe(403);
+    expect(res.json().reason).toBe('NoSQL Injection');
+
+    const blocked = await app.inject({
+      method:  'POST',
+      url:     '/login',
+      headers: { 'x-forwarded-for': '108.0.2.1', 'content-type': 'text/plain' },
+      payload: 'hello',
+    });
+    expect(blocked.statusCode).toBe(403);
+    expect(parser).not.toHaveBeenCalled();
+    await app.close();
+  });
+});
+
+describe('node:http adapter', () => {
+  it('answers 500 when the monitor fails and skips the handler', async () => {
+    const { monitor } = APIMonitor({});
+    monitor.storage.blocks.getBlock = () => { throw new Error('down'); };
+    monitor.storage.counters.trackRequest = () => { throw new Error('down'); };
+    const handler = jest.fn();
+    const res = await request(http.createServer(monitor.nodeHandler(handler))).get('/');
+
+    expect(res.status).toBe(500);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
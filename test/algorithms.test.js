@@ -0,0 +1,228 @@
+/**
+ * api-security-monitor — rate-limiting algorithm tests
+ *
+ * Every algorithm is run through both built-in counters adapters with the same
+ * clock, so local and Redis mode must report identical counts.
+ */
+
+const APIMonitor = require('../src/index');
+const { LocalStorage, RedisMongoStorage } = require('../src/storage');
+const { slidingEstimate, takeToken, windowIndex, resetTime } = require('../src/algorithms');
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const WINDOW = 60; // seconds
+const LIMIT  = 5;
+
+// Aligned to a window boundary so tests can place requests either side of it
+const T0 = windowIndex(1_900_000_000_000, WINDOW * 1000) * WINDOW * 1000;
+
+let clock;
+beforeEach(() => {
+  clock = T0;
+  jest.spyOn(Date, 'now').mockImplementation(() => clock);
+});
+
+function adapters() {
+  const local = new LocalStorage({ timeWindow: WINDOW, cleanupInterval: 60_000 });
+  const redis = new RedisMongoStorage({
+    mongoURI:   'mongodb://localhost/test',
+    redisURL:   'redis://localhost',
+    timeWindow: WINDOW,
+  });
+  return { local, redis };
+}
+
+/**
+ * Sends requests at the given offsets (ms from T0) and returns each requestCount.
+ */
+async function run(adapter, key, algorithm, offsets) {
+  const counts = [];
+  for (const offset of offsets) {
+    clock = T0 + offset;
+    const { requestCount } = await adapter.trackRequest(key, '/', { timeWindow: WINDOW, limit: LIMIT, algorithm });
+    counts.push(requestCount);
+  }
+  return counts;
+}
+
+// Five requests just before a window boundary, five just after
+const BOUNDARY_BURST = [59_000, 59_100, 59_200, 59_300, 59_400, 60_100, 60_200, 60_300, 60_400, 60_500];
+
+describe('Algorithm helpers', () => {
+  it('slidingEstimate weights the previous window by its remaining overlap', () => {
+    // 25% into the current window → 75% of the previous window still counts
+    expect(slidingEstimate(8, 2, 15_000, 60_000)).toBe(8);
+  });
+
+  it('takeToken starts full, drains and refills evenly', () => {
+    let bucket;
+    const counts = [];
+    for (let i = 0; i < 6; i++) {
+      const result = takeToken(bucket, 5, 0, 60_000);
+      bucket = result.bucket;
+      counts.push(result.requestCount);
+    }
+    expect(counts).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(takeToken(bucket, 5, 12_000, 60_000).requestCount).toBe(5); // one token back after 12 s
+  });
+
+  it('resetTime reports when each algorithm frees up budget', () => {
+    const state = { now: 70_000, windowMs: 60_000, limit: 5, requestCount: 2, oldest: 40_000 };
+    expect(resetTime('sliding-log', state)).toBe(100_000);
+    expect(resetTime('fixed-window', state)).toBe(120_000);
+    expect(resetTime('token-bucket', state)).toBe(94_000);                        // two tokens to refill
+    expect(resetTime('token-bucket', { ...state, requestCount: 6 })).toBe(82_000); // empty: next token
+  });
+});
+
+describe.each(['sliding-log', 'fixed-window', 'sliding-window', 'token-bucket'])('%s', (algorithm) => {
+  it('reports identical counts in local and Redis mode', async () => {
+    const { local, redis } = adapters();
+    const key     = `parity-${algorithm}`;
+    const offsets = [0, 1_000, 2_000, 30_000, 59_999, 60_000, 75_000, 90_000, 150_000, 150_001];
+
+    expect(await run(redis, key, algorithm, offsets)).toEqual(await run(local, key, algorithm, offsets));
+    local.close();
+  });
+
+  it('reports identical resetAt in local and Redis mode', async () => {
+    const { local, redis } = adapters();
+    const resets = async (adapter) => {
+      const result = [];
+      for (const offset of [0, 10_000, 59_999, 61_000]) {
+        clock = T0 + offset;
+        const { resetAt } = await adapter.trackRequest(`expiry-${algorithm}`, '/', { timeWindow: WINDOW, limit: LIMIT, algorithm });
+        result.push(resetAt);
+      }
+      return result;
+    };
+
+    const expected = await resets(local);
+    expect(expected.every(t => t > T0 && t <= T0 + 61_000 + WINDOW * 1000)).toBe(true);
+    expect(await resets(redis)).toEqual(expected);
+    local.close();
+  });
+
+  it('reports identical counts and resetAt through the atomic Redis script', async () => {
+    const { local, redis } = adapters();
+    // Dry run without resets: the script counts like trackRequest and leaves the key alone
+    const atomic = {
+      trackRequest: (key, route, { timeWindow = WINDOW, limit, algorithm: alg }) => redis.trackAndBlock({
+        subjects:      [key],
+        subject:       key,
+        key,
+        route,
+        timeWindow,
+        limit,
+        algorithm:     alg,
+        scanThreshold: null,
+        reasons:       { rate: 'rate', scan: 'scan' },
+        blockPolicy:   { lookback: 60, baseDuration: 60, multiplier: 1 },
+        dryRun:        true,
+        resets:        [],
+      }),
+    };
+    const key     = `atomic-${algorithm}`;
+    const offsets = [0, 1_000, 2_000, 30_000, 59_999, 60_000, 75_000, 90_000, 150_000, 150_001];
+    expect(await run(atomic, key, algorithm, offsets)).toEqual(await run(local, key, algorithm, offsets));
+
+    clock = T0 + 200_000;
+    const opts = { timeWindow: WINDOW, limit: LIMIT, algorithm };
+    expect((await atomic.trackRequest(`${key}-reset`, '/', opts)).resetAt)
+      .toBe(local.trackRequest(`${key}-reset`, '/', opts).resetAt);
+    local.close();
+  });
+
+  it('counts unique routes for path scanning and resets them after an idle window', async () => {
+    const { local, redis } = adapters();
+    for (const adapter of [local, redis]) {
+      const key = `scan-${algorithm}-${adapter.constructor.name}`;
+      await adapter.trackRequest(key, '/a', { limit: LIMIT, algorithm });
+      const { scanCount } = await adapter.trackRequest(key, '/b', { limit: LIMIT, algorithm });
+      expect(scanCount).toBe(2);
+    }
+    local.close();
+  });
+});
+
+describe('Window boundary behaviour', () => {
+  const exceeded = counts => counts.some(c => c > LIMIT);
+
+  it('fixed-window lets a burst straddling the boundary through', async () => {
+    const { local } = adapters();
+    expect(exceeded(await run(local, 'b1', 'fixed-window', BOUNDARY_BURST))).toBe(false);
+    local.close();
+  });
+
+  it.each(['sliding-log', 'sliding-window', 'token-bucket'])('%s catches the same burst', async (algorithm) => {
+    const { local, redis } = adapters();
+    expect(exceeded(await run(local, `b-${algorithm}`, algorithm, BOUNDARY_BURST))).toBe(true);
+    expect(exceeded(await run(redis, `b-${algorithm}`, algorithm, BOUNDARY_BURST))).toBe(true);
+    local.close();
+  });
+});
+
+describe('Memory per key', () => {
+  it('sliding-log keeps at most limit + 1 timestamps', async () => {
+    const { local } = adapters();
+    await run(local, 'mem', 'sliding-log', Array.from({ length: 50 }, (_, i) => i));
+    expect(local.requestCounts.get('mem').length).toBe(LIMIT + 1);
+    local.close();
+  });
+
+  it('counter algorithms keep a single state object and no timestamp array', async () => {
+    const { local } = adapters();
+    await run(local, 'mem2', 'sliding-window', Array.from({ length: 50 }, (_, i) => i));
+    expect(local.requestCounts.has('mem2')).toBe(false);
+    expect(local.rateState.get('mem2')).toMatchObject({ count: 50 });
+    local.close();
+  });
+
+  it('evicts idle counter state on cleanup', () => {
+    jest.restoreAllMocks();
+    jest.useFakeTimers({ now: T0 });
+    const local = new LocalStorage({ timeWindow: 1, cleanupInterval: 1000 });
+
+    local.trackRequest('idle', '/', { timeWindow: 1, limit: LIMIT, algorithm: 'token-bucket' });
+    jest.advanceTimersByTime(3000);
+    expect(local.rateState.has('idle')).toBe(false);
+    expect(local.routeScans.has('idle')).toBe(false);
+    local.close();
+    jest.useRealTimers();
+  });
+});
+
+describe('algorithm option', () => {
+  it('defaults to sliding-log', () => {
+    expect(APIMonitor({}).monitor.algorithm).toBe('sliding-log');
+  });
+
+  it('rejects unknown algorithms, globally and per policy', () => {
+    expect(() => APIMonitor({ algorithm: 'leaky' })).toThrow('algorithm must be one of');
+    expect(() => APIMonitor({ policies: [{ path: '/a', algorithm: 'leaky' }] }))
+      .toThrow('policies[0].algorithm must be one of');
+  });
+
+  it('blocks through the middleware with token-bucket', async () => {
+    const { monitor } = APIMonitor({ algorithm: 'token-bucket', maxRequests: 2 });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    for (let i = 0; i < 3; i++) {
+      const { requestCount, scanCount } = await monitor.updateLocalTracking('1.1.1.1', '/');
+      await monitor.handleAttackDetection('1.1.1.1', requestCount, scanCount, '/');
+    }
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(await monitor.isIPBlocked('1.1.1.1')).toBe(true);
+  });
+
+  it('resets Redis counters for every algorithm when a key is blocked', async () => {
+    const { redis } = adapters();
+    for (const algorithm of ['sliding-log', 'fixed-window', 'token-bucket']) {
+      await run(redis, 'reset', algorithm, [0, 1, 2]);
+    }
+    await redis.resetTracking('reset', { timeWindow: WINDOW });
+    expect(await redis.redis.keys('req_*:reset*')).toEqual([]);
+  });
+});
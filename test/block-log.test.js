@@ -0,0 +1,205 @@
+/**
+ * api-security-monitor — NDJSON block log rotation and compaction tests
+ *
+ * Each test works in its own temporary directory.
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { BlockLog, replay } = require('../src/storage/block-log');
+const { LocalStorage } = require('../src/storage');
+
+let dir;
+let logPath;
+
+beforeEach(() => {
+  dir     = fs.mkdtempSync(path.join(os.tmpdir(), 'api-monitor-blocklog-'));
+  logPath = path.join(dir, 'blocks.ndjson');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const lines   = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(JSON.parse);
+const entries = () => fs.readdirSync(dir).sort();
+const block   = (ip, extra = {}) => ({
+  timestamp: new Date().toISOString(),
+  ip,
+  reason:    'Path Scanning',
+  route:     '/',
+  expiresAt: Date.now() + 300_000,
+  action:    'block',
+  ...extra,
+});
+
+describe('replay', () => {
+  it('restores active blocks and offences, skipping unblocked, expired and manual ones', () => {
+    const now   = Date.now();
+    const state = replay([
+      block('1.1.1.1'),
+      block('2.2.2.2', { expiresAt: now - 1 }),
+      block('3.3.3.3'),
+      { ip: '3.3.3.3', action: 'unblock' },
+      block('4.4.4.4', { actor: 'waf' }),
+      block('5.5.5.5', { timestamp: new Date(now - 10_000_000).toISOString() }),
+    ], { now, lookback: 3600 });
+
+    expect([...state.blocks.keys()]).toEqual(['1.1.1.1', '4.4.4.4', '5.5.5.5']);
+    expect([...state.offences.keys()]).toEqual(['1.1.1.1', '2.2.2.2', '3.3.3.3']);
+  });
+
+  it('counts snapshot offences once and never counts snapshot blocks', () => {
+    const now   = Date.now();
+    const at    = new Date(now - 1000).toISOString();
+    const state = replay([
+      block('1.1.1.1', { snapshot: true }),
+      { ip: '1.1.1.1', action: 'offence', at, snapshot: true },
+    ], { now, lookback: 3600 });
+
+    expect(state.blocks.has('1.1.1.1')).toBe(true);
+    expect(state.offences.get('1.1.1.1')).toEqual([Date.parse(at)]);
+  });
+});
+
+describe('BlockLog', () => {
+  it('rotates past maxSize and starts the new file with a compacted snapshot', async () => {
+    const log = new BlockLog(logPath, { rotation: { maxSize: 200 } });
+    log.load();
+    log.append(block('1.1.1.1'));
+    log.append(block('2.2.2.2', { expiresAt: Date.now() - 1 }));
+    log.append(block('3.3.3.3'));
+    await log.flush();
+
+    const [active, segment] = entries();
+    expect(active).toBe('blocks.ndjson');
+    expect(segment).toMatch(/^blocks\.ndjson\.\d+$/);
+    expect(lines(path.join(dir, segment)).map(e => e.ip)).toEqual(['1.1.1.1', '2.2.2.2']);
+
+    // 2.2.2.2 expired, but its offence still counts
+    const snapshot = lines(logPath).filter(e => e.snapshot);
+    expect(snapshot).toEqual(expect.arrayContaining([
+      expect.objectContaining({ ip: '1.1.1.1', action: 'block' }),
+      expect.objectContaining({ ip: '1.1.1.1', action: 'offence' }),
+      expect.objectContaining({ ip: '2.2.2.2', action: 'offence' }),
+    ]));
+    expect(snapshot.find(e => e.ip === '2.2.2.2' && e.action === 'block')).toBeUndefined();
+    expect(lines(logPath).pop()).toMatchObject({ ip: '3.3.3.3', action: 'block' });
+  });
+
+  it('restores the same state from the active file alone after rotation', async () => {
+    const log = new BlockLog(logPath, { rotation: { maxSize: 1 } });
+    log.load();
+    log.append(block('1.1.1.1'));
+    log.append(block('2.2.2.2'));
+    log.append({ ip: '1.1.1.1', action: 'unblock' });
+    await log.flush();
+
+    const restored = new BlockLog(logPath).load();
+    expect([...restored.blocks.keys()]).toEqual(['2.2.2.2']);
+    expect([...restored.offences.keys()].sort()).toEqual(['1.1.1.1', '2.2.2.2']);
+    expect(restored.offences.get('2.2.2.2')).toHaveLength(1);
+  });
+
+  it('does not count the snapshot towards maxSize', async () => {
+    const snapshot = Array.from({ length: 40 }, (_, i) => block(`3.3.0.${i}`, { snapshot: true }));
+    fs.writeFileSync(logPath, snapshot.map(e => JSON.stringify(e)).join('\n') + '\n');
+    expect(fs.statSync(logPath).size).toBeGreaterThan(2000);
+
+    const log = new BlockLog(logPath, { rotation: { maxSize: 2000 } });
+    log.load();
+    expect(entries()).toHaveLength(1);
+
+    // ~3000 bytes: one rotation once 2000 are appended, none for the rest
+    for (let i = 0; i < 20; i++) log.append(block(`3.3.1.${i}`));
+    await log.flush();
+    expect(entries()).toHaveLength(2);
+
+    const restored = new BlockLog(logPath, { rotation: { maxSize: 2000 } }).load();
+    expect(restored.blocks.size).toBe(60);
+    expect(entries()).toHaveLength(2);
+  });
+
+  it('rotates by age', async () => {
+    const log = new BlockLog(logPath, { rotation: { maxAge: 60 } });
+    log.load();
+    log.append(block('1.1.1.1'));
+    await log.flush();
+    expect(entries()).toHaveLength(1);
+
+    log.startedAt -= 61_000;
+    log.append(block('2.2.2.2'));
+    await log.flush();
+    expect(entries()).toHaveLength(2);
+  });
+
+  it('compacts an oversized log on startup', () => {
+    fs.writeFileSync(logPath, [block('1.1.1.1'), { ip: '1.1.1.1', action: 'unblock' }, block('2.2.2.2')]
+      .map(e => JSON.stringify(e)).join('\n') + '\n');
+
+    const state = new BlockLog(logPath, { rotation: { maxSize: 100 } }).load();
+    expect([...state.blocks.keys()]).toEqual(['2.2.2.2']);
+    expect(entries()).toHaveLength(2);
+    expect(lines(logPath).every(e => e.snapshot)).toBe(true);
+  });
+
+  it('gzips segments, keeps maxFiles of them and still queries them', async () => {
+    const log = new BlockLog(logPath, { rotation: { maxSize: 1, maxFiles: 2, compress: true } });
+    log.load();
+    for (let i = 1; i <= 4; i++) {
+      log.append(block(`1.1.1.${i}`));
+      await log.flush(); // distinct segment timestamps
+      await new Promise(r => setTimeout(r, 2));
+    }
+
+    const segments = entries().filter(name => name !== 'blocks.ndjson');
+    expect(segments).toHaveLength(2);
+    expect(segments.every(name => name.endsWith('.gz'))).toBe(true);
+
+    const recent = await log.recent(e => e.action === 'block', 10);
+    expect(recent.map(e => e.ip)).toEqual(['1.1.1.4', '1.1.1.3', '1.1.1.2']);
+  });
+
+  it('returns the newest matches across segments without snapshot entries', async () => {
+    const log = new BlockLog(logPath, { rotation: { maxSize: 200 } });
+    log.load();
+    for (let i = 1; i <= 6; i++) log.append(block(`2.2.2.${i}`));
+    await log.flush();
+    expect(entries().length).toBeGreaterThan(2);
+
+    expect((await log.recent(() => true, 3)).map(e => e.ip)).toEqual(['2.2.2.6', '2.2.2.5', '2.2.2.4']);
+
+    const seen = [];
+    await log.scan(e => seen.push(e.ip));
+    expect(seen).toEqual(['2.2.2.1', '2.2.2.2', '2.2.2.3', '2.2.2.4', '2.2.2.5', '2.2.2.6']);
+  });
+
+  it('validates the rotation options', () => {
+    expect(() => new BlockLog(logPath, { rotation: { maxSize: 0 } })).toThrow('blockLogRotation.maxSize must be a positive number');
+    expect(() => new BlockLog(logPath, { rotation: { maxFiles: 'x' } })).toThrow('blockLogRotation.maxFiles');
+  });
+});
+
+describe('LocalStorage with a rotating block log', () => {
+  it('serves queryLogs and getStats across segments and survives a restart', async () => {
+    const options = { blockLogPath: logPath, blockLogRotation: { maxSize: 250 }, cleanupInterval: 60_000 };
+    const store   = new LocalStorage(options);
+    for (let i = 1; i <= 4; i++) {
+      store.block(`3.3.3.${i % 2}`, { reason: 'Path Scanning', expiresAt: Date.now() + 60_000, offence: 1 });
+    }
+    await store.close();
+    expect(entries().length).toBeGreaterThan(1);
+
+    expect(await store.queryLogs({ ip: '3.3.3.1', limit: 5 })).toHaveLength(2);
+    expect(await store.getStats()).toEqual([
+      expect.objectContaining({ _id: '3.3.3.1', attackCount: 2 }),
+      expect.objectContaining({ _id: '3.3.3.0', attackCount: 2 }),
+    ]);
+
+    const restarted = new LocalStorage(options);
+    expect(restarted.getBlock('3.3.3.0')).toEqual(expect.objectContaining({ reason: 'Path Scanning' }));
+    expect(restarted.offences.get('3.3.3.1')).toHaveLength(2);
+    await restarted.close();
+  });
+});
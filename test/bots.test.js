@@ -0,0 +1,68 @@
+/**
+ * api-security-monitor — User-Agent / fingerprint bot detection tests
+ */
+
+const { compileBotDetection, detectBot } = require('../src/bots');
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+const browserHeaders = {
+  'user-agent':      CHROME,
+  accept:            '*/*',
+  'accept-language': 'en-US,en;q=0.9',
+  'accept-encoding': 'gzip, deflate, br',
+};
+
+describe('compileBotDetection', () => {
+  it('is disabled unless configured', () => {
+    expect(compileBotDetection(undefined, 60)).toBeNull();
+    expect(compileBotDetection(true, 60)).toMatchObject({ action: 'block', scoreThreshold: 5, timeWindow: 60 });
+  });
+
+  it('rejects unknown actions and checks', () => {
+    expect(() => compileBotDetection({ action: 'ban' }, 60)).toThrow('botDetection.action must be one of');
+    expect(() => compileBotDetection({ checks: ['tls'] }, 60)).toThrow('botDetection.checks must only contain');
+  });
+});
+
+describe('detectBot', () => {
+  const config = compileBotDetection(true, 60);
+
+  it.each([
+    ['sqlmap/1.7.2#stable (https://sqlmap.org)', 'tool:sqlmap'],
+    ['Mozilla/5.00 (Nikto/2.1.6) (Evasions:None) (Test:000001)', 'tool:nikto'],
+    ['masscan/1.3 (https://github.com/robertdavidgraham/masscan)', 'tool:masscan'],
+    ['Mozilla/5.0 zgrab/0.x', 'tool:zgrab'],
+  ])('recognises attack tooling: %s', (ua, rule) => {
+    expect(detectBot(config, { 'user-agent': ua })).toBe(rule);
+  });
+
+  it('flags empty and malformed user agents', () => {
+    expect(detectBot(config, {})).toBe('empty-user-agent');
+    expect(detectBot(config, { 'user-agent': '   ' })).toBe('empty-user-agent');
+    expect(detectBot(config, { 'user-agent': '-' })).toBe('malformed-user-agent');
+    expect(detectBot(config, { 'user-agent': 'abc\u0001def' })).toBe('malformed-user-agent');
+    expect(detectBot(config, { 'user-agent': 'a'.repeat(1025) })).toBe('malformed-user-agent');
+  });
+
+  it('flags browsers missing headers every browser sends', () => {
+    expect(detectBot(config, browserHeaders)).toBeNull();
+    expect(detectBot(config, { ...browserHeaders, 'accept-language': undefined })).toBe('inconsistent-headers');
+  });
+
+  it('leaves ordinary API clients alone', () => {
+    expect(detectBot(config, { 'user-agent': 'axios/1.6.0' })).toBeNull();
+    expect(detectBot(config, { 'user-agent': 'okhttp/4.12.0' })).toBeNull();
+  });
+
+  it('honours extra tools, disabled checks and the agent allowlist', () => {
+    const custom = compileBotDetection({
+      tools:       ['python-requests'],
+      checks:      ['tool', 'malformed'],
+      allowAgents: ['UptimeRobot', /^internal-probe\//],
+    }, 60);
+    expect(detectBot(custom, { 'user-agent': 'python-requests/2.31' })).toBe('tool:python-requests');
+    expect(detectBot(custom, {})).toBeNull();
+    expect(detectBot(custom, { 'user-agent': 'Mozilla/5.0 (compatible; UptimeRobot/2.0; nmap)' })).toBeNull();
+    expect(detectBot(custom, { 'user-agent': 'internal-probe/1 sqlmap' })).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * api-security-monitor — cross-instance event tests
+ *
+ * ioredis-mock instances on the same URL share data and pub/sub, standing in
+ * for several replicas connected to one Redis.
+ */
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const Redis = require('ioredis');
+const { ClusterEvents, compileClusterEvents } = require('../src/cluster');
+
+const tick = () => new Promise(r => setTimeout(r, 20));
+
+describe('compileClusterEvents', () => {
+  it('is off unless enabled and fills in the defaults', () => {
+    expect(compileClusterEvents(undefined)).toBeNull();
+    const config = compileClusterEvents(true);
+    expect(config).toMatchObject({ channel: 'api-monitor:events', claimTTL: 60 });
+    expect(config.instanceId).toMatch(/^.+:\d+:[0-9a-f]{6}$/);
+    expect(compileClusterEvents({ instanceId: 'api-1' }).instanceId).toBe('api-1');
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => compileClusterEvents({ channel: '' })).toThrow('clusterEvents.channel must be a non-empty string');
+    expect(() => compileClusterEvents({ instanceId: 7 })).toThrow('clusterEvents.instanceId must be a non-empty string');
+    expect(() => compileClusterEvents({ claimTTL: 0 })).toThrow('clusterEvents.claimTTL must be a positive number');
+  });
+});
+
+describe('ClusterEvents', () => {
+  const url = 'redis://localhost:6390';
+  let nodes;
+
+  const node = (instanceId, opts = {}) => {
+    const onEvent = jest.fn();
+    const events  = new ClusterEvents(compileClusterEvents({ instanceId, redisURL: url, ...opts }), { onEvent });
+    nodes.push(events);
+    return { events, onEvent };
+  };
+
+  beforeEach(() => { nodes = []; });
+  afterEach(async () => {
+    for (const events of nodes) await events.close();
+  });
+
+  it('delivers events to the other instances only, with their origin and timestamp', async () => {
+    const a = node('a');
+    const b = node('b');
+    await Promise.all([a.events.ready, b.events.ready]);
+
+    const event = a.events.stamp({ ip: '1.2.3.4', timestamp: new Date('2026-01-01T00:00:00Z') });
+    await a.events.publish('ip-blocked', event);
+    await tick();
+
+    expect(a.onEvent).not.toHaveBeenCalled();
+    expect(b.onEvent).toHaveBeenCalledWith('ip-blocked', {
+      ip:         '1.2.3.4',
+      timestamp:  new Date('2026-01-01T00:00:00Z'),
+      instanceId: 'a',
+      eventId:    event.eventId,
+      remote:     true,
+    });
+  });
+
+  it('drops malformed and unknown messages', async () => {
+    const b = node('b');
+    await b.events.ready;
+    const publisher = new Redis(url);
+    await publisher.publish('api-monitor:events', 'not json');
+    await publisher.publish('api-monitor:events', JSON.stringify({ event: 'bot-detected', data: { instanceId: 'a' } }));
+    await publisher.quit();
+    await tick();
+
+    expect(b.onEvent).not.toHaveBeenCalled();
+  });
+
+  it('grants each claim to one instance per handler', async () => {
+    const a = node('a');
+    const b = node('b');
+
+    expect(await a.events.claim('pager', 'evt-1')).toBe(true);
+    expect(await b.events.claim('pager', 'evt-1')).toBe(false);
+    expect(await b.events.claim('audit', 'evt-1')).toBe(true);
+  });
+
+  it('publishes with an existing client and leaves it open', async () => {
+    const redis  = new Redis(url);
+    const events = new ClusterEvents(compileClusterEvents(true), { redis, onEvent: jest.fn() });
+    await events.ready;
+    await events.close();
+
+    expect(await redis.ping()).toBe('PONG');
+    await redis.quit();
+  });
+
+  it('requires a Redis connection', () => {
+    expect(() => new ClusterEvents(compileClusterEvents(true), { onEvent: jest.fn() }))
+      .toThrow('clusterEvents requires Redis');
+  });
+});
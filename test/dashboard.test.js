@@ -0,0 +1,219 @@
+/**
+ * api-security-monitor — dashboard router tests
+ */
+
+const express    = require('express');
+const request    = require('supertest');
+const APIMonitor = require('../src/index');
+
+function buildDashboard(auth, options = {}) {
+  const { monitor } = APIMonitor(options);
+  const app = express();
+  app.use('/monitor', monitor.dashboardRouter({ auth }));
+  return { app, monitor };
+}
+
+const bearer = { Authorization: 'Bearer s3cret' };
+
+describe('dashboardRouter — auth', () => {
+  it('requires an auth option', () => {
+    const { monitor } = APIMonitor({});
+    expect(() => monitor.dashboardRouter()).toThrow('dashboardRouter requires auth');
+    expect(() => monitor.dashboardRouter({ auth: { token: '' } })).toThrow('dashboardRouter requires auth');
+  });
+
+  it('accepts a matching bearer token and rejects others with a challenge', async () => {
+    const { app } = buildDashboard({ token: 's3cret' });
+
+    expect((await request(app).get('/monitor/blocked').set(bearer)).status).toBe(200);
+
+    const wrong = await request(app).get('/monitor/blocked').set('Authorization', 'Bearer nope');
+    expect(wrong.status).toBe(401);
+    expect(wrong.headers['www-authenticate']).toMatch(/^Bearer/);
+    expect((await request(app).get('/monitor/blocked')).status).toBe(401);
+  });
+
+  it('supports basic auth and records the username as the actor', async () => {
+    const { app, monitor } = buildDashboard({ username: 'admin', password: 'pw' });
+    const spy = jest.fn();
+    monitor.on('ip-blocked', spy);
+
+    const ok = await request(app).post('/monitor/blocked').auth('admin', 'pw').send({ ip: '96.0.0.1' });
+    expect(ok.status).toBe(201);
+    expect(ok.body.actor).toBe('admin');
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ actor: 'admin', manual: true }));
+
+    const bad = await request(app).get('/monitor/blocked').auth('admin', 'wrong');
+    expect(bad.status).toBe(401);
+    expect(bad.headers['www-authenticate']).toMatch(/^Basic/);
+  });
+
+  it('supports a custom async check whose string result becomes the actor', async () => {
+    const auth = async req => (req.headers['x-api-key'] === 'k1' ? 'extension' : false);
+    const { app } = buildDashboard(auth);
+
+    expect((await request(app).get('/monitor/logs/stats')).status).toBe(401);
+    const res = await request(app).post('/monitor/blocked').set('x-api-key', 'k1').send({ ip: '96.0.0.2' });
+    expect(res.body.actor).toBe('extension');
+  });
+
+  it('returns 500 when the custom check throws', async () => {
+    const { app } = buildDashboard(() => { throw new Error('boom'); });
+    expect((await request(app).get('/monitor/blocked')).status).toBe(500);
+  });
+
+  it('leaves application routes alone when mounted at the root', async () => {
+    const { monitor } = APIMonitor({});
+    const app = express();
+    app.use(monitor.dashboardRouter({ auth: { token: 's3cret' } }));
+    app.get('/api/users', (req, res) => res.json({ users: [] }));
+
+    expect((await request(app).get('/api/users')).status).toBe(200);
+    expect((await request(app).get('/logs')).status).toBe(401);
+  });
+
+  it('can be disabled explicitly with auth: false', async () => {
+    const { app } = buildDashboard(false);
+    expect((await request(app).get('/monitor/blocked')).status).toBe(200);
+  });
+});
+
+describe('dashboardRouter — endpoints', () => {
+  it('serves logs, attack logs, stats and blocked IPs', async () => {
+    const { app, monitor } = buildDashboard({ token: 's3cret' });
+    await monitor.blockIP('96.0.0.3', { reason: 'Reported', duration: 60 });
+
+    const blocked = await request(app).get('/monitor/blocked').set(bearer);
+    expect(blocked.body).toMatchObject({ count: 1, blocked: [{ ip: '96.0.0.3', reason: 'Reported' }] });
+
+    for (const path of ['/monitor/logs', '/monitor/logs/attacks', '/monitor/logs/stats']) {
+      const res = await request(app).get(path).set(bearer);
+      expect(res.status).toBe(200);
+      expect(Array.isArray(res.body)).toBe(true);
+    }
+  });
+
+  it('clamps limit to 1..100', async () => {
+    const { app, monitor } = buildDashboard({ token: 's3cret' });
+    const logs    = jest.spyOn(monitor, 'getLogs');
+    const attacks = jest.spyOn(monitor, 'getAttackLogs');
+
+    await request(app).get('/monitor/logs?limit=5000').set(bearer);
+    await request(app).get('/monitor/logs?limit=-3').set(bearer);
+    await request(app).get('/monitor/logs/attacks?limit=abc').set(bearer);
+
+    expect(logs.mock.calls[0][0].limit).toBe(100);
+    expect(logs.mock.calls[1][0].limit).toBe(1);
+    expect(attacks.mock.calls[0][0].limit).toBe(50);
+  });
+
+  it('rejects invalid log filters with 400', async () => {
+    const { app } = buildDashboard({ token: 's3cret' });
+    const cases = [
+      ['/monitor/logs?startDate=not-a-date', 'Invalid startDate'],
+      ['/monitor/logs?endDate=nope',         'Invalid endDate'],
+      ['/monitor/logs?ip=1.1.1.1&ip=2.2.2.2', 'Invalid ip parameter'],
+      ['/monitor/logs?attackType[$ne]=x',    'Invalid attackType parameter'],
+    ];
+    for (const [path, error] of cases) {
+      const res = await request(app).get(path).set(bearer);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    }
+  });
+
+  it('pages blocked IPs with offset, limit, sort and order', async () => {
+    const { app, monitor } = buildDashboard({ token: 's3cret' });
+    for (const [ip, duration] of [['96.0.1.10', 30], ['96.0.1.9', 10], ['96.0.1.8', 20]]) {
+      await monitor.blockIP(ip, { duration });
+    }
+
+    const page = await request(app).get('/monitor/blocked?offset=1&limit=1').set(bearer);
+    expect(page.body).toMatchObject({ count: 1, total: 3, blocked: [{ ip: '96.0.1.8' }] });
+
+    const byIP = await request(app).get('/monitor/blocked?sort=ip&order=desc').set(bearer);
+    expect(byIP.body.blocked.map(b => b.ip)).toEqual(['96.0.1.10', '96.0.1.9', '96.0.1.8']);
+
+    const getBlockedIPs = jest.spyOn(monitor, 'getBlockedIPs');
+    await request(app).get('/monitor/blocked?limit=5000').set(bearer);
+    expect(getBlockedIPs).toHaveBeenLastCalledWith(expect.objectContaining({ limit: 100 }));
+  });
+
+  it('rejects invalid paging parameters on /blocked with 400', async () => {
+    const { app } = buildDashboard({ token: 's3cret' });
+    const cases = [
+      ['/monitor/blocked?offset=-1',    'Invalid offset parameter'],
+      ['/monitor/blocked?offset=abc',   'Invalid offset parameter'],
+      ['/monitor/blocked?sort=reason',  'Invalid sort parameter'],
+      ['/monitor/blocked?order=random', 'Invalid order parameter'],
+    ];
+    for (const [path, error] of cases) {
+      const res = await request(app).get(path).set(bearer);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    }
+  });
+
+  it('blocks via POST /blocked and unblocks via DELETE /blocked/:ip', async () => {
+    const { app, monitor } = buildDashboard({ token: 's3cret' });
+
+    const created = await request(app).post('/monitor/blocked').set(bearer)
+      .send({ ip: '96.0.0.4', duration: 120, reason: 'Manual review' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ ip: '96.0.0.4', reason: 'Manual review', actor: 'dashboard', remainingSec: 120 });
+    expect(await monitor.isIPBlocked('96.0.0.4')).toBe(true);
+
+    const removed = await request(app).delete('/monitor/blocked/96.0.0.4').set(bearer);
+    expect(removed.status).toBe(200);
+    expect(removed.body).toEqual({ ip: '96.0.0.4', unblocked: true });
+    expect(await monitor.isIPBlocked('96.0.0.4')).toBe(false);
+
+    expect((await request(app).delete('/monitor/blocked/96.0.0.4').set(bearer)).status).toBe(404);
+  });
+
+  it('accepts keyed subjects from a keyGenerator', async () => {
+    const { app, monitor } = buildDashboard({ token: 's3cret' });
+
+    expect((await request(app).post('/monitor/blocked').set(bearer).send({ ip: 'user:42' })).status).toBe(201);
+    expect(await monitor.isIPBlocked('user:42')).toBe(true);
+    expect((await request(app).delete('/monitor/blocked/user%3A42').set(bearer)).status).toBe(200);
+  });
+
+  it('validates manual block input', async () => {
+    const { app } = buildDashboard({ token: 's3cret' });
+    const cases = [
+      [{ ip: 'not-an-ip' },                      'Invalid ip'],
+      [{ ip: '96.0.0.5', duration: -1 },         'Invalid duration'],
+      [{ ip: '96.0.0.5', duration: '60' },       'Invalid duration'],
+      [{ ip: '96.0.0.5', reason: 'x'.repeat(201) }, 'Invalid reason'],
+    ];
+    for (const [body, error] of cases) {
+      const res = await request(app).post('/monitor/blocked').set(bearer).send(body);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    }
+
+    expect((await request(app).delete('/monitor/blocked/nope').set(bearer)).status).toBe(400);
+  });
+
+  it('rejects malformed and oversized JSON bodies', async () => {
+    const { app } = buildDashboard({ token: 's3cret' });
+
+    const malformed = await request(app).post('/monitor/blocked').set(bearer)
+      .set('Content-Type', 'application/json').send('{"ip":');
+    expect(malformed.status).toBe(400);
+
+    const oversized = await request(app).post('/monitor/blocked').set(bearer)
+      .send({ ip: '96.0.0.6', reason: 'x'.repeat(20000) });
+    expect(oversized.status).toBe(413);
+  });
+
+  it('returns 500 when the monitor fails', async () => {
+    const { app, monitor } = buildDashboard({ token: 's3cret' });
+    jest.spyOn(monitor, 'getStats').mockRejectedValue(new Error('db down'));
+
+    const res = await request(app).get('/monitor/logs/stats').set(bearer);
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Error fetching stats');
+  });
+});
@@ -22,14 +22,20 @@ jest.mock('ioredis', () => require('ioredis-mock'));
  *
  * trust proxy is set to `true` so Express populates req.ip from the
  * X-Forwarded-For header that supertest sets in each test request.
+ *
+ * @param {Object} [options] - APIMonitor options
+ * @param {Object} [setup]
+ * @param {boolean} [setup.json=false] - Mount express.json() before the monitor so it sees bodies
+ * @param {Function} [setup.routes]    - (app) => void, mounted after the monitor; every GET answers 200 by default
  */
-function buildApp(options = {}) {
+function buildApp(options = {}, { json = false, routes = app => app.get('*', (_req, res) => res.sendStatus(200)) } = {}) {
   const app = express();
   app.set('trust proxy', true); // allow supertest to control req.ip via x-forwarded-for
+  if (json) app.use(express.json());
   const result = APIMonitor(options);
   app.use(result.blockIPs);   // reject blocked IPs early
   app.use(result.middleware); // track and detect
-  app.get('*', (_req, res) => res.sendStatus(200));
+  routes(app);
   return { app, ...result };
 }
 
@@ -911,3 +917,1540 @@ describe('Redis Mode (saveRecords: true)', () => {
     });
   });
 });
+
+// ---------------------------------------------------------------------------
+// 15. Escalating block policy
+// ---------------------------------------------------------------------------
+
+describe('Block Policy', () => {
+  const os   = require('os');
+  const path = require('path');
+  const fs   = require('fs');
+
+  // Simulates one rate-limit breach and returns the resulting block length in seconds
+  async function offend(monitor, ip) {
+    await monitor.handleAttackDetection(ip, monitor.maxRequests + 1, 0, '/');
+    const { expiresAt } = await monitor.storage.blocks.getBlock(ip);
+    await monitor.storage.blocks.unblock(ip);
+    return expiresAt === Infinity ? Infinity : Math.round((expiresAt - Date.now()) / 1000);
+  }
+
+  it('blocks for 300 seconds by default, on every offence', async () => {
+    const { monitor } = APIMonitor({});
+    expect(await offend(monitor, '80.0.0.1')).toBe(300);
+    expect(await offend(monitor, '80.0.0.1')).toBe(300);
+  });
+
+  it('rejects invalid policies', () => {
+    const cases = [
+      [{ baseDuration: 0 },       'blockPolicy.baseDuration must be a positive number of seconds'],
+      [{ baseDuration: '60' },    'blockPolicy.baseDuration must be a positive number of seconds'],
+      [{ lookback: -1 },          'blockPolicy.lookback must be a positive number of seconds'],
+      [{ maxDuration: 0 },        'blockPolicy.maxDuration must be a positive number of seconds'],
+      [{ multiplier: 0.5 },       'blockPolicy.multiplier must be a number of at least 1'],
+      [{ multiplier: NaN },       'blockPolicy.multiplier must be a number of at least 1'],
+      [{ permanentAfter: 0 },     'blockPolicy.permanentAfter must be a positive integer'],
+      [{ permanentAfter: 2.5 },   'blockPolicy.permanentAfter must be a positive integer'],
+    ];
+    for (const [blockPolicy, error] of cases) {
+      expect(() => APIMonitor({ blockPolicy })).toThrow(error);
+    }
+    expect(() => APIMonitor({ blockPolicy: { maxDuration: null, permanentAfter: null } })).not.toThrow();
+  });
+
+  it('multiplies the duration for repeat offences within the lookback window', async () => {
+    const { monitor } = APIMonitor({ blockPolicy: { baseDuration: 60, multiplier: 2 } });
+    expect(await offend(monitor, '80.0.0.2')).toBe(60);
+    expect(await offend(monitor, '80.0.0.2')).toBe(120);
+    expect(await offend(monitor, '80.0.0.2')).toBe(240);
+  });
+
+  it('caps the escalated duration at maxDuration', async () => {
+    const { monitor } = APIMonitor({ blockPolicy: { baseDuration: 60, multiplier: 10, maxDuration: 900 } });
+    await offend(monitor, '80.0.0.3');
+    expect(await offend(monitor, '80.0.0.3')).toBe(600);
+    expect(await offend(monitor, '80.0.0.3')).toBe(900);
+  });
+
+  it('forgets offences older than the lookback window', async () => {
+    const { monitor } = APIMonitor({ blockPolicy: { baseDuration: 60, multiplier: 2, lookback: 3600 } });
+    await offend(monitor, '80.0.0.4');
+    monitor.storage.blocks.offences.set('80.0.0.4', [Date.now() - 3_601_000]);
+    expect(await offend(monitor, '80.0.0.4')).toBe(60);
+  });
+
+  it('bans permanently from the permanentAfter offence on', async () => {
+    const { monitor } = APIMonitor({ blockPolicy: { permanentAfter: 2 } });
+    await offend(monitor, '80.0.0.5');
+    await monitor.handleAttackDetection('80.0.0.5', 100, 0, '/');
+
+    expect(await monitor.getBlockInfo('80.0.0.5')).toMatchObject({ blockedFor: 'permanent', blockedUntil: null });
+    const { blocked } = await monitor.getBlockedIPs();
+    expect(blocked.find(b => b.ip === '80.0.0.5')).toMatchObject({ remainingSec: null, blockedUntil: null });
+  });
+
+  it('includes the offence number and duration in the attack-detected event', async () => {
+    const { monitor } = APIMonitor({ blockPolicy: { baseDuration: 60, multiplier: 2 } });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    await offend(monitor, '80.0.0.6');
+    await offend(monitor, '80.0.0.6');
+    expect(spy).toHaveBeenLastCalledWith(expect.objectContaining({ offence: 2, duration: 120 }));
+  });
+
+  it('restores offence history and permanent bans from the NDJSON block log', async () => {
+    const logPath = path.join(os.tmpdir(), `api-monitor-test-policy-${Date.now()}.ndjson`);
+    const policy  = { baseDuration: 60, multiplier: 2, permanentAfter: 3 };
+
+    const { monitor: first } = APIMonitor({ blockLogPath: logPath, blockPolicy: policy });
+    await offend(first, '80.0.0.7');
+    await first.handleAttackDetection('80.0.0.8', 100, 0, '/');
+    await first.handleAttackDetection('80.0.0.8', 100, 0, '/');
+    await first.handleAttackDetection('80.0.0.8', 100, 0, '/'); // permanent
+    await new Promise(r => setTimeout(r, 50));
+
+    const { monitor: second } = APIMonitor({ blockLogPath: logPath, blockPolicy: policy });
+    expect(await offend(second, '80.0.0.7')).toBe(120);
+    expect(second.localBlockedIPs.get('80.0.0.8').expiresAt).toBe(Infinity);
+
+    const entries = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+    expect(entries.find(e => e.ip === '80.0.0.8' && e.permanent)).toMatchObject({ expiresAt: null, offence: 3 });
+    fs.unlinkSync(logPath);
+  });
+
+  it('escalates in Redis mode using the offence history sorted set', async () => {
+    const { monitor } = APIMonitor({
+      saveRecords: true,
+      mongoURI:    'mongodb://localhost/test',
+      redisURL:    'redis://localhost',
+      blockPolicy: { baseDuration: 60, multiplier: 3 },
+    });
+    expect(await offend(monitor, '80.0.0.9')).toBe(60);
+    expect(await offend(monitor, '80.0.0.9')).toBe(180);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 16. Allowlist / denylist
+// ---------------------------------------------------------------------------
+
+describe('Allowlist and Denylist', () => {
+  it('never tracks or blocks allowlisted IPs', async () => {
+    const { app, monitor } = buildApp({ maxRequests: 1, allowlist: ['90.0.0.0/24'] });
+    const agent = request(app);
+
+    for (let i = 0; i < 5; i++) {
+      const res = await agent.get('/').set('x-forwarded-for', '90.0.0.17');
+      expect(res.status).toBe(200);
+    }
+    expect(monitor.localRequestCounts.has('90.0.0.17')).toBe(false);
+  });
+
+  it('lets allowlisted IPs through even when they are blocked', async () => {
+    const { app, monitor } = buildApp({ allowlist: ['90.0.1.1'] });
+    await monitor.storage.blocks.block('90.0.1.1', { reason: 'Test', expiresAt: Date.now() + 60_000 });
+
+    const res = await request(app).get('/').set('x-forwarded-for', '90.0.1.1');
+    expect(res.status).toBe(200);
+  });
+
+  it('rejects denylisted ranges in blockIPs with a permanent 403', async () => {
+    const { app } = buildApp({ denylist: ['91.0.0.0/16', '2001:db8::/32'] });
+
+    const res = await request(app).get('/').set('x-forwarded-for', '91.0.200.1');
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ reason: 'IP denylisted', blockedFor: 'permanent', blockedUntil: null });
+
+    const v6 = await request(app).get('/').set('x-forwarded-for', '2001:db8::5');
+    expect(v6.status).toBe(403);
+  });
+
+  it('rejects denylisted IPs in monitorMiddleware when mounted alone', async () => {
+    const app = express();
+    app.set('trust proxy', true);
+    const { middleware } = APIMonitor({ denylist: ['91.1.0.1'] });
+    app.use(middleware);
+    app.get('*', (_req, res) => res.sendStatus(200));
+
+    const res = await request(app).get('/').set('x-forwarded-for', '91.1.0.1');
+    expect(res.status).toBe(403);
+  });
+
+  it('gives the allowlist precedence over the denylist', async () => {
+    const { app } = buildApp({ allowlist: ['92.0.0.5'], denylist: ['92.0.0.0/8'] });
+    const res = await request(app).get('/').set('x-forwarded-for', '92.0.0.5');
+    expect(res.status).toBe(200);
+  });
+
+  it('can be edited at runtime', async () => {
+    const { app, monitor } = buildApp({});
+    const agent = request(app);
+
+    monitor.addToDenylist('93.0.0.0/8');
+    expect((await agent.get('/').set('x-forwarded-for', '93.1.1.1')).status).toBe(403);
+
+    expect(monitor.removeFromDenylist('93.0.0.0/8')).toBe(true);
+    expect((await agent.get('/').set('x-forwarded-for', '93.1.1.1')).status).toBe(200);
+
+    monitor.addToAllowlist('93.1.1.1');
+    expect(monitor.allowlist.entries()).toEqual(['93.1.1.1']);
+    expect(monitor.removeFromAllowlist('93.1.1.1')).toBe(true);
+  });
+
+  it('throws on invalid list entries', () => {
+    expect(() => APIMonitor({ allowlist: ['10.0.0.0/99'] })).toThrow('Invalid IP address or CIDR range');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 17. Per-route / per-method policies
+// ---------------------------------------------------------------------------
+
+describe('Rate Limit Policies', () => {
+  const buildPolicyApp = options => buildApp(options, {
+    routes: app => app.all('*', (_req, res) => res.sendStatus(200)),
+  });
+
+  const policies = [{ name: 'login', method: 'POST', path: '/auth/*', maxRequests: 2 }];
+
+  it('applies the policy budget to matching requests', async () => {
+    const { app } = buildPolicyApp({ maxRequests: 100, policies });
+    const agent   = request(app);
+
+    for (let i = 0; i < 3; i++) {
+      await agent.post('/auth/login').set('x-forwarded-for', '94.0.0.1'); // 3rd triggers block
+    }
+    const res = await agent.get('/').set('x-forwarded-for', '94.0.0.1');
+    expect(res.status).toBe(403);
+  });
+
+  it('counts policy requests separately from the global budget', async () => {
+    const { app } = buildPolicyApp({ maxRequests: 2, policies: [{ name: 'api', path: '/api/*', maxRequests: 50 }] });
+    const agent   = request(app);
+
+    for (let i = 0; i < 10; i++) {
+      const res = await agent.get('/api/products').set('x-forwarded-for', '94.0.0.2');
+      expect(res.status).toBe(200);
+    }
+    // Global budget is still untouched
+    expect((await agent.get('/').set('x-forwarded-for', '94.0.0.2')).status).toBe(200);
+  });
+
+  it('does not apply the policy to other methods', async () => {
+    const { app } = buildPolicyApp({ maxRequests: 100, policies });
+    const agent   = request(app);
+
+    for (let i = 0; i < 5; i++) {
+      const res = await agent.get('/auth/login').set('x-forwarded-for', '94.0.0.3');
+      expect(res.status).toBe(200);
+    }
+  });
+
+  it('includes the policy name in the event and the block reason', async () => {
+    const { app, monitor } = buildPolicyApp({ maxRequests: 100, policies });
+    const spy   = jest.fn();
+    monitor.on('attack-detected', spy);
+    const agent = request(app);
+
+    for (let i = 0; i < 3; i++) {
+      await agent.post('/auth/login').set('x-forwarded-for', '94.0.0.4');
+    }
+
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ type: 'DDoS (Excessive Requests)', policy: 'login' }));
+    const res = await agent.post('/auth/login').set('x-forwarded-for', '94.0.0.4');
+    expect(res.body.reason).toBe('DDoS (Excessive Requests) (policy: login)');
+  });
+
+  it('reports policy: null for the global budget', async () => {
+    const { monitor } = APIMonitor({ maxRequests: 1 });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+    await monitor.handleAttackDetection('94.0.0.5', 2, 0, '/');
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ policy: null }));
+  });
+
+  it('keeps policy counters under their own window in local cleanup', () => {
+    jest.useFakeTimers();
+    const { monitor } = APIMonitor({
+      timeWindow: 1, cleanupInterval: 1000,
+      policies: [{ name: 'slow', path: '/slow', timeWindow: 3600 }],
+    });
+    const [policy] = monitor.policies;
+
+    monitor._track('94.0.0.6', '/slow', policy);
+    jest.advanceTimersByTime(2000);
+    expect(monitor.localRequestCounts.has('policy:slow:94.0.0.6')).toBe(true);
+    jest.useRealTimers();
+  });
+
+  it('uses separate Redis counters per policy', async () => {
+    const { app, monitor } = buildPolicyApp({
+      saveRecords: true,
+      mongoURI:    'mongodb://localhost/test',
+      redisURL:    'redis://localhost',
+      maxRequests: 100,
+      policies,
+    });
+    const agent = request(app);
+
+    await agent.post('/auth/login').set('x-forwarded-for', '94.0.0.7');
+    expect(await monitor.redis.zcard('req_count:policy:login:94.0.0.7')).toBe(1);
+    expect(await monitor.redis.exists('req_count:94.0.0.7')).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 18. Manual block / unblock
+// ---------------------------------------------------------------------------
+
+describe('Manual Block and Unblock', () => {
+  const os   = require('os');
+  const path = require('path');
+  const fs   = require('fs');
+
+  const redisConfig = {
+    saveRecords: true,
+    mongoURI:    'mongodb://localhost/test',
+    redisURL:    'redis://localhost',
+  };
+
+  it('blockIP rejects the IP immediately with the given reason', async () => {
+    const { app, monitor } = buildApp({});
+    const result = await monitor.blockIP('95.0.0.1', { duration: 120, reason: 'Reported by WAF', actor: 'waf' });
+
+    expect(result).toMatchObject({ ip: '95.0.0.1', reason: 'Reported by WAF', actor: 'waf', remainingSec: 120 });
+    const res = await request(app).get('/').set('x-forwarded-for', '95.0.0.1');
+    expect(res.status).toBe(403);
+    expect(res.body.reason).toBe('Reported by WAF');
+  });
+
+  it('defaults to the base block duration and a generic reason', async () => {
+    const { monitor } = APIMonitor({ blockPolicy: { baseDuration: 42 } });
+    const result = await monitor.blockIP('95.0.0.2');
+    expect(result).toMatchObject({ reason: 'Manual block', actor: 'unknown', remainingSec: 42 });
+  });
+
+  it('supports permanent manual blocks', async () => {
+    const { monitor } = APIMonitor({});
+    const result = await monitor.blockIP('95.0.0.3', { duration: Infinity });
+    expect(result).toMatchObject({ remainingSec: null, blockedUntil: null });
+    expect((await monitor.getBlockInfo('95.0.0.3')).blockedFor).toBe('permanent');
+  });
+
+  it('unblockIP lifts a block and reports whether one existed', async () => {
+    const { app, monitor } = buildApp({ maxRequests: 1 });
+    const agent = request(app);
+    await agent.get('/').set('x-forwarded-for', '95.0.0.4');
+    await agent.get('/').set('x-forwarded-for', '95.0.0.4'); // detection blocks
+
+    expect(await monitor.unblockIP('95.0.0.4', { actor: 'alice' })).toBe(true);
+    expect((await agent.get('/').set('x-forwarded-for', '95.0.0.4')).status).toBe(200);
+    expect(await monitor.unblockIP('95.0.0.4')).toBe(false);
+  });
+
+  it('emits ip-blocked and ip-unblocked with the actor', async () => {
+    const { monitor } = APIMonitor({});
+    const blocked   = jest.fn();
+    const unblocked = jest.fn();
+    monitor.on('ip-blocked', blocked);
+    monitor.on('ip-unblocked', unblocked);
+
+    await monitor.blockIP('95.0.0.5', { duration: 60, actor: 'bob' });
+    await monitor.unblockIP('95.0.0.5', { actor: 'carol' });
+    await monitor.unblockIP('95.0.0.5', { actor: 'carol' }); // nothing to lift — no event
+
+    expect(blocked).toHaveBeenCalledWith(expect.objectContaining({ ip: '95.0.0.5', actor: 'bob', manual: true, duration: 60 }));
+    expect(unblocked).toHaveBeenCalledTimes(1);
+    expect(unblocked).toHaveBeenCalledWith(expect.objectContaining({ ip: '95.0.0.5', actor: 'carol' }));
+  });
+
+  it('emits ip-blocked without an actor for automatic blocks', async () => {
+    const { monitor } = APIMonitor({ maxRequests: 1 });
+    const spy = jest.fn();
+    monitor.on('ip-blocked', spy);
+    await monitor.handleAttackDetection('95.0.0.6', 2, 0, '/');
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ actor: null, manual: false, reason: 'DDoS (Excessive Requests)' }));
+  });
+
+  it('writes block and unblock entries with the actor to the NDJSON log, and the unblock survives restart', async () => {
+    const logPath = path.join(os.tmpdir(), `api-monitor-test-manual-${Date.now()}.ndjson`);
+    const { monitor } = APIMonitor({ blockLogPath: logPath });
+
+    await monitor.blockIP('95.0.0.7', { duration: 600, actor: 'waf' });
+    await monitor.blockIP('95.0.0.8', { duration: 600, actor: 'waf' });
+    await monitor.unblockIP('95.0.0.7', { actor: 'alice' });
+    await new Promise(r => setTimeout(r, 50));
+
+    const entries = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+    expect(entries.find(e => e.ip === '95.0.0.7' && e.action === 'block')).toMatchObject({ actor: 'waf', reason: 'Manual block' });
+    expect(entries.find(e => e.ip === '95.0.0.7' && e.action === 'unblock')).toMatchObject({ actor: 'alice', reason: 'manual' });
+
+    const { monitor: restarted } = APIMonitor({ blockLogPath: logPath });
+    expect(restarted.localBlockedIPs.has('95.0.0.7')).toBe(false);
+    expect(restarted.localBlockedIPs.has('95.0.0.8')).toBe(true);
+    expect(restarted.storage.blocks.offences.has('95.0.0.8')).toBe(false); // manual blocks are not offences
+    fs.unlinkSync(logPath);
+  });
+
+  it('blocks and unblocks in Redis mode', async () => {
+    const { monitor } = APIMonitor(redisConfig);
+    await monitor.blockIP('95.0.0.9', { duration: 60, actor: 'waf' });
+    expect(await monitor.isIPBlocked('95.0.0.9')).toBe(true);
+    expect(await monitor.unblockIP('95.0.0.9')).toBe(true);
+    expect(await monitor.isIPBlocked('95.0.0.9')).toBe(false);
+  });
+
+  it('validates its arguments', async () => {
+    const { monitor } = APIMonitor({});
+    await expect(monitor.blockIP('')).rejects.toThrow('blockIP requires an ip');
+    await expect(monitor.blockIP('95.0.0.10', { duration: 0 })).rejects.toThrow('duration must be a positive number');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 19. Payload inspection
+// ---------------------------------------------------------------------------
+
+describe('Payload Inspection', () => {
+  const buildInspectingApp = options => buildApp({ inspection: true, ...options }, {
+    json:   true,
+    routes: app => app.all('*', (_req, res) => res.sendStatus(200)),
+  });
+
+  it('is off by default', async () => {
+    const { app } = buildApp({});
+    const res = await request(app).get('/search?q=%27%20OR%201%3D1--').set('x-forwarded-for', '97.0.0.1');
+    expect(res.status).toBe(200);
+  });
+
+  it('rejects the request and blocks the IP with the attack type as reason', async () => {
+    const { app } = buildInspectingApp({});
+    const agent = request(app);
+
+    const res = await agent.get('/search?q=%27%20OR%201%3D1--').set('x-forwarded-for', '97.0.0.2');
+    expect(res.status).toBe(403);
+    expect(res.body.reason).toBe('SQL Injection');
+
+    const next = await agent.get('/').set('x-forwarded-for', '97.0.0.2');
+    expect(next.status).toBe(403);
+  });
+
+  it('inspects parsed JSON bodies and emits attack-detected with the finding', async () => {
+    const { app, monitor } = buildInspectingApp({});
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    const res = await request(app).post('/login')
+      .set('x-forwarded-for', '97.0.0.3')
+      .send({ username: 'admin', password: { $gt: '' } });
+
+    expect(res.status).toBe(403);
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({
+      ip:      '97.0.0.3',
+      type:    'NoSQL Injection',
+      details: { rule: 'query-operator', location: 'body.password.$gt' },
+    }));
+  });
+
+  it('lets clean requests through and reports details: null for rate-based attacks', async () => {
+    const { app, monitor } = buildInspectingApp({ maxRequests: 1 });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    expect((await request(app).post('/items').set('x-forwarded-for', '97.0.0.4').send({ name: 'chair' })).status).toBe(200);
+    await request(app).get('/').set('x-forwarded-for', '97.0.0.4');
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ type: 'DDoS (Excessive Requests)', details: null }));
+  });
+
+  it('records the attack type in the request log', async () => {
+    const { app, monitor } = buildInspectingApp({
+      saveRecords: true,
+      mongoURI:    'mongodb://localhost/test',
+      redisURL:    'redis://localhost',
+    });
+    const saveLog = jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+
+    await request(app).get('/files?path=..%2F..%2Fetc%2Fpasswd').set('x-forwarded-for', '97.0.0.5');
+    await new Promise(r => setImmediate(r));
+    expect(saveLog).toHaveBeenCalledWith(expect.objectContaining({ ip: '97.0.0.5', attackType: 'Path Traversal', statusCode: 403 }));
+  });
+
+  it('counts as a single offence when rate detection blocks the same request', async () => {
+    const { app, monitor } = buildInspectingApp({ maxRequests: 1 });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    await request(app).get('/').set('x-forwarded-for', '97.0.0.6');
+    await request(app).get('/?q=%3Cscript%3E').set('x-forwarded-for', '97.0.0.6');
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 20. Brute-force / credential-stuffing detection
+// ---------------------------------------------------------------------------
+
+describe('Brute-Force Detection', () => {
+  const buildLoginApp = options => buildApp({ maxRequests: 1000, scanThreshold: 1000, ...options }, {
+    json:   true,
+    routes: (app) => {
+      app.post('/auth/login', (req, res) => res.sendStatus(req.body.password === 'right' ? 200 : 401));
+      app.get('/private', (_req, res) => res.sendStatus(403));
+    },
+  });
+
+  const login = (app, ip, username, password = 'wrong') =>
+    request(app).post('/auth/login').set('x-forwarded-for', ip).send({ username, password });
+
+  // Detection runs on 'finish', after supertest has its response
+  const settle = () => new Promise(r => setTimeout(r, 20));
+
+  it('requires routes', () => {
+    expect(() => APIMonitor({ bruteForce: {} })).toThrow('bruteForce.routes requires at least one path');
+    expect(() => APIMonitor({ bruteForce: { routes: '/login', usernameExtractor: 'username' } }))
+      .toThrow('bruteForce.usernameExtractor must be a function');
+  });
+
+  it('blocks an IP that exceeds maxFailures on an auth route', async () => {
+    const { app, monitor } = buildLoginApp({ bruteForce: { routes: ['/auth/*'], maxFailures: 3 } });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    for (let i = 0; i < 4; i++) {
+      await login(app, '98.0.0.1', 'alice');
+      await settle();
+    }
+
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ ip: '98.0.0.1', type: 'Brute Force', details: { failures: 4 } }));
+    const res = await login(app, '98.0.0.1', 'alice', 'right');
+    expect(res.status).toBe(403);
+    expect(res.body.reason).toBe('Brute Force');
+  });
+
+  it('ignores successful logins and failures outside the auth routes', async () => {
+    const { app, monitor } = buildLoginApp({ bruteForce: { routes: ['/auth/login'], maxFailures: 2 } });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    for (let i = 0; i < 5; i++) {
+      await login(app, '98.0.0.2', 'alice', 'right');
+      await request(app).get('/private').set('x-forwarded-for', '98.0.0.2');
+      await settle();
+    }
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('flags a username sprayed from many IPs once, without blocking them', async () => {
+    const { app, monitor } = buildLoginApp({
+      bruteForce: {
+        routes:            ['/auth/login'],
+        usernameExtractor: req => req.body && req.body.username,
+        sprayThreshold:    3,
+      },
+    });
+    const sprayed = jest.fn();
+    const attacks = jest.fn();
+    monitor.on('username-sprayed', sprayed);
+    monitor.on('attack-detected', attacks);
+
+    for (let i = 1; i <= 6; i++) {
+      await login(app, `98.0.1.${i}`, 'victim');
+      await settle();
+    }
+
+    expect(sprayed).toHaveBeenCalledTimes(1);
+    expect(sprayed).toHaveBeenCalledWith(expect.objectContaining({
+      username: 'victim',
+      type:     'Credential Stuffing',
+      ipCount:  4,
+      ip:       '98.0.1.4',
+    }));
+    expect(attacks).not.toHaveBeenCalled();
+    expect(await monitor.isIPBlocked('98.0.1.6')).toBe(false);
+  });
+
+  it('survives a throwing username extractor', async () => {
+    const { app, monitor } = buildLoginApp({
+      bruteForce: { routes: ['/auth/login'], maxFailures: 1, usernameExtractor: () => { throw new Error('bad'); } },
+    });
+    await login(app, '98.0.0.3', 'x');
+    await login(app, '98.0.0.3', 'x');
+    await settle();
+    expect(await monitor.isIPBlocked('98.0.0.3')).toBe(true);
+  });
+
+  it('logs failed attempts with the distinct attack types', async () => {
+    const { app, monitor } = buildLoginApp({
+      saveRecords: true,
+      mongoURI:    'mongodb://localhost/test',
+      redisURL:    'redis://localhost',
+      bruteForce:  {
+        routes:            ['/auth/login'],
+        maxFailures:       1,
+        usernameExtractor: req => req.body.username,
+        sprayThreshold:    1,
+      },
+    });
+    const saveLog = jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+
+    await login(app, '98.0.2.1', 'bf-user');
+    await settle();
+    await login(app, '98.0.2.1', 'bf-user');   // second failure from the same IP → Brute Force
+    await settle();
+    await login(app, '98.0.2.2', 'spray-user');
+    await settle();
+    await login(app, '98.0.2.3', 'spray-user'); // second IP for the username → Credential Stuffing
+    await settle();
+
+    const types = saveLog.mock.calls.map(([entry]) => entry.attackType);
+    expect(types).toEqual([null, 'Brute Force', null, 'Credential Stuffing']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 21. Miss-ratio scan detection
+// ---------------------------------------------------------------------------
+
+describe('Miss-Ratio Scan Detection', () => {
+  // Everything outside /api/:resource falls through to Express's 404
+  const buildScanApp = options => buildApp({ maxRequests: 1000, scanThreshold: 3, ...options }, {
+    routes: app => app.get('/api/:resource', (_req, res) => res.sendStatus(200)),
+  });
+
+  const settle = () => new Promise(r => setTimeout(r, 20));
+
+  it('lets a client browse many real endpoints once scanDetection replaces the breadth check', async () => {
+    const { app, monitor } = buildScanApp({ scanDetection: { minMisses: 3 } });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    for (let i = 0; i < 10; i++) {
+      expect((await request(app).get(`/api/r${i}`).set('x-forwarded-for', '99.0.0.1')).status).toBe(200);
+    }
+    await settle();
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('blocks an IP whose requests are mostly misses', async () => {
+    const { app, monitor } = buildScanApp({ scanDetection: { minMisses: 3, missRatio: 0.5 } });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    await request(app).get('/api/users').set('x-forwarded-for', '99.0.0.2');
+    for (const probe of ['/wp-admin', '/.env', '/phpmyadmin']) {
+      await request(app).get(probe).set('x-forwarded-for', '99.0.0.2');
+      await settle();
+    }
+
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({
+      type:    'Path Scanning',
+      details: { misses: 3, ratio: 0.75 },
+    }));
+    expect((await request(app).get('/api/users').set('x-forwarded-for', '99.0.0.2')).status).toBe(403);
+  });
+
+  it('does not flag misses below the ratio', async () => {
+    const { app, monitor } = buildScanApp({ scanDetection: { minMisses: 2, missRatio: 0.5 } });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    for (let i = 0; i < 6; i++) await request(app).get(`/api/ok${i}`).set('x-forwarded-for', '99.0.0.3');
+    await request(app).get('/missing-1').set('x-forwarded-for', '99.0.0.3');
+    await request(app).get('/missing-2').set('x-forwarded-for', '99.0.0.3');
+    await settle();
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('counts requests outside knownRoutes as misses whatever their status', async () => {
+    const { app, monitor } = buildScanApp({
+      scanDetection: { minMisses: 2, missRatio: 0.5, knownRoutes: ['/api/users', '/api/items'] },
+    });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    await request(app).get('/api/admin').set('x-forwarded-for', '99.0.0.4');   // 200, but not a known route
+    await request(app).get('/api/backup').set('x-forwarded-for', '99.0.0.4');
+    await settle();
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ type: 'Path Scanning' }));
+  });
+
+  it('keeps the unique-path check when uniquePaths is set', async () => {
+    const { app } = buildScanApp({ scanDetection: { uniquePaths: true } });
+    for (let i = 0; i < 4; i++) await request(app).get(`/api/p${i}`).set('x-forwarded-for', '99.0.0.5');
+    expect((await request(app).get('/api/p0').set('x-forwarded-for', '99.0.0.5')).status).toBe(403);
+  });
+
+  it('works with Redis counters', async () => {
+    const { app, monitor } = buildScanApp({
+      saveRecords:   true,
+      mongoURI:      'mongodb://localhost/test',
+      redisURL:      'redis://localhost',
+      scanDetection: { minMisses: 2, missRatio: 1 },
+    });
+    await request(app).get('/nope-1').set('x-forwarded-for', '99.0.0.6');
+    await settle();
+    await request(app).get('/nope-2').set('x-forwarded-for', '99.0.0.6');
+    await settle();
+    expect(await monitor.isIPBlocked('99.0.0.6')).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 22. Scanner probes and honeypots
+// ---------------------------------------------------------------------------
+
+describe('Scanner Probes and Honeypots', () => {
+  const os   = require('os');
+  const path = require('path');
+  const fs   = require('fs');
+
+  it('blocks a known probe path on the first request', async () => {
+    const { app, monitor } = buildApp({ probes: true });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    const res = await request(app).get('/.env').set('x-forwarded-for', '100.0.0.1');
+    expect(res.status).toBe(403);
+    expect(res.body.reason).toBe('Scanner Probe');
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({
+      type:    'Scanner Probe',
+      details: { rule: '/.env', location: 'path' },
+    }));
+    expect((await request(app).get('/').set('x-forwarded-for', '100.0.0.1')).status).toBe(403);
+  });
+
+  it('blocks honeypot routes and records them in the NDJSON block log', async () => {
+    const logPath = path.join(os.tmpdir(), `api-monitor-test-probe-${Date.now()}.ndjson`);
+    const { app } = buildApp({ probes: { signatures: false, honeypots: ['/admin/export'] }, blockLogPath: logPath });
+
+    expect((await request(app).get('/.env').set('x-forwarded-for', '100.0.0.2')).status).toBe(200);
+    expect((await request(app).get('/admin/export').set('x-forwarded-for', '100.0.0.2')).status).toBe(403);
+    await new Promise(r => setTimeout(r, 50));
+
+    const entries = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+    expect(entries).toContainEqual(expect.objectContaining({
+      ip: '100.0.0.2', action: 'block', reason: 'Honeypot Triggered', route: '/admin/export',
+    }));
+    fs.unlinkSync(logPath);
+  });
+
+  it('is off by default', async () => {
+    const { app } = buildApp({});
+    expect((await request(app).get('/wp-admin').set('x-forwarded-for', '100.0.0.3')).status).toBe(200);
+  });
+
+  it('logs the probe to MongoDB with its attack type', async () => {
+    const { app, monitor } = buildApp({
+      saveRecords: true,
+      mongoURI:    'mongodb://localhost/test',
+      redisURL:    'redis://localhost',
+      probes:      true,
+    });
+    const saveLog = jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+
+    await request(app).get('/phpmyadmin/').set('x-forwarded-for', '100.0.0.4');
+    await new Promise(r => setImmediate(r));
+    expect(saveLog).toHaveBeenCalledWith(expect.objectContaining({ ip: '100.0.0.4', attackType: 'Scanner Probe', route: '/phpmyadmin/' }));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 23. Bot detection
+// ---------------------------------------------------------------------------
+
+describe('Bot Detection', () => {
+  const as = ip => ({ 'user-agent': 'sqlmap/1.7', 'x-forwarded-for': ip });
+
+  it('blocks attack tooling immediately with action "block"', async () => {
+    const { app, monitor } = buildApp({ botDetection: true });
+    const events = jest.fn();
+    monitor.on('bot-detected', events);
+
+    const res = await request(app).get('/').set(as('101.0.0.1'));
+    expect(res.status).toBe(403);
+    expect(res.body.reason).toBe('Bad Bot');
+    expect(events).toHaveBeenCalledWith(expect.objectContaining({ ip: '101.0.0.1', rule: 'tool:sqlmap', action: 'block' }));
+  });
+
+  it('only reports with action "log"', async () => {
+    const { app, monitor } = buildApp({ botDetection: { action: 'log' } });
+    const events  = jest.fn();
+    const attacks = jest.fn();
+    monitor.on('bot-detected', events);
+    monitor.on('attack-detected', attacks);
+
+    expect((await request(app).get('/').set(as('101.0.0.2'))).status).toBe(200);
+    expect(events).toHaveBeenCalledTimes(1);
+    expect(attacks).not.toHaveBeenCalled();
+  });
+
+  it('blocks once the score passes scoreThreshold with action "score"', async () => {
+    const { app } = buildApp({ botDetection: { action: 'score', scoreThreshold: 2 } });
+    const statuses = [];
+    for (let i = 0; i < 4; i++) statuses.push((await request(app).get('/').set(as('101.0.0.3'))).status);
+    expect(statuses).toEqual([200, 200, 403, 403]);
+  });
+
+  it('lets allowlisted agents through', async () => {
+    const { app } = buildApp({ botDetection: { allowAgents: ['sqlmap/1.7'] } });
+    expect((await request(app).get('/').set(as('101.0.0.4'))).status).toBe(200);
+  });
+
+  it('logs flagged requests with the Bad Bot attack type', async () => {
+    const { app, monitor } = buildApp({
+      saveRecords:  true,
+      mongoURI:     'mongodb://localhost/test',
+      redisURL:     'redis://localhost',
+      botDetection: { action: 'log' },
+    });
+    const saveLog = jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+
+    await request(app).get('/').set(as('101.0.0.5'));
+    await new Promise(r => setImmediate(r));
+    expect(saveLog).toHaveBeenCalledWith(expect.objectContaining({ ip: '101.0.0.5', attackType: 'Bad Bot', statusCode: 200 }));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 24. Custom rate-limit keys
+// ---------------------------------------------------------------------------
+
+describe('Key Generator', () => {
+  const apiKey = req => req.headers['x-api-key'] && { key: req.headers['x-api-key'], type: 'api-key' };
+
+  it('validates keyGenerator options', () => {
+    expect(() => APIMonitor({ keyGenerator: 'x-api-key' })).toThrow('keyGenerator must be a function');
+    expect(() => APIMonitor({ policies: [{ path: '/a', keyGenerator: 1 }] }))
+      .toThrow('policies[0].keyGenerator must be a function');
+  });
+
+  it('gives users behind one shared IP separate budgets', async () => {
+    const { app, monitor } = buildApp({ maxRequests: 2, keyGenerator: apiKey });
+    const agent = request(app);
+    const as = key => ({ 'x-forwarded-for': '102.0.0.1', 'x-api-key': key });
+
+    for (let i = 0; i < 2; i++) {
+      expect((await agent.get('/').set(as('alice'))).status).toBe(200);
+      expect((await agent.get('/').set(as('bob'))).status).toBe(200);
+    }
+    await agent.get('/').set(as('alice')); // alice exceeds → alice is blocked
+    expect((await agent.get('/').set(as('alice'))).status).toBe(403);
+    expect(await monitor.isIPBlocked('api-key:bob')).toBe(false);
+    expect(await monitor.isIPBlocked('102.0.0.1')).toBe(false);
+  });
+
+  it('follows a key across rotating IPs', async () => {
+    const { app, monitor } = buildApp({ maxRequests: 2, keyGenerator: apiKey });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    for (let i = 1; i <= 3; i++) {
+      await request(app).get('/').set({ 'x-forwarded-for': `102.0.1.${i}`, 'x-api-key': 'rotator' });
+    }
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ ip: '102.0.1.3', key: 'api-key:rotator', keyType: 'api-key' }));
+
+    const res = await request(app).get('/').set({ 'x-forwarded-for': '102.0.1.9', 'x-api-key': 'rotator' });
+    expect(res.status).toBe(403);
+    // Without the key the new IP is not blocked
+    expect((await request(app).get('/').set('x-forwarded-for', '102.0.1.9')).status).toBe(200);
+  });
+
+  it('reports the key type in getBlockedIPs and events', async () => {
+    const { monitor } = APIMonitor({ keyGenerator: apiKey });
+    const blockedSpy = jest.fn();
+    monitor.on('ip-blocked', blockedSpy);
+
+    await monitor.handleAttackDetection('102.0.2.1', 100, 0, '/', null, 'api-key:k9');
+    await monitor.blockIP('102.0.2.2');
+
+    const { blocked } = await monitor.getBlockedIPs();
+    expect(blocked).toEqual(expect.arrayContaining([
+      expect.objectContaining({ ip: 'api-key:k9', keyType: 'api-key', key: 'k9' }),
+      expect.objectContaining({ ip: '102.0.2.2', keyType: 'ip', key: '102.0.2.2' }),
+    ]));
+    expect(blockedSpy).toHaveBeenCalledWith(expect.objectContaining({ ip: 'api-key:k9', keyType: 'api-key' }));
+  });
+
+  it('applies a policy keyGenerator to that policy only', async () => {
+    const { app } = buildApp({
+      maxRequests: 100,
+      policies:    [{ name: 'tenant', path: '/t/*', maxRequests: 1, keyGenerator: req => ({ key: req.headers['x-tenant'], type: 'tenant' }) }],
+    });
+    const agent = request(app);
+
+    await agent.get('/t/a').set({ 'x-forwarded-for': '102.0.3.1', 'x-tenant': 'acme' });
+    await agent.get('/t/a').set({ 'x-forwarded-for': '102.0.3.2', 'x-tenant': 'acme' }); // tenant exceeds
+    expect((await agent.get('/t/b').set({ 'x-forwarded-for': '102.0.3.3', 'x-tenant': 'acme' })).status).toBe(403);
+    expect((await agent.get('/t/b').set({ 'x-forwarded-for': '102.0.3.3', 'x-tenant': 'other' })).status).toBe(200);
+    // The tenant block does not reach routes outside the policy
+    expect((await agent.get('/home').set({ 'x-forwarded-for': '102.0.3.3', 'x-tenant': 'acme' })).status).toBe(200);
+  });
+
+  it('falls back to the IP when the generator throws', async () => {
+    const { app } = buildApp({ maxRequests: 1, keyGenerator: () => { throw new Error('no session'); } });
+    await request(app).get('/').set('x-forwarded-for', '102.0.4.1');
+    await request(app).get('/').set('x-forwarded-for', '102.0.4.1');
+    expect((await request(app).get('/').set('x-forwarded-for', '102.0.4.1')).status).toBe(403);
+  });
+
+  it('records the key type in request logs and works with Redis', async () => {
+    const { app, monitor } = buildApp({
+      saveRecords:  true,
+      mongoURI:     'mongodb://localhost/test',
+      redisURL:     'redis://localhost',
+      maxRequests:  1,
+      keyGenerator: apiKey,
+    });
+    const saveLog = jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+
+    await request(app).get('/').set({ 'x-forwarded-for': '102.0.5.1', 'x-api-key': 'redis-key' });
+    await request(app).get('/').set({ 'x-forwarded-for': '102.0.5.2', 'x-api-key': 'redis-key' });
+    await new Promise(r => setImmediate(r));
+
+    expect(saveLog).toHaveBeenCalledWith(expect.objectContaining({ keyType: 'api-key' }));
+    expect(await monitor.isIPBlocked('api-key:redis-key')).toBe(true);
+    expect(await monitor.isIPBlocked('102.0.5.2')).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 25. Rate-limit headers and 429 responses
+// ---------------------------------------------------------------------------
+
+describe('Rate-Limit Headers', () => {
+  const from = ip => ({ 'x-forwarded-for': ip });
+
+  it('sends no headers unless enabled', async () => {
+    const { app } = buildApp();
+    const res = await request(app).get('/').set(from('103.0.0.1'));
+    expect(res.headers['ratelimit-limit']).toBeUndefined();
+    expect(res.headers['x-ratelimit-limit']).toBeUndefined();
+  });
+
+  it('counts down the remaining budget', async () => {
+    const { app } = buildApp({ maxRequests: 3, timeWindow: 60, rateLimitHeaders: true });
+    const first  = await request(app).get('/').set(from('103.0.1.1'));
+    const second = await request(app).get('/').set(from('103.0.1.1'));
+
+    expect(first.headers['ratelimit-limit']).toBe('3');
+    expect(first.headers['ratelimit-remaining']).toBe('2');
+    expect(second.headers['ratelimit-remaining']).toBe('1');
+    expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+    expect(Number(first.headers['ratelimit-reset'])).toBeLessThanOrEqual(60);
+    // Legacy Reset is a Unix timestamp in seconds
+    const reset = Number(first.headers['x-ratelimit-reset']);
+    expect(reset).toBeGreaterThan(Date.now() / 1000);
+    expect(reset).toBeLessThanOrEqual(Date.now() / 1000 + 61);
+    expect(first.headers['x-ratelimit-remaining']).toBe('2');
+  });
+
+  it('can send only one header family', async () => {
+    const { app } = buildApp({ rateLimitHeaders: { legacy: false } });
+    const res = await request(app).get('/').set(from('103.0.2.1'));
+    expect(res.headers['ratelimit-limit']).toBe('10');
+    expect(res.headers['x-ratelimit-limit']).toBeUndefined();
+  });
+
+  it('reports the matched policy budget', async () => {
+    const { app } = buildApp({
+      rateLimitHeaders: true,
+      policies:         [{ name: 'login', path: '/login', maxRequests: 2, timeWindow: 30 }],
+    });
+    const res = await request(app).get('/login').set(from('103.0.3.1'));
+    expect(res.headers['ratelimit-limit']).toBe('2');
+    expect(res.headers['ratelimit-remaining']).toBe('1');
+    expect(Number(res.headers['ratelimit-reset'])).toBeLessThanOrEqual(30);
+  });
+
+  it('answers rate-limit blocks with 429 and Retry-After', async () => {
+    const { app } = buildApp({ maxRequests: 1, rateLimitHeaders: true, blockPolicy: { baseDuration: 120 } });
+    await request(app).get('/').set(from('103.0.4.1'));
+    await request(app).get('/').set(from('103.0.4.1')); // exceeds → blocked
+
+    const res = await request(app).get('/').set(from('103.0.4.1'));
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(110);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(120);
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+    expect(res.body.reason).toBe('DDoS (Excessive Requests)');
+  });
+
+  it('answers the request that crosses the limit with 429, passing exactly maxRequests', async () => {
+    const { app } = buildApp({ maxRequests: 2, rateLimitHeaders: true });
+    const responses = [];
+    for (let i = 0; i < 4; i++) responses.push(await request(app).get('/').set(from('103.0.4.2')));
+
+    expect(responses.map(r => r.status)).toEqual([200, 200, 429, 429]);
+    expect(responses.filter(r => r.status < 300)).toHaveLength(2);
+    expect(Number(responses[2].headers['retry-after'])).toBeGreaterThan(0);
+    expect(responses[2].headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('keeps 403 for attack blocks and permanent bans', async () => {
+    const { app, monitor } = buildApp({ rateLimitHeaders: true, blockPolicy: { permanentAfter: 1 } });
+    await monitor.blockIP('103.0.5.1', { reason: 'Path Scanning', duration: 60 });
+    await monitor.handleAttackDetection('103.0.5.2', 100, 0, '/');
+
+    const attack = await request(app).get('/').set(from('103.0.5.1'));
+    expect(attack.status).toBe(403);
+    expect(attack.headers['retry-after']).toBeUndefined();
+    expect((await request(app).get('/').set(from('103.0.5.2'))).status).toBe(403);
+  });
+
+  it('keeps 403 for rate-limit blocks when disabled', async () => {
+    const { app } = buildApp({ maxRequests: 1 });
+    await request(app).get('/').set(from('103.0.6.1'));
+    await request(app).get('/').set(from('103.0.6.1'));
+    const res = await request(app).get('/').set(from('103.0.6.1'));
+    expect(res.status).toBe(403);
+    expect(res.headers['retry-after']).toBeUndefined();
+  });
+
+  it('reports the reset from Redis counters', async () => {
+    const { app, monitor } = buildApp({
+      saveRecords:      true,
+      mongoURI:         'mongodb://localhost/test',
+      redisURL:         'redis://localhost',
+      rateLimitHeaders: true,
+      timeWindow:       45,
+    });
+    jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+    const res = await request(app).get('/').set(from('103.0.7.1'));
+    expect(res.headers['ratelimit-remaining']).toBe('9');
+    expect(Number(res.headers['ratelimit-reset'])).toBe(45);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 26. Customisable block responses
+// ---------------------------------------------------------------------------
+
+describe('Block Responses', () => {
+  async function blockedApp(options = {}) {
+    const built = buildApp(options);
+    await built.monitor.blockIP('104.0.0.1', { reason: 'Path Scanning', duration: 60 });
+    const get = (accept) => {
+      const req = request(built.app).get('/').set('x-forwarded-for', '104.0.0.1');
+      return accept ? req.set('Accept', accept) : req;
+    };
+    return { ...built, get };
+  }
+
+  it('keeps the JSON body by default', async () => {
+    const { get } = await blockedApp();
+    const res = await get();
+    expect(res.status).toBe(403);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.body).toEqual(expect.objectContaining({ reason: 'Path Scanning', blockedFor: expect.any(String) }));
+  });
+
+  it('renders RFC 7807 problem details', async () => {
+    const { get } = await blockedApp();
+    const res = await get('application/problem+json');
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(JSON.parse(res.text)).toEqual(expect.objectContaining({
+      type:   'about:blank',
+      title:  'Forbidden',
+      status: 403,
+      detail: 'Access denied due to suspicious activity',
+      reason: 'Path Scanning',
+    }));
+  });
+
+  it('renders plain text and HTML', async () => {
+    const { get } = await blockedApp();
+    const text = await get('text/plain');
+    expect(text.headers['content-type']).toMatch(/^text\/plain/);
+    expect(text.text).toContain('Reason: Path Scanning');
+
+    const html = await get('text/html,*/*;q=0.8');
+    expect(html.status).toBe(403);
+    expect(html.headers['content-type']).toMatch(/^text\/html/);
+    expect(html.text).toContain('<h1>403 Forbidden</h1>');
+    expect(html.text).toContain('<dd>Path Scanning</dd>');
+  });
+
+  it('escapes the reason in HTML', async () => {
+    const { app, monitor } = buildApp();
+    await monitor.blockIP('104.0.1.1', { reason: '<script>x</script>' });
+    const res = await request(app).get('/').set({ 'x-forwarded-for': '104.0.1.1', Accept: 'text/html' });
+    expect(res.text).not.toContain('<script>');
+  });
+
+  it('hides the reason from clients but keeps it in the block record', async () => {
+    const { get, monitor } = await blockedApp({ hideBlockReason: true });
+    expect((await get()).body.reason).toBeUndefined();
+    expect((await get('text/plain')).text).not.toContain('Path Scanning');
+    expect((await monitor.getBlockInfo('104.0.0.1')).reason).toBe('Path Scanning');
+  });
+
+  it('negotiates denylist and detection responses too', async () => {
+    const { app } = buildApp({ denylist: ['104.0.2.1'], inspection: true });
+    const denied = await request(app).get('/').set({ 'x-forwarded-for': '104.0.2.1', Accept: 'text/plain' });
+    expect(denied.status).toBe(403);
+    expect(denied.text).toContain('Reason: IP denylisted');
+
+    const injected = await request(app).get('/?q=1%27%20OR%201=1--')
+      .set({ 'x-forwarded-for': '104.0.2.2', Accept: 'application/problem+json' });
+    expect(injected.status).toBe(403);
+    expect(JSON.parse(injected.text).title).toBe('Forbidden');
+  });
+
+  it('uses the 429 title for rate-limit blocks', async () => {
+    const { app } = buildApp({ maxRequests: 1, rateLimitHeaders: true });
+    await request(app).get('/').set('x-forwarded-for', '104.0.3.1');
+    await request(app).get('/').set('x-forwarded-for', '104.0.3.1');
+    const res = await request(app).get('/').set({ 'x-forwarded-for': '104.0.3.1', Accept: 'application/problem+json' });
+    expect(res.status).toBe(429);
+    expect(JSON.parse(res.text)).toEqual(expect.objectContaining({ status: 429, title: 'Too Many Requests' }));
+  });
+
+  it('hands the response to onBlocked with the status already set', async () => {
+    const onBlocked = jest.fn((req, res, info) => res.send(`custom ${res.statusCode} ${info.reason}`));
+    const { get } = await blockedApp({ onBlocked, hideBlockReason: true });
+    const res = await get();
+    expect(res.status).toBe(403);
+    expect(res.text).toBe('custom 403 Path Scanning');
+    expect(onBlocked).toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.objectContaining({
+      reason: 'Path Scanning',
+    }));
+  });
+
+  it('passes onBlocked errors to the error handler', async () => {
+    const { app } = await blockedApp({ onBlocked: async () => { throw new Error('render failed'); } });
+    app.use((err, _req, res, _next) => res.status(500).send(err.message));
+    const res = await request(app).get('/').set('x-forwarded-for', '104.0.0.1');
+    expect(res.status).toBe(500);
+    expect(res.text).toBe('render failed');
+  });
+
+  it('rejects a non-function onBlocked', () => {
+    expect(() => APIMonitor({ onBlocked: 'nope' })).toThrow('onBlocked must be a function');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 27. Dry-run mode
+// ---------------------------------------------------------------------------
+
+describe('Dry-Run Mode', () => {
+  const os   = require('os');
+  const path = require('path');
+  const fs   = require('fs');
+
+  const logPath = path.join(os.tmpdir(), `api-monitor-dryrun-${process.pid}.ndjson`);
+  afterEach(() => {
+    try { fs.unlinkSync(logPath); } catch {}
+  });
+
+  it('detects and emits but never rejects', async () => {
+    const { app, monitor } = buildApp({ mode: 'dry-run', maxRequests: 1 });
+    const attackSpy  = jest.fn();
+    const blockedSpy = jest.fn();
+    monitor.on('attack-detected', attackSpy);
+    monitor.on('ip-blocked', blockedSpy);
+
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await request(app).get('/').set('x-forwarded-for', '105.0.0.1')).status);
+    }
+    expect(statuses).toEqual([200, 200, 200, 200]);
+    expect(attackSpy).toHaveBeenCalledWith(expect.objectContaining({
+      ip:     '105.0.0.1',
+      type:   'DDoS (Excessive Requests)',
+      dryRun: true,
+    }));
+    expect(blockedSpy).not.toHaveBeenCalled();
+    expect(await monitor.isIPBlocked('105.0.0.1')).toBe(false);
+  });
+
+  it('escalates would-be durations like real blocks', async () => {
+    const { monitor } = APIMonitor({ mode: 'dry-run', blockPolicy: { multiplier: 2 } });
+    const spy = jest.fn();
+    monitor.on('attack-detected', spy);
+
+    await monitor.handleAttackDetection('105.0.1.1', 100, 0, '/');
+    await monitor.handleAttackDetection('105.0.1.1', 100, 0, '/');
+    expect(spy.mock.calls.map(([e]) => [e.offence, e.duration])).toEqual([[1, 300], [2, 600]]);
+  });
+
+  it('lets request-level findings through', async () => {
+    const { app } = buildApp({ mode: 'dry-run', probes: true, inspection: true });
+    expect((await request(app).get('/.env').set('x-forwarded-for', '105.0.2.1')).status).toBe(200);
+    expect((await request(app).get('/?q=1%27%20OR%201=1--').set('x-forwarded-for', '105.0.2.2')).status).toBe(200);
+  });
+
+  it('writes would-block entries to the NDJSON log without restoring them', async () => {
+    const { app, monitor } = buildApp({ mode: 'dry-run', maxRequests: 1, blockLogPath: logPath });
+    await request(app).get('/').set('x-forwarded-for', '105.0.3.1');
+    await request(app).get('/').set('x-forwarded-for', '105.0.3.1');
+    await new Promise(r => setTimeout(r, 50));
+
+    const entries = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map(JSON.parse);
+    expect(entries).toEqual([expect.objectContaining({
+      action:    'would-block',
+      ip:        '105.0.3.1',
+      reason:    'DDoS (Excessive Requests)',
+      expiresAt: expect.any(Number),
+    })]);
+
+    const logs = await monitor.getAttackLogs();
+    expect(logs[0]).toEqual(expect.objectContaining({ ip: '105.0.3.1', wouldBlock: true }));
+    expect(APIMonitor({ blockLogPath: logPath }).monitor.localBlockedIPs.has('105.0.3.1')).toBe(false);
+  });
+
+  it('flags the request log entry in advanced mode', async () => {
+    const { app, monitor } = buildApp({
+      mode:        'dry-run',
+      saveRecords: true,
+      mongoURI:    'mongodb://localhost/test',
+      redisURL:    'redis://localhost',
+      maxRequests: 1,
+    });
+    const saveLog = jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+
+    await request(app).get('/').set('x-forwarded-for', '105.0.4.1');
+    await request(app).get('/').set('x-forwarded-for', '105.0.4.1');
+    await new Promise(r => setImmediate(r));
+
+    expect(saveLog).toHaveBeenNthCalledWith(1, expect.not.objectContaining({ wouldBlock: true }));
+    expect(saveLog).toHaveBeenNthCalledWith(2, expect.objectContaining({ wouldBlock: true }));
+    expect(monitor.LogModel.schema.path('wouldBlock')).toBeDefined();
+    expect(await monitor.isIPBlocked('105.0.4.1')).toBe(false);
+  });
+
+  it('still enforces manual blocks and the denylist', async () => {
+    const { app, monitor } = buildApp({ mode: 'dry-run', denylist: ['105.0.5.2'] });
+    await monitor.blockIP('105.0.5.1');
+    expect((await request(app).get('/').set('x-forwarded-for', '105.0.5.1')).status).toBe(403);
+    expect((await request(app).get('/').set('x-forwarded-for', '105.0.5.2')).status).toBe(403);
+  });
+
+  it('rejects an unknown mode', () => {
+    expect(() => APIMonitor({ mode: 'monitor' })).toThrow('mode must be one of: enforce, dry-run');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 28. Webhook alerting
+// ---------------------------------------------------------------------------
+
+describe('Webhooks', () => {
+  const http = require('http');
+
+  it('forwards attack and block events and flushes on close', async () => {
+    const bodies = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => { bodies.push(JSON.parse(body)); res.end(); });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const { app, monitor } = buildApp({
+      maxRequests: 1,
+      webhooks:    [{ url: `http://127.0.0.1:${server.address().port}/`, batchWindow: 60 }],
+    });
+    await request(app).get('/').set('x-forwarded-for', '106.0.0.1');
+    await request(app).get('/').set('x-forwarded-for', '106.0.0.1');
+    await monitor.close();
+    await new Promise(resolve => server.close(resolve));
+
+    expect(bodies).toHaveLength(1);
+    expect(bodies[0].events.map(e => e.event)).toEqual(['attack-detected', 'ip-blocked']);
+    expect(bodies[0].events[0].data).toEqual(expect.objectContaining({ ip: '106.0.0.1', type: 'DDoS (Excessive Requests)' }));
+  });
+
+  it('emits webhook-failed when a destination is unreachable', async () => {
+    const { monitor } = APIMonitor({ webhooks: [{ url: 'http://127.0.0.1:9/', batchWindow: 0, maxRetries: 0 }] });
+    const failed = new Promise(resolve => monitor.once('webhook-failed', resolve));
+
+    await monitor.handleAttackDetection('106.0.1.1', 100, 0, '/');
+    expect(await failed).toEqual(expect.objectContaining({ url: 'http://127.0.0.1:9/', events: expect.any(Array) }));
+    await monitor.close();
+  });
+
+  it('validates the destinations at startup', () => {
+    expect(() => APIMonitor({ webhooks: [{ url: 'not a url' }] })).toThrow('webhooks[0].url must be an http(s) URL');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 29. Prometheus metrics
+// ---------------------------------------------------------------------------
+
+describe('Metrics', () => {
+  it('counts requests once, rejections, attacks and response times', async () => {
+    const { app, monitor } = buildApp({ maxRequests: 1 });
+    await request(app).get('/').set('x-forwarded-for', '107.0.0.1');
+    await request(app).get('/').set('x-forwarded-for', '107.0.0.1'); // blocked
+    await request(app).get('/').set('x-forwarded-for', '107.0.0.1'); // rejected by blockIPs
+    await new Promise(r => setImmediate(r));
+
+    const text = await monitor.metrics();
+    expect(text).toContain('api_monitor_requests_total 3');
+    expect(text).toContain('api_monitor_requests_rejected_total{status="403"} 1');
+    expect(text).toContain('api_monitor_attacks_detected_total{type="DDoS (Excessive Requests)"} 1');
+    expect(text).toContain('api_monitor_response_time_seconds_count 2');
+    expect(text).toContain('api_monitor_blocks_active 1');
+    expect(text).toMatch(/api_monitor_tracked_keys \d+/);
+    expect(text).not.toContain('api_monitor_storage_errors_total');
+  });
+
+  it('serves the metrics from a mountable handler', async () => {
+    const { app, monitor } = buildApp();
+    const metricsApp = express();
+    metricsApp.get('/metrics', monitor.metricsHandler());
+    await request(app).get('/').set('x-forwarded-for', '107.0.1.1');
+
+    const res = await request(metricsApp).get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(res.text).toContain('api_monitor_requests_total 1');
+  });
+
+  it('reports tracked keys and storage errors in advanced mode', async () => {
+    const { app, monitor } = buildApp({
+      saveRecords: true,
+      mongoURI:    'mongodb://localhost/test',
+      redisURL:    'redis://localhost',
+    });
+    jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+    await request(app).get('/').set('x-forwarded-for', '107.0.2.1');
+    monitor.redis.emit('error', new Error('ECONNRESET'));
+
+    const text = await monitor.metrics();
+    expect(Number(/api_monitor_tracked_keys (\d+)/.exec(text)[1])).toBeGreaterThanOrEqual(1);
+    expect(text).toContain('api_monitor_storage_errors_total{backend="redis"} 1');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 30. Structured logging
+// ---------------------------------------------------------------------------
+
+describe('Structured Logging', () => {
+  const pinoLike = () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+  it('is silent by default', async () => {
+    const { app } = buildApp({ maxRequests: 1 });
+    for (let i = 0; i < 3; i++) await request(app).get('/').set('x-forwarded-for', '108.1.0.1');
+    await new Promise(r => setImmediate(r));
+
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('logs detections with the request fields, including X-Request-Id', async () => {
+    const logger = pinoLike();
+    const { app } = buildApp({ maxRequests: 1, logger });
+    await request(app).get('/a').set('x-forwarded-for', '108.1.0.2');
+    await request(app).get('/b').set('x-forwarded-for', '108.1.0.2').set('x-request-id', 'req-42');
+    await new Promise(r => setImmediate(r));
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.objectContaining({
+      ip:         '108.1.0.2',
+      route:      '/b',
+      method:     'GET',
+      requestId:  'req-42',
+      attackType: 'DDoS (Excessive Requests)',
+    }), 'Possible attack detected: DDoS (Excessive Requests)');
+    // The finish handler runs after the response but keeps the request's fields
+    expect(logger.info).toHaveBeenCalledWith(expect.objectContaining({
+      requestId:  'req-42',
+      statusCode: 200,
+      attackType: 'Blocked',
+    }), 'Attack logged');
+  });
+
+  it('honours logLevel and reports errors as err', async () => {
+    const logger = pinoLike();
+    const { app } = buildApp({
+      logger,
+      logLevel:     'error',
+      maxRequests:  1,
+      keyGenerator: () => { throw new Error('no key'); },
+    });
+    await request(app).get('/').set('x-forwarded-for', '108.1.0.3');
+    await request(app).get('/').set('x-forwarded-for', '108.1.0.3');
+
+    expect(logger.warn).not.toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.objectContaining({ err: expect.any(Error), ip: '108.1.0.3' }),
+      'keyGenerator failed, falling back to the client IP',
+    );
+  });
+
+  it('rejects an invalid logger or level', () => {
+    expect(() => APIMonitor({ logLevel: 'loud' })).toThrow('logLevel must be one of');
+    expect(() => APIMonitor({ logger: {} })).toThrow('logger must implement debug()');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 31. Cross-instance events (Redis pub/sub via ioredis-mock)
+// ---------------------------------------------------------------------------
+
+describe('Cluster Events', () => {
+  const replica = (instanceId, options = {}) => buildApp({
+    saveRecords:   true,
+    mongoURI:      'mongodb://localhost/test',
+    redisURL:      'redis://localhost',
+    maxRequests:   1,
+    clusterEvents: { instanceId, channel: 'api-monitor:test-events' },
+    ...options,
+  });
+  const settle = () => new Promise(r => setTimeout(r, 20));
+  let replicas;
+
+  beforeEach(async () => {
+    replicas = [replica('api-1'), replica('api-2')];
+    for (const { monitor } of replicas) jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+    await Promise.all(replicas.map(({ monitor }) => monitor.cluster.ready));
+  });
+
+  afterEach(async () => {
+    for (const { monitor } of replicas) await monitor.close();
+  });
+
+  it('re-emits detections and blocks on every instance, tagged with their origin', async () => {
+    const [origin, other] = replicas;
+    const attacks = jest.fn();
+    const blocks  = jest.fn();
+    other.monitor.on('attack-detected', attacks);
+    other.monitor.on('ip-blocked', blocks);
+
+    await request(origin.app).get('/').set('x-forwarded-for', '108.2.0.1');
+    await request(origin.app).get('/').set('x-forwarded-for', '108.2.0.1');
+    await settle();
+
+    expect(attacks).toHaveBeenCalledWith(expect.objectContaining({
+      ip:         '108.2.0.1',
+      type:       'DDoS (Excessive Requests)',
+      instanceId: 'api-1',
+      eventId:    expect.any(String),
+      remote:     true,
+      timestamp:  expect.any(Date),
+    }));
+    expect(blocks).toHaveBeenCalledWith(expect.objectContaining({ ip: '108.2.0.1', instanceId: 'api-1', remote: true }));
+  });
+
+  it('tags local events and shares manual unblocks', async () => {
+    const [origin, other] = replicas;
+    const local  = jest.fn();
+    const remote = jest.fn();
+    origin.monitor.on('ip-unblocked', local);
+    other.monitor.on('ip-unblocked', remote);
+
+    await origin.monitor.blockIP('108.2.0.2', { actor: 'ops' });
+    await origin.monitor.unblockIP('108.2.0.2', { actor: 'ops' });
+    await settle();
+
+    expect(local).toHaveBeenCalledWith(expect.objectContaining({ instanceId: 'api-1', remote: false }));
+    expect(remote).toHaveBeenCalledWith(expect.objectContaining({ ip: '108.2.0.2', actor: 'ops', remote: true }));
+    expect(remote.mock.calls[0][0].eventId).toBe(local.mock.calls[0][0].eventId);
+  });
+
+  it('runs onceInCluster handlers on a single instance per event', async () => {
+    const handled = jest.fn();
+    for (const { monitor } of replicas) monitor.onceInCluster('ip-blocked', 'pager', handled);
+
+    await replicas[0].monitor.blockIP('108.2.0.3');
+    await replicas[1].monitor.blockIP('108.2.0.4');
+    await settle();
+
+    expect(handled).toHaveBeenCalledTimes(2);
+    expect(handled.mock.calls.map(([event]) => event.ip).sort()).toEqual(['108.2.0.3', '108.2.0.4']);
+  });
+
+  it('counts and forwards only locally raised attacks', async () => {
+    const [origin, other] = replicas;
+    await request(origin.app).get('/').set('x-forwarded-for', '108.2.0.5');
+    await request(origin.app).get('/').set('x-forwarded-for', '108.2.0.5');
+    await settle();
+
+    expect(await origin.monitor.metrics()).toContain('api_monitor_attacks_detected_total{type="DDoS (Excessive Requests)"} 1');
+    expect(await other.monitor.metrics()).not.toContain('api_monitor_attacks_detected_total{');
+  });
+
+  it('validates onceInCluster and requires Redis', () => {
+    const { monitor } = replicas[0];
+    expect(() => monitor.onceInCluster('bot-detected', 'x', () => {})).toThrow('onceInCluster event must be one of');
+    expect(() => monitor.onceInCluster('ip-blocked', '', () => {})).toThrow('onceInCluster requires a handler name');
+    expect(() => monitor.onceInCluster('ip-blocked', 'x')).toThrow('onceInCluster handler must be a function');
+
+    const { REDIS_URL } = process.env;
+    delete process.env.REDIS_URL;
+    try {
+      expect(() => APIMonitor({ clusterEvents: true })).toThrow('clusterEvents requires Redis');
+    } finally {
+      if (REDIS_URL !== undefined) process.env.REDIS_URL = REDIS_URL;
+    }
+  });
+
+  it('runs onceInCluster handlers for every event without clusterEvents', async () => {
+    const { monitor } = buildApp();
+    const handled = jest.fn();
+    monitor.onceInCluster('ip-blocked', 'pager', handled);
+    await monitor.blockIP('108.2.1.1');
+    await monitor.blockIP('108.2.1.2');
+    await settle();
+
+    expect(handled).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 32. Paging blocked IPs
+// ---------------------------------------------------------------------------
+
+describe('Blocked IP Paging', () => {
+  it('returns every block soonest expiry first by default', async () => {
+    const { monitor } = buildApp();
+    await monitor.blockIP('108.4.5.1', { duration: 300 });
+    await monitor.blockIP('108.4.5.2', { duration: 60 });
+    await monitor.blockIP('108.4.5.3', { duration: 120 });
+
+    const result = await monitor.getBlockedIPs();
+    expect(result).toMatchObject({ count: 3, total: 3 });
+    expect(result.blocked.map(b => b.ip)).toEqual(['108.4.5.2', '108.4.5.3', '108.4.5.1']);
+  });
+
+  it('pages and sorts in local mode and in custom adapters without pageBlocks', async () => {
+    const { monitor } = buildApp();
+    for (const ip of ['108.4.6.10', '108.4.6.2', '108.4.6.1']) await monitor.blockIP(ip, { duration: 60 });
+
+    const page = await monitor.getBlockedIPs({ offset: 1, limit: 1, sort: 'ip', order: 'desc' });
+    expect(page).toMatchObject({ count: 1, total: 3, blocked: [{ ip: '108.4.6.2' }] });
+    await expect(monitor.getBlockedIPs({ limit: -1 })).rejects.toThrow('limit must be a non-negative integer');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 33. Request log buffering, retention and sampling
+// ---------------------------------------------------------------------------
+
+describe('Request Log Options', () => {
+  const advanced = options => APIMonitor({
+    saveRecords: true,
+    mongoURI:    'mongodb://localhost/test',
+    redisURL:    'redis://localhost',
+    ...options,
+  }).monitor;
+
+  it('passes logBuffer, logRetention and logSampleRate to the default Redis storage', async () => {
+    const monitor = advanced({ logBuffer: { batchSize: 20, maxQueue: 500 }, logRetention: 604_800, logSampleRate: 0.5 });
+    const logs    = monitor.storage.logs;
+
+    expect(logs.logBuffer).toMatchObject({ batchSize: 20, maxQueue: 500 });
+    expect(logs).toMatchObject({ logRetention: 604_800, logSampleRate: 0.5 });
+    await monitor.close();
+  });
+
+  it('rejects invalid log options when the monitor is created', () => {
+    expect(() => advanced({ logBuffer: { maxQueue: 0 } })).toThrow('logBuffer.maxQueue must be a positive integer');
+    expect(() => advanced({ logSampleRate: -0.1 })).toThrow('logSampleRate must be a number between 0 and 1');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * api-security-monitor — payload inspection signature tests
+ */
+
+const { compileInspection, inspectRequest } = require('../src/inspection');
+
+const config = compileInspection(true);
+
+function req({ path = '/', query = {}, headers = {}, body } = {}) {
+  return { path, query, headers, body };
+}
+
+describe('compileInspection', () => {
+  it('is disabled unless requested', () => {
+    expect(compileInspection(undefined)).toBeNull();
+    expect(compileInspection(false)).toBeNull();
+  });
+
+  it('rejects unknown attack categories', () => {
+    expect(() => compileInspection({ attacks: ['sqli', 'ldap'] })).toThrow('inspection.attacks must only contain');
+  });
+
+  it('rejects exclude entries that are not location strings', () => {
+    expect(() => compileInspection({ exclude: 'body.comment' })).toThrow('inspection.exclude must be an array of locations');
+    expect(() => compileInspection({ exclude: ['body.comment', ''] })).toThrow('inspection.exclude must be an array of locations');
+  });
+});
+
+describe('inspectRequest', () => {
+  it.each([
+    ['SQL Injection',     req({ query: { q: "' OR 1=1--" } }),                       'query.q'],
+    ['SQL Injection',     req({ query: { id: '1 UNION SELECT password FROM users' } }), 'query.id'],
+    ['SQL Injection',     req({ body: { name: "x'; DROP TABLE users; --" } }),       'body.name'],
+    ['SQL Injection',     req({ query: { user: "admin' OR 'a'='a" } }),               'query.user'],
+    ['SQL Injection',     req({ query: { id: '1 or 1=1--' } }),                       'query.id'],
+    ['SQL Injection',     req({ query: { id: "1' AND SLEEP(5)#" } }),                 'query.id'],
+    ['NoSQL Injection',   req({ query: { user: { $ne: '' } } }),                     'query.user.$ne'],
+    ['NoSQL Injection',   req({ body: { filter: [{ $where: 'sleep(100)' }] } }),     'body.filter[0].$where'],
+    ['XSS',               req({ body: { comment: '<script>alert(1)</script>' } }),   'body.comment'],
+    ['XSS',               req({ headers: { referer: 'http://x/<img src=x onerror=alert(1)>' } }), 'headers.referer'],
+    ['XSS',               req({ body: { website: 'javascript:alert(1)' } }),          'body.website'],
+    ['XSS',               req({ body: { bio: '<iframe src="//evil.example">' } }),    'body.bio'],
+    ['Path Traversal',    req({ path: '/static/%2e%2e/%2e%2e/etc/passwd' }),         'path'],
+    ['Path Traversal',    req({ query: { file: '%252e%252e%252fsecret' } }),         'query.file'],
+    ['Command Injection', req({ query: { host: '127.0.0.1; cat /etc/hosts' } }),     'query.host'],
+    ['Command Injection', req({ body: { name: '$(whoami)' } }),                      'body.name'],
+  ])('detects %s', (attackType, request, location) => {
+    expect(inspectRequest(request, config)).toMatchObject({ attackType, location });
+  });
+
+  it('ignores ordinary traffic', () => {
+    const benign = req({
+      path:    '/api/users/42',
+      query:   { search: "O'Brien", page: '2', sort: 'name,-created' },
+      headers: { 'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36', referer: 'https://example.com/a?b=c' },
+      body:    { title: 'Tips & tricks for 2 < 3 > 1', tags: ['a', 'b'], price: { amount: 10 } },
+    });
+    expect(inspectRequest(benign, config)).toBeNull();
+  });
+
+  it.each([
+    'I have a dog; cat too',
+    'Name; id number attached',
+    'Price $(USD) 5',
+    'Sure; update me when it ships',
+    '#fff',
+    "Use '--force' flag",
+    'between 1 and 2 = 3',
+    'Update; delete from my list please',
+    "He said 'hi' -- then left",
+    'javascript: the good parts',
+    'sleep (8 hours)',
+    "he said 'yes' or 'no' = maybe",
+    '1 or 2=2',
+    'I love svg <svg files',
+  ])('does not flag natural language: %s', text => {
+    expect(inspectRequest(req({ query: { q: text }, body: { comment: text, color: text } }), config)).toBeNull();
+  });
+
+  it('skips excluded locations and everything under them', () => {
+    const lenient = compileInspection({ exclude: ['body.comment', 'body.messages[*].text', 'headers.referer'] });
+    const attack  = '<script>alert(1)</script>';
+
+    expect(inspectRequest(req({ body: { comment: attack } }), lenient)).toBeNull();
+    expect(inspectRequest(req({ body: { comment: { html: attack } } }), lenient)).toBeNull();
+    expect(inspectRequest(req({ body: { messages: [{ text: attack }, { text: 'hi' }] } }), lenient)).toBeNull();
+    expect(inspectRequest(req({ headers: { referer: attack } }), lenient)).toBeNull();
+
+    expect(inspectRequest(req({ body: { commentary: attack } }), lenient)).toMatchObject({ location: 'body.commentary' });
+    expect(inspectRequest(req({ body: { messages: [{ title: attack }] } }), lenient))
+      .toMatchObject({ location: 'body.messages[0].title' });
+  });
+
+  it('only checks the configured categories, headers and body', () => {
+    const onlyXss = compileInspection({ attacks: ['xss'], headers: [], body: false });
+    expect(inspectRequest(req({ query: { q: "' OR 1=1--" } }), onlyXss)).toBeNull();
+    expect(inspectRequest(req({ query: { user: { $ne: '' } } }), onlyXss)).toBeNull();
+    expect(inspectRequest(req({ headers: { referer: '<script>' } }), onlyXss)).toBeNull();
+    expect(inspectRequest(req({ body: { c: '<script>' } }), onlyXss)).toBeNull();
+    expect(inspectRequest(req({ query: { c: '<script>' } }), onlyXss)).toMatchObject({ attackType: 'XSS' });
+  });
+
+  it('stops descending past maxDepth', () => {
+    const shallow = compileInspection({ maxDepth: 2 });
+    const nested  = { a: { b: { c: '<script>' } } };
+    expect(inspectRequest(req({ body: nested }), shallow)).toBeNull();
+    expect(inspectRequest(req({ body: nested }), config)).not.toBeNull();
+  });
+
+  it('names the rule but not the payload', () => {
+    const finding = inspectRequest(req({ query: { q: "' OR 1=1--" } }), config);
+    expect(finding.rule).toEqual(expect.any(String));
+    expect(JSON.stringify(finding)).not.toContain('1=1');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * api-security-monitor — IPList (allowlist / denylist matching) tests
+ */
+
+const { IPList, normalizeIP } = require('../src/ip-list');
+
+describe('IPList', () => {
+  it('matches single IPv4 addresses exactly', () => {
+    const list = new IPList(['203.0.113.7']);
+    expect(list.has('203.0.113.7')).toBe(true);
+    expect(list.has('203.0.113.8')).toBe(false);
+  });
+
+  it('matches addresses inside IPv4 CIDR ranges', () => {
+    const list = new IPList(['10.0.0.0/8', '192.168.1.0/24']);
+    expect(list.has('10.255.3.4')).toBe(true);
+    expect(list.has('192.168.1.200')).toBe(true);
+    expect(list.has('192.168.2.1')).toBe(false);
+    expect(list.has('11.0.0.1')).toBe(false);
+  });
+
+  it('matches IPv6 addresses and ranges, including compressed forms', () => {
+    const list = new IPList(['2001:db8::/32', '::1']);
+    expect(list.has('2001:db8:abcd::42')).toBe(true);
+    expect(list.has('2001:0db8:0000:0000:0000:0000:0000:0001')).toBe(true);
+    expect(list.has('2001:db9::1')).toBe(false);
+    expect(list.has('0:0:0:0:0:0:0:1')).toBe(true);
+  });
+
+  it('treats IPv4-mapped IPv6 addresses as IPv4', () => {
+    const list = new IPList(['172.16.0.0/12']);
+    expect(list.has('::ffff:172.20.1.1')).toBe(true);
+  });
+
+  it('ignores host bits beyond the prefix', () => {
+    const list = new IPList(['10.1.2.3/16']);
+    expect(list.has('10.1.200.200')).toBe(true);
+  });
+
+  it('supports /0 as a match-all range per family', () => {
+    const list = new IPList(['0.0.0.0/0']);
+    expect(list.has('8.8.8.8')).toBe(true);
+    expect(list.has('2001:db8::1')).toBe(false);
+  });
+
+  it('removes entries by network', () => {
+    const list = new IPList(['10.0.0.0/8', '1.2.3.4']);
+    expect(list.remove('10.9.9.9/8')).toBe(true);
+    expect(list.has('10.0.0.1')).toBe(false);
+    expect(list.remove('10.0.0.0/8')).toBe(false);
+    expect(list.entries()).toEqual(['1.2.3.4']);
+    expect(list.size).toBe(1);
+  });
+
+  it.each(['not-an-ip', '1.2.3.4/33', '1.2.3.4/', '10.0.0.0/8/1', '2001:db8::/129', '256.0.0.1'])(
+    'rejects invalid entry %s',
+    (entry) => {
+      expect(() => new IPList([entry])).toThrow('Invalid IP address or CIDR range');
+    }
+  );
+
+  it('never matches unparseable input', () => {
+    const list = new IPList(['0.0.0.0/0']);
+    expect(list.has('garbage')).toBe(false);
+    expect(list.has(undefined)).toBe(false);
+  });
+});
+
+describe('normalizeIP', () => {
+  it('maps loopback and IPv4-mapped addresses to plain IPv4', () => {
+    expect(normalizeIP('::1')).toBe('127.0.0.1');
+    expect(normalizeIP('::ffff:127.0.0.1')).toBe('127.0.0.1');
+    expect(normalizeIP('::ffff:203.0.113.9')).toBe('203.0.113.9');
+    expect(normalizeIP('2001:db8::1')).toBe('2001:db8::1');
+    expect(normalizeIP(undefined)).toBe('0.0.0.0');
+  });
+});
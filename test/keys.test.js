@@ -0,0 +1,36 @@
+/**
+ * api-security-monitor — rate-limit subject resolution tests
+ */
+
+const { resolveKey, keyTypeOf } = require('../src/keys');
+
+describe('resolveKey', () => {
+  const req = { headers: { 'x-api-key': 'k-123' } };
+
+  it('falls back to the IP without a generator or key', () => {
+    expect(resolveKey(null, req, '1.2.3.4')).toEqual({ id: '1.2.3.4', type: 'ip', key: '1.2.3.4' });
+    expect(resolveKey(() => undefined, req, '1.2.3.4').type).toBe('ip');
+    expect(resolveKey(() => '', req, '1.2.3.4').type).toBe('ip');
+    expect(resolveKey(() => ({ key: null, type: 'user' }), req, '1.2.3.4').type).toBe('ip');
+  });
+
+  it('namespaces string keys as custom and typed keys by type', () => {
+    expect(resolveKey(r => r.headers['x-api-key'], req, '1.2.3.4'))
+      .toEqual({ id: 'custom:k-123', type: 'custom', key: 'k-123' });
+    expect(resolveKey(() => ({ key: 42, type: 'user' }), req, '1.2.3.4'))
+      .toEqual({ id: 'user:42', type: 'user', key: '42' });
+  });
+
+  it('rejects invalid key types', () => {
+    expect(() => resolveKey(() => ({ key: 'x', type: 'ip' }), req, '1.2.3.4')).toThrow('Invalid key type: ip');
+    expect(() => resolveKey(() => ({ key: 'x', type: 'a:b' }), req, '1.2.3.4')).toThrow('Invalid key type');
+  });
+});
+
+describe('keyTypeOf', () => {
+  it('recovers the type from a stored subject', () => {
+    expect(keyTypeOf('1.2.3.4')).toBe('ip');
+    expect(keyTypeOf('2001:db8::1')).toBe('ip');
+    expect(keyTypeOf('api-key:abc:def')).toBe('api-key');
+  });
+});
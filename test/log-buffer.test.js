@@ -0,0 +1,195 @@
+/**
+ * api-security-monitor — buffered request log writes
+ *
+ * No MongoDB runs here: the buffer is told the connection is up and the
+ * model's insertMany is stubbed per test.
+ */
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const mongoose = require('mongoose');
+const { LogBuffer, compileLogBuffer } = require('../src/storage/log-buffer');
+const { RedisMongoStorage } = require('../src/storage');
+
+const entry = i => ({ ip: `108.4.7.${i}`, route: '/', statusCode: 200, attackType: null });
+
+describe('compileLogBuffer', () => {
+  it('is on by default and off with false', () => {
+    expect(compileLogBuffer(undefined)).toEqual({ batchSize: 100, flushInterval: 1000, maxQueue: 10_000 });
+    expect(compileLogBuffer({ batchSize: 10 })).toMatchObject({ batchSize: 10, maxQueue: 10_000 });
+    expect(compileLogBuffer(false)).toBeNull();
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => compileLogBuffer({ batchSize: 0 })).toThrow('logBuffer.batchSize must be a positive integer');
+    expect(() => compileLogBuffer({ flushInterval: 'soon' })).toThrow('logBuffer.flushInterval must be a positive integer');
+    expect(() => compileLogBuffer({ batchSize: 50, maxQueue: 10 })).toThrow('logBuffer.maxQueue must be at least logBuffer.batchSize');
+  });
+});
+
+describe('LogBuffer', () => {
+  let buffers;
+  beforeEach(() => { buffers = []; });
+  afterEach(async () => {
+    for (const buffer of buffers) await buffer.close();
+  });
+
+  const build = (write, config = {}, opts = {}) => {
+    const buffer = new LogBuffer(write, compileLogBuffer({ flushInterval: 60_000, ...config }), opts);
+    buffers.push(buffer);
+    return buffer;
+  };
+
+  it('writes a batch once batchSize entries are waiting', async () => {
+    const write  = jest.fn().mockResolvedValue();
+    const buffer = build(write, { batchSize: 3 });
+    for (let i = 1; i <= 4; i++) buffer.push(entry(i));
+    await buffer.flush();
+
+    expect(write.mock.calls.map(([batch]) => batch.length)).toEqual([3, 1]);
+    expect(buffer.size).toBe(0);
+  });
+
+  it('flushes on the interval', async () => {
+    jest.useFakeTimers();
+    try {
+      const write  = jest.fn().mockResolvedValue();
+      const buffer = build(write, { batchSize: 10, flushInterval: 500 });
+      buffer.push(entry(1));
+      expect(write).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(500);
+      await buffer.flush();
+      expect(write).toHaveBeenCalledWith([entry(1)]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('holds entries while the database is unavailable and retries failed batches in order', async () => {
+    let ready     = false;
+    const write   = jest.fn().mockRejectedValueOnce(new Error('connection reset')).mockResolvedValue();
+    const onError = jest.fn();
+    const buffer  = build(write, { batchSize: 2 }, { isReady: () => ready, onError });
+
+    for (let i = 1; i <= 3; i++) buffer.push(entry(i));
+    await buffer.flush();
+    expect(write).not.toHaveBeenCalled();
+
+    ready = true;
+    await buffer.flush();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'connection reset' }));
+    expect(buffer.size).toBe(3);
+
+    await buffer.flush();
+    expect(write.mock.calls.slice(1).flatMap(([batch]) => batch.map(e => e.ip)))
+      .toEqual(['108.4.7.1', '108.4.7.2', '108.4.7.3']);
+  });
+
+  it('drops the oldest entries past maxQueue and warns once per overflow', async () => {
+    const logger = { warn: jest.fn() };
+    const buffer = build(jest.fn(), { batchSize: 2, maxQueue: 3 }, { isReady: () => false, logger });
+    for (let i = 1; i <= 6; i++) buffer.push(entry(i));
+
+    expect(buffer.queue.map(e => e.ip)).toEqual(['108.4.7.4', '108.4.7.5', '108.4.7.6']);
+    expect(buffer.dropped).toBe(3);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('shares one run between concurrent flushes and writes the rest on close', async () => {
+    const write  = jest.fn(() => new Promise(r => setTimeout(r, 10)));
+    const buffer = build(write, { batchSize: 5 });
+    buffer.push(entry(1));
+    await Promise.all([buffer.flush(), buffer.flush()]);
+    expect(write).toHaveBeenCalledTimes(1);
+
+    buffer.push(entry(2));
+    await buffer.close();
+    expect(write).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('RedisMongoStorage request logs', () => {
+  let stores;
+  beforeEach(() => { stores = []; });
+  afterEach(async () => {
+    for (const store of stores) await store.close();
+    jest.restoreAllMocks();
+  });
+
+  const build = (options = {}) => {
+    const store = new RedisMongoStorage({ mongoURI: 'mongodb://localhost/test', redisURL: 'redis://localhost', ...options });
+    jest.spyOn(store.LogModel, 'insertMany').mockResolvedValue([]);
+    if (store.logBuffer) store.logBuffer.isReady = () => true;
+    stores.push(store);
+    return store;
+  };
+
+  it('writes buffered logs with insertMany', async () => {
+    const store = build({ logBuffer: { batchSize: 2 } });
+    for (let i = 1; i <= 3; i++) await store.saveLog(entry(i));
+    await store.logBuffer.flush();
+
+    expect(store.LogModel.insertMany.mock.calls.map(([docs, opts]) => [docs.length, opts]))
+      .toEqual([[2, { ordered: false }], [1, { ordered: false }]]);
+  });
+
+  it('counts rejected entries without retrying them, and retries on connection errors', async () => {
+    const store = build({ logBuffer: { batchSize: 1 } });
+    store.LogModel.insertMany
+      .mockRejectedValueOnce(Object.assign(new Error('E11000'), { writeErrors: [{}] }))
+      .mockRejectedValueOnce(new Error('connection closed'));
+
+    await store.saveLog(entry(1));
+    await store.logBuffer.flush();
+    expect(store.logBuffer.size).toBe(0);
+
+    await store.saveLog(entry(2));
+    await store.logBuffer.flush();
+    expect(store.logBuffer.size).toBe(1);
+    expect(store.errors.mongo).toBe(2);
+  });
+
+  it('skips the buffer with logBuffer: false, dropping logs while disconnected', async () => {
+    const store = build({ logBuffer: false });
+    const save  = jest.spyOn(store.LogModel.prototype, 'save').mockResolvedValue();
+    await store.saveLog(entry(1));
+
+    expect(store.logBuffer).toBeNull();
+    expect(mongoose.connection.readyState).not.toBe(1);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('samples normal requests but keeps attacks and would-be blocks', async () => {
+    const store = build({ logSampleRate: 0.25 });
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    await store.saveLog(entry(1));
+    await store.saveLog({ ...entry(2), attackType: 'Path Scanning' });
+    await store.saveLog({ ...entry(3), wouldBlock: true });
+
+    expect(store.logBuffer.queue.map(e => e.ip)).toEqual(['108.4.7.2', '108.4.7.3']);
+  });
+
+  it('validates the retention and sampling options', () => {
+    expect(() => build({ logRetention: -1 })).toThrow('logRetention must be a positive number of seconds');
+    expect(() => build({ logSampleRate: 2 })).toThrow('logSampleRate must be a number between 0 and 1');
+  });
+
+  it('creates a TTL index on timestamp, updating its expiry when it changed', async () => {
+    const store = build({ logRetention: 86_400 });
+    const conflict = Object.assign(new Error('Index already exists with different options'), { codeName: 'IndexOptionsConflict' });
+    const createIndex = jest.spyOn(store.LogModel.collection, 'createIndex').mockResolvedValueOnce('timestamp_ttl').mockRejectedValueOnce(conflict);
+    const command     = jest.fn().mockResolvedValue({ ok: 1 });
+    jest.replaceProperty(store.LogModel, 'db', { db: { command } });
+
+    await store.applyLogRetention();
+    await store.applyLogRetention();
+
+    expect(createIndex).toHaveBeenCalledWith({ timestamp: 1 }, { name: 'timestamp_ttl', expireAfterSeconds: 86_400 });
+    expect(command).toHaveBeenCalledWith({
+      collMod: store.LogModel.collection.collectionName,
+      index:   { name: 'timestamp_ttl', expireAfterSeconds: 86_400 },
+    });
+  });
+});
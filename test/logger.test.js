@@ -0,0 +1,59 @@
+/**
+ * api-security-monitor — structured logger tests
+ */
+
+const { Logger } = require('../src/logger');
+
+const pinoLike = () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), child: jest.fn() });
+
+describe('Logger', () => {
+  it('writes nothing without a target', () => {
+    expect(() => new Logger().error({ err: new Error('x') }, 'ignored')).not.toThrow();
+  });
+
+  it('calls pino-style loggers with (fields, message)', () => {
+    const target = pinoLike();
+    new Logger(target).warn({ attackType: 'Brute Force' }, 'Possible attack');
+    expect(target.warn).toHaveBeenCalledWith({ attackType: 'Brute Force' }, 'Possible attack');
+  });
+
+  it('calls winston-style loggers and console with (message, fields)', () => {
+    const winston = { ...pinoLike(), transports: [] };
+    new Logger(winston).info({ ip: '1.1.1.1' }, 'Attack logged');
+    expect(winston.info).toHaveBeenCalledWith('Attack logged', { ip: '1.1.1.1' });
+
+    new Logger(console).error({ ip: '1.1.1.1' }, 'Error saving log');
+    expect(console.error).toHaveBeenCalledWith('Error saving log', { ip: '1.1.1.1' });
+  });
+
+  it('drops messages below the configured level', () => {
+    const target = pinoLike();
+    const logger = new Logger(target, { level: 'warn' });
+    logger.info({}, 'hidden');
+    logger.error({}, 'shown');
+    expect(target.info).not.toHaveBeenCalled();
+    expect(target.error).toHaveBeenCalled();
+
+    new Logger(target, { level: 'silent' }).error({}, 'hidden');
+    expect(target.error).toHaveBeenCalledTimes(1);
+  });
+
+  it('adds context fields to every message, across awaits', async () => {
+    const target = pinoLike();
+    const logger = new Logger(target, { level: 'debug' });
+
+    await logger.withContext({ ip: '1.1.1.1', requestId: 'r1' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      logger.debug({ route: '/login' }, 'inside');
+    });
+    logger.debug({}, 'outside');
+
+    expect(target.debug).toHaveBeenNthCalledWith(1, { ip: '1.1.1.1', requestId: 'r1', route: '/login' }, 'inside');
+    expect(target.debug).toHaveBeenNthCalledWith(2, {}, 'outside');
+  });
+
+  it('validates the level and the target', () => {
+    expect(() => new Logger(null, { level: 'verbose' })).toThrow('logLevel must be one of');
+    expect(() => new Logger({ info() {} })).toThrow('logger must implement debug()');
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * api-security-monitor — Prometheus metrics rendering tests
+ */
+
+const { Metrics } = require('../src/metrics');
+
+describe('Metrics', () => {
+  it('renders counters with HELP and TYPE lines', () => {
+    const metrics = new Metrics();
+    metrics.request();
+    metrics.request();
+    metrics.reject(403);
+    metrics.attack('Path Scanning');
+
+    const text = metrics.render();
+    expect(text).toContain('# TYPE api_monitor_requests_total counter\napi_monitor_requests_total 2\n');
+    expect(text).toContain('api_monitor_requests_rejected_total{status="403"} 1');
+    expect(text).toContain('api_monitor_attacks_detected_total{type="Path Scanning"} 1');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  it('renders a cumulative response time histogram', () => {
+    const metrics = new Metrics([0.1, 1]);
+    metrics.observeResponseTime(0.05);
+    metrics.observeResponseTime(0.5);
+    metrics.observeResponseTime(3);
+
+    const text = metrics.render();
+    expect(text).toContain('# TYPE api_monitor_response_time_seconds histogram');
+    expect(text).toContain('api_monitor_response_time_seconds_bucket{le="0.1"} 1');
+    expect(text).toContain('api_monitor_response_time_seconds_bucket{le="1"} 2');
+    expect(text).toContain('api_monitor_response_time_seconds_bucket{le="+Inf"} 3');
+    expect(text).toContain('api_monitor_response_time_seconds_sum 3.55');
+    expect(text).toContain('api_monitor_response_time_seconds_count 3');
+  });
+
+  it('renders storage gauges only when provided', () => {
+    const metrics = new Metrics();
+    expect(metrics.render()).not.toContain('api_monitor_blocks_active');
+
+    const text = metrics.render({ activeBlocks: 4, trackedKeys: 12, storageErrors: { redis: 2, mongo: 0 } });
+    expect(text).toContain('api_monitor_blocks_active 4');
+    expect(text).toContain('api_monitor_tracked_keys 12');
+    expect(text).toContain('api_monitor_storage_errors_total{backend="redis"} 2');
+    expect(text).toContain('api_monitor_storage_errors_total{backend="mongo"} 0');
+  });
+
+  it('escapes label values', () => {
+    const metrics = new Metrics();
+    metrics.attack('a "quoted" \\ type\nx');
+    expect(metrics.render()).toContain('{type="a \\"quoted\\" \\\\ type\\nx"}');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * api-security-monitor — block paging tests
+ */
+
+const { compilePage, sortBlocks, pageBlocks } = require('../src/storage/paging');
+
+const blocks = [
+  { ip: '10.0.0.10', expiresAt: 3000 },
+  { ip: '10.0.0.9',  expiresAt: Infinity },
+  { ip: '10.0.0.2',  expiresAt: 1000 },
+  { ip: '10.0.0.1',  expiresAt: 3000 },
+];
+const ips = list => list.map(b => b.ip);
+
+describe('compilePage', () => {
+  it('defaults to every block, soonest expiry first', () => {
+    expect(compilePage()).toEqual({ offset: 0, limit: Infinity, sort: 'expiresAt', order: 'asc' });
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => compilePage({ offset: -1 })).toThrow('offset must be a non-negative integer');
+    expect(() => compilePage({ limit: 1.5 })).toThrow('limit must be a non-negative integer');
+    expect(() => compilePage({ sort: 'reason' })).toThrow('sort must be one of: expiresAt, ip');
+    expect(() => compilePage({ order: 'up' })).toThrow('order must be one of: asc, desc');
+  });
+});
+
+describe('sortBlocks', () => {
+  it('sorts by expiry with permanent blocks last and IP ties in numeric order', () => {
+    expect(ips(sortBlocks([...blocks], compilePage()))).toEqual(['10.0.0.2', '10.0.0.1', '10.0.0.10', '10.0.0.9']);
+  });
+
+  it('sorts by IP numerically per segment, in either order', () => {
+    expect(ips(sortBlocks([...blocks], compilePage({ sort: 'ip' })))).toEqual(['10.0.0.1', '10.0.0.2', '10.0.0.9', '10.0.0.10']);
+    expect(ips(sortBlocks([...blocks], compilePage({ sort: 'ip', order: 'desc' })))).toEqual(['10.0.0.10', '10.0.0.9', '10.0.0.2', '10.0.0.1']);
+  });
+});
+
+describe('pageBlocks', () => {
+  it('returns the requested slice and the total without touching the input', () => {
+    const page = pageBlocks(blocks, compilePage({ offset: 1, limit: 2 }));
+    expect(page.total).toBe(4);
+    expect(ips(page.blocks)).toEqual(['10.0.0.1', '10.0.0.10']);
+    expect(ips(blocks)[0]).toBe('10.0.0.10');
+  });
+
+  it('returns an empty page past the end', () => {
+    expect(pageBlocks(blocks, compilePage({ offset: 10 }))).toEqual({ total: 4, blocks: [] });
+  });
+});
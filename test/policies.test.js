@@ -0,0 +1,53 @@
+/**
+ * api-security-monitor — rate limit policy matching tests
+ */
+
+const { compilePolicies, matchPolicy, patternToRegExp } = require('../src/policies');
+
+const defaults = { maxRequests: 10, timeWindow: 60, scanThreshold: 5 };
+
+describe('patternToRegExp', () => {
+  it('matches * across segments and :param within one segment', () => {
+    expect(patternToRegExp('/auth/*').test('/auth/login')).toBe(true);
+    expect(patternToRegExp('/auth/*').test('/auth/a/b')).toBe(true);
+    expect(patternToRegExp('/users/:id').test('/users/42')).toBe(true);
+    expect(patternToRegExp('/users/:id').test('/users/42/posts')).toBe(false);
+  });
+
+  it('escapes regex characters in literal parts', () => {
+    expect(patternToRegExp('/v1.0/items').test('/v1x0/items')).toBe(false);
+  });
+
+  it('passes RegExp patterns through', () => {
+    const re = /^\/admin/;
+    expect(patternToRegExp(re)).toBe(re);
+  });
+});
+
+describe('compilePolicies / matchPolicy', () => {
+  const policies = compilePolicies([
+    { name: 'login', method: 'POST', path: '/auth/*', maxRequests: 5 },
+    { path: '/api/*', method: ['GET', 'head'], timeWindow: 10 },
+  ], defaults);
+
+  it('fills missing limits from the global defaults', () => {
+    expect(policies[0]).toMatchObject({ maxRequests: 5, timeWindow: 60, scanThreshold: 5 });
+    expect(policies[1]).toMatchObject({ maxRequests: 10, timeWindow: 10 });
+  });
+
+  it('derives a name from method and path when none is given', () => {
+    expect(policies[1].name).toBe('GET,HEAD /api/*');
+  });
+
+  it('matches by method and path, first match wins', () => {
+    expect(matchPolicy(policies, 'POST', '/auth/login').name).toBe('login');
+    expect(matchPolicy(policies, 'GET', '/auth/login')).toBeNull();
+    expect(matchPolicy(policies, 'HEAD', '/api/products').name).toBe('GET,HEAD /api/*');
+  });
+
+  it('throws on a missing path or a duplicate name', () => {
+    expect(() => compilePolicies([{ name: 'x' }], defaults)).toThrow('policies[0] requires a path');
+    expect(() => compilePolicies([{ name: 'x', path: '/a' }, { name: 'x', path: '/b' }], defaults))
+      .toThrow('Duplicate policy name: x');
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * api-security-monitor — scanner probe and honeypot matching tests
+ */
+
+const { PROBE_SIGNATURES, compileProbes, matchProbe } = require('../src/probes');
+
+describe('compileProbes', () => {
+  it('is disabled unless configured', () => {
+    expect(compileProbes(undefined)).toBeNull();
+    expect(compileProbes(true).signatures).toHaveLength(PROBE_SIGNATURES.length);
+  });
+
+  it('adds, drops and excludes signatures', () => {
+    expect(compileProbes({ paths: ['/internal/*'] }).signatures).toHaveLength(PROBE_SIGNATURES.length + 1);
+    expect(compileProbes({ exclude: ['*.php'] }).signatures).toHaveLength(PROBE_SIGNATURES.length - 1);
+    expect(compileProbes({ signatures: false, paths: ['/x'] }).signatures).toHaveLength(1);
+    expect(() => compileProbes({ exclude: ['/nope'] })).toThrow('probes.exclude: /nope is not a bundled signature');
+  });
+});
+
+describe('matchProbe', () => {
+  const config = compileProbes({ honeypots: ['/admin/backup.zip', '/wp-login.php'] });
+
+  it.each([
+    '/.env', '/api/.env', '/.git/config', '/wp-admin', '/WP-Admin/setup.php',
+    '/phpmyadmin/index.php', '/index.php', '/%2egit/HEAD', '/dump.sql',
+  ])('flags %s as a scanner probe', path => {
+    expect(matchProbe(config, path)).toMatchObject({ attackType: 'Scanner Probe', location: 'path' });
+  });
+
+  it('reports honeypots first, with the matching pattern as rule', () => {
+    expect(matchProbe(config, '/admin/backup.zip')).toEqual({ attackType: 'Honeypot Triggered', rule: '/admin/backup.zip', location: 'path' });
+    expect(matchProbe(config, '/wp-login.php').attackType).toBe('Honeypot Triggered');
+  });
+
+  it('leaves ordinary API paths alone', () => {
+    for (const path of ['/', '/api/users', '/api/environment', '/static/app.js', '/git/commits', '/admin']) {
+      expect(matchProbe(config, path)).toBeNull();
+    }
+  });
+});
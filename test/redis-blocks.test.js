@@ -0,0 +1,146 @@
+/**
+ * api-security-monitor — Redis block index tests
+ *
+ * Blocks are indexed in the `block_index` sorted set by expiry, with their
+ * metadata in `block_meta:<ip>` hashes. ioredis-mock instances on the same
+ * URL share data, so each test uses its own URL.
+ */
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const APIMonitor = require('../src/index');
+const { RedisMongoStorage } = require('../src/storage');
+
+let stores;
+let port = 6400;
+beforeEach(() => { stores = []; });
+afterEach(async () => {
+  for (const store of stores) await store.close();
+});
+
+function redisStorage() {
+  const store = new RedisMongoStorage({ mongoURI: 'mongodb://localhost/test', redisURL: `redis://localhost:${port++}` });
+  stores.push(store);
+  return store;
+}
+
+const ips = list => list.map(b => b.ip);
+
+/** Stores blocks expiring 10, 20 and 30 minutes from now, plus a permanent one. */
+async function seed(store) {
+  const now = Date.now();
+  await store.block('108.4.0.30', { reason: 'Path Scanning', route: '/admin', expiresAt: now + 1_800_000 });
+  await store.block('108.4.0.9',  { reason: 'Manual block', expiresAt: Infinity });
+  await store.block('108.4.0.10', { reason: 'DDoS (Excessive Requests)', expiresAt: now + 600_000 });
+  await store.block('108.4.0.20', { reason: 'Bad Bot', expiresAt: now + 1_200_000 });
+}
+
+describe('RedisMongoStorage block index', () => {
+  it('stores blocks as indexed hashes that expire with the block', async () => {
+    const store = redisStorage();
+    const expiresAt = Date.now() + 60_000;
+    await store.block('108.4.0.1', { reason: 'Path Scanning', route: '/wp-login', expiresAt });
+
+    expect(await store.getBlock('108.4.0.1')).toEqual({ reason: 'Path Scanning', route: '/wp-login', expiresAt });
+    expect(Number(await store.redis.zscore('block_index', '108.4.0.1'))).toBe(expiresAt);
+    expect(await store.redis.pttl('block_meta:108.4.0.1')).toBeGreaterThan(58_000);
+
+    expect(await store.unblock('108.4.0.1')).toBe(true);
+    expect(await store.unblock('108.4.0.1')).toBe(false);
+    expect(await store.redis.zcard('block_index')).toBe(0);
+  });
+
+  it('pages blocks by expiry, permanent ones last', async () => {
+    const store = redisStorage();
+    await seed(store);
+
+    expect(ips(await store.listBlocks())).toEqual(['108.4.0.10', '108.4.0.20', '108.4.0.30', '108.4.0.9']);
+    const page = await store.pageBlocks({ offset: 1, limit: 2 });
+    expect(page.total).toBe(4);
+    expect(page.blocks).toEqual([
+      { ip: '108.4.0.20', reason: 'Bad Bot', route: null, expiresAt: expect.any(Number) },
+      { ip: '108.4.0.30', reason: 'Path Scanning', route: '/admin', expiresAt: expect.any(Number) },
+    ]);
+    expect(ips((await store.pageBlocks({ order: 'desc', limit: 2 })).blocks)).toEqual(['108.4.0.9', '108.4.0.30']);
+  });
+
+  it('pages blocks by IP', async () => {
+    const store = redisStorage();
+    await seed(store);
+
+    expect(ips((await store.pageBlocks({ sort: 'ip', limit: 3 })).blocks)).toEqual(['108.4.0.9', '108.4.0.10', '108.4.0.20']);
+    expect(ips((await store.pageBlocks({ sort: 'ip', order: 'desc', offset: 3 })).blocks)).toEqual(['108.4.0.9']);
+  });
+
+  it('prunes expired members and members whose hash is gone', async () => {
+    const store = redisStorage();
+    await seed(store);
+    await store.redis.zadd('block_index', Date.now() - 1000, '108.4.0.40');
+    await store.redis.del('block_meta:108.4.0.20');
+
+    const page = await store.pageBlocks();
+    expect(ips(page.blocks)).toEqual(['108.4.0.10', '108.4.0.30', '108.4.0.9']);
+    expect(page.total).toBe(3);
+    expect(await store.redis.zcard('block_index')).toBe(3);
+  });
+
+  it('reads a page in three round trips however many blocks it holds', async () => {
+    const store = redisStorage();
+    for (let i = 0; i < 30; i++) await store.block(`108.4.1.${i}`, { reason: 'Bad Bot', expiresAt: Date.now() + 60_000 + i });
+
+    const calls = [];
+    for (const name of ['multi', 'pipeline', 'zrangebyscore', 'zrange', 'scan', 'ttl', 'get', 'hgetall']) {
+      const original = store.redis[name].bind(store.redis);
+      store.redis[name] = (...args) => { calls.push(name); return original(...args); };
+    }
+    const { total, blocks } = await store.pageBlocks({ limit: 25 });
+
+    expect(total).toBe(30);
+    expect(blocks).toHaveLength(25);
+    expect(calls).toEqual(['multi', 'zrangebyscore', 'pipeline']);
+  });
+
+  it('migrates blocks stored by earlier versions once', async () => {
+    const store = redisStorage();
+    await store.migrated;
+    await store.redis.del('block_index:migrated');
+    await store.redis.set('blocked:108.4.2.1', '1', 'EX', 300);
+    await store.redis.set('blocked:108.4.2.1:reason', 'DDoS (Excessive Requests)', 'EX', 300);
+    await store.redis.set('blocked:108.4.2.2', '1');
+    await store.redis.set('blocked:108.4.2.2:reason', 'Path Scanning');
+
+    store.migrated = store._migrateLegacyBlocks();
+    const { blocked } = await APIMonitor({ storage: store }).monitor.getBlockedIPs();
+
+    expect(blocked).toEqual([
+      expect.objectContaining({ ip: '108.4.2.1', reason: 'DDoS (Excessive Requests)', remainingSec: 300 }),
+      expect.objectContaining({ ip: '108.4.2.2', reason: 'Path Scanning', remainingSec: null }),
+    ]);
+    expect(await store.redis.keys('blocked:*')).toEqual([]);
+    expect(await store.redis.get('block_index:migrated')).toBe('1');
+  });
+});
+
+describe('getBlockedIPs with Redis storage', () => {
+  it('returns one page and the total, and counts active blocks for metrics', async () => {
+    const store = redisStorage();
+    const { monitor } = APIMonitor({ storage: store });
+    await seed(store);
+
+    const page = await monitor.getBlockedIPs({ offset: 2, limit: 10 });
+    expect(page).toMatchObject({ count: 2, total: 4 });
+    expect(page.blocked.map(b => [b.ip, b.remainingSec])).toEqual([['108.4.0.30', 1800], ['108.4.0.9', null]]);
+    expect(await monitor.metrics()).toMatch(/_blocks_active 4/);
+  });
+
+  it('finds blocks stored by the atomic tracking script', async () => {
+    const store = redisStorage();
+    const { monitor } = APIMonitor({ storage: store, maxRequests: 1 });
+    jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+    const context = { ip: '108.4.3.1', method: 'GET', path: '/search', headers: {}, query: {}, req: { headers: {} } };
+    for (let i = 0; i < 2; i++) await monitor.evaluate(context);
+
+    expect(await store.getBlock('108.4.3.1')).toMatchObject({ reason: 'DDoS (Excessive Requests)', route: '/search' });
+    expect((await monitor.getBlockedIPs()).blocked).toEqual([expect.objectContaining({ ip: '108.4.3.1', route: '/search' })]);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * api-security-monitor — atomic Redis tracking tests
+ *
+ * With one RedisMongoStorage in both the counters and blocks roles, each
+ * request is checked, counted and, past a threshold, blocked by a single Lua
+ * script. Giving the blocks role a separate object takes the per-call path,
+ * which the benchmark uses as the baseline.
+ */
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const APIMonitor = require('../src/index');
+const { RedisMongoStorage } = require('../src/storage');
+
+let monitors;
+beforeEach(() => { monitors = []; });
+afterEach(async () => {
+  for (const monitor of monitors) await monitor.close();
+});
+
+function redisStorage() {
+  return new RedisMongoStorage({ mongoURI: 'mongodb://localhost/test', redisURL: 'redis://localhost' });
+}
+
+function build(options = {}, { atomic = true } = {}) {
+  const adapter = redisStorage();
+  const storage = atomic
+    ? adapter
+    : { counters: adapter, blocks: Object.create(adapter), logs: adapter };
+  const { monitor } = APIMonitor({ maxRequests: 3, ...options, storage });
+  jest.spyOn(monitor, 'saveLog').mockResolvedValue();
+  monitors.push(monitor);
+  return { monitor, adapter };
+}
+
+const context = (ip, path = '/') => ({ ip, method: 'GET', path, headers: {}, query: {}, req: { headers: {} } });
+
+/** Runs one request through the core and calls its finish handler, as an adapter would. */
+async function send(monitor, ip, path) {
+  const decision = await monitor.evaluate(context(ip, path));
+  if (decision.finish) await decision.finish(200);
+  return decision;
+}
+
+/**
+ * Adds a fixed delay to every round trip of a client, standing in for the
+ * network, and counts them. A MULTI counts once, on exec.
+ */
+function simulateLatency(redis, ms) {
+  const stats = { roundTrips: 0 };
+  const wrap  = (target, name) => {
+    const call = target[name].bind(target);
+    target[name] = async (...args) => {
+      stats.roundTrips += 1;
+      await new Promise(resolve => setTimeout(resolve, ms));
+      return call(...args);
+    };
+  };
+
+  for (const name of ['get', 'ttl', 'set', 'del', 'hgetall', 'apiMonitorTakeToken']) wrap(redis, name);
+  const multi = redis.multi.bind(redis);
+  redis.multi = (...args) => {
+    const tx = multi(...args);
+    wrap(tx, 'exec');
+    return tx;
+  };
+  const defineCommand = redis.defineCommand.bind(redis);
+  redis.defineCommand = (name, definition) => {
+    defineCommand(name, definition);
+    wrap(redis, name);
+  };
+  return stats;
+}
+
+describe('Atomic Redis tracking', () => {
+  it('uses the script only when one adapter holds counters and blocks', () => {
+    expect(build()).toHaveProperty('monitor._atomic', true);
+    expect(build({}, { atomic: false })).toHaveProperty('monitor._atomic', false);
+  });
+
+  it('blocks on the same request as the per-call path, with escalation and policy reasons', async () => {
+    const options = {
+      blockPolicy: { baseDuration: 60, multiplier: 2 },
+      policies:    [{ name: 'search', path: '/search', maxRequests: 2 }],
+    };
+    const outcomes = [];
+    for (const atomic of [true, false]) {
+      const { monitor } = build(options, { atomic });
+      const events = [];
+      monitor.on('ip-blocked', e => events.push([e.reason, e.duration]));
+      const ip = atomic ? '108.3.0.1' : '108.3.0.2';
+
+      const statuses = [];
+      for (let round = 0; round < 2; round++) {
+        for (let i = 0; i < 4; i++) {
+          const { reject } = await send(monitor, ip, '/search');
+          statuses.push(reject ? reject.status : 200);
+        }
+        await monitor.unblockIP(ip);
+      }
+      outcomes.push({ statuses, events });
+    }
+
+    expect(outcomes[0]).toEqual(outcomes[1]);
+    expect(outcomes[0].statuses).toEqual([200, 200, 200, 403, 200, 200, 200, 403]);
+    expect(outcomes[0].events).toEqual([
+      ['DDoS (Excessive Requests) (policy: search)', 60],
+      ['DDoS (Excessive Requests) (policy: search)', 120],
+    ]);
+  });
+
+  it('detects path scanning and stores permanent bans', async () => {
+    const { monitor } = build({ maxRequests: 100, scanThreshold: 2, blockPolicy: { permanentAfter: 1 } });
+    const attacks = jest.fn();
+    monitor.on('attack-detected', attacks);
+    for (const path of ['/a', '/b', '/c']) await send(monitor, '108.3.0.3', path);
+
+    expect(attacks).toHaveBeenCalledWith(expect.objectContaining({ type: 'Path Scanning', offence: 1, duration: null }));
+    const { blocked } = await monitor.getBlockedIPs();
+    expect(blocked).toEqual([expect.objectContaining({ ip: '108.3.0.3', reason: 'Path Scanning', remainingSec: null })]);
+    expect((await send(monitor, '108.3.0.3')).reject.info.blockedFor).toBe('permanent');
+  });
+
+  it('leaves unique-path counting to the miss-based scan detection when enabled', async () => {
+    const { monitor } = build({ maxRequests: 100, scanThreshold: 1, scanDetection: true });
+    for (const path of ['/a', '/b', '/c']) await send(monitor, '108.3.0.4', path);
+    expect(await monitor.isIPBlocked('108.3.0.4')).toBe(false);
+  });
+
+  it('records offences but stores no block in dry-run mode', async () => {
+    const { monitor, adapter } = build({ mode: 'dry-run', maxRequests: 1 });
+    const attacks = jest.fn();
+    monitor.on('attack-detected', attacks);
+    for (let i = 0; i < 4; i++) expect((await send(monitor, '108.3.0.5')).reject).toBeNull();
+
+    expect(attacks).toHaveBeenCalledTimes(2); // tracking restarts after each would-be block
+    expect(attacks).toHaveBeenLastCalledWith(expect.objectContaining({ dryRun: true, offence: 2 }));
+    expect(await adapter.getBlock('108.3.0.5')).toBeNull();
+  });
+
+  it('answers rate-limit blocks with 429 and Retry-After from the script reply', async () => {
+    const { monitor } = build({ maxRequests: 1, rateLimitHeaders: true });
+    expect((await send(monitor, '108.3.0.6')).reject).toBeNull();
+    const crossing = await send(monitor, '108.3.0.6');
+    const { reject, headers } = await send(monitor, '108.3.0.6');
+
+    expect(crossing.reject.status).toBe(429);
+    expect(crossing.headers['Retry-After']).toBeGreaterThan(0);
+    expect(reject.status).toBe(429);
+    expect(headers['Retry-After']).toBeGreaterThan(0);
+  });
+
+  it('detects and blocks once however many requests race past the limit', async () => {
+    const { monitor } = build({ maxRequests: 5 });
+    const attacks = jest.fn();
+    monitor.on('attack-detected', attacks);
+
+    const decisions = await Promise.all(Array.from({ length: 20 }, () => monitor.evaluate(context('108.3.0.7'))));
+    expect(attacks).toHaveBeenCalledTimes(1);
+    expect(decisions.filter(d => d.reject)).toHaveLength(14); // every request after the 6th finds the block
+  });
+});
+
+describe('Tracked keys metric in Redis', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts tracked keys from the index without scanning, dropping them after their window', async () => {
+    const { monitor, adapter } = build({ maxRequests: 2 });
+    const scan   = jest.spyOn(adapter.redis, 'scan');
+    const before = await adapter.trackedKeys();
+
+    await send(monitor, '108.3.2.1');
+    await send(monitor, '108.3.2.2');
+    await adapter.trackRequest('108.3.2.3', '/', { timeWindow: 60 });
+    expect(await adapter.trackedKeys()).toBe(before + 3);
+
+    for (let i = 0; i < 2; i++) await send(monitor, '108.3.2.1'); // blocked, tracking cleared
+    await adapter.resetTracking('108.3.2.3');
+    expect(await adapter.trackedKeys()).toBe(before + 1);
+
+    const later = Date.now() + 61_000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    expect(await adapter.trackedKeys()).toBe(0);
+    expect(scan).not.toHaveBeenCalled();
+  });
+});
+
+describe('Atomic Redis tracking benchmark', () => {
+  const LATENCY  = 20; // ms per simulated round trip
+  const REQUESTS = 12; // per IP: 3 allowed, 1 blocking, 8 rejected
+
+  async function measure(atomic) {
+    const { monitor, adapter } = build({ maxRequests: 3 }, { atomic });
+    const stats = simulateLatency(adapter.redis, LATENCY);
+    const ip    = atomic ? '108.3.1.1' : '108.3.1.2';
+
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < REQUESTS; i++) await send(monitor, ip);
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    return { roundTrips: stats.roundTrips / REQUESTS, latency: elapsed / REQUESTS };
+  }
+
+  it('needs one round trip per request and cuts the per-request latency', async () => {
+    const perCall = await measure(false);
+    const atomic  = await measure(true);
+
+    expect(atomic.roundTrips).toBe(1);
+    expect(perCall.roundTrips).toBeGreaterThan(2);
+    expect(atomic.latency).toBeLessThan(perCall.latency / 2);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * api-security-monitor — blocked response negotiation tests
+ */
+
+const { negotiate, renderBlocked } = require('../src/responses');
+
+describe('negotiate', () => {
+  it('defaults to JSON without an Accept header or for a bare wildcard', () => {
+    expect(negotiate(undefined)).toBe('application/json');
+    expect(negotiate('*/*')).toBe('application/json');
+  });
+
+  it('picks the exact type the client asks for', () => {
+    expect(negotiate('application/problem+json')).toBe('application/problem+json');
+    expect(negotiate('text/plain')).toBe('text/plain');
+    expect(negotiate('TEXT/HTML; charset=utf-8')).toBe('text/html');
+  });
+
+  it('prefers HTML for browsers', () => {
+    const browser = 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,*/*;q=0.8';
+    expect(negotiate(browser)).toBe('text/html');
+  });
+
+  it('honours quality values and type wildcards', () => {
+    expect(negotiate('application/json;q=0.5, text/plain')).toBe('text/plain');
+    expect(negotiate('text/*')).toBe('text/plain');
+    expect(negotiate('application/problem+json, application/*;q=0.2')).toBe('application/problem+json');
+  });
+
+  it('falls back to JSON when nothing supported is acceptable', () => {
+    expect(negotiate('image/png')).toBe('application/json');
+    expect(negotiate('text/html;q=0')).toBe('application/json');
+  });
+});
+
+describe('renderBlocked', () => {
+  const info = { error: 'Access denied', reason: 'Path Scanning', blockedFor: '300 seconds', blockedUntil: null };
+
+  it('renders the negotiated type as a string', () => {
+    expect(renderBlocked(undefined, info, 403)).toEqual({ contentType: 'application/json', body: JSON.stringify(info) });
+    expect(JSON.parse(renderBlocked('application/problem+json', info, 429).body))
+      .toEqual(expect.objectContaining({ title: 'Too Many Requests', status: 429, detail: 'Access denied' }));
+    expect(renderBlocked('text/plain', info, 403).body).toBe('Error: Access denied\nReason: Path Scanning\nBlocked for: 300 seconds\n');
+  });
+
+  it('escapes HTML', () => {
+    const { body } = renderBlocked('text/html', { ...info, reason: '<script>' }, 403);
+    expect(body).toContain('<title>403 Forbidden</title>');
+    expect(body).toContain('&#60;script&#62;');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * api-security-monitor — miss-based scan detection config tests
+ */
+
+const { compileScanDetection, isMiss } = require('../src/scan-detection');
+
+describe('compileScanDetection', () => {
+  it('is disabled unless configured and fills defaults', () => {
+    expect(compileScanDetection(undefined, 60)).toBeNull();
+    expect(compileScanDetection(true, 60)).toMatchObject({ minMisses: 10, missRatio: 0.5, timeWindow: 60, uniquePaths: false });
+  });
+
+  it('validates missRatio and minMisses', () => {
+    expect(() => compileScanDetection({ missRatio: 0 }, 60)).toThrow('scanDetection.missRatio');
+    expect(() => compileScanDetection({ missRatio: 1.5 }, 60)).toThrow('scanDetection.missRatio');
+    expect(() => compileScanDetection({ minMisses: 0 }, 60)).toThrow('scanDetection.minMisses');
+  });
+});
+
+describe('isMiss', () => {
+  it('uses the miss status codes by default', () => {
+    const config = compileScanDetection(true, 60);
+    expect(isMiss(config, '/anything', 404)).toBe(true);
+    expect(isMiss(config, '/anything', 405)).toBe(true);
+    expect(isMiss(config, '/anything', 200)).toBe(false);
+  });
+
+  it('judges by known routes when given, ignoring misses on them', () => {
+    const config = compileScanDetection({ knownRoutes: ['/api/users/:id', '/static/*'] }, 60);
+    expect(isMiss(config, '/api/users/999', 404)).toBe(false);
+    expect(isMiss(config, '/static/app.js', 200)).toBe(false);
+    expect(isMiss(config, '/wp-admin', 200)).toBe(true);
+  });
+});
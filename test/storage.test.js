@@ -0,0 +1,173 @@
+/**
+ * api-security-monitor — storage adapter tests
+ *
+ * Covers the adapter contract, mixing adapters per role, and plugging in a
+ * custom store without touching src/index.js.
+ */
+
+const APIMonitor = require('../src/index');
+const { LocalStorage, resolveStorage } = require('../src/storage');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+/**
+ * Minimal in-memory adapter implementing every role, recording calls so
+ * tests can assert the monitor routes work through the contract.
+ */
+function createMemoryAdapter() {
+  const blocks = new Map();
+  const counts = new Map();
+  const logs   = [];
+  return {
+    calls: [],
+    trackRequest(key, route) {
+      this.calls.push('trackRequest');
+      const count = (counts.get(key) || 0) + 1;
+      counts.set(key, count);
+      return { requestCount: count, scanCount: 1 };
+    },
+    resetTracking(key) { counts.delete(key); },
+    block(ip, info) { this.calls.push('block'); blocks.set(ip, info); },
+    unblock(ip) { return blocks.delete(ip); },
+    getBlock(ip) { return blocks.get(ip) || null; },
+    listBlocks() { return [...blocks].map(([ip, info]) => ({ ip, ...info })); },
+    saveLog(entry) { logs.push(entry); },
+    queryLogs({ limit = 10 } = {}) { return logs.slice(-limit).reverse(); },
+    getStats() { return []; },
+  };
+}
+
+function buildApp(options) {
+  const app = express();
+  app.set('trust proxy', true);
+  const result = APIMonitor(options);
+  app.use(result.blockIPs);
+  app.use(result.middleware);
+  app.get('*', (_req, res) => res.sendStatus(200));
+  return { app, ...result };
+}
+
+// ---------------------------------------------------------------------------
+// 1. resolveStorage
+// ---------------------------------------------------------------------------
+
+describe('resolveStorage', () => {
+  it('uses a single adapter for every role', () => {
+    const adapter  = createMemoryAdapter();
+    const resolved = resolveStorage(adapter, () => { throw new Error('unused'); });
+    expect(resolved.counters).toBe(adapter);
+    expect(resolved.blocks).toBe(adapter);
+    expect(resolved.logs).toBe(adapter);
+  });
+
+  it('fills missing roles with the default adapter, created once', () => {
+    const adapter       = createMemoryAdapter();
+    const fallback      = createMemoryAdapter();
+    const createDefault = jest.fn(() => fallback);
+
+    const resolved = resolveStorage({ counters: adapter }, createDefault);
+    expect(resolved.counters).toBe(adapter);
+    expect(resolved.blocks).toBe(fallback);
+    expect(resolved.logs).toBe(fallback);
+    expect(createDefault).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not create the default adapter when every role is supplied', () => {
+    const createDefault = jest.fn();
+    const adapter       = createMemoryAdapter();
+    resolveStorage({ counters: adapter, blocks: adapter, logs: adapter }, createDefault);
+    expect(createDefault).not.toHaveBeenCalled();
+  });
+
+  it('throws when an adapter is missing a method of its role', () => {
+    const { getBlock, ...incomplete } = createMemoryAdapter();
+    expect(() => resolveStorage({ blocks: incomplete }, () => createMemoryAdapter()))
+      .toThrow('storage.blocks must implement getBlock()');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 2. Custom adapters
+// ---------------------------------------------------------------------------
+
+describe('Custom storage adapter', () => {
+  it('tracks, blocks and rejects through a custom adapter', async () => {
+    const adapter = createMemoryAdapter();
+    const { app } = buildApp({ maxRequests: 1, storage: adapter });
+    const agent   = request(app);
+
+    await agent.get('/').set('x-forwarded-for', '1.1.1.1');
+    await agent.get('/').set('x-forwarded-for', '1.1.1.1'); // triggers block
+
+    const res = await agent.get('/').set('x-forwarded-for', '1.1.1.1');
+    expect(res.status).toBe(403);
+    expect(adapter.calls).toContain('block');
+  });
+
+  it('exposes query methods through the logs and blocks adapters', async () => {
+    const adapter     = createMemoryAdapter();
+    const { monitor } = APIMonitor({ storage: adapter });
+
+    await adapter.block('2.2.2.2', { reason: 'Manual', route: null, expiresAt: Date.now() + 60_000 });
+    adapter.saveLog({ ip: '2.2.2.2', attackType: null });
+
+    const { count, blocked } = await monitor.getBlockedIPs();
+    expect(count).toBe(1);
+    expect(blocked[0]).toMatchObject({ ip: '2.2.2.2', reason: 'Manual', route: null });
+    expect(await monitor.getLogs()).toEqual([{ ip: '2.2.2.2', attackType: null }]);
+  });
+
+  it('mixes a custom counters adapter with the default local blocks', async () => {
+    const counters = createMemoryAdapter();
+    const { app, monitor } = buildApp({ maxRequests: 1, storage: { counters } });
+    const agent = request(app);
+
+    await agent.get('/').set('x-forwarded-for', '3.3.3.3');
+    await agent.get('/').set('x-forwarded-for', '3.3.3.3'); // triggers block
+
+    expect(counters.calls).toContain('trackRequest');
+    expect(monitor.storage.blocks).toBeInstanceOf(LocalStorage);
+    expect(monitor.localBlockedIPs.has('3.3.3.3')).toBe(true);
+  });
+
+  it('fails open when the blocks adapter throws', async () => {
+    const adapter    = createMemoryAdapter();
+    adapter.getBlock = () => { throw new Error('store down'); };
+    const { monitor } = APIMonitor({ storage: adapter });
+
+    await expect(monitor.isIPBlocked('4.4.4.4')).resolves.toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 3. Built-in adapters
+// ---------------------------------------------------------------------------
+
+describe('Built-in adapters', () => {
+  it('LocalStorage.unblock removes an active block', () => {
+    const store = new LocalStorage({ cleanupInterval: 60_000 });
+    store.block('5.5.5.5', { reason: 'Test', expiresAt: Date.now() + 60_000 });
+
+    expect(store.unblock('5.5.5.5')).toBe(true);
+    expect(store.getBlock('5.5.5.5')).toBeNull();
+    expect(store.unblock('5.5.5.5')).toBe(false);
+    store.close();
+  });
+
+  it('RedisMongoStorage lists blocks set through the contract', async () => {
+    const { monitor } = APIMonitor({
+      saveRecords: true,
+      mongoURI:    'mongodb://localhost/test',
+      redisURL:    'redis://localhost',
+    });
+
+    await monitor.storage.blocks.block('6.6.6.6', { reason: 'Test', expiresAt: Date.now() + 60_000 });
+    const { blocked } = await monitor.getBlockedIPs();
+    expect(blocked.find(b => b.ip === '6.6.6.6')).toMatchObject({ reason: 'Test' });
+
+    expect(await monitor.storage.blocks.unblock('6.6.6.6')).toBe(true);
+    expect(await monitor.isIPBlocked('6.6.6.6')).toBe(false);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * api-security-monitor — webhook notifier tests
+ *
+ * Deliveries go to a local HTTP server whose status codes each test controls.
+ */
+
+const http = require('http');
+const { WebhookNotifier, signPayload } = require('../src/webhooks');
+
+let server;
+let received;
+let statuses;
+
+beforeEach(async () => {
+  received = [];
+  statuses = [];
+  server   = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const url    = () => `http://127.0.0.1:${server.address().port}/hook`;
+const attack = (ip, type = 'Path Scanning') => ({ ip, key: ip, type, timestamp: new Date() });
+const events = i => JSON.parse(received[i].body).events;
+
+describe('WebhookNotifier', () => {
+  it('batches events and merges repeats with a count', async () => {
+    const notifier = new WebhookNotifier([{ url: url(), batchWindow: 60 }]);
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    notifier.notify('attack-detected', attack('2.2.2.2'));
+    await notifier.flush();
+
+    expect(received).toHaveLength(1);
+    expect(events(0)).toEqual([
+      expect.objectContaining({ event: 'attack-detected', count: 3, data: expect.objectContaining({ ip: '1.1.1.1' }) }),
+      expect.objectContaining({ event: 'attack-detected', count: 1, data: expect.objectContaining({ ip: '2.2.2.2' }) }),
+    ]);
+    expect(JSON.parse(received[0].body).source).toBe('api-security-monitor');
+  });
+
+  it('flushes early once maxBatchSize distinct events are waiting', async () => {
+    const notifier = new WebhookNotifier([{ url: url(), batchWindow: 60, maxBatchSize: 2 }]);
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    notifier.notify('attack-detected', attack('1.1.1.2'));
+    notifier.notify('attack-detected', attack('1.1.1.3'));
+    await notifier.flush();
+    expect(received.map((_, i) => events(i).length)).toEqual([2, 1]);
+  });
+
+  it('filters by event and attack type, ignoring policy suffixes', async () => {
+    const notifier = new WebhookNotifier([{
+      url:         url(),
+      batchWindow: 0,
+      events:      ['ip-blocked'],
+      attackTypes: ['DDoS (Excessive Requests)'],
+    }]);
+    notifier.notify('attack-detected', attack('1.1.1.1', 'DDoS (Excessive Requests)'));
+    notifier.notify('ip-blocked', { ip: '1.1.1.1', reason: 'Path Scanning', timestamp: new Date() });
+    notifier.notify('ip-blocked', { ip: '1.1.1.1', reason: 'DDoS (Excessive Requests) (policy: login)', timestamp: new Date() });
+    await notifier.flush();
+
+    expect(received).toHaveLength(1);
+    expect(events(0)[0].data.reason).toBe('DDoS (Excessive Requests) (policy: login)');
+  });
+
+  it('signs the body with HMAC-SHA256 over the timestamp and body', async () => {
+    const notifier = new WebhookNotifier([{ url: url(), secret: 's3cret', batchWindow: 0 }]);
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    await notifier.flush();
+
+    const { headers, body } = received[0];
+    expect(headers['x-webhook-signature']).toBe(signPayload('s3cret', headers['x-webhook-timestamp'], body));
+    expect(headers['x-webhook-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000)).toBeLessThan(5);
+  });
+
+  it('sends no signature headers without a secret', async () => {
+    const notifier = new WebhookNotifier([{ url: url(), batchWindow: 0 }]);
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    await notifier.flush();
+    expect(received[0].headers['x-webhook-signature']).toBeUndefined();
+  });
+
+  it('retries 5xx responses with backoff, then succeeds', async () => {
+    statuses = [503, 500];
+    const notifier = new WebhookNotifier([{ url: url(), batchWindow: 0, retryDelay: 5 }]);
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    await notifier.flush();
+    expect(received).toHaveLength(3);
+  });
+
+  it('gives up after maxRetries and reports the failure', async () => {
+    statuses = [500, 500, 500];
+    const onFailure = jest.fn();
+    const notifier  = new WebhookNotifier([{ url: url(), batchWindow: 0, retryDelay: 5, maxRetries: 2 }], onFailure);
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    await notifier.flush();
+
+    expect(received).toHaveLength(3);
+    expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({
+      url:    url(),
+      error:  expect.objectContaining({ message: 'Webhook responded with 500' }),
+      events: [expect.objectContaining({ count: 1 })],
+    }));
+  });
+
+  it('does not retry other 4xx responses', async () => {
+    statuses = [400];
+    const onFailure = jest.fn();
+    const notifier  = new WebhookNotifier([{ url: url(), batchWindow: 0, retryDelay: 5 }], onFailure);
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    await notifier.flush();
+    expect(received).toHaveLength(1);
+    expect(onFailure).toHaveBeenCalled();
+  });
+
+  it('drops the oldest waiting batch when the queue is full', async () => {
+    statuses = [500];
+    const notifier = new WebhookNotifier([{ url: url(), batchWindow: 0, retryDelay: 50, maxQueue: 1 }]);
+    notifier.notify('attack-detected', attack('1.1.1.1')); // in flight, then retried
+    await new Promise(r => setTimeout(r, 20));
+    notifier.notify('attack-detected', attack('1.1.1.2')); // dropped
+    notifier.notify('attack-detected', attack('1.1.1.3'));
+    await notifier.flush();
+
+    expect(received.map((_, i) => events(i)[0].data.ip)).toEqual(['1.1.1.1', '1.1.1.1', '1.1.1.3']);
+    expect(notifier.destinations[0].dropped).toBe(1);
+  });
+
+  it('applies a transform for Slack-style receivers', async () => {
+    const transform = entries => ({ text: entries.map(e => `${e.data.type} from ${e.data.ip} ×${e.count}`).join('\n') });
+    const notifier  = new WebhookNotifier([{ url: url(), batchWindow: 0, transform }]);
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    await notifier.flush();
+    expect(JSON.parse(received[0].body)).toEqual({ text: 'Path Scanning from 1.1.1.1 ×1' });
+  });
+
+  it('close() flushes pending events and stops retrying', async () => {
+    statuses = [500];
+    const onFailure = jest.fn();
+    const notifier  = new WebhookNotifier([{ url: url(), batchWindow: 60, retryDelay: 60_000 }], onFailure);
+    notifier.notify('attack-detected', attack('1.1.1.1'));
+    await notifier.close();
+
+    expect(received).toHaveLength(1);
+    expect(onFailure).toHaveBeenCalled();
+    notifier.notify('attack-detected', attack('1.1.1.2'));
+    await notifier.flush();
+    expect(received).toHaveLength(1);
+  });
+
+  it('validates destinations', () => {
+    expect(() => new WebhookNotifier([{ url: 'ftp://example.com' }])).toThrow('webhooks[0].url must be an http(s) URL');
+    expect(() => new WebhookNotifier([{ url: 'nope' }])).toThrow('webhooks[0].url');
+    expect(() => new WebhookNotifier([{ url: url(), events: ['ip-unblocked'] }])).toThrow('webhooks[0].events');
+  });
+});